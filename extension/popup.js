@@ -10,7 +10,9 @@ const CONFIG = {
 const loginView = document.getElementById('loginView');
 const saveView = document.getElementById('saveView');
 const successView = document.getElementById('successView');
-const loginForm = document.getElementById('loginForm');
+const successTitle = document.getElementById('successTitle');
+const successMessage = document.getElementById('successMessage');
+const deviceSignInBtn = document.getElementById('deviceSignInBtn');
 const saveForm = document.getElementById('saveForm');
 const logoutBtn = document.getElementById('logoutBtn');
 const viewLinksBtn = document.getElementById('viewLinksBtn');
@@ -22,39 +24,33 @@ const dropdownOptions = document.getElementById('dropdownOptions');
 const selectedCategoryText = document.getElementById('selectedCategory');
 const categoryInput = document.getElementById('category');
 
+// Tag Elements
+const tagsInput = document.getElementById('tags');
+const tagSuggestions = document.getElementById('tagSuggestions');
+
+// Collection Elements
+const collectionGroup = document.getElementById('collectionGroup');
+const collectionChips = document.getElementById('collectionChips');
+
+/** Most existing tags offered as suggestions under the tags field. */
+const MAX_TAG_SUGGESTIONS = 12;
+
 // Initialize
 document.addEventListener('DOMContentLoaded', async () => {
-    const token = await getAuthToken();
+    const token = await refreshAuthTokenIfNeeded();
     if (token) {
         await showSaveView();
     } else {
         showView('loginView');
+        await resumeDeviceSignIn();
     }
 
     setupCustomDropdown();
+    setupTagSuggestions();
+    setupCollectionChips();
     setupLogoLink();
-    setupErrorHandlers();
 });
 
-/**
- * Clears login error messages when the user starts typing in username/password fields.
- */
-function setupErrorHandlers() {
-    const loginInputs = ['username', 'password'];
-    loginInputs.forEach(id => {
-        const el = document.getElementById(id);
-        if (el) {
-            el.addEventListener('input', () => {
-                const errorEl = document.getElementById('loginError');
-                if (errorEl) {
-                    errorEl.textContent = '';
-                    errorEl.classList.add('hidden');
-                }
-            });
-        }
-    });
-}
-
 // Logo Click Logic
 function setupLogoLink() {
     document.querySelectorAll('.logo').forEach(logo => {
@@ -77,31 +73,33 @@ function setupCustomDropdown() {
         dropdownTrigger.setAttribute('aria-expanded', isOpen);
     });
 
-    document.querySelectorAll('.dropdown-option').forEach(option => {
-        option.addEventListener('click', (e) => {
-            const val = option.dataset.value;
-            const text = option.textContent;
+    // Delegated, since the options are replaced once the user's categories load
+    dropdownOptions.addEventListener('click', (e) => {
+        const option = e.target.closest('.dropdown-option');
+        if (!option) return;
 
-            selectedCategoryText.textContent = text;
-            categoryInput.value = val;
-            selectedCategoryText.style.color = 'var(--text-main)';
+        const val = option.dataset.value;
+        const text = option.textContent;
 
-            // Mark as selected
-            document.querySelectorAll('.dropdown-option').forEach(opt => opt.classList.remove('selected'));
-            option.classList.add('selected');
+        selectedCategoryText.textContent = text;
+        categoryInput.value = val;
+        selectedCategoryText.style.color = 'var(--text-main)';
 
-            // Close dropdown
-            dropdownTrigger.classList.remove('active');
-            dropdownOptions.classList.remove('active');
-            dropdownTrigger.setAttribute('aria-expanded', 'false');
+        // Mark as selected
+        document.querySelectorAll('.dropdown-option').forEach(opt => opt.classList.remove('selected'));
+        option.classList.add('selected');
 
-            // UX: Clear error when category is selected
-            const statusEl = document.getElementById('saveStatus');
-            if (statusEl) {
-                statusEl.textContent = '';
-                statusEl.classList.remove('error', 'success');
-            }
-        });
+        // Close dropdown
+        dropdownTrigger.classList.remove('active');
+        dropdownOptions.classList.remove('active');
+        dropdownTrigger.setAttribute('aria-expanded', 'false');
+
+        // UX: Clear error when category is selected
+        const statusEl = document.getElementById('saveStatus');
+        if (statusEl) {
+            statusEl.textContent = '';
+            statusEl.classList.remove('error', 'success');
+        }
     });
 
     // Close on click outside
@@ -135,43 +133,307 @@ async function showSaveView() {
     window.currentUrl = tab.url;
     window.currentTabTitle = tab.title || ''; // Store for fallback
     showView('saveView');
+    loadCategories();
+    loadTagSuggestions();
+    loadCollections();
 }
 
-// Authentication
-if (loginForm) {
-    loginForm.addEventListener('submit', async (e) => {
-        e.preventDefault();
-        const username = document.getElementById('username').value.trim();
-        const password = document.getElementById('password').value.trim();
-        const errorEl = document.getElementById('loginError');
+/**
+ * Splits the comma-separated tags field into tag names; the server trims and de-duplicates them.
+ * @returns {string[]}
+ */
+function getEnteredTags() {
+    return tagsInput.value.split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+/**
+ * Marks the suggestion chips whose tag is currently in the tags field.
+ */
+function syncTagSuggestions() {
+    const entered = getEnteredTags().map(tag => tag.toLowerCase());
+    tagSuggestions.querySelectorAll('.tag-chip').forEach(chip => {
+        chip.classList.toggle('selected', entered.includes(chip.dataset.tag.toLowerCase()));
+    });
+}
+
+/**
+ * Wires the suggestion chips to the tags field: clicking a chip adds its tag, or removes it if already entered.
+ */
+function setupTagSuggestions() {
+    if (!tagsInput || !tagSuggestions) return;
+
+    tagSuggestions.addEventListener('click', (e) => {
+        const chip = e.target.closest('.tag-chip');
+        if (!chip) return;
+
+        const tag = chip.dataset.tag;
+        const entered = getEnteredTags();
+        const remaining = entered.filter(name => name.toLowerCase() !== tag.toLowerCase());
+        tagsInput.value = (remaining.length < entered.length ? remaining : [...entered, tag]).join(', ');
+        syncTagSuggestions();
+    });
+
+    tagsInput.addEventListener('input', syncTagSuggestions);
+}
+
+/**
+ * Fetches the user's categories, in their order, as the dropdown options. On failure the dropdown keeps
+ * only Other, which every user has.
+ */
+async function loadCategories() {
+    if (!dropdownOptions) return;
+
+    try {
+        const token = await getAuthToken();
+        const response = await fetch(`${CONFIG.API_BASE}/links/categories`, {
+            headers: { 'Authorization': `Bearer ${token}` }
+        });
+        const data = await response.json();
+        if (!data.success || data.categories.length === 0) return;
+
+        dropdownOptions.replaceChildren(...data.categories.map(({ name }) => {
+            const option = document.createElement('div');
+            option.className = 'dropdown-option';
+            option.setAttribute('role', 'option');
+            option.dataset.value = name;
+            option.textContent = name;
+            option.classList.toggle('selected', name === categoryInput.value);
+            return option;
+        }));
+    } catch (error) {
+        console.log('Categories unavailable:', error);
+    }
+}
+
+/**
+ * Fetches the user's existing tags and shows the most used ones as chips. Failures just leave the chips hidden.
+ */
+async function loadTagSuggestions() {
+    if (!tagSuggestions) return;
+
+    try {
+        const token = await getAuthToken();
+        const response = await fetch(`${CONFIG.API_BASE}/links/tags`, {
+            headers: { 'Authorization': `Bearer ${token}` }
+        });
+        const data = await response.json();
+        if (!data.success) return;
+
+        const tags = data.tags
+            .slice()
+            .sort((a, b) => b.count - a.count)
+            .slice(0, MAX_TAG_SUGGESTIONS)
+            .map(tag => tag.name);
+
+        tagSuggestions.replaceChildren(...tags.map(name => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'tag-chip';
+            chip.dataset.tag = name;
+            chip.textContent = '#' + name;
+            return chip;
+        }));
+        tagSuggestions.classList.toggle('hidden', tags.length === 0);
+        syncTagSuggestions();
+    } catch (error) {
+        console.log('Tag suggestions unavailable:', error);
+    }
+}
+
+/**
+ * Lets each collection chip be switched on and off; the selected ones are sent with the link.
+ */
+function setupCollectionChips() {
+    if (!collectionChips) return;
+
+    collectionChips.addEventListener('click', (e) => {
+        const chip = e.target.closest('.tag-chip');
+        if (chip) chip.classList.toggle('selected');
+    });
+}
+
+/**
+ * IDs of the collections selected for the link.
+ * @returns {string[]}
+ */
+function getSelectedCollections() {
+    if (!collectionChips) return [];
+    return Array.from(collectionChips.querySelectorAll('.tag-chip.selected'), chip => chip.dataset.id);
+}
+
+/**
+ * Fetches the user's collections, in their order, as chips. Users without any collections, or a failed
+ * request, leave the section hidden.
+ */
+async function loadCollections() {
+    if (!collectionChips) return;
+
+    try {
+        const token = await getAuthToken();
+        const response = await fetch(`${CONFIG.API_BASE}/links/collections`, {
+            headers: { 'Authorization': `Bearer ${token}` }
+        });
+        const data = await response.json();
+        if (!data.success) return;
+
+        const selected = getSelectedCollections();
+        collectionChips.replaceChildren(...data.collections.map(({ id, name }) => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'tag-chip';
+            chip.dataset.id = id;
+            chip.textContent = name;
+            chip.classList.toggle('selected', selected.includes(String(id)));
+            return chip;
+        }));
+        collectionGroup.classList.toggle('hidden', data.collections.length === 0);
+    } catch (error) {
+        console.log('Collections unavailable:', error);
+    }
+}
+
+/**
+ * Builds a human-readable device label (e.g. "Firefox extension on macOS") for the sessions list.
+ * @returns {string}
+ */
+function getDeviceName() {
+    const ua = navigator.userAgent;
+    const browser = /Edg\//.test(ua) ? 'Edge' : /Firefox\//.test(ua) ? 'Firefox' : 'Chrome';
+    const os = /Mac OS X/.test(ua) ? 'macOS' : /Windows/.test(ua) ? 'Windows' : /CrOS/.test(ua) ? 'ChromeOS' : /Linux/.test(ua) ? 'Linux' : '';
+    return os ? `${browser} extension on ${os}` : `${browser} extension`;
+}
+
+// Device Sign-In — the user approves this browser on the Kurate dashboard, so the popup never sees the password
+let devicePollTimer = null;
+
+/**
+ * Shows an error message under the sign-in button.
+ * @param {string} message
+ */
+function showLoginError(message) {
+    const errorEl = document.getElementById('loginError');
+    errorEl.textContent = message;
+    errorEl.classList.remove('hidden');
+}
+
+/**
+ * Displays a pending sign-in code and polls for its approval.
+ * @param {Object} deviceAuth - Stored request { deviceCode, userCode, verificationUriComplete, interval, expiresAt }
+ * @param {number} delaySeconds - Wait before the first poll
+ */
+function showDeviceCode(deviceAuth, delaySeconds) {
+    document.getElementById('deviceUserCode').textContent = deviceAuth.userCode;
+    document.getElementById('deviceCodeBox').classList.remove('hidden');
+    deviceSignInBtn.textContent = 'Open Kurate to Approve';
+    scheduleDevicePoll(deviceAuth, delaySeconds);
+}
+
+/**
+ * Abandons the pending sign-in request and restores the initial sign-in view.
+ * @param {string} [message] - Error to show, if any
+ */
+async function resetDeviceSignIn(message) {
+    clearTimeout(devicePollTimer);
+    await chrome.storage.local.remove('deviceAuth');
+    document.getElementById('deviceCodeBox').classList.add('hidden');
+    deviceSignInBtn.textContent = 'Sign In with Kurate';
+    if (message) showLoginError(message);
+}
+
+/**
+ * Picks up a sign-in request started before the popup closed (opening the dashboard tab closes it).
+ */
+async function resumeDeviceSignIn() {
+    const { deviceAuth } = await chrome.storage.local.get('deviceAuth');
+    if (!deviceAuth) return;
+    if (deviceAuth.expiresAt <= Date.now()) {
+        await chrome.storage.local.remove('deviceAuth');
+        return;
+    }
+    showDeviceCode(deviceAuth, 0);
+}
+
+/**
+ * Queues the next approval check.
+ * @param {Object} deviceAuth
+ * @param {number} seconds
+ */
+function scheduleDevicePoll(deviceAuth, seconds) {
+    clearTimeout(devicePollTimer);
+    devicePollTimer = setTimeout(() => pollDeviceToken(deviceAuth), seconds * 1000);
+}
+
+/**
+ * Asks the server whether the sign-in request has been approved, and stores the token once it has.
+ * @param {Object} deviceAuth
+ */
+async function pollDeviceToken(deviceAuth) {
+    try {
+        const response = await fetch(`${CONFIG.API_BASE}/auth/device/token`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ deviceCode: deviceAuth.deviceCode })
+        });
+        const data = await response.json();
+
+        if (data.success && data.token) {
+            await chrome.storage.local.set({ authToken: data.token, username: data.user.username });
+            await resetDeviceSignIn();
+            await showSaveView();
+            return;
+        }
+        if (data.errorCode === 'slow_down') {
+            deviceAuth.interval += 5;
+        } else if (data.errorCode !== 'authorization_pending') {
+            await resetDeviceSignIn(data.error || 'Sign-in failed. Please try again.');
+            return;
+        }
+    } catch (error) {
+        // Offline — keep polling until the code expires
+    }
+
+    if (deviceAuth.expiresAt <= Date.now()) {
+        await resetDeviceSignIn('The code expired. Please sign in again.');
+        return;
+    }
+    scheduleDevicePoll(deviceAuth, deviceAuth.interval);
+}
+
+if (deviceSignInBtn) {
+    deviceSignInBtn.addEventListener('click', async () => {
+        document.getElementById('loginError').classList.add('hidden');
+
+        const { deviceAuth } = await chrome.storage.local.get('deviceAuth');
+        if (deviceAuth && deviceAuth.expiresAt > Date.now()) {
+            // Second click: open the dashboard with the code filled in
+            chrome.tabs.create({ url: deviceAuth.verificationUriComplete });
+            return;
+        }
 
         try {
-            const response = await fetch(`${CONFIG.API_BASE}/auth/login`, {
+            const response = await fetch(`${CONFIG.API_BASE}/auth/device/code`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ username, password })
+                body: JSON.stringify({ clientType: 'extension', deviceName: getDeviceName() })
             });
-
             const data = await response.json();
 
-            if (data.success && data.token) {
-                await chrome.storage.local.set({ authToken: data.token, username: username });
-                errorEl.textContent = '';
-                errorEl.classList.add('hidden');
-                await showSaveView();
-            } else {
-                // UX: If user not found, auto-redirect to sign-up on website
-                if (data.error === 'User not found') {
-                    chrome.tabs.create({ url: CONFIG.SIGNUP_URL });
-                    window.close();
-                    return;
-                }
-                errorEl.textContent = data.error || 'Login failed';
-                errorEl.classList.remove('hidden');
+            if (!data.success) {
+                showLoginError(data.error || 'Could not start sign-in');
+                return;
             }
+
+            const newDeviceAuth = {
+                deviceCode: data.deviceCode,
+                userCode: data.userCode,
+                verificationUriComplete: data.verificationUriComplete,
+                interval: data.interval,
+                expiresAt: Date.now() + data.expiresIn * 1000
+            };
+            await chrome.storage.local.set({ deviceAuth: newDeviceAuth });
+            showDeviceCode(newDeviceAuth, newDeviceAuth.interval);
         } catch (error) {
-            errorEl.textContent = 'Connection error. Please try again.';
-            errorEl.classList.remove('hidden');
+            showLoginError('Connection error. Please try again.');
         }
     });
 
@@ -188,6 +450,17 @@ if (loginForm) {
 
 if (logoutBtn) {
     logoutBtn.addEventListener('click', async () => {
+        const token = await getAuthToken();
+        if (token) {
+            try {
+                await fetch(`${CONFIG.API_BASE}/auth/logout`, {
+                    method: 'POST',
+                    headers: { 'Authorization': `Bearer ${token}` }
+                });
+            } catch (error) {
+                // Still clear the local token if the server is unreachable
+            }
+        }
         await chrome.storage.local.remove(['authToken', 'username']);
         showView('loginView');
     });
@@ -195,13 +468,15 @@ if (logoutBtn) {
 
 /**
  * Handles the save-link form submission — fetches page title from backend,
- * then saves the link with the selected category.
+ * then saves the link with the selected category, any entered tags and the chosen collections.
  */
 if (saveForm) {
     saveForm.addEventListener('submit', async (e) => {
         e.preventDefault();
         const statusEl = document.getElementById('saveStatus');
         const category = categoryInput.value;
+        const tags = getEnteredTags();
+        const collections = getSelectedCollections();
         const url = window.currentUrl;
 
         if (!category) {
@@ -233,12 +508,17 @@ if (saveForm) {
                     'Content-Type': 'application/json',
                     'Authorization': `Bearer ${token}`
                 },
-                body: JSON.stringify({ url, title, category })
+                body: JSON.stringify({ url, title, category, tags, collections })
             });
 
             const data = await response.json();
 
             if (data.success) {
+                // The server returns the existing link instead of saving the same page twice
+                successTitle.textContent = data.duplicate ? 'Already Saved' : 'Link Saved!';
+                successMessage.textContent = data.duplicate
+                    ? 'This page is already in your Kurate library'
+                    : 'Your link has been saved to Kurate';
                 showView('successView');
             } else {
                 statusEl.textContent = data.error || 'Failed to save link';
@@ -265,7 +545,7 @@ if (saveAnotherBtn) {
         selectedCategoryText.textContent = 'Select Category';
         selectedCategoryText.style.color = 'var(--text-muted)';
         categoryInput.value = '';
-        document.querySelectorAll('.dropdown-option').forEach(opt => opt.classList.remove('selected'));
+        document.querySelectorAll('.dropdown-option, .tag-chip').forEach(opt => opt.classList.remove('selected'));
 
         await showSaveView();
     });
@@ -279,3 +559,57 @@ async function getAuthToken() {
     const result = await chrome.storage.local.get('authToken');
     return result.authToken || null;
 }
+
+/**
+ * Decodes the payload of a signed token (header.payload.signature).
+ * @param {string} token
+ * @returns {Object|null} Token claims, or null if the token is malformed
+ */
+function decodeToken(token) {
+    try {
+        const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+        return JSON.parse(atob(payload + '='.repeat((4 - payload.length % 4) % 4)));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Renews the stored token via /auth/refresh when it expires within a day, so the
+ * popup keeps working without asking for the password again.
+ * @returns {Promise<string|null>} A usable token, or null if the user must sign in again
+ */
+async function refreshAuthTokenIfNeeded() {
+    const token = await getAuthToken();
+    if (!token) return null;
+
+    const claims = decodeToken(token);
+    if (!claims) {
+        // Pre-signing token format — can't be renewed
+        await chrome.storage.local.remove(['authToken', 'username']);
+        return null;
+    }
+    if (claims.exp * 1000 - Date.now() > 24 * 60 * 60 * 1000) {
+        return token;
+    }
+
+    try {
+        const response = await fetch(`${CONFIG.API_BASE}/auth/refresh`, {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${token}` }
+        });
+        const data = await response.json();
+
+        if (data.success && data.token) {
+            await chrome.storage.local.set({ authToken: data.token, username: data.user.username });
+            return data.token;
+        }
+        if (response.status === 401) {
+            await chrome.storage.local.remove(['authToken', 'username']);
+            return null;
+        }
+    } catch (error) {
+        // Offline — keep the current token and let the save request decide
+    }
+    return token;
+}
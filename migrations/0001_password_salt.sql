@@ -0,0 +1,4 @@
+-- Per-user PBKDF2 password hashing.
+-- Existing rows keep their legacy SHA-256 hash (password_salt IS NULL) until the user's next successful login.
+ALTER TABLE users ADD COLUMN password_salt TEXT;
+ALTER TABLE users ADD COLUMN password_iterations INTEGER;
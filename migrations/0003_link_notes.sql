@@ -0,0 +1,2 @@
+-- Personal markdown notes on saved links.
+ALTER TABLE links ADD COLUMN note TEXT;
@@ -0,0 +1,4 @@
+-- Canonical URLs for duplicate detection on save.
+-- Existing links keep canonical_url NULL and are matched on their stored URL instead.
+ALTER TABLE links ADD COLUMN canonical_url TEXT;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_links_user_canonical_url ON links(user_id, canonical_url);
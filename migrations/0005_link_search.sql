@@ -0,0 +1,24 @@
+-- Full-text search index for links, with the triggers that keep it in step (as in schema.sql),
+-- filled with the links saved so far. Their article text is not collected; links saved from now on get it.
+CREATE VIRTUAL TABLE IF NOT EXISTS links_fts USING fts5(
+    title, url, domain, note, article,
+    tokenize = 'porter unicode61 remove_diacritics 2'
+);
+
+CREATE TRIGGER IF NOT EXISTS links_fts_insert AFTER INSERT ON links BEGIN
+    INSERT INTO links_fts (rowid, title, url, domain, note, article)
+    VALUES (new.id, new.title, new.url, new.domain, new.note, '');
+END;
+
+CREATE TRIGGER IF NOT EXISTS links_fts_update AFTER UPDATE OF title, url, domain, note ON links BEGIN
+    UPDATE links_fts SET title = new.title, url = new.url, domain = new.domain, note = new.note
+    WHERE rowid = new.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS links_fts_delete AFTER DELETE ON links BEGIN
+    DELETE FROM links_fts WHERE rowid = old.id;
+END;
+
+INSERT INTO links_fts (rowid, title, url, domain, note, article)
+SELECT id, title, url, domain, note, '' FROM links
+WHERE id NOT IN (SELECT rowid FROM links_fts);
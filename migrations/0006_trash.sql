@@ -0,0 +1,3 @@
+-- Trash: deleted links are kept with deleted_at set, and purged by the scheduled handler after 30 days.
+ALTER TABLE links ADD COLUMN deleted_at DATETIME;
+CREATE INDEX IF NOT EXISTS idx_links_deleted_at ON links(deleted_at);
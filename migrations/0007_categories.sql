@@ -0,0 +1,36 @@
+-- User-defined categories (as in schema.sql). Every user gets the categories that used to be built in,
+-- followed by any other category their links are in, and links take the list's spelling of their category.
+CREATE TABLE IF NOT EXISTS categories (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    name TEXT NOT NULL COLLATE NOCASE,
+    color TEXT NOT NULL DEFAULT 'gray',
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, name),
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
+UPDATE links SET category = 'Other' WHERE category IS NULL OR TRIM(category) = '';
+
+INSERT OR IGNORE INTO categories (user_id, name, color, position)
+SELECT u.id, d.name, d.color, d.position
+FROM users u
+CROSS JOIN (
+    SELECT 'Sports' AS name, 'green' AS color, 0 AS position
+    UNION ALL SELECT 'Entertainment', 'pink', 1
+    UNION ALL SELECT 'Business', 'orange', 2
+    UNION ALL SELECT 'Technology', 'blue', 3
+    UNION ALL SELECT 'Education', 'indigo', 4
+    UNION ALL SELECT 'Other', 'gray', 5
+) d;
+
+INSERT OR IGNORE INTO categories (user_id, name, color, position)
+SELECT user_id, TRIM(category), 'gray', 6
+FROM links
+GROUP BY user_id, TRIM(category) COLLATE NOCASE;
+
+UPDATE links SET category = (
+    SELECT c.name FROM categories c
+    WHERE c.user_id = links.user_id AND c.name = TRIM(links.category)
+);
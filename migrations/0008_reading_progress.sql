@@ -0,0 +1,7 @@
+-- Reading progress from the in-app viewer (as in schema.sql), and the progress at which each user's links
+-- are marked read automatically. Existing links start with no progress, and the setting starts off.
+ALTER TABLE links ADD COLUMN read_progress REAL NOT NULL DEFAULT 0;
+ALTER TABLE links ADD COLUMN read_position REAL NOT NULL DEFAULT 0;
+ALTER TABLE links ADD COLUMN read_seconds INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE links ADD COLUMN last_read_at DATETIME;
+ALTER TABLE users ADD COLUMN auto_read_progress REAL;
@@ -45,13 +45,13 @@ export default function App() {
                 // Optimistically show App while validating in background
                 setIsAuthenticated(true);
 
-                // Run validation and prefetch in parallel
+                // Renew the session and prefetch in parallel
                 Promise.all([
-                    api.getLinks(), // Validate session
+                    api.refreshToken(), // Validate + extend session
                     rssService.fetchArticles() // Pre-load articles for low latency
-                ]).then(async ([linksResult]) => {
-                    if (!linksResult.success && linksResult.error && linksResult.error.includes('401')) {
-                        // If specifically unauthorized, log out
+                ]).then(async ([refreshResult]) => {
+                    if (refreshResult.status === 401) {
+                        // Token is past its refresh window or the account is gone
                         console.log('Session expired, logging out');
                         await api.logout();
                         setIsAuthenticated(false);
@@ -1,4 +1,5 @@
 import * as SecureStore from 'expo-secure-store';
+import { Platform } from 'react-native';
 import { API_URL } from './constants';
 import { setSharedToken, clearSharedToken } from './sharedStorage';
 
@@ -7,18 +8,27 @@ const getToken = async () => {
     return await SecureStore.getItemAsync('authToken');
 };
 
+/** Client details sent with login so the session shows up labelled in the sessions list. */
+const SESSION_CLIENT = {
+    clientType: 'mobile',
+    deviceName: Platform.OS === 'ios' ? 'Kurate for iOS' : 'Kurate for Android'
+};
+
 /**
  * API client for all Kurate backend interactions.
  * All methods return { success, ...data } or { success: false, error } on failure.
  */
 export const api = {
-    /** Authenticates a user and stores the token in SecureStore + shared storage. */
-    async login(username, password) {
+    /**
+     * Authenticates a user and stores the token in SecureStore + shared storage.
+     * Two-factor accounts get { success: false, totpRequired: true } until a totpCode is passed.
+     */
+    async login(username, password, totpCode) {
         try {
             const response = await fetch(`${API_URL}/auth/login`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ username, password })
+                body: JSON.stringify({ username, password, totpCode: totpCode || undefined, ...SESSION_CLIENT })
             });
             const data = await response.json();
             if (data.success) {
@@ -38,7 +48,7 @@ export const api = {
             const response = await fetch(`${API_URL}/auth/register`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ username, password })
+                body: JSON.stringify({ username, password, ...SESSION_CLIENT })
             });
             const data = await response.json();
             if (data.success) {
@@ -52,18 +62,100 @@ export const api = {
         }
     },
 
-    /** Clears all stored auth data from SecureStore and shared storage. */
+    /**
+     * Starts a device sign-in. Returns { deviceCode, userCode, verificationUriComplete, expiresIn, interval };
+     * the user approves userCode on the web dashboard while the app polls pollDeviceSignIn.
+     */
+    async startDeviceSignIn() {
+        try {
+            const response = await fetch(`${API_URL}/auth/device/code`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(SESSION_CLIENT)
+            });
+            return await response.json();
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    },
+
+    /**
+     * Checks whether a device sign-in has been approved, storing the token once it has.
+     * While waiting, returns { success: false, errorCode: 'authorization_pending' | 'slow_down' }.
+     */
+    async pollDeviceSignIn(deviceCode) {
+        try {
+            const response = await fetch(`${API_URL}/auth/device/token`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ deviceCode })
+            });
+            const data = await response.json();
+            if (data.success) {
+                await SecureStore.setItemAsync('authToken', data.token);
+                await SecureStore.setItemAsync('username', data.user.username);
+                setSharedToken(data.token);
+            }
+            return data;
+        } catch (error) {
+            // Network blip — treat as still pending so polling carries on
+            return { success: false, errorCode: 'authorization_pending', error: error.message };
+        }
+    },
+
+    /**
+     * Exchanges the stored token for a freshly signed one (works up to 30 days past expiry).
+     * Returns { success: false, status: 401 } when the session can no longer be renewed.
+     */
+    async refreshToken() {
+        try {
+            const token = await getToken();
+            const response = await fetch(`${API_URL}/auth/refresh`, {
+                method: 'POST',
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const data = await response.json();
+            if (data.success) {
+                await SecureStore.setItemAsync('authToken', data.token);
+                await SecureStore.setItemAsync('username', data.user.username);
+                setSharedToken(data.token);
+            }
+            return { ...data, status: response.status };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    },
+
+    /** Ends the server-side session, then clears all stored auth data from SecureStore and shared storage. */
     async logout() {
+        try {
+            const token = await getToken();
+            if (token) {
+                await fetch(`${API_URL}/auth/logout`, {
+                    method: 'POST',
+                    headers: { 'Authorization': `Bearer ${token}` }
+                });
+            }
+        } catch (error) {
+            // Local sign-out still proceeds when offline
+        }
         await SecureStore.deleteItemAsync('authToken');
         await SecureStore.deleteItemAsync('username');
         clearSharedToken();
     },
 
-    /** Fetches all links for the authenticated user. */
-    async getLinks() {
+    /**
+     * Fetches one page of the authenticated user's links. Filters (status, category, tag, q, sort) run on the
+     * server; pass the previous page's nextCursor as cursor to get the next page.
+     */
+    async getLinks({ cursor, limit = 30, ...filters } = {}) {
         try {
             const token = await getToken();
-            const response = await fetch(`${API_URL}/links`, {
+            const query = Object.entries({ ...filters, limit, cursor })
+                .filter(([, value]) => value)
+                .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+                .join('&');
+            const response = await fetch(`${API_URL}/links?${query}`, {
                 headers: {
                     'Authorization': `Bearer ${token}`,
                     'Content-Type': 'application/json'
@@ -75,8 +167,54 @@ export const api = {
         }
     },
 
-    /** Creates a new link with the given URL, title, and category. */
-    async createLink({ url, title, category }) {
+    /**
+     * Full-text search over the user's links, best match first. Takes the same filters and paging as getLinks
+     * (except sort); each link comes with a snippet, a list of { text, match } parts around the match.
+     */
+    async searchLinks(q, { cursor, limit = 30, ...filters } = {}) {
+        try {
+            const token = await getToken();
+            const query = Object.entries({ ...filters, q, limit, cursor })
+                .filter(([, value]) => value)
+                .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+                .join('&');
+            const response = await fetch(`${API_URL}/links/search?${query}`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            return await response.json();
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    },
+
+    /** Lists the user's tags, each with the number of links carrying it. */
+    async getTags() {
+        try {
+            const token = await getToken();
+            const response = await fetch(`${API_URL}/links/tags`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            return await response.json();
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    },
+
+    /** Lists the user's categories in their chosen order, each with its color and number of links. */
+    async getCategories() {
+        try {
+            const token = await getToken();
+            const response = await fetch(`${API_URL}/links/categories`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            return await response.json();
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    },
+
+    /** Creates a new link with the given URL, title, category and optional tags and note. */
+    async createLink({ url, title, category, tags, note }) {
         try {
             const token = await getToken();
             const response = await fetch(`${API_URL}/links`, {
@@ -85,7 +223,28 @@ export const api = {
                     'Authorization': `Bearer ${token}`,
                     'Content-Type': 'application/json'
                 },
-                body: JSON.stringify({ url, title, category })
+                body: JSON.stringify({ url, title, category, tags, note })
+            });
+            return await response.json();
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    },
+
+    /**
+     * Edits a link's title, URL, category, tags and/or markdown note; fields left out are unchanged.
+     * Tags replace the current set and an empty note clears it.
+     */
+    async updateLink(linkId, { url, title, category, tags, note }) {
+        try {
+            const token = await getToken();
+            const response = await fetch(`${API_URL}/links?id=${encodeURIComponent(linkId)}`, {
+                method: 'PATCH',
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ url, title, category, tags, note })
             });
             return await response.json();
         } catch (error) {
@@ -129,7 +288,28 @@ export const api = {
         }
     },
 
-    /** Deletes a link by ID. */
+    /**
+     * Applies one action (read, unread, favorite, unfavorite, category, tag or delete) to many links at once.
+     * options carries the category or tags the action needs; the response has one result per link ID.
+     */
+    async bulkUpdateLinks(action, ids, options = {}) {
+        try {
+            const token = await getToken();
+            const response = await fetch(`${API_URL}/links/bulk`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                body: JSON.stringify({ action, ids, ...options })
+            });
+            return await response.json();
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    },
+
+    /** Moves a link to the trash by ID. */
     async deleteLink(linkId) {
         try {
             const token = await getToken();
@@ -145,6 +325,52 @@ export const api = {
         }
     },
 
+    /** Lists the links in the trash, most recently deleted first, with the days they are kept there. */
+    async getTrash() {
+        try {
+            const token = await getToken();
+            const response = await fetch(`${API_URL}/links/trash`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            return await response.json();
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    },
+
+    /** Takes links out of the trash. */
+    async restoreLinks(ids) {
+        try {
+            const token = await getToken();
+            const response = await fetch(`${API_URL}/links/trash`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                body: JSON.stringify({ ids })
+            });
+            return await response.json();
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    },
+
+    /** Permanently deletes one link from the trash, or empties the whole trash when no ID is given. */
+    async purgeTrash(linkId = null) {
+        try {
+            const token = await getToken();
+            const query = linkId ? `?id=${encodeURIComponent(linkId)}` : '';
+            const response = await fetch(`${API_URL}/links/trash${query}`, {
+                method: 'DELETE',
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            return await response.json();
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    },
+
     /** Fetches page title metadata for a given URL. */
     async getMetadata(url) {
         try {
@@ -179,6 +405,158 @@ export const api = {
         }
     },
 
+    /** Returns whether two-factor authentication is enabled. */
+    async getTotpStatus() {
+        try {
+            const token = await getToken();
+            const response = await fetch(`${API_URL}/auth/totp`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            return await response.json();
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    },
+
+    /** Starts (or regenerates) two-factor setup; returns the new secret and otpauth URI. */
+    async startTotpSetup(password) {
+        try {
+            const token = await getToken();
+            const response = await fetch(`${API_URL}/auth/totp`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ password })
+            });
+            return await response.json();
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    },
+
+    /** Confirms two-factor setup with a code from the authenticator app. */
+    async verifyTotpSetup(code) {
+        try {
+            const token = await getToken();
+            const response = await fetch(`${API_URL}/auth/totp/verify`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ code })
+            });
+            return await response.json();
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    },
+
+    /** Turns two-factor authentication off (requires the current password and a TOTP or recovery code). */
+    async disableTotp(password, totpCode) {
+        try {
+            const token = await getToken();
+            const response = await fetch(`${API_URL}/auth/totp`, {
+                method: 'DELETE',
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ password, totpCode })
+            });
+            return await response.json();
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    },
+
+    /** Returns how many unused recovery codes the user has left. */
+    async getRecoveryCodeCount() {
+        try {
+            const token = await getToken();
+            const response = await fetch(`${API_URL}/auth/recovery-codes`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            return await response.json();
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    },
+
+    /** Replaces the user's recovery codes (requires the current password) and returns the new set. */
+    async regenerateRecoveryCodes(password) {
+        try {
+            const token = await getToken();
+            const response = await fetch(`${API_URL}/auth/recovery-codes`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ password })
+            });
+            return await response.json();
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    },
+
+    /** Lists the user's active sessions; the caller's own session is flagged with `current`. */
+    async getSessions() {
+        try {
+            const token = await getToken();
+            const response = await fetch(`${API_URL}/auth/sessions`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            return await response.json();
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    },
+
+    /** Signs out a single session by ID. */
+    async revokeSession(sessionId) {
+        try {
+            const token = await getToken();
+            const response = await fetch(`${API_URL}/auth/sessions?id=${encodeURIComponent(sessionId)}`, {
+                method: 'DELETE',
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            return await response.json();
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    },
+
+    /** Signs out every session except the current one. */
+    async revokeOtherSessions() {
+        try {
+            const token = await getToken();
+            const response = await fetch(`${API_URL}/auth/sessions?all=true`, {
+                method: 'DELETE',
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            return await response.json();
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    },
+
+    /** Fetches a JSON archive of the user's profile, links, sessions, API tokens and activity events. */
+    async exportAccountData() {
+        try {
+            const token = await getToken();
+            const response = await fetch(`${API_URL}/auth/export`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            return await response.json();
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    },
+
     /** Permanently deletes the user's account after password verification. */
     async deleteAccount(password) {
         try {
@@ -203,13 +581,36 @@ export const api = {
         }
     },
 
-    /** Resets the user's password and stores the new token. */
-    async resetPassword(username, currentPassword, newPassword) {
+    /**
+     * Resets a forgotten password with a one-time recovery code and stores the new token. Two-factor
+     * accounts get no token: they sign in again with the new password and a two-factor code.
+     */
+    async recoverAccount(username, recoveryCode, newPassword) {
+        try {
+            const response = await fetch(`${API_URL}/auth/recover`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ username, recoveryCode, newPassword, ...SESSION_CLIENT })
+            });
+            const data = await response.json();
+            if (data.success && data.token) {
+                await SecureStore.setItemAsync('authToken', data.token);
+                await SecureStore.setItemAsync('username', data.user.username);
+                setSharedToken(data.token);
+            }
+            return data;
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    },
+
+    /** Resets the user's password and stores the new token. Two-factor accounts also need a totpCode. */
+    async resetPassword(username, currentPassword, newPassword, totpCode) {
         try {
             const response = await fetch(`${API_URL}/auth/reset-password`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ username, currentPassword, newPassword })
+                body: JSON.stringify({ username, currentPassword, newPassword, totpCode: totpCode || undefined, ...SESSION_CLIENT })
             });
             const data = await response.json();
             if (data.success) {
@@ -15,5 +15,19 @@ export const COLORS = {
 
 export const API_URL = 'https://kurate.net/api';
 
-/** Standard category list used across all screens for link categorization. */
-export const CATEGORIES = ['Sports', 'Entertainment', 'Business', 'Technology', 'Education', 'Other'];
+/** Category every user has; links saved without one, or whose category is deleted, are filed under it. */
+export const DEFAULT_CATEGORY = 'Other';
+
+/** Badge background and text color for each color a category can have (CATEGORY_COLORS on the server). */
+export const CATEGORY_BADGE_COLORS = {
+    gray: { background: '#F3F4F6', text: '#4B5563' },
+    red: { background: '#FEE2E2', text: '#991B1B' },
+    orange: { background: '#FFEDD5', text: '#9A3412' },
+    yellow: { background: '#FEF9C3', text: '#854D0E' },
+    green: { background: '#DCFCE7', text: '#166534' },
+    teal: { background: '#CCFBF1', text: '#115E59' },
+    blue: { background: '#DBEAFE', text: '#1E40AF' },
+    indigo: { background: '#E0E7FF', text: '#3730A3' },
+    purple: { background: '#F3E8FF', text: '#6B21A8' },
+    pink: { background: '#FCE7F3', text: '#9D174D' },
+};
@@ -1,6 +1,6 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { View, Text, TextInput, TouchableOpacity, StyleSheet, ActivityIndicator, Alert, SafeAreaView, ScrollView } from 'react-native';
-import { COLORS, CATEGORIES } from '../constants';
+import { COLORS, DEFAULT_CATEGORY } from '../constants';
 import { api } from '../api';
 import { Ionicons } from '@expo/vector-icons';
 
@@ -8,8 +8,18 @@ export default function AddLinkScreen({ navigation }) {
     const [url, setUrl] = useState('');
     const [title, setTitle] = useState('');
     const [category, setCategory] = useState('');
+    const [tags, setTags] = useState('');
     const [loading, setLoading] = useState(false);
     const [fetchingMeta, setFetchingMeta] = useState(false);
+    const [categories, setCategories] = useState([DEFAULT_CATEGORY]);
+
+    useEffect(() => {
+        api.getCategories().then(result => {
+            if (result.success && result.categories.length > 0) {
+                setCategories(result.categories.map(cat => cat.name));
+            }
+        });
+    }, []);
 
     const handleFetchTitle = async () => {
         if (!url || !url.includes('://')) return;
@@ -36,11 +46,18 @@ export default function AddLinkScreen({ navigation }) {
         const result = await api.createLink({
             url,
             title: title || url,
-            category: category || 'Other'
+            category: category || DEFAULT_CATEGORY,
+            tags: tags.split(',').map(tag => tag.trim()).filter(Boolean)
         });
         setLoading(false);
 
-        if (result.success) {
+        if (result.success && result.duplicate) {
+            Alert.alert('Already saved', 'This link is already in your library.');
+            navigation.goBack();
+        } else if (result.success && result.restored) {
+            Alert.alert('Restored', 'This link was in the trash and has been restored.');
+            navigation.goBack();
+        } else if (result.success) {
             navigation.goBack();
         } else {
             Alert.alert('Error', result.error || 'Failed to save link');
@@ -87,9 +104,22 @@ export default function AddLinkScreen({ navigation }) {
                         </View>
                     </View>
 
+                    <View style={styles.inputGroup}>
+                        <Text style={styles.label}>Tags (Optional)</Text>
+                        <TextInput
+                            style={styles.input}
+                            value={tags}
+                            onChangeText={setTags}
+                            placeholder="research, to-cite"
+                            placeholderTextColor={COLORS.textTertiary}
+                            autoCapitalize="none"
+                            autoCorrect={false}
+                        />
+                    </View>
+
                     <Text style={styles.label}>Category</Text>
                     <View style={styles.categoryGrid}>
-                        {CATEGORIES.map(cat => (
+                        {categories.map(cat => (
                             <TouchableOpacity
                                 key={cat}
                                 style={[
@@ -1,27 +1,52 @@
 import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
-import { View, Text, FlatList, TouchableOpacity, StyleSheet, Linking, Alert, RefreshControl, TextInput, ScrollView, Animated, PanResponder, Dimensions } from 'react-native';
+import { View, Text, FlatList, TouchableOpacity, StyleSheet, Linking, Alert, RefreshControl, TextInput, ScrollView, Animated, PanResponder, Dimensions, Modal, KeyboardAvoidingView, Platform, ActivityIndicator } from 'react-native';
 import { useFocusEffect } from '@react-navigation/native';
 import { SafeAreaView, useSafeAreaInsets } from 'react-native-safe-area-context';
-import { COLORS } from '../constants';
+import { COLORS, DEFAULT_CATEGORY, CATEGORY_BADGE_COLORS } from '../constants';
 import { api } from '../api';
 import { Ionicons } from '@expo/vector-icons';
 import * as SecureStore from 'expo-secure-store';
 
-const CATEGORIES = ['All', 'Sports', 'Entertainment', 'Business', 'Technology', 'Education', 'Other'];
+// Splits a comma-separated tags field into names; the server trims and de-duplicates them
+const parseTags = (value) => value.split(',').map(tag => tag.trim()).filter(Boolean);
+
+// Most link IDs the bulk endpoint takes per request
+const BULK_CHUNK_SIZE = 500;
 const TABS = [
     { id: 'all', label: 'All', icon: 'grid-outline' },
     { id: 'unread', label: 'To Read', icon: 'bookmark-outline' },
     { id: 'read', label: 'Read', icon: 'checkmark-done-outline' },
-    { id: 'favorites', label: 'Favorites', icon: 'star-outline' }
+    { id: 'favorites', label: 'Favorites', icon: 'star-outline' },
+    { id: 'trash', label: 'Trash', icon: 'trash-outline' }
 ];
 
 export default function HomeScreen({ navigation, setIsAuthenticated }) {
     const [links, setLinks] = useState([]);
     const [activeTab, setActiveTab] = useState('all');
-    const [selectedCategory, setSelectedCategory] = useState('All');
+    const [selectedCategory, setSelectedCategory] = useState(null); // null shows every category
+    const [selectedTag, setSelectedTag] = useState(null);
     const [searchQuery, setSearchQuery] = useState('');
+    const [debouncedQuery, setDebouncedQuery] = useState('');
+    const [tags, setTags] = useState([]);
+    const [categories, setCategories] = useState([]);
+    const [nextCursor, setNextCursor] = useState(null);
+    const [loadingMore, setLoadingMore] = useState(false);
     const [refreshing, setRefreshing] = useState(false);
     const [username, setUsername] = useState('User');
+    const [editingLink, setEditingLink] = useState(null);
+    const [editTitle, setEditTitle] = useState('');
+    const [editUrl, setEditUrl] = useState('');
+    const [editCategory, setEditCategory] = useState('');
+    const [editTags, setEditTags] = useState('');
+    const [editNote, setEditNote] = useState('');
+    const [savingEdit, setSavingEdit] = useState(false);
+
+    // Multi-select: tapping a card selects it, and the bar at the bottom acts on every selected link
+    const [selectMode, setSelectMode] = useState(false);
+    const [selectedIds, setSelectedIds] = useState(new Set());
+    const [bulkSheet, setBulkSheet] = useState(null); // 'category' or 'tag' while choosing what to apply
+    const [bulkTags, setBulkTags] = useState('');
+    const [bulkBusy, setBulkBusy] = useState(false);
 
     const { width: SCREEN_WIDTH, height: SCREEN_HEIGHT } = Dimensions.get('window');
     const FAB_SIZE = 56;
@@ -137,14 +162,79 @@ export default function HomeScreen({ navigation, setIsAuthenticated }) {
     const panResponderRec = useRef(createPanResponder(panRec, currRec, currAdd)).current;
     const panResponderAdd = useRef(createPanResponder(panAdd, currAdd, currRec)).current;
 
-    const loadLinks = async () => {
+    // Search runs on the server, so wait for a pause in typing before asking
+    useEffect(() => {
+        const timer = setTimeout(() => setDebouncedQuery(searchQuery.trim()), 300);
+        return () => clearTimeout(timer);
+    }, [searchQuery]);
+
+    const linkFilters = useMemo(() => ({
+        status: activeTab,
+        category: selectedCategory,
+        tag: selectedTag
+    }), [activeTab, selectedCategory, selectedTag]);
+
+    // A search goes to the full-text search endpoint (ranked by relevance); otherwise the plain link list.
+    // The trash comes back whole, and filteredLinks searches it.
+    const fetchLinks = useCallback((cursor) => {
+        if (linkFilters.status === 'trash') return api.getTrash();
+        return debouncedQuery
+            ? api.searchLinks(debouncedQuery, { ...linkFilters, cursor })
+            : api.getLinks({ ...linkFilters, cursor });
+    }, [linkFilters, debouncedQuery]);
+
+    // Bumped by every first-page load, so answers for filters the user has already left are dropped
+    const linksRequestId = useRef(0);
+
+    const refreshTags = async () => {
+        const result = await api.getTags();
+        if (result.success) {
+            setTags(result.tags || []);
+        }
+    };
+
+    const refreshCategories = async () => {
+        const result = await api.getCategories();
+        if (result.success) {
+            setCategories(result.categories || []);
+        }
+    };
+
+    const loadLinks = useCallback(async () => {
+        const requestId = ++linksRequestId.current;
         setRefreshing(true);
-        const result = await api.getLinks();
+        setLoadingMore(false);
+        refreshTags();
+        refreshCategories();
+        const result = await fetchLinks();
+        if (requestId !== linksRequestId.current) return;
         setRefreshing(false);
         if (result.success) {
             setLinks(result.links || []);
+            setNextCursor(result.nextCursor || null);
         }
+    }, [fetchLinks]);
 
+    const loadMoreLinks = async () => {
+        if (!nextCursor || loadingMore || refreshing) return;
+        const requestId = linksRequestId.current;
+        setLoadingMore(true);
+        const result = await fetchLinks(nextCursor);
+        if (requestId !== linksRequestId.current) return;
+        setLoadingMore(false);
+        if (result.success) {
+            // Links edited since the first page loaded can come back twice
+            setLinks(prev => {
+                const loadedIds = new Set(prev.map(l => l.id));
+                return prev.concat((result.links || []).filter(l => !loadedIds.has(l.id)));
+            });
+            setNextCursor(result.nextCursor || null);
+        } else {
+            setNextCursor(null);
+        }
+    };
+
+    const loadUsername = async () => {
         // Try to get username for the title
         try {
             const storedUsername = await SecureStore.getItemAsync('username');
@@ -154,8 +244,8 @@ export default function HomeScreen({ navigation, setIsAuthenticated }) {
                 // Fallback: Parse token if username is missing from store
                 const token = await SecureStore.getItemAsync('authToken');
                 if (token) {
-                    // Manual base64 decode for React Native (token is a simple b64 encoded JSON)
-                    const base64 = token.includes('.') ? token.split('.')[1] : token;
+                    // Manual base64url decode for React Native (token is header.payload.signature)
+                    const base64 = (token.includes('.') ? token.split('.')[1] : token).replace(/-/g, '+').replace(/_/g, '/');
                     const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/=';
                     let str = String(base64).replace(/=+$/, '');
                     let out = '';
@@ -196,22 +286,43 @@ export default function HomeScreen({ navigation, setIsAuthenticated }) {
         );
     };
 
+    // Reloads the first page on focus and whenever a filter changes
     useFocusEffect(
         useCallback(() => {
             loadLinks();
-        }, [])
+        }, [loadLinks])
     );
 
     useEffect(() => {
-        // Run once on mount to ensure username is set even before first focus/refresh
-        const fetchUsername = async () => {
-            const stored = await SecureStore.getItemAsync('username');
-            if (stored) setUsername(stored);
-        };
-        fetchUsername();
+        loadUsername();
     }, []);
 
-    // Memoized filtered & sorted links — recomputed only when links, tab, category, or search changes
+    // Every tag in use, alphabetically (the server lists each case-insensitive name once)
+    const allTags = useMemo(() => tags.map(tag => tag.name), [tags]);
+
+    // Drop the tag filter once no link carries that tag anymore
+    useEffect(() => {
+        if (selectedTag && !allTags.some(tag => tag.toLowerCase() === selectedTag.toLowerCase())) {
+            setSelectedTag(null);
+        }
+    }, [allTags, selectedTag]);
+
+    // Likewise drop the category filter once that category has been renamed or deleted
+    useEffect(() => {
+        if (selectedCategory && categories.length > 0
+            && !categories.some(cat => cat.name.toLowerCase() === selectedCategory.toLowerCase())) {
+            setSelectedCategory(null);
+        }
+    }, [categories, selectedCategory]);
+
+    // Badge colors by lowercased category name; a category missing from the list shows as gray
+    const categoryColors = useMemo(() => new Map(
+        categories.map(cat => [cat.name.toLowerCase(), CATEGORY_BADGE_COLORS[cat.color] || CATEGORY_BADGE_COLORS.gray])
+    ), [categories]);
+    const badgeColors = (category) => categoryColors.get((category || DEFAULT_CATEGORY).toLowerCase()) || CATEGORY_BADGE_COLORS.gray;
+
+    // Pages arrive filtered and sorted by the server; tab, category and tag are checked again so a link
+    // leaves the list as soon as it is changed here (e.g. marked read on the To Read tab)
     const filteredLinks = useMemo(() => {
         let filtered = [...links];
 
@@ -221,22 +332,23 @@ export default function HomeScreen({ navigation, setIsAuthenticated }) {
             filtered = filtered.filter(l => l.isRead === 1);
         } else if (activeTab === 'favorites') {
             filtered = filtered.filter(l => l.isFavorite === 1);
+        } else if (activeTab === 'trash') {
+            const query = debouncedQuery.toLowerCase();
+            filtered = filtered.filter(l => l.deletedAt && `${l.title || ''} ${l.url}`.toLowerCase().includes(query));
         }
 
-        if (selectedCategory !== 'All') {
-            filtered = filtered.filter(l => l.category === selectedCategory);
+        if (selectedCategory) {
+            const category = selectedCategory.toLowerCase();
+            filtered = filtered.filter(l => (l.category || DEFAULT_CATEGORY).toLowerCase() === category);
         }
 
-        if (searchQuery) {
-            const query = searchQuery.toLowerCase();
-            filtered = filtered.filter(l =>
-                (l.title && l.title.toLowerCase().includes(query)) ||
-                (l.url && l.url.toLowerCase().includes(query))
-            );
+        if (selectedTag) {
+            const tag = selectedTag.toLowerCase();
+            filtered = filtered.filter(l => (l.tags || []).some(t => t.toLowerCase() === tag));
         }
 
-        return filtered.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-    }, [links, activeTab, selectedCategory, searchQuery]);
+        return filtered;
+    }, [links, activeTab, selectedCategory, selectedTag, debouncedQuery]);
 
     const handleOpenLink = (url) => {
         Linking.openURL(url).catch(err => Alert.alert("Couldn't load page", err.message));
@@ -257,36 +369,246 @@ export default function HomeScreen({ navigation, setIsAuthenticated }) {
     const handleDelete = async (link) => {
         setLinks(prev => prev.filter(l => l.id !== link.id));
         await api.deleteLink(link.id);
+        refreshTags();
+    };
+
+    const handleRestore = async (link) => {
+        setLinks(prev => prev.filter(l => l.id !== link.id));
+        await api.restoreLinks([link.id]);
+        refreshTags();
+    };
+
+    const confirmPurge = (link) => {
+        Alert.alert(
+            "Delete forever",
+            "Delete this link forever? This cannot be undone.",
+            [
+                { text: "Cancel", style: "cancel" },
+                {
+                    text: "Delete",
+                    style: "destructive",
+                    onPress: async () => {
+                        setLinks(prev => prev.filter(l => l.id !== link.id));
+                        await api.purgeTrash(link.id);
+                    }
+                }
+            ]
+        );
+    };
+
+    const confirmEmptyTrash = () => {
+        Alert.alert(
+            "Empty trash",
+            "Delete every link in the trash forever? This cannot be undone.",
+            [
+                { text: "Cancel", style: "cancel" },
+                {
+                    text: "Empty trash",
+                    style: "destructive",
+                    onPress: async () => {
+                        const result = await api.purgeTrash();
+                        if (!result.success) Alert.alert('Error', result.error || 'Failed to empty the trash.');
+                        loadLinks();
+                    }
+                }
+            ]
+        );
+    };
+
+    const selectTab = (tab) => {
+        // The trash has its own actions in place of multi-select
+        if (tab === 'trash') {
+            setSelectMode(false);
+            setSelectedIds(new Set());
+        }
+        setActiveTab(tab);
+    };
+
+    const toggleSelectMode = () => {
+        setSelectMode(prev => !prev);
+        setSelectedIds(new Set());
+    };
+
+    const toggleSelected = (link) => {
+        setSelectedIds(prev => {
+            const next = new Set(prev);
+            if (!next.delete(link.id)) next.add(link.id);
+            return next;
+        });
+    };
+
+    const runBulkAction = async (action, options = {}) => {
+        const ids = Array.from(selectedIds);
+        if (ids.length === 0) return;
+
+        setBulkBusy(true);
+        let error = null;
+        for (let i = 0; i < ids.length && !error; i += BULK_CHUNK_SIZE) {
+            const result = await api.bulkUpdateLinks(action, ids.slice(i, i + BULK_CHUNK_SIZE), options);
+            if (!result.success) error = result.error || 'Failed to update links.';
+        }
+        setBulkBusy(false);
+
+        if (error) {
+            Alert.alert('Error', error);
+        } else {
+            setBulkSheet(null);
+            setBulkTags('');
+            setSelectMode(false);
+            setSelectedIds(new Set());
+        }
+        loadLinks();
+    };
+
+    const confirmBulkDelete = () => {
+        const count = selectedIds.size;
+        if (count === 0) return;
+        Alert.alert(
+            "Delete links",
+            `Move ${count} ${count === 1 ? 'link' : 'links'} to the trash?`,
+            [
+                { text: "Cancel", style: "cancel" },
+                { text: "Delete", style: "destructive", onPress: () => runBulkAction('delete') }
+            ]
+        );
+    };
+
+    const handleEdit = (link) => {
+        setEditingLink(link);
+        setEditTitle(link.title || '');
+        setEditUrl(link.url);
+        setEditCategory(link.category || DEFAULT_CATEGORY);
+        setEditTags((link.tags || []).join(', '));
+        setEditNote(link.note || '');
     };
 
-    const renderItem = useCallback(({ item }) => (
+    const handleSaveEdit = async () => {
+        const title = editTitle.trim();
+        const url = editUrl.trim();
+        if (!title || !url) {
+            Alert.alert('Error', 'Title and URL are required.');
+            return;
+        }
+
+        setSavingEdit(true);
+        const result = await api.updateLink(editingLink.id, {
+            title,
+            url,
+            category: editCategory,
+            tags: parseTags(editTags),
+            note: editNote
+        });
+        setSavingEdit(false);
+
+        if (result.success) {
+            setLinks(prev => prev.map(l => l.id === editingLink.id ? result.link : l));
+            setEditingLink(null);
+            refreshTags();
+        } else {
+            Alert.alert('Error', result.error || 'Failed to update link.');
+        }
+    };
+
+    // Trashed links can only be opened, restored or deleted for good
+    const renderTrashedItem = ({ item }) => (
         <TouchableOpacity
             style={styles.card}
             onPress={() => handleOpenLink(item.url)}
             activeOpacity={0.7}
         >
             <View style={styles.cardHeader}>
-                <View style={[styles.badge, styles[`badge${item.category}`]]}>
-                    <Text style={[styles.badgeText, styles[`badgeText${item.category}`]]}>
-                        {item.category?.toUpperCase() || 'GENERAL'}
+                <View style={[styles.badge, { backgroundColor: badgeColors(item.category).background }]}>
+                    <Text style={[styles.badgeText, { color: badgeColors(item.category).text }]}>
+                        {(item.category || DEFAULT_CATEGORY).toUpperCase()}
                     </Text>
                 </View>
-                <TouchableOpacity
-                    onPress={() => handleToggleFavorite(item)}
-                    activeOpacity={0.7}
-                >
+            </View>
+
+            <Text style={styles.linkTitle} numberOfLines={2}>{item.title}</Text>
+            <Text style={[styles.linkUrl, item.tags?.length > 0 && styles.linkUrlTagged]} numberOfLines={1}>{item.domain || item.url}</Text>
+            {item.tags?.length > 0 && (
+                <Text style={styles.linkTags} numberOfLines={1}>
+                    {item.tags.map(tag => `#${tag}`).join(' ')}
+                </Text>
+            )}
+
+            <View style={styles.cardFooter}>
+                <Text style={styles.readText}>
+                    Deleted {new Date(item.deletedAt.replace(' ', 'T') + 'Z').toLocaleDateString()}
+                </Text>
+
+                <View style={styles.cardActions}>
+                    <TouchableOpacity
+                        onPress={() => handleRestore(item)}
+                        activeOpacity={0.7}
+                    >
+                        <Ionicons name="arrow-undo-outline" size={18} color={COLORS.primary} />
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                        onPress={() => confirmPurge(item)}
+                        activeOpacity={0.7}
+                    >
+                        <Ionicons name="close-circle-outline" size={18} color={COLORS.textTertiary} />
+                    </TouchableOpacity>
+                </View>
+            </View>
+        </TouchableOpacity>
+    );
+
+    const renderItem = useCallback(({ item }) => item.deletedAt ? renderTrashedItem({ item }) : (
+        <TouchableOpacity
+            style={[styles.card, selectedIds.has(item.id) && styles.cardSelected]}
+            onPress={() => selectMode ? toggleSelected(item) : handleOpenLink(item.url)}
+            onLongPress={selectMode ? undefined : () => handleEdit(item)}
+            activeOpacity={0.7}
+        >
+            <View style={styles.cardHeader} pointerEvents={selectMode ? 'none' : 'auto'}>
+                <View style={[styles.badge, { backgroundColor: badgeColors(item.category).background }]}>
+                    <Text style={[styles.badgeText, { color: badgeColors(item.category).text }]}>
+                        {(item.category || DEFAULT_CATEGORY).toUpperCase()}
+                    </Text>
+                </View>
+                {selectMode ? (
                     <Ionicons
-                        name={item.isFavorite ? "star" : "star-outline"}
+                        name={selectedIds.has(item.id) ? "checkmark-circle" : "ellipse-outline"}
                         size={20}
-                        color={item.isFavorite ? "#FBBF24" : COLORS.textTertiary}
+                        color={selectedIds.has(item.id) ? COLORS.primary : COLORS.textTertiary}
                     />
-                </TouchableOpacity>
+                ) : (
+                    <TouchableOpacity
+                        onPress={() => handleToggleFavorite(item)}
+                        activeOpacity={0.7}
+                    >
+                        <Ionicons
+                            name={item.isFavorite ? "star" : "star-outline"}
+                            size={20}
+                            color={item.isFavorite ? "#FBBF24" : COLORS.textTertiary}
+                        />
+                    </TouchableOpacity>
+                )}
             </View>
 
             <Text style={styles.linkTitle} numberOfLines={2}>{item.title}</Text>
-            <Text style={styles.linkUrl} numberOfLines={1}>{item.domain || item.url}</Text>
+            <Text style={[styles.linkUrl, item.tags?.length > 0 && styles.linkUrlTagged]} numberOfLines={1}>{item.domain || item.url}</Text>
+            {item.tags?.length > 0 && (
+                <Text style={styles.linkTags} numberOfLines={1}>
+                    {item.tags.map(tag => `#${tag}`).join(' ')}
+                </Text>
+            )}
+            {item.snippet?.length > 0 && (
+                <Text style={styles.linkSnippet} numberOfLines={3}>
+                    {item.snippet.map((part, index) => (
+                        <Text key={index} style={part.match && styles.linkSnippetMatch}>{part.text}</Text>
+                    ))}
+                </Text>
+            )}
+            {!item.isRead && item.readProgress > 0 && (
+                <View style={styles.progressTrack}>
+                    <View style={[styles.progressFill, { width: `${Math.round(item.readProgress * 100)}%` }]} />
+                </View>
+            )}
 
-            <View style={styles.cardFooter}>
+            <View style={styles.cardFooter} pointerEvents={selectMode ? 'none' : 'auto'}>
                 <TouchableOpacity
                     onPress={() => handleMarkRead(item)}
                     style={styles.readBtn}
@@ -302,15 +624,31 @@ export default function HomeScreen({ navigation, setIsAuthenticated }) {
                     </Text>
                 </TouchableOpacity>
 
-                <TouchableOpacity
-                    onPress={() => handleDelete(item)}
-                    activeOpacity={0.7}
-                >
-                    <Ionicons name="trash-outline" size={18} color={COLORS.textTertiary} />
-                </TouchableOpacity>
+                <View style={styles.cardActions}>
+                    {!!item.note && (
+                        <TouchableOpacity
+                            onPress={() => handleEdit(item)}
+                            activeOpacity={0.7}
+                        >
+                            <Ionicons name="document-text-outline" size={18} color={COLORS.primary} />
+                        </TouchableOpacity>
+                    )}
+                    <TouchableOpacity
+                        onPress={() => handleEdit(item)}
+                        activeOpacity={0.7}
+                    >
+                        <Ionicons name="create-outline" size={18} color={COLORS.textTertiary} />
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                        onPress={() => handleDelete(item)}
+                        activeOpacity={0.7}
+                    >
+                        <Ionicons name="trash-outline" size={18} color={COLORS.textTertiary} />
+                    </TouchableOpacity>
+                </View>
             </View>
         </TouchableOpacity>
-    ), [links, styles]);
+    ), [links, styles, selectMode, selectedIds, categoryColors]);
 
     return (
         <View style={{ flex: 1, backgroundColor: COLORS.bg }}>
@@ -325,6 +663,19 @@ export default function HomeScreen({ navigation, setIsAuthenticated }) {
                         <Text style={styles.logoText}>kurate</Text>
                     </View>
                     <View style={styles.headerActions}>
+                        {activeTab !== 'trash' && (
+                            <TouchableOpacity
+                                onPress={toggleSelectMode}
+                                style={styles.logoutBtn}
+                                activeOpacity={0.7}
+                            >
+                                <Ionicons
+                                    name={selectMode ? "close-circle-outline" : "checkmark-circle-outline"}
+                                    size={22}
+                                    color={selectMode ? COLORS.primary : COLORS.textSecondary}
+                                />
+                            </TouchableOpacity>
+                        )}
                         <TouchableOpacity
                             onPress={() => navigation.navigate('Profile')}
                             style={styles.logoutBtn}
@@ -368,7 +719,7 @@ export default function HomeScreen({ navigation, setIsAuthenticated }) {
                             <TouchableOpacity
                                 key={tab.id}
                                 style={[styles.segment, activeTab === tab.id && styles.segmentActive]}
-                                onPress={() => setActiveTab(tab.id)}
+                                onPress={() => selectTab(tab.id)}
                                 activeOpacity={0.7}
                             >
                                 <Ionicons
@@ -391,40 +742,128 @@ export default function HomeScreen({ navigation, setIsAuthenticated }) {
                         contentContainerStyle={styles.categoryScroll}
                         style={styles.categoryWrapper}
                     >
-                        {CATEGORIES.map(cat => (
+                        <TouchableOpacity
+                            style={[styles.categoryTab, !selectedCategory && styles.categoryTabActive]}
+                            onPress={() => setSelectedCategory(null)}
+                            activeOpacity={0.7}
+                        >
+                            <Text style={[styles.categoryTabText, !selectedCategory && styles.categoryTabTextActive]}>
+                                All
+                            </Text>
+                        </TouchableOpacity>
+                        {categories.map(({ name }) => (
                             <TouchableOpacity
-                                key={cat}
-                                style={[styles.categoryTab, selectedCategory === cat && styles.categoryTabActive]}
-                                onPress={() => setSelectedCategory(cat)}
+                                key={name}
+                                style={[styles.categoryTab, selectedCategory === name && styles.categoryTabActive]}
+                                onPress={() => setSelectedCategory(name)}
                                 activeOpacity={0.7}
                             >
-                                <Text style={[styles.categoryTabText, selectedCategory === cat && styles.categoryTabTextActive]}>
-                                    {cat}
+                                <Text style={[styles.categoryTabText, selectedCategory === name && styles.categoryTabTextActive]}>
+                                    {name}
                                 </Text>
                             </TouchableOpacity>
                         ))}
                     </ScrollView>
+
+                    {allTags.length > 0 && (
+                        <>
+                            {/* Tags: tapping the selected tag again clears the filter */}
+                            <Text style={styles.sectionLabel}>TAGS</Text>
+                            <ScrollView
+                                horizontal
+                                showsHorizontalScrollIndicator={false}
+                                contentContainerStyle={styles.categoryScroll}
+                                style={styles.categoryWrapper}
+                            >
+                                {allTags.map(tag => {
+                                    const isSelected = selectedTag?.toLowerCase() === tag.toLowerCase();
+                                    return (
+                                        <TouchableOpacity
+                                            key={tag}
+                                            style={[styles.categoryTab, isSelected && styles.categoryTabActive]}
+                                            onPress={() => setSelectedTag(isSelected ? null : tag)}
+                                            activeOpacity={0.7}
+                                        >
+                                            <Text style={[styles.categoryTabText, isSelected && styles.categoryTabTextActive]}>
+                                                #{tag}
+                                            </Text>
+                                        </TouchableOpacity>
+                                    );
+                                })}
+                            </ScrollView>
+                        </>
+                    )}
                 </View>
 
                 <FlatList
                     data={filteredLinks}
+                    extraData={selectedIds}
                     renderItem={renderItem}
                     keyExtractor={item => item.id.toString()}
                     contentContainerStyle={styles.list}
                     numColumns={2}
                     columnWrapperStyle={styles.columnWrapper}
                     refreshControl={<RefreshControl refreshing={refreshing} onRefresh={loadLinks} />}
+                    onEndReached={loadMoreLinks}
+                    onEndReachedThreshold={0.5}
+                    ListHeaderComponent={activeTab === 'trash' && filteredLinks.length > 0 ? (
+                        <View style={styles.trashHeader}>
+                            <Text style={styles.trashNote}>Links in the trash are deleted for good after 30 days.</Text>
+                            <TouchableOpacity onPress={confirmEmptyTrash} activeOpacity={0.7}>
+                                <Text style={styles.emptyTrashText}>Empty trash</Text>
+                            </TouchableOpacity>
+                        </View>
+                    ) : null}
+                    ListFooterComponent={loadingMore ? <ActivityIndicator style={styles.listFooter} color={COLORS.primary} /> : null}
                     ListEmptyComponent={
                         <View style={styles.emptyState}>
                             <Ionicons name="leaf-outline" size={48} color={COLORS.textTertiary} style={{ marginBottom: 12 }} />
-                            <Text style={styles.emptyText}>No links found in this collection</Text>
+                            <Text style={styles.emptyText}>
+                                {activeTab === 'trash' ? 'Trash is empty' : 'No links found in this collection'}
+                            </Text>
                         </View>
                     }
                 />
             </SafeAreaView>
 
+            {/* Bulk actions for the selected links; replaces the FABs while selecting */}
+            {selectMode && (
+                <View style={[styles.bulkBar, { paddingBottom: insets.bottom + 10 }]}>
+                    <View style={styles.bulkBarHeader}>
+                        <Text style={styles.bulkCount}>{selectedIds.size} selected</Text>
+                        <TouchableOpacity
+                            onPress={() => setSelectedIds(new Set(filteredLinks.map(l => l.id)))}
+                            activeOpacity={0.7}
+                        >
+                            <Text style={styles.bulkSelectAll}>Select all</Text>
+                        </TouchableOpacity>
+                    </View>
+                    <View style={styles.bulkActions} pointerEvents={bulkBusy ? 'none' : 'auto'}>
+                        {[
+                            { icon: 'checkmark-circle-outline', label: 'Read', onPress: () => runBulkAction('read') },
+                            { icon: 'ellipse-outline', label: 'Unread', onPress: () => runBulkAction('unread') },
+                            { icon: 'star-outline', label: 'Favorite', onPress: () => runBulkAction('favorite') },
+                            { icon: 'folder-outline', label: 'Category', onPress: () => setBulkSheet('category') },
+                            { icon: 'pricetag-outline', label: 'Tag', onPress: () => setBulkSheet('tag') },
+                            { icon: 'trash-outline', label: 'Delete', onPress: confirmBulkDelete }
+                        ].map(action => (
+                            <TouchableOpacity
+                                key={action.label}
+                                style={[styles.bulkAction, selectedIds.size === 0 && { opacity: 0.4 }]}
+                                onPress={action.onPress}
+                                disabled={selectedIds.size === 0}
+                                activeOpacity={0.7}
+                            >
+                                <Ionicons name={action.icon} size={20} color={COLORS.textPrimary} />
+                                <Text style={styles.bulkActionText}>{action.label}</Text>
+                            </TouchableOpacity>
+                        ))}
+                    </View>
+                </View>
+            )}
+
             {/* FABs in Absolute Overlay - rendered LAST */}
-            <View style={StyleSheet.absoluteFill} pointerEvents="box-none">
+            {!selectMode && <View style={StyleSheet.absoluteFill} pointerEvents="box-none">
                 <Animated.View
                     style={[
                         styles.fab,
@@ -460,7 +899,160 @@ export default function HomeScreen({ navigation, setIsAuthenticated }) {
                         <Ionicons name="add" size={30} color="#fff" />
                     </TouchableOpacity>
                 </Animated.View>
-            </View>
+            </View>}
+
+            {/* Category or tags to apply to the selected links */}
+            <Modal
+                visible={!!bulkSheet}
+                transparent
+                animationType="slide"
+                onRequestClose={() => setBulkSheet(null)}
+            >
+                <KeyboardAvoidingView
+                    behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+                    style={styles.sheetBackdrop}
+                >
+                    <TouchableOpacity style={{ flex: 1 }} onPress={() => setBulkSheet(null)} activeOpacity={1} />
+                    <View style={[styles.sheet, { paddingBottom: insets.bottom + 20 }]}>
+                        <View style={styles.sheetHeader}>
+                            <Text style={styles.sheetTitle}>{bulkSheet === 'tag' ? 'Add Tags' : 'Move to Category'}</Text>
+                            <TouchableOpacity onPress={() => setBulkSheet(null)} activeOpacity={0.7}>
+                                <Ionicons name="close" size={24} color={COLORS.textSecondary} />
+                            </TouchableOpacity>
+                        </View>
+
+                        {bulkSheet === 'tag' ? (
+                            <>
+                                <Text style={styles.sheetLabel}>TAGS</Text>
+                                <TextInput
+                                    style={styles.sheetInput}
+                                    value={bulkTags}
+                                    onChangeText={setBulkTags}
+                                    placeholder="research, to-cite"
+                                    placeholderTextColor={COLORS.textTertiary}
+                                    autoCapitalize="none"
+                                    autoCorrect={false}
+                                    autoFocus
+                                />
+                                <TouchableOpacity
+                                    style={[styles.sheetSaveBtn, (bulkBusy || parseTags(bulkTags).length === 0) && { opacity: 0.6 }]}
+                                    onPress={() => runBulkAction('tag', { tags: parseTags(bulkTags) })}
+                                    disabled={bulkBusy || parseTags(bulkTags).length === 0}
+                                    activeOpacity={0.7}
+                                >
+                                    <Text style={styles.sheetSaveText}>{bulkBusy ? 'Saving...' : 'Add Tags'}</Text>
+                                </TouchableOpacity>
+                            </>
+                        ) : (
+                            <View style={styles.sheetCategories} pointerEvents={bulkBusy ? 'none' : 'auto'}>
+                                {categories.map(({ name }) => (
+                                    <TouchableOpacity
+                                        key={name}
+                                        style={styles.categoryTab}
+                                        onPress={() => runBulkAction('category', { category: name })}
+                                        activeOpacity={0.7}
+                                    >
+                                        <Text style={styles.categoryTabText}>{name}</Text>
+                                    </TouchableOpacity>
+                                ))}
+                            </View>
+                        )}
+                    </View>
+                </KeyboardAvoidingView>
+            </Modal>
+
+            {/* Edit Link Sheet */}
+            <Modal
+                visible={!!editingLink}
+                transparent
+                animationType="slide"
+                onRequestClose={() => setEditingLink(null)}
+            >
+                <KeyboardAvoidingView
+                    behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+                    style={styles.sheetBackdrop}
+                >
+                    <TouchableOpacity style={{ flex: 1 }} onPress={() => setEditingLink(null)} activeOpacity={1} />
+                    <View style={[styles.sheet, { paddingBottom: insets.bottom + 20 }]}>
+                        <View style={styles.sheetHeader}>
+                            <Text style={styles.sheetTitle}>Edit Link</Text>
+                            <TouchableOpacity onPress={() => setEditingLink(null)} activeOpacity={0.7}>
+                                <Ionicons name="close" size={24} color={COLORS.textSecondary} />
+                            </TouchableOpacity>
+                        </View>
+
+                        <Text style={styles.sheetLabel}>TITLE</Text>
+                        <TextInput
+                            style={styles.sheetInput}
+                            value={editTitle}
+                            onChangeText={setEditTitle}
+                            placeholder="Title"
+                            placeholderTextColor={COLORS.textTertiary}
+                            maxLength={500}
+                        />
+
+                        <Text style={styles.sheetLabel}>URL</Text>
+                        <TextInput
+                            style={styles.sheetInput}
+                            value={editUrl}
+                            onChangeText={setEditUrl}
+                            placeholder="https://..."
+                            placeholderTextColor={COLORS.textTertiary}
+                            autoCapitalize="none"
+                            autoCorrect={false}
+                            keyboardType="url"
+                        />
+
+                        <Text style={styles.sheetLabel}>CATEGORY</Text>
+                        <View style={styles.sheetCategories}>
+                            {categories.map(({ name }) => (
+                                <TouchableOpacity
+                                    key={name}
+                                    style={[styles.categoryTab, editCategory === name && styles.categoryTabActive]}
+                                    onPress={() => setEditCategory(name)}
+                                    activeOpacity={0.7}
+                                >
+                                    <Text style={[styles.categoryTabText, editCategory === name && styles.categoryTabTextActive]}>
+                                        {name}
+                                    </Text>
+                                </TouchableOpacity>
+                            ))}
+                        </View>
+
+                        <Text style={styles.sheetLabel}>TAGS</Text>
+                        <TextInput
+                            style={styles.sheetInput}
+                            value={editTags}
+                            onChangeText={setEditTags}
+                            placeholder="research, to-cite"
+                            placeholderTextColor={COLORS.textTertiary}
+                            autoCapitalize="none"
+                            autoCorrect={false}
+                        />
+
+                        <Text style={styles.sheetLabel}>NOTE</Text>
+                        <TextInput
+                            style={[styles.sheetInput, styles.sheetNoteInput]}
+                            value={editNote}
+                            onChangeText={setEditNote}
+                            placeholder="Why did you save this? Markdown works."
+                            placeholderTextColor={COLORS.textTertiary}
+                            multiline
+                            textAlignVertical="top"
+                            maxLength={10000}
+                        />
+
+                        <TouchableOpacity
+                            style={[styles.sheetSaveBtn, savingEdit && { opacity: 0.6 }]}
+                            onPress={handleSaveEdit}
+                            disabled={savingEdit}
+                            activeOpacity={0.7}
+                        >
+                            <Text style={styles.sheetSaveText}>{savingEdit ? 'Saving...' : 'Save'}</Text>
+                        </TouchableOpacity>
+                    </View>
+                </KeyboardAvoidingView>
+            </Modal>
         </View>
     );
 }
@@ -654,6 +1246,27 @@ const styles = StyleSheet.create({
         justifyContent: 'space-between',
         paddingHorizontal: 8,
     },
+    listFooter: {
+        paddingVertical: 16,
+    },
+    trashHeader: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        gap: 12,
+        paddingHorizontal: 12,
+        paddingBottom: 12,
+    },
+    trashNote: {
+        flex: 1,
+        fontSize: 12,
+        color: COLORS.textSecondary,
+    },
+    emptyTrashText: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#DC2626',
+    },
     card: {
         backgroundColor: '#fff',
         width: '48%',
@@ -668,6 +1281,10 @@ const styles = StyleSheet.create({
         shadowRadius: 4,
         elevation: 2,
     },
+    cardSelected: {
+        borderColor: COLORS.primary,
+        backgroundColor: COLORS.primaryLight,
+    },
     cardHeader: {
         flexDirection: 'row',
         justifyContent: 'space-between',
@@ -684,16 +1301,6 @@ const styles = StyleSheet.create({
         fontSize: 9,
         fontWeight: '700',
     },
-    badgeBusiness: { backgroundColor: '#FFEDD5' },
-    badgeTextBusiness: { color: '#9A3412' },
-    badgeTechnology: { backgroundColor: '#DBEAFE' },
-    badgeTextTechnology: { color: '#1E40AF' },
-    badgeSports: { backgroundColor: '#DCFCE7' },
-    badgeTextSports: { color: '#166534' },
-    badgeEducation: { backgroundColor: '#E0E7FF' },
-    badgeTextEducation: { color: '#3730A3' },
-    badgeEntertainment: { backgroundColor: '#FCE7F3' },
-    badgeTextEntertainment: { color: '#9D174D' },
 
     linkTitle: {
         fontSize: 14,
@@ -708,6 +1315,37 @@ const styles = StyleSheet.create({
         color: COLORS.textTertiary,
         marginBottom: 12,
     },
+    linkUrlTagged: {
+        marginBottom: 4,
+    },
+    linkTags: {
+        fontSize: 11,
+        color: COLORS.textSecondary,
+        marginBottom: 12,
+    },
+    linkSnippet: {
+        fontSize: 11,
+        lineHeight: 16,
+        color: COLORS.textSecondary,
+        marginTop: -8,
+        marginBottom: 12,
+    },
+    linkSnippetMatch: {
+        backgroundColor: COLORS.primaryLight,
+        color: COLORS.textPrimary,
+    },
+    progressTrack: {
+        height: 3,
+        borderRadius: 2,
+        backgroundColor: '#F3F4F6',
+        marginTop: -6,
+        marginBottom: 12,
+        overflow: 'hidden',
+    },
+    progressFill: {
+        height: '100%',
+        backgroundColor: COLORS.primary,
+    },
     cardFooter: {
         flexDirection: 'row',
         justifyContent: 'space-between',
@@ -716,6 +1354,11 @@ const styles = StyleSheet.create({
         borderTopWidth: 1,
         borderTopColor: '#F3F4F6',
     },
+    cardActions: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        gap: 12,
+    },
     readBtn: {
         flexDirection: 'row',
         alignItems: 'center',
@@ -738,5 +1381,107 @@ const styles = StyleSheet.create({
         color: COLORS.textTertiary,
         fontSize: 14,
         textAlign: 'center',
+    },
+    sheetBackdrop: {
+        flex: 1,
+        backgroundColor: 'rgba(0, 0, 0, 0.3)',
+    },
+    sheet: {
+        backgroundColor: COLORS.white,
+        borderTopLeftRadius: 20,
+        borderTopRightRadius: 20,
+        paddingHorizontal: 20,
+        paddingTop: 16,
+    },
+    sheetHeader: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginBottom: 12,
+    },
+    sheetTitle: {
+        fontSize: 18,
+        fontWeight: '700',
+        color: COLORS.textPrimary,
+    },
+    sheetLabel: {
+        fontSize: 10,
+        fontWeight: '700',
+        color: '#000',
+        letterSpacing: 1,
+        marginBottom: 6,
+    },
+    sheetInput: {
+        borderWidth: 1,
+        borderColor: COLORS.border,
+        borderRadius: 10,
+        paddingHorizontal: 12,
+        paddingVertical: 10,
+        fontSize: 14,
+        color: COLORS.textPrimary,
+        backgroundColor: '#F9FAFB',
+        marginBottom: 16,
+    },
+    sheetNoteInput: {
+        minHeight: 96,
+        maxHeight: 180,
+    },
+    sheetCategories: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        gap: 8,
+        marginBottom: 24,
+    },
+    sheetSaveBtn: {
+        backgroundColor: COLORS.primary,
+        padding: 14,
+        borderRadius: 12,
+        alignItems: 'center',
+    },
+    sheetSaveText: {
+        color: COLORS.white,
+        fontSize: 16,
+        fontWeight: '700',
+    },
+    bulkBar: {
+        position: 'absolute',
+        left: 0,
+        right: 0,
+        bottom: 0,
+        backgroundColor: COLORS.white,
+        borderTopWidth: 1,
+        borderTopColor: '#ECECEC',
+        paddingHorizontal: 16,
+        paddingTop: 10,
+    },
+    bulkBarHeader: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginBottom: 8,
+    },
+    bulkCount: {
+        fontSize: 14,
+        fontWeight: '700',
+        color: COLORS.textPrimary,
+    },
+    bulkSelectAll: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: COLORS.primary,
+    },
+    bulkActions: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+    },
+    bulkAction: {
+        alignItems: 'center',
+        gap: 2,
+        paddingVertical: 4,
+        minWidth: 48,
+    },
+    bulkActionText: {
+        fontSize: 11,
+        color: COLORS.textSecondary,
     }
 });
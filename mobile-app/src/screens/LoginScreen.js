@@ -1,5 +1,5 @@
-import React, { useState } from 'react';
-import { View, Text, TextInput, TouchableOpacity, StyleSheet, ActivityIndicator, Alert, SafeAreaView, KeyboardAvoidingView, Platform, ScrollView } from 'react-native';
+import React, { useState, useEffect, useRef } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet, ActivityIndicator, Alert, SafeAreaView, KeyboardAvoidingView, Platform, ScrollView, Linking } from 'react-native';
 import { COLORS } from '../constants';
 import { api } from '../api';
 
@@ -7,7 +7,13 @@ export default function LoginScreen({ navigation, setIsAuthenticated }) {
     const [isLogin, setIsLogin] = useState(true);
     const [username, setUsername] = useState('');
     const [password, setPassword] = useState('');
+    const [totpRequired, setTotpRequired] = useState(false);
+    const [totpCode, setTotpCode] = useState('');
     const [loading, setLoading] = useState(false);
+    const [deviceAuth, setDeviceAuth] = useState(null);
+    const pollTimer = useRef(null);
+
+    useEffect(() => () => clearTimeout(pollTimer.current), []);
 
     // Handles both login and registration — the isLogin toggle determines which API call is made.
     // On success, sets the app-wide auth state which triggers navigation to HomeScreen.
@@ -19,17 +25,72 @@ export default function LoginScreen({ navigation, setIsAuthenticated }) {
 
         setLoading(true);
         const result = isLogin
-            ? await api.login(username, password)
+            ? await api.login(username, password, totpCode.trim())
             : await api.register(username, password);
         setLoading(false);
 
-        if (result.success) {
+        // Two-factor accounts: reveal the code field and let the user submit again
+        if (!result.success && result.totpRequired) {
+            setTotpRequired(true);
+            if (totpCode) Alert.alert('Error', result.error);
+            return;
+        }
+
+        if (result.success && result.recoveryCodes && result.recoveryCodes.length) {
+            // New accounts get recovery codes once; hold navigation until the user has seen them
+            Alert.alert(
+                'Save your recovery codes',
+                'Each code can be used once to reset your password if you forget it. Store them somewhere safe.\n\n' + result.recoveryCodes.join('\n'),
+                [{ text: 'I saved them', onPress: () => setIsAuthenticated(true) }]
+            );
+        } else if (result.success) {
             setIsAuthenticated(true);
         } else {
             Alert.alert('Error', result.error || 'Authentication failed');
         }
     };
 
+    // Device sign-in: the user approves a short code on the web dashboard, so the password never goes through the app
+    const pollDeviceSignIn = (request, interval) => {
+        pollTimer.current = setTimeout(async () => {
+            const result = await api.pollDeviceSignIn(request.deviceCode);
+            if (result.success) {
+                setDeviceAuth(null);
+                setIsAuthenticated(true);
+                return;
+            }
+            if (result.errorCode === 'authorization_pending' || result.errorCode === 'slow_down') {
+                if (Date.now() < request.expiresAt) {
+                    pollDeviceSignIn(request, result.errorCode === 'slow_down' ? interval + 5 : interval);
+                    return;
+                }
+                result.error = 'The code expired. Please try again.';
+            }
+            setDeviceAuth(null);
+            Alert.alert('Sign-in failed', result.error || 'Please try again.');
+        }, interval * 1000);
+    };
+
+    const handleDeviceSignIn = async () => {
+        setLoading(true);
+        const result = await api.startDeviceSignIn();
+        setLoading(false);
+
+        if (!result.success) {
+            Alert.alert('Error', result.error || 'Could not start sign-in');
+            return;
+        }
+
+        const request = { ...result, expiresAt: Date.now() + result.expiresIn * 1000 };
+        setDeviceAuth(request);
+        pollDeviceSignIn(request, result.interval);
+    };
+
+    const cancelDeviceSignIn = () => {
+        clearTimeout(pollTimer.current);
+        setDeviceAuth(null);
+    };
+
     return (
         <SafeAreaView style={styles.container}>
             <KeyboardAvoidingView
@@ -60,65 +121,112 @@ export default function LoginScreen({ navigation, setIsAuthenticated }) {
                             </Text>
                         </View>
 
-                        <View style={styles.form}>
-                            <View style={styles.inputGroup}>
-                                <Text style={styles.label}>Username</Text>
-                                <TextInput
-                                    style={styles.input}
-                                    value={username}
-                                    onChangeText={setUsername}
-                                    placeholder="Enter your username"
-                                    placeholderTextColor={COLORS.textTertiary}
-                                    autoCapitalize="none"
-                                    autoComplete="off"
-                                />
+                        {deviceAuth ? (
+                            <View style={styles.form}>
+                                <View style={styles.deviceBox}>
+                                    <Text style={styles.label}>Your code</Text>
+                                    <Text style={styles.deviceCode} selectable>{deviceAuth.userCode}</Text>
+                                    <Text style={styles.deviceHint}>
+                                        Approve it on kurate.net under Profile Settings → Connect a Device. Waiting for approval…
+                                    </Text>
+                                </View>
+                                <TouchableOpacity
+                                    style={styles.button}
+                                    onPress={() => Linking.openURL(deviceAuth.verificationUriComplete)}
+                                    activeOpacity={0.8}
+                                >
+                                    <Text style={styles.buttonText}>Open Kurate</Text>
+                                </TouchableOpacity>
+                                <View style={styles.footerLinks}>
+                                    <TouchableOpacity onPress={cancelDeviceSignIn} style={styles.forgotBtn} activeOpacity={0.7}>
+                                        <Text style={styles.forgotText}>Cancel</Text>
+                                    </TouchableOpacity>
+                                </View>
                             </View>
+                        ) : (
+                            <View style={styles.form}>
+                                <View style={styles.inputGroup}>
+                                    <Text style={styles.label}>Username</Text>
+                                    <TextInput
+                                        style={styles.input}
+                                        value={username}
+                                        onChangeText={setUsername}
+                                        placeholder="Enter your username"
+                                        placeholderTextColor={COLORS.textTertiary}
+                                        autoCapitalize="none"
+                                        autoComplete="off"
+                                    />
+                                </View>
 
-                            <View style={styles.inputGroup}>
-                                <Text style={styles.label}>Password</Text>
-                                <TextInput
-                                    style={styles.input}
-                                    value={password}
-                                    onChangeText={setPassword}
-                                    placeholder="Enter your password"
-                                    placeholderTextColor={COLORS.textTertiary}
-                                    secureTextEntry
-                                    autoComplete="off"
-                                />
-                            </View>
+                                <View style={styles.inputGroup}>
+                                    <Text style={styles.label}>Password</Text>
+                                    <TextInput
+                                        style={styles.input}
+                                        value={password}
+                                        onChangeText={setPassword}
+                                        placeholder="Enter your password"
+                                        placeholderTextColor={COLORS.textTertiary}
+                                        secureTextEntry
+                                        autoComplete="off"
+                                    />
+                                </View>
 
-                            <TouchableOpacity
-                                style={styles.button}
-                                onPress={handleAuth}
-                                disabled={loading}
-                                activeOpacity={0.8}
-                            >
-                                {loading ? (
-                                    <ActivityIndicator color="#fff" />
-                                ) : (
-                                    <Text style={styles.buttonText}>{isLogin ? 'Start Curating' : 'Join kurate'}</Text>
+                                {isLogin && totpRequired && (
+                                    <View style={styles.inputGroup}>
+                                        <Text style={styles.label}>Two-factor code</Text>
+                                        <TextInput
+                                            style={styles.input}
+                                            value={totpCode}
+                                            onChangeText={setTotpCode}
+                                            placeholder="6-digit code or a recovery code"
+                                            placeholderTextColor={COLORS.textTertiary}
+                                            autoCapitalize="characters"
+                                            autoComplete="one-time-code"
+                                            textContentType="oneTimeCode"
+                                            autoFocus
+                                        />
+                                    </View>
                                 )}
-                            </TouchableOpacity>
 
-                            <View style={styles.footerLinks}>
-                                <TouchableOpacity onPress={() => setIsLogin(!isLogin)} style={styles.toggleContainer} activeOpacity={0.7}>
-                                    <Text style={styles.toggleText}>
-                                        {isLogin ? "Don't have an account? " : "Already have an account? "}
-                                        <Text style={styles.toggleLink}>{isLogin ? 'Join kurate' : 'Sign In'}</Text>
-                                    </Text>
+                                <TouchableOpacity
+                                    style={styles.button}
+                                    onPress={handleAuth}
+                                    disabled={loading}
+                                    activeOpacity={0.8}
+                                >
+                                    {loading ? (
+                                        <ActivityIndicator color="#fff" />
+                                    ) : (
+                                        <Text style={styles.buttonText}>{isLogin ? 'Start Curating' : 'Join kurate'}</Text>
+                                    )}
                                 </TouchableOpacity>
 
-                                {isLogin && (
-                                    <TouchableOpacity
-                                        onPress={() => navigation.navigate('ResetPassword')}
-                                        style={styles.forgotBtn}
-                                        activeOpacity={0.7}
-                                    >
-                                        <Text style={styles.forgotText}>Forgot your password?</Text>
+                                <View style={styles.footerLinks}>
+                                    <TouchableOpacity onPress={() => setIsLogin(!isLogin)} style={styles.toggleContainer} activeOpacity={0.7}>
+                                        <Text style={styles.toggleText}>
+                                            {isLogin ? "Don't have an account? " : "Already have an account? "}
+                                            <Text style={styles.toggleLink}>{isLogin ? 'Join kurate' : 'Sign In'}</Text>
+                                        </Text>
                                     </TouchableOpacity>
-                                )}
+
+                                    {isLogin && (
+                                        <TouchableOpacity onPress={handleDeviceSignIn} disabled={loading} style={styles.forgotBtn} activeOpacity={0.7}>
+                                            <Text style={styles.deviceLink}>Sign in with the web dashboard</Text>
+                                        </TouchableOpacity>
+                                    )}
+
+                                    {isLogin && (
+                                        <TouchableOpacity
+                                            onPress={() => navigation.navigate('ResetPassword')}
+                                            style={styles.forgotBtn}
+                                            activeOpacity={0.7}
+                                        >
+                                            <Text style={styles.forgotText}>Forgot your password?</Text>
+                                        </TouchableOpacity>
+                                    )}
+                                </View>
                             </View>
-                        </View>
+                        )}
                     </View>
                 </ScrollView>
             </KeyboardAvoidingView>
@@ -247,5 +355,34 @@ const styles = StyleSheet.create({
         fontSize: 13,
         color: COLORS.textTertiary,
         fontWeight: '500',
+    },
+    deviceLink: {
+        fontSize: 14,
+        color: COLORS.primary,
+        fontWeight: '600',
+    },
+    deviceBox: {
+        backgroundColor: '#fff',
+        borderWidth: 1,
+        borderStyle: 'dashed',
+        borderColor: COLORS.border,
+        borderRadius: 16,
+        padding: 20,
+        alignItems: 'center',
+        marginBottom: 20,
+    },
+    deviceCode: {
+        fontSize: 28,
+        fontWeight: '700',
+        fontFamily: Platform.OS === 'ios' ? 'Courier' : 'monospace',
+        letterSpacing: 3,
+        color: COLORS.textPrimary,
+        marginBottom: 12,
+    },
+    deviceHint: {
+        fontSize: 13,
+        color: COLORS.textSecondary,
+        textAlign: 'center',
+        lineHeight: 18,
     }
 });
@@ -1,11 +1,27 @@
 import React, { useState, useEffect } from 'react';
-import { View, Text, TextInput, TouchableOpacity, StyleSheet, Alert, ScrollView, KeyboardAvoidingView } from 'react-native';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet, Alert, ScrollView, KeyboardAvoidingView, Platform, Linking, Share } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { COLORS } from '../constants';
 import { api } from '../api';
 import { Ionicons } from '@expo/vector-icons';
 import * as SecureStore from 'expo-secure-store';
 
+const CLIENT_LABELS = {
+    web: 'Web',
+    extension: 'Browser extension',
+    mobile: 'Mobile app',
+    share_extension: 'Share extension',
+};
+
+/** Formats a D1 UTC timestamp ("YYYY-MM-DD HH:MM:SS") as a short relative time. */
+const formatLastSeen = (timestamp) => {
+    if (!timestamp) return '';
+    const diffHours = Math.floor((Date.now() - new Date(timestamp.replace(' ', 'T') + 'Z')) / (1000 * 60 * 60));
+    if (diffHours >= 24) return `${Math.floor(diffHours / 24)}d ago`;
+    if (diffHours > 0) return `${diffHours}h ago`;
+    return 'just now';
+};
+
 export default function ProfileScreen({ navigation, setIsAuthenticated }) {
     const [username, setUsername] = useState('');
     const [currentPassword, setCurrentPassword] = useState('');
@@ -13,9 +29,24 @@ export default function ProfileScreen({ navigation, setIsAuthenticated }) {
     const [confirmPassword, setConfirmPassword] = useState('');
     const [saving, setSaving] = useState(false);
     const [resetting, setResetting] = useState(false);
+    const [resetTotpRequired, setResetTotpRequired] = useState(false);
+    const [resetTotpCode, setResetTotpCode] = useState('');
     const [deletePassword, setDeletePassword] = useState('');
     const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
     const [deleting, setDeleting] = useState(false);
+    const [sessions, setSessions] = useState([]);
+    const [revokingAll, setRevokingAll] = useState(false);
+    const [totpEnabled, setTotpEnabled] = useState(false);
+    const [totpPassword, setTotpPassword] = useState('');
+    const [totpDisableCode, setTotpDisableCode] = useState('');
+    const [totpSetup, setTotpSetup] = useState(null);
+    const [totpVerifyCode, setTotpVerifyCode] = useState('');
+    const [totpBusy, setTotpBusy] = useState(false);
+    const [recoveryRemaining, setRecoveryRemaining] = useState(null);
+    const [recoveryPassword, setRecoveryPassword] = useState('');
+    const [recoveryCodes, setRecoveryCodes] = useState([]);
+    const [generatingCodes, setGeneratingCodes] = useState(false);
+    const [exporting, setExporting] = useState(false);
 
     useEffect(() => {
         const loadUsername = async () => {
@@ -23,8 +54,135 @@ export default function ProfileScreen({ navigation, setIsAuthenticated }) {
             if (stored) setUsername(stored);
         };
         loadUsername();
+        loadSessions();
+        loadTotpStatus();
+        loadRecoveryCodeCount();
     }, []);
 
+    const loadTotpStatus = async () => {
+        const result = await api.getTotpStatus();
+        if (result.success) setTotpEnabled(result.enabled);
+    };
+
+    const handleStartTotpSetup = async () => {
+        if (!totpPassword) {
+            Alert.alert('Error', 'Please enter your password to set up two-factor authentication.');
+            return;
+        }
+
+        setTotpBusy(true);
+        const result = await api.startTotpSetup(totpPassword);
+        setTotpBusy(false);
+
+        if (result.success) {
+            setTotpPassword('');
+            setTotpVerifyCode('');
+            setTotpSetup({ secret: result.secret, uri: result.uri });
+        } else {
+            Alert.alert('Error', result.error || 'Failed to start two-factor setup.');
+        }
+    };
+
+    const handleVerifyTotp = async () => {
+        if (!totpVerifyCode.trim()) {
+            Alert.alert('Error', 'Please enter the code from your authenticator app.');
+            return;
+        }
+
+        setTotpBusy(true);
+        const result = await api.verifyTotpSetup(totpVerifyCode.trim());
+        setTotpBusy(false);
+
+        if (result.success) {
+            setTotpSetup(null);
+            setTotpEnabled(true);
+            Alert.alert('Success', 'Two-factor authentication is on.');
+        } else {
+            Alert.alert('Error', result.error || 'Invalid code.');
+        }
+    };
+
+    const handleDisableTotp = () => {
+        if (!totpPassword || !totpDisableCode.trim()) {
+            Alert.alert('Error', 'Please enter your password and a code from your authenticator app (or a recovery code) to turn off two-factor authentication.');
+            return;
+        }
+        Alert.alert(
+            'Turn off two-factor?',
+            'Signing in will only need your password.',
+            [
+                { text: 'Cancel', style: 'cancel' },
+                {
+                    text: 'Turn off',
+                    style: 'destructive',
+                    onPress: async () => {
+                        setTotpBusy(true);
+                        const result = await api.disableTotp(totpPassword, totpDisableCode.trim());
+                        setTotpBusy(false);
+                        if (result.success) {
+                            setTotpPassword('');
+                            setTotpDisableCode('');
+                            setTotpSetup(null);
+                            setTotpEnabled(false);
+                        } else {
+                            Alert.alert('Error', result.error || 'Failed to turn off two-factor authentication.');
+                        }
+                    }
+                }
+            ]
+        );
+    };
+
+    const loadRecoveryCodeCount = async () => {
+        const result = await api.getRecoveryCodeCount();
+        if (result.success) setRecoveryRemaining(result.remaining);
+    };
+
+    const handleGenerateRecoveryCodes = async () => {
+        if (!recoveryPassword) {
+            Alert.alert('Error', 'Please enter your password to generate new codes.');
+            return;
+        }
+
+        setGeneratingCodes(true);
+        const result = await api.regenerateRecoveryCodes(recoveryPassword);
+        setGeneratingCodes(false);
+
+        if (result.success) {
+            setRecoveryPassword('');
+            setRecoveryCodes(result.codes);
+            setRecoveryRemaining(result.codes.length);
+        } else {
+            Alert.alert('Error', result.error || 'Failed to generate recovery codes.');
+        }
+    };
+
+    const loadSessions = async () => {
+        const result = await api.getSessions();
+        if (result.success) setSessions(result.sessions);
+    };
+
+    const handleRevokeSession = async (sessionId) => {
+        const result = await api.revokeSession(sessionId);
+        if (!result.success) {
+            Alert.alert('Error', result.error || 'Failed to sign out session.');
+        }
+        loadSessions();
+    };
+
+    const handleRevokeOtherSessions = async () => {
+        setRevokingAll(true);
+        const result = await api.revokeOtherSessions();
+        setRevokingAll(false);
+
+        if (result.success) {
+            Alert.alert('Success', 'Signed out of all other devices.');
+        } else {
+            Alert.alert('Error', result.error || 'Failed to sign out other devices.');
+        }
+        loadSessions();
+    };
+
     const handleUpdateUsername = async () => {
         const trimmed = username.trim();
         if (!trimmed || trimmed.length < 3) {
@@ -59,19 +217,42 @@ export default function ProfileScreen({ navigation, setIsAuthenticated }) {
         }
 
         setResetting(true);
-        const result = await api.resetPassword(username, currentPassword, newPassword);
+        const result = await api.resetPassword(username, currentPassword, newPassword, resetTotpCode.trim());
         setResetting(false);
 
+        if (!result.success && result.totpRequired) {
+            setResetTotpRequired(true);
+            if (resetTotpCode) Alert.alert('Error', result.error);
+            return;
+        }
+
         if (result.success) {
             setCurrentPassword('');
             setNewPassword('');
             setConfirmPassword('');
+            setResetTotpCode('');
+            setResetTotpRequired(false);
             Alert.alert('Success', 'Password updated!');
         } else {
             Alert.alert('Error', result.error || 'Failed to reset password.');
         }
     };
 
+    const handleExportData = async () => {
+        setExporting(true);
+        const result = await api.exportAccountData();
+        setExporting(false);
+
+        if (!result.success) {
+            Alert.alert('Error', result.error || 'Failed to export your data.');
+            return;
+        }
+        await Share.share({
+            title: `kurate-export-${result.profile.username}-${result.exportedAt.slice(0, 10)}.json`,
+            message: JSON.stringify(result, null, 2)
+        });
+    };
+
     const handleDeleteAccount = () => {
         if (!showDeleteConfirm) {
             setShowDeleteConfirm(true);
@@ -171,6 +352,17 @@ export default function ProfileScreen({ navigation, setIsAuthenticated }) {
                             placeholderTextColor={COLORS.textTertiary}
                             secureTextEntry
                         />
+                        {resetTotpRequired && (
+                            <TextInput
+                                style={styles.input}
+                                value={resetTotpCode}
+                                onChangeText={setResetTotpCode}
+                                placeholder="Two-factor code"
+                                placeholderTextColor={COLORS.textTertiary}
+                                textContentType="oneTimeCode"
+                                autoFocus
+                            />
+                        )}
                         <View style={styles.btnRow}>
                             <TouchableOpacity
                                 style={[styles.actionBtn, resetting && styles.actionBtnDisabled]}
@@ -183,6 +375,169 @@ export default function ProfileScreen({ navigation, setIsAuthenticated }) {
                         </View>
                     </View>
 
+                    {/* Two-Factor Authentication Section */}
+                    <View style={styles.section}>
+                        <Text style={styles.sectionTitle}>Two-Factor Authentication</Text>
+                        <Text style={styles.dangerText}>
+                            {totpEnabled
+                                ? 'On. Signing in requires a code from your authenticator app. Regenerating moves it to a new app.'
+                                : 'Off. Require a code from an authenticator app when signing in.'}
+                        </Text>
+                        {totpSetup && (
+                            <View>
+                                <Text style={styles.dangerText}>
+                                    Add this key to your authenticator app, then enter the 6-digit code it shows.
+                                </Text>
+                                <Text style={styles.totpSecret} selectable>{totpSetup.secret.match(/.{1,4}/g).join(' ')}</Text>
+                                <TouchableOpacity onPress={() => Linking.openURL(totpSetup.uri)} activeOpacity={0.7}>
+                                    <Text style={styles.linkText}>Open in authenticator app</Text>
+                                </TouchableOpacity>
+                                <TextInput
+                                    style={styles.input}
+                                    value={totpVerifyCode}
+                                    onChangeText={setTotpVerifyCode}
+                                    placeholder="6-digit code"
+                                    placeholderTextColor={COLORS.textTertiary}
+                                    keyboardType="number-pad"
+                                    textContentType="oneTimeCode"
+                                />
+                                <View style={[styles.btnRow, { marginBottom: 12 }]}>
+                                    <TouchableOpacity
+                                        style={[styles.actionBtn, totpBusy && styles.actionBtnDisabled]}
+                                        onPress={handleVerifyTotp}
+                                        disabled={totpBusy}
+                                        activeOpacity={0.7}
+                                    >
+                                        <Text style={styles.actionBtnText}>Verify</Text>
+                                    </TouchableOpacity>
+                                </View>
+                            </View>
+                        )}
+                        <TextInput
+                            style={styles.input}
+                            value={totpPassword}
+                            onChangeText={setTotpPassword}
+                            placeholder="Current password"
+                            placeholderTextColor={COLORS.textTertiary}
+                            secureTextEntry
+                        />
+                        {totpEnabled && (
+                            <TextInput
+                                style={styles.input}
+                                value={totpDisableCode}
+                                onChangeText={setTotpDisableCode}
+                                placeholder="Two-factor or recovery code, to turn it off"
+                                placeholderTextColor={COLORS.textTertiary}
+                                textContentType="oneTimeCode"
+                                autoCapitalize="characters"
+                            />
+                        )}
+                        <View style={styles.btnRow}>
+                            {totpEnabled && (
+                                <TouchableOpacity onPress={handleDisableTotp} disabled={totpBusy} style={styles.secondaryBtn} activeOpacity={0.7}>
+                                    <Text style={styles.sessionRevoke}>Turn off</Text>
+                                </TouchableOpacity>
+                            )}
+                            <TouchableOpacity
+                                style={[styles.actionBtn, totpBusy && styles.actionBtnDisabled]}
+                                onPress={handleStartTotpSetup}
+                                disabled={totpBusy}
+                                activeOpacity={0.7}
+                            >
+                                <Text style={styles.actionBtnText}>{totpEnabled ? 'Regenerate' : 'Set up'}</Text>
+                            </TouchableOpacity>
+                        </View>
+                    </View>
+
+                    {/* Recovery Codes Section */}
+                    <View style={styles.section}>
+                        <Text style={styles.sectionTitle}>Recovery Codes</Text>
+                        <Text style={styles.dangerText}>
+                            {recoveryCodes.length > 0
+                                ? 'Save these codes somewhere safe. Each one can reset your password once, and they will not be shown again.'
+                                : recoveryRemaining === 0
+                                    ? 'You have no recovery codes left. Generate a new set so you can reset a forgotten password.'
+                                    : `You have ${recoveryRemaining ?? '-'} unused recovery codes. Generating a new set replaces them.`}
+                        </Text>
+                        {recoveryCodes.length > 0 && (
+                            <View style={styles.codeGrid}>
+                                {recoveryCodes.map(code => (
+                                    <Text key={code} style={styles.code} selectable>{code}</Text>
+                                ))}
+                            </View>
+                        )}
+                        <TextInput
+                            style={styles.input}
+                            value={recoveryPassword}
+                            onChangeText={setRecoveryPassword}
+                            placeholder="Current password"
+                            placeholderTextColor={COLORS.textTertiary}
+                            secureTextEntry
+                        />
+                        <View style={styles.btnRow}>
+                            <TouchableOpacity
+                                style={[styles.actionBtn, generatingCodes && styles.actionBtnDisabled]}
+                                onPress={handleGenerateRecoveryCodes}
+                                disabled={generatingCodes}
+                                activeOpacity={0.7}
+                            >
+                                <Text style={styles.actionBtnText}>{generatingCodes ? 'Generating...' : 'Generate new codes'}</Text>
+                            </TouchableOpacity>
+                        </View>
+                    </View>
+
+                    {/* Active Sessions Section */}
+                    <View style={styles.section}>
+                        <Text style={styles.sectionTitle}>Active Sessions</Text>
+                        {sessions.map(session => (
+                            <View key={session.id} style={styles.sessionRow}>
+                                <View style={{ flex: 1 }}>
+                                    <Text style={styles.sessionName} numberOfLines={1}>
+                                        {session.deviceName || CLIENT_LABELS[session.clientType] || session.clientType}
+                                    </Text>
+                                    <Text style={styles.sessionMeta}>
+                                        {CLIENT_LABELS[session.clientType] || session.clientType} · Last active {formatLastSeen(session.lastSeenAt)}
+                                    </Text>
+                                </View>
+                                {session.current ? (
+                                    <Text style={styles.sessionCurrent}>This device</Text>
+                                ) : (
+                                    <TouchableOpacity onPress={() => handleRevokeSession(session.id)} activeOpacity={0.7}>
+                                        <Text style={styles.sessionRevoke}>Sign out</Text>
+                                    </TouchableOpacity>
+                                )}
+                            </View>
+                        ))}
+                        <View style={styles.btnRow}>
+                            <TouchableOpacity
+                                style={[styles.actionBtn, revokingAll && styles.actionBtnDisabled]}
+                                onPress={handleRevokeOtherSessions}
+                                disabled={revokingAll}
+                                activeOpacity={0.7}
+                            >
+                                <Text style={styles.actionBtnText}>{revokingAll ? 'Signing out...' : 'Sign out other devices'}</Text>
+                            </TouchableOpacity>
+                        </View>
+                    </View>
+
+                    {/* Your Data Section */}
+                    <View style={styles.section}>
+                        <Text style={styles.sectionTitle}>Your Data</Text>
+                        <Text style={styles.dangerText}>
+                            Download a JSON archive of your profile, every saved link, your sessions and API tokens, and your activity history.
+                        </Text>
+                        <View style={styles.btnRow}>
+                            <TouchableOpacity
+                                style={[styles.actionBtn, exporting && styles.actionBtnDisabled]}
+                                onPress={handleExportData}
+                                disabled={exporting}
+                                activeOpacity={0.7}
+                            >
+                                <Text style={styles.actionBtnText}>{exporting ? 'Preparing...' : 'Download my data'}</Text>
+                            </TouchableOpacity>
+                        </View>
+                    </View>
+
                     {/* Delete Account Section */}
                     <View style={[styles.section, styles.lastSection]}>
                         <Text style={styles.sectionTitle}>Delete Account</Text>
@@ -292,6 +647,76 @@ const styles = StyleSheet.create({
         fontSize: 13,
         fontWeight: '600',
     },
+    totpSecret: {
+        fontSize: 15,
+        fontFamily: Platform.OS === 'ios' ? 'Courier' : 'monospace',
+        fontWeight: '600',
+        color: COLORS.textPrimary,
+        textAlign: 'center',
+        paddingVertical: 10,
+        marginBottom: 8,
+        borderWidth: 1,
+        borderStyle: 'dashed',
+        borderColor: COLORS.border,
+        borderRadius: 10,
+        backgroundColor: '#FAFAFA',
+    },
+    linkText: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: COLORS.primary,
+        marginBottom: 10,
+    },
+    secondaryBtn: {
+        justifyContent: 'center',
+        marginRight: 16,
+    },
+    codeGrid: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        marginBottom: 8,
+    },
+    code: {
+        width: '50%',
+        paddingVertical: 4,
+        fontSize: 14,
+        fontFamily: Platform.OS === 'ios' ? 'Courier' : 'monospace',
+        fontWeight: '600',
+        color: COLORS.textPrimary,
+    },
+    sessionRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: 8,
+        paddingHorizontal: 12,
+        marginBottom: 8,
+        borderWidth: 1,
+        borderColor: COLORS.border,
+        borderRadius: 10,
+        backgroundColor: '#FAFAFA',
+    },
+    sessionName: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: COLORS.textPrimary,
+    },
+    sessionMeta: {
+        fontSize: 12,
+        color: COLORS.textTertiary,
+        marginTop: 2,
+    },
+    sessionCurrent: {
+        fontSize: 11,
+        fontWeight: '600',
+        color: COLORS.primary,
+        marginLeft: 12,
+    },
+    sessionRevoke: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: COLORS.textSecondary,
+        marginLeft: 12,
+    },
     dangerText: {
         fontSize: 13,
         color: COLORS.textSecondary,
@@ -5,7 +5,8 @@ import { Ionicons } from '@expo/vector-icons';
 import { rssService } from '../rss';
 import { api } from '../api';
 
-// Lowercase to match RSS feed category values (distinct from the title-case CATEGORIES in constants.js)
+// Lowercase to match RSS feed category values. These are fixed feed topics, unrelated to the user's own
+// categories, which are per-user and loaded from the API
 const FILTER_CATEGORIES = ['all', 'sports', 'entertainment', 'business', 'technology', 'education', 'other'];
 
 export default function RecommendedReadingScreen({ navigation }) {
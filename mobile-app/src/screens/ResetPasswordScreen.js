@@ -6,12 +6,17 @@ import { api } from '../api';
 export default function ResetPasswordScreen({ navigation }) {
     const [username, setUsername] = useState('');
     const [currentPassword, setCurrentPassword] = useState('');
+    const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+    const [recoveryCode, setRecoveryCode] = useState('');
+    const [totpRequired, setTotpRequired] = useState(false);
+    const [totpCode, setTotpCode] = useState('');
     const [newPassword, setNewPassword] = useState('');
     const [confirmPassword, setConfirmPassword] = useState('');
     const [loading, setLoading] = useState(false);
 
     const handleReset = async () => {
-        if (!username || !currentPassword || !newPassword || !confirmPassword) {
+        const secret = useRecoveryCode ? recoveryCode : currentPassword;
+        if (!username || !secret || !newPassword || !confirmPassword) {
             Alert.alert('Error', 'Please fill in all fields');
             return;
         }
@@ -27,10 +32,24 @@ export default function ResetPasswordScreen({ navigation }) {
         }
 
         setLoading(true);
-        const result = await api.resetPassword(username, currentPassword, newPassword);
+        const result = useRecoveryCode
+            ? await api.recoverAccount(username, recoveryCode, newPassword)
+            : await api.resetPassword(username, currentPassword, newPassword, totpCode.trim());
         setLoading(false);
 
-        if (result.success) {
+        if (!result.success && result.totpRequired) {
+            setTotpRequired(true);
+            if (totpCode) Alert.alert('Error', result.error);
+            return;
+        }
+
+        if (result.success && useRecoveryCode) {
+            Alert.alert(
+                'Password reset',
+                `${result.token ? '' : 'Sign in with your new password and a two-factor code. '}You have ${result.remainingRecoveryCodes} recovery codes left. You can generate a new set from Profile Settings.`,
+                [{ text: 'OK', onPress: () => navigation.navigate('Login') }]
+            );
+        } else if (result.success) {
             navigation.navigate('Login');
         } else {
             Alert.alert('Error', result.error || 'Reset failed');
@@ -68,17 +87,54 @@ export default function ResetPasswordScreen({ navigation }) {
                             />
                         </View>
 
-                        <View style={styles.inputGroup}>
-                            <Text style={styles.label}>Current Password</Text>
-                            <TextInput
-                                style={styles.input}
-                                value={currentPassword}
-                                onChangeText={setCurrentPassword}
-                                placeholder="Enter current password"
-                                placeholderTextColor={COLORS.textTertiary}
-                                secureTextEntry
-                            />
-                        </View>
+                        {useRecoveryCode ? (
+                            <View style={styles.inputGroup}>
+                                <Text style={styles.label}>Recovery Code</Text>
+                                <TextInput
+                                    style={styles.input}
+                                    value={recoveryCode}
+                                    onChangeText={setRecoveryCode}
+                                    placeholder="XXXXX-XXXXX"
+                                    placeholderTextColor={COLORS.textTertiary}
+                                    autoCapitalize="characters"
+                                    autoCorrect={false}
+                                />
+                            </View>
+                        ) : (
+                            <View style={styles.inputGroup}>
+                                <Text style={styles.label}>Current Password</Text>
+                                <TextInput
+                                    style={styles.input}
+                                    value={currentPassword}
+                                    onChangeText={setCurrentPassword}
+                                    placeholder="Enter current password"
+                                    placeholderTextColor={COLORS.textTertiary}
+                                    secureTextEntry
+                                />
+                            </View>
+                        )}
+
+                        {!useRecoveryCode && totpRequired && (
+                            <View style={styles.inputGroup}>
+                                <Text style={styles.label}>Two-factor code</Text>
+                                <TextInput
+                                    style={styles.input}
+                                    value={totpCode}
+                                    onChangeText={setTotpCode}
+                                    placeholder="6-digit code or a recovery code"
+                                    placeholderTextColor={COLORS.textTertiary}
+                                    autoCapitalize="characters"
+                                    textContentType="oneTimeCode"
+                                    autoFocus
+                                />
+                            </View>
+                        )}
+
+                        <TouchableOpacity onPress={() => setUseRecoveryCode(!useRecoveryCode)} style={styles.recoveryToggle} activeOpacity={0.7}>
+                            <Text style={styles.recoveryToggleText}>
+                                {useRecoveryCode ? 'Use current password instead' : 'Forgot your password? Use a recovery code'}
+                            </Text>
+                        </TouchableOpacity>
 
                         <View style={styles.inputGroup}>
                             <Text style={styles.label}>New Password</Text>
@@ -217,6 +273,16 @@ const styles = StyleSheet.create({
         fontSize: 16,
         fontWeight: '600',
     },
+    recoveryToggle: {
+        marginTop: -8,
+        marginBottom: 20,
+        marginLeft: 4,
+    },
+    recoveryToggleText: {
+        color: COLORS.primary,
+        fontSize: 13,
+        fontWeight: '600',
+    },
     toggleContainer: {
         marginTop: 32,
         alignItems: 'center',
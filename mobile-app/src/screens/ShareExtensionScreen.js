@@ -9,7 +9,7 @@ import {
 } from 'react-native';
 import { close, useShareIntentContext } from 'expo-share-extension';
 import { getSharedToken } from '../sharedStorage';
-import { COLORS, API_URL, CATEGORIES } from '../constants';
+import { COLORS, API_URL, DEFAULT_CATEGORY } from '../constants';
 
 export default function ShareExtensionScreen() {
     const { shareIntent } = useShareIntentContext();
@@ -22,6 +22,10 @@ export default function ShareExtensionScreen() {
     const [fetchingMeta, setFetchingMeta] = useState(false);
     const [error, setError] = useState(null);
     const [success, setSuccess] = useState(false);
+    const [duplicate, setDuplicate] = useState(false);
+    const [categories, setCategories] = useState([DEFAULT_CATEGORY]);
+    const [collections, setCollections] = useState([]);
+    const [selectedCollections, setSelectedCollections] = useState([]);
 
     // Load token on mount
     useEffect(() => {
@@ -29,6 +33,33 @@ export default function ShareExtensionScreen() {
         setToken(t);
     }, []);
 
+    // Load the user's categories once signed in; until then (or offline) only the default is offered
+    useEffect(() => {
+        if (!token) return;
+        fetch(`${API_URL}/links/categories`, {
+            headers: { 'Authorization': `Bearer ${token}` },
+        })
+            .then(r => r.json())
+            .then(data => {
+                if (data.success && data.categories.length > 0) {
+                    setCategories(data.categories.map(cat => cat.name));
+                }
+            })
+            .catch(() => {});
+        fetch(`${API_URL}/links/collections`, {
+            headers: { 'Authorization': `Bearer ${token}` },
+        })
+            .then(r => r.json())
+            .then(data => {
+                if (data.success) setCollections(data.collections);
+            })
+            .catch(() => {});
+    }, [token]);
+
+    const toggleCollection = (id) => {
+        setSelectedCollections(prev => prev.includes(id) ? prev.filter(item => item !== id) : [...prev, id]);
+    };
+
     // Extract URL from share intent
     useEffect(() => {
         if (!shareIntent) return;
@@ -73,11 +104,13 @@ export default function ShareExtensionScreen() {
                 body: JSON.stringify({
                     url,
                     title: title || url,
-                    category: category || 'Other',
+                    category: category || DEFAULT_CATEGORY,
+                    collections: selectedCollections,
                 }),
             });
             const data = await res.json();
             if (data.success) {
+                setDuplicate(!!data.duplicate);
                 setSuccess(true);
                 setTimeout(() => close(), 800);
             } else {
@@ -124,7 +157,7 @@ export default function ShareExtensionScreen() {
             <View style={styles.container}>
                 <View style={styles.card}>
                     <Text allowFontScaling={false} style={styles.checkmark}>✓</Text>
-                    <Text allowFontScaling={false} style={styles.successText}>Curated!</Text>
+                    <Text allowFontScaling={false} style={styles.successText}>{duplicate ? 'Already saved' : 'Curated!'}</Text>
                 </View>
             </View>
         );
@@ -175,7 +208,7 @@ export default function ShareExtensionScreen() {
                 {/* Category pills */}
                 <Text allowFontScaling={false} style={[styles.label, { marginTop: 16 }]}>CATEGORY</Text>
                 <View style={styles.categoryGrid}>
-                    {CATEGORIES.map(cat => (
+                    {categories.map(cat => (
                         <TouchableOpacity
                             key={cat}
                             style={[
@@ -198,6 +231,33 @@ export default function ShareExtensionScreen() {
                     ))}
                 </View>
 
+                {/* Collection pills, shown once the user has collections; any number can be picked */}
+                {collections.length > 0 && (
+                    <>
+                        <Text allowFontScaling={false} style={styles.label}>COLLECTIONS</Text>
+                        <View style={styles.categoryGrid}>
+                            {collections.map(col => {
+                                const selected = selectedCollections.includes(col.id);
+                                return (
+                                    <TouchableOpacity
+                                        key={col.id}
+                                        style={[styles.categoryBtn, selected && styles.categoryBtnActive]}
+                                        onPress={() => toggleCollection(col.id)}
+                                        activeOpacity={0.7}
+                                    >
+                                        <Text
+                                            allowFontScaling={false}
+                                            style={[styles.categoryBtnText, selected && styles.categoryBtnTextActive]}
+                                        >
+                                            {col.name}
+                                        </Text>
+                                    </TouchableOpacity>
+                                );
+                            })}
+                        </View>
+                    </>
+                )}
+
                 {/* Error message */}
                 {error && (
                     <Text allowFontScaling={false} style={styles.errorText}>{error}</Text>
@@ -4,7 +4,14 @@
 CREATE TABLE IF NOT EXISTS users (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     username TEXT UNIQUE NOT NULL,
-    password_hash TEXT NOT NULL,
+    password_hash TEXT NOT NULL, -- PBKDF2-SHA256 (hex); legacy rows hold SHA-256(password + PASSWORD_SALT)
+    password_salt TEXT, -- Per-user random salt (hex); NULL marks a legacy hash awaiting upgrade on next login
+    password_iterations INTEGER,
+    totp_enabled INTEGER DEFAULT 0, -- 0 = password only, 1 = TOTP code required at login
+    totp_secret TEXT, -- Base32 secret of the active authenticator
+    totp_pending_secret TEXT, -- Secret from an enrollment that hasn't been confirmed with a code yet
+    totp_last_used_step INTEGER, -- Time step of the last accepted code, so a code can't be replayed
+    auto_read_progress REAL, -- Reading progress (0-1) at which links are marked read; NULL = only by hand
     user_hash TEXT NOT NULL, -- For backward compatibility with existing system
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
@@ -15,22 +22,246 @@ CREATE TABLE IF NOT EXISTS links (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     user_id INTEGER NOT NULL,
     url TEXT NOT NULL,
+    canonical_url TEXT, -- Duplicate key (see src/urls.js); NULL for links saved before it was recorded
     title TEXT NOT NULL,
-    category TEXT DEFAULT 'general',
+    category TEXT DEFAULT 'Other', -- Name of one of the user's categories
     is_read INTEGER DEFAULT 0, -- 0 = unread, 1 = read
     is_favorite INTEGER DEFAULT 0, -- 0 = not favorite, 1 = favorite
     domain TEXT,
+    note TEXT, -- The user's own markdown note about the link
     date_added DATETIME DEFAULT CURRENT_TIMESTAMP,
     timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+    deleted_at DATETIME, -- Set while the link is in the trash; purged 30 days later (see purgeExpiredTrash)
+    read_progress REAL NOT NULL DEFAULT 0, -- Furthest point read in the in-app viewer, 0-1 of the page
+    read_position REAL NOT NULL DEFAULT 0, -- Where the viewer was last left, 0-1 of the page, to reopen it there
+    read_seconds INTEGER NOT NULL DEFAULT 0, -- Time spent reading in the viewer
+    last_read_at DATETIME, -- When progress was last reported
     FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
 );
 
+-- Free-form tags. Each user has their own set; names are matched case-insensitively, and a tag is deleted
+-- once no link uses it.
+CREATE TABLE IF NOT EXISTS tags (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    name TEXT NOT NULL COLLATE NOCASE,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, name),
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
+-- Each user's link categories, in the order they list them. Names are matched case-insensitively; links
+-- store the name, so renaming a category renames it on its links too. color is one of CATEGORY_COLORS
+-- (src/database.js). Other always exists and takes the links of deleted categories.
+CREATE TABLE IF NOT EXISTS categories (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    name TEXT NOT NULL COLLATE NOCASE,
+    color TEXT NOT NULL DEFAULT 'gray',
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, name),
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
+-- Named collections of links, in the order the user lists them. Unlike a category, a link can be in any
+-- number of collections; names are matched case-insensitively.
+CREATE TABLE IF NOT EXISTS collections (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    name TEXT NOT NULL COLLATE NOCASE,
+    description TEXT NOT NULL DEFAULT '',
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, name),
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
+-- Which links are in which collections. position is the link's place in the collection's own order; links
+-- are added at the end, and links in the trash keep their place until they are purged.
+CREATE TABLE IF NOT EXISTS collection_links (
+    collection_id INTEGER NOT NULL,
+    link_id INTEGER NOT NULL,
+    position INTEGER NOT NULL,
+    added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (collection_id, link_id),
+    FOREIGN KEY (collection_id) REFERENCES collections (id) ON DELETE CASCADE,
+    FOREIGN KEY (link_id) REFERENCES links (id) ON DELETE CASCADE
+);
+
+-- Categories and collections published as read-only pages and feeds at /list/<slug>. Each row is for exactly
+-- one of the two. Unpublishing deletes the row and a new slug replaces the old one, so old addresses stop working.
+CREATE TABLE IF NOT EXISTS public_lists (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    slug TEXT NOT NULL UNIQUE,
+    category_id INTEGER UNIQUE,
+    collection_id INTEGER UNIQUE,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+    FOREIGN KEY (category_id) REFERENCES categories (id) ON DELETE CASCADE,
+    FOREIGN KEY (collection_id) REFERENCES collections (id) ON DELETE CASCADE
+);
+
+-- Which tags are on which links (many-to-many)
+CREATE TABLE IF NOT EXISTS link_tags (
+    link_id INTEGER NOT NULL,
+    tag_id INTEGER NOT NULL,
+    PRIMARY KEY (link_id, tag_id),
+    FOREIGN KEY (link_id) REFERENCES links (id) ON DELETE CASCADE,
+    FOREIGN KEY (tag_id) REFERENCES tags (id) ON DELETE CASCADE
+);
+
+-- Text highlighted in the in-app link viewer. prefix and suffix hold a little of the surrounding page text,
+-- so the same passage can be found again when the page is reopened.
+CREATE TABLE IF NOT EXISTS highlights (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    link_id INTEGER NOT NULL,
+    text TEXT NOT NULL,
+    prefix TEXT NOT NULL DEFAULT '',
+    suffix TEXT NOT NULL DEFAULT '',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+    FOREIGN KEY (link_id) REFERENCES links (id) ON DELETE CASCADE
+);
+
+-- Full-text search over links (see searchLinks in src/database.js). rowid is the link id; the triggers below
+-- keep it in step with links. article holds the readable text of the page, filled in shortly after saving.
+CREATE VIRTUAL TABLE IF NOT EXISTS links_fts USING fts5(
+    title, url, domain, note, article,
+    tokenize = 'porter unicode61 remove_diacritics 2'
+);
+
+CREATE TRIGGER IF NOT EXISTS links_fts_insert AFTER INSERT ON links BEGIN
+    INSERT INTO links_fts (rowid, title, url, domain, note, article)
+    VALUES (new.id, new.title, new.url, new.domain, new.note, '');
+END;
+
+CREATE TRIGGER IF NOT EXISTS links_fts_update AFTER UPDATE OF title, url, domain, note ON links BEGIN
+    UPDATE links_fts SET title = new.title, url = new.url, domain = new.domain, note = new.note
+    WHERE rowid = new.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS links_fts_delete AFTER DELETE ON links BEGIN
+    DELETE FROM links_fts WHERE rowid = old.id;
+END;
+
+-- Sessions table: one row per login, referenced by the "sid" claim in auth tokens.
+-- Deleting a row revokes every token issued for that session.
+CREATE TABLE IF NOT EXISTS sessions (
+    id TEXT PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    client_type TEXT NOT NULL DEFAULT 'web', -- web, extension, mobile, share_extension
+    device_name TEXT,
+    user_agent TEXT,
+    ip_address TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
+-- One-time account recovery codes (SHA-256 of the normalized code); used_at is set when a code is redeemed.
+-- Generating a new set deletes the previous one.
+CREATE TABLE IF NOT EXISTS recovery_codes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    code_hash TEXT NOT NULL,
+    used_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
+-- Personal API tokens for scripts and integrations (SHA-256 of the token; the plain value is shown once).
+-- scopes is a space-separated list: links:read, links:write, feeds:read
+CREATE TABLE IF NOT EXISTS api_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    token_hash TEXT UNIQUE NOT NULL,
+    token_hint TEXT NOT NULL, -- Last characters of the token, to tell tokens apart in the list
+    scopes TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_used_at DATETIME,
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
+-- Pending device sign-ins (OAuth 2.0 device authorization grant). The extension or mobile app polls with the
+-- device code (SHA-256 stored); the user approves the short user code from a signed-in dashboard.
+CREATE TABLE IF NOT EXISTS device_codes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    device_code_hash TEXT UNIQUE NOT NULL,
+    user_code TEXT UNIQUE NOT NULL, -- XXXX-XXXX
+    client_type TEXT NOT NULL, -- web, extension, mobile, share_extension
+    device_name TEXT,
+    status TEXT NOT NULL DEFAULT 'pending', -- pending, approved, denied
+    user_id INTEGER, -- Account that answered the request
+    expires_at INTEGER NOT NULL, -- Unix seconds
+    last_polled_at INTEGER, -- Unix seconds
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
+-- Passkeys (WebAuthn credentials) for passwordless sign-in. public_key is the credential's public key as a JWK;
+-- algorithm is its COSE identifier (-7 = ES256, -257 = RS256).
+CREATE TABLE IF NOT EXISTS passkeys (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    credential_id TEXT UNIQUE NOT NULL, -- Base64url, as sent by the authenticator
+    public_key TEXT NOT NULL,
+    algorithm INTEGER NOT NULL,
+    sign_count INTEGER NOT NULL DEFAULT 0,
+    transports TEXT, -- Space-separated hints (internal, hybrid, usb, ...) passed back to the browser
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_used_at DATETIME,
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
+-- Outstanding WebAuthn challenges. Each is deleted when it is used, so a signed response can't be replayed.
+CREATE TABLE IF NOT EXISTS webauthn_challenges (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    challenge TEXT NOT NULL, -- Base64url
+    purpose TEXT NOT NULL, -- register, login
+    user_id INTEGER, -- Account adding a passkey; NULL for sign-in
+    expires_at INTEGER NOT NULL, -- Unix seconds
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
+-- Failed sign-in counters for brute-force protection, keyed by "user:<username>" or "ip:<address>".
+-- Username counters are cleared by a successful sign-in; any counter is dropped after a day without failures.
+CREATE TABLE IF NOT EXISTS auth_failures (
+    throttle_key TEXT PRIMARY KEY,
+    failures INTEGER NOT NULL DEFAULT 0,
+    last_failed_at INTEGER NOT NULL -- Unix seconds
+);
+
 -- Create indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
 CREATE INDEX IF NOT EXISTS idx_users_user_hash ON users(user_hash);
 CREATE INDEX IF NOT EXISTS idx_links_user_id ON links(user_id);
 CREATE INDEX IF NOT EXISTS idx_links_timestamp ON links(timestamp);
 CREATE INDEX IF NOT EXISTS idx_links_is_read ON links(is_read);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_links_user_canonical_url ON links(user_id, canonical_url);
+-- Composite indexes for the filters and sort orders of GET /api/links; each ends in id, the paging tie-breaker
+CREATE INDEX IF NOT EXISTS idx_links_user_timestamp ON links(user_id, timestamp, id);
+CREATE INDEX IF NOT EXISTS idx_links_user_read_timestamp ON links(user_id, is_read, timestamp, id);
+CREATE INDEX IF NOT EXISTS idx_links_user_favorite_timestamp ON links(user_id, is_favorite, timestamp, id);
+CREATE INDEX IF NOT EXISTS idx_links_user_category_timestamp ON links(user_id, category COLLATE NOCASE, timestamp, id);
+CREATE INDEX IF NOT EXISTS idx_links_user_domain_timestamp ON links(user_id, domain, timestamp, id);
+CREATE INDEX IF NOT EXISTS idx_links_user_title ON links(user_id, title COLLATE NOCASE, id);
+CREATE INDEX IF NOT EXISTS idx_links_deleted_at ON links(deleted_at);
+CREATE INDEX IF NOT EXISTS idx_link_tags_tag_id ON link_tags(tag_id);
+CREATE INDEX IF NOT EXISTS idx_collection_links_link_id ON collection_links(link_id);
+CREATE INDEX IF NOT EXISTS idx_public_lists_user_id ON public_lists(user_id);
+CREATE INDEX IF NOT EXISTS idx_highlights_link_id ON highlights(link_id);
+CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_recovery_codes_user_id ON recovery_codes(user_id);
+CREATE INDEX IF NOT EXISTS idx_api_tokens_user_id ON api_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_device_codes_expires_at ON device_codes(expires_at);
+CREATE INDEX IF NOT EXISTS idx_passkeys_user_id ON passkeys(user_id);
+CREATE INDEX IF NOT EXISTS idx_webauthn_challenges_expires_at ON webauthn_challenges(expires_at);
+CREATE INDEX IF NOT EXISTS idx_auth_failures_last_failed_at ON auth_failures(last_failed_at);
 
 -- Create a view for easy link retrieval with user info
 CREATE VIEW IF NOT EXISTS user_links AS
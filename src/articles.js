@@ -0,0 +1,80 @@
+/**
+ * Readable text of saved pages, for full-text search. Markup, scripts and page chrome (navigation,
+ * headers, footers, sidebars) are dropped so only the article itself is indexed.
+ */
+
+/** Longest article text kept per link; plenty for any article while keeping the search index small. */
+const MAX_ARTICLE_TEXT_LENGTH = 100000;
+
+/** Longest part of a page that is read; article text sits well within it. */
+const MAX_HTML_LENGTH = 2000000;
+
+/** Time allowed to download a page. */
+const FETCH_TIMEOUT_MS = 10000;
+
+/** Elements whose content is never part of the article. */
+const NON_CONTENT_ELEMENTS = ['script', 'style', 'noscript', 'template', 'svg', 'iframe', 'form', 'nav', 'header', 'footer', 'aside'];
+
+/** Named character references decoded in article text; anything rarer is left as written. */
+const HTML_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  hellip: '…', mdash: '—', ndash: '–', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”'
+};
+
+/**
+ * Decodes numeric and common named character references.
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+    }
+    return HTML_ENTITIES[name.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Reduces an HTML page to its readable text. The page's <article> or <main> element is used when it
+ * has one, otherwise the whole <body>.
+ * @param {string} html
+ * @returns {string} Plain text with whitespace collapsed, at most MAX_ARTICLE_TEXT_LENGTH characters
+ */
+export function extractArticleText(html) {
+  let content = html.replace(/<!--[\s\S]*?-->/g, ' ');
+  for (const tag of NON_CONTENT_ELEMENTS) {
+    content = content.replace(new RegExp(`<${tag}\\b[\\s\\S]*?<\\/${tag}\\s*>`, 'gi'), ' ');
+  }
+
+  const main = content.match(/<article\b[\s\S]*<\/article\s*>/i)
+    || content.match(/<main\b[\s\S]*<\/main\s*>/i)
+    || content.match(/<body\b[\s\S]*<\/body\s*>/i);
+
+  const text = decodeEntities((main ? main[0] : content).replace(/<[^>]*>/g, ' '));
+  return text.replace(/\s+/g, ' ').trim().substring(0, MAX_ARTICLE_TEXT_LENGTH);
+}
+
+/**
+ * Downloads a page and extracts its article text.
+ * @param {string} url
+ * @returns {Promise<string|null>} null if the page can't be fetched or isn't HTML
+ */
+export async function fetchArticleText(url) {
+  try {
+    const response = await fetch(url, {
+      method: 'GET',
+      headers: { 'User-Agent': 'Mozilla/5.0 (compatible; KurateBot/1.0)' },
+      signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+    });
+
+    const contentType = response.headers.get('Content-Type') || '';
+    if (!response.ok || !contentType.includes('html')) return null;
+
+    const html = await response.text();
+    return extractArticleText(html.substring(0, MAX_HTML_LENGTH));
+  } catch (error) {
+    return null;
+  }
+}
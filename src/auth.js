@@ -1,42 +1,207 @@
 import {
   createUser,
   getUserByUsername,
+  getUserById,
   verifyUserPassword,
   updateUserPassword,
   updateUsername,
-  deleteUser
+  deleteUser,
+  getUserDataExport,
+  createSession,
+  getSession,
+  touchSession,
+  getUserSessions,
+  deleteSession,
+  deleteUserSessions,
+  createRecoveryCodes,
+  useRecoveryCode,
+  countRecoveryCodes,
+  getTotpSettings,
+  setPendingTotpSecret,
+  enableTotp,
+  disableTotp,
+  recordTotpStep,
+  createApiToken,
+  getApiToken,
+  touchApiToken,
+  getUserApiTokens,
+  deleteApiToken,
+  getAuthFailures,
+  recordAuthFailures,
+  clearAuthFailures,
+  createDeviceCode,
+  getPendingDeviceCode,
+  resolveDeviceCode,
+  pollDeviceCode,
+  deleteDeviceCode,
+  createWebAuthnChallenge,
+  consumeWebAuthnChallenge,
+  createPasskey,
+  getPasskeyByCredentialId,
+  touchPasskey,
+  getUserPasskeys,
+  deletePasskey,
+  API_TOKEN_PREFIX
 } from './database.js';
 import { CORS_HEADERS, createResponse, createErrorResponse } from './constants.js';
+import { generateTotpSecret, getTotpUri, verifyTotp, isTotpCode } from './totp.js';
+import { generateChallenge, encodeUserHandle, verifyRegistration, verifyAuthentication, PASSKEY_ALGORITHMS } from './webauthn.js';
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/** Access tokens are valid for 7 days after issue. */
+const TOKEN_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+/** Expired tokens can still be exchanged at /api/auth/refresh for 30 days after expiry. */
+const TOKEN_REFRESH_GRACE_SECONDS = 30 * 24 * 60 * 60;
+
+const TOKEN_HEADER = { alg: 'HS256', typ: 'JWT' };
+
+/** Client types a session can be tagged with; anything else is recorded as 'web'. */
+const CLIENT_TYPES = ['web', 'extension', 'mobile', 'share_extension'];
+
+/** Only write last_seen_at / last_used_at when it is older than this, to avoid a D1 write on every request. */
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+/** Scopes a personal API token can be granted. Session tokens implicitly have all of them. */
+const API_TOKEN_SCOPES = ['links:read', 'links:write', 'feeds:read'];
+
+/** Maximum number of personal API tokens per user. */
+const MAX_API_TOKENS = 20;
+
+/** Failed attempts allowed before lockouts start, per username and per client IP (higher, since an IP can be shared). */
+const AUTH_FREE_ATTEMPTS = { user: 5, ip: 20 };
+
+/** The first lockout lasts this long and doubles with every further failure, up to AUTH_MAX_LOCKOUT_SECONDS. */
+const AUTH_BASE_LOCKOUT_SECONDS = 30;
+
+const AUTH_MAX_LOCKOUT_SECONDS = 60 * 60;
+
+/** Failure counters are forgotten after a day without failures. */
+const AUTH_FAILURE_WINDOW_SECONDS = 24 * 60 * 60;
+
+/** How long a device sign-in request can be approved for. */
+const DEVICE_CODE_TTL_SECONDS = 10 * 60;
+
+/** Minimum seconds between polls of /api/auth/device/token; faster polls get slow_down. */
+const DEVICE_POLL_INTERVAL_SECONDS = 5;
+
+/** How long the browser's passkey prompt can stay open before its challenge expires. */
+const PASSKEY_CHALLENGE_TTL_SECONDS = 5 * 60;
+
+/** Maximum number of passkeys per user. */
+const MAX_PASSKEYS = 10;
+
+/** Name shown for Kurate in the browser's passkey prompt. */
+const PASSKEY_RP_NAME = 'Kurate';
+
+/** Returned for an unknown username and a wrong password alike, so responses don't reveal which accounts exist. */
+const INVALID_CREDENTIALS_MESSAGE = 'Invalid username or password';
+
+/**
+ * Encodes bytes as unpadded base64url.
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function base64UrlEncode(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes an unpadded base64url string to bytes.
+ * @param {string} value
+ * @returns {Uint8Array}
+ */
+function base64UrlDecode(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Imports JWT_SECRET as an HMAC-SHA256 key.
+ * @param {string} secret
+ * @returns {Promise<CryptoKey>}
+ */
+function getSigningKey(secret) {
+  return crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign', 'verify']
+  );
+}
 
 /**
- * Generates a base64-encoded auth token from user data.
+ * Generates a signed HS256 token from user data, bound to a server-side session.
  * @param {Object} userData - Must contain username, id, and userHash
- * @returns {string} Base64-encoded token string
+ * @param {Object} env - Cloudflare Worker environment bindings (needs JWT_SECRET)
+ * @param {string} sessionId - ID of the sessions row this token belongs to
+ * @returns {Promise<string>} Signed token string (header.payload.signature)
  */
-function generateToken(userData) {
+async function generateToken(userData, env, sessionId) {
+  if (!env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+
+  const issuedAt = Math.floor(Date.now() / 1000);
   const tokenPayload = {
     username: userData.username,
     userId: userData.id,
     userHash: userData.userHash, // For backward compatibility
-    timestamp: Date.now()
+    sid: sessionId,
+    iat: issuedAt,
+    exp: issuedAt + TOKEN_TTL_SECONDS
   };
-  return btoa(JSON.stringify(tokenPayload));
+
+  const signingInput = base64UrlEncode(encoder.encode(JSON.stringify(TOKEN_HEADER))) + '.' +
+    base64UrlEncode(encoder.encode(JSON.stringify(tokenPayload)));
+  const key = await getSigningKey(env.JWT_SECRET);
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(signingInput));
+
+  return signingInput + '.' + base64UrlEncode(new Uint8Array(signature));
 }
 
 /**
- * Validates a Bearer token from the Authorization header.
- * @param {string|null} authHeader - Authorization header value (e.g. "Bearer <token>")
- * @returns {Object|null} Decoded token data with username/userId, or null if invalid
+ * Verifies a token's signature and decodes its payload. Does not check expiry.
+ * @param {string} token
+ * @param {string} secret - JWT_SECRET
+ * @returns {Promise<Object|null>} Decoded payload, or null if malformed or the signature does not match
  */
-export function validateToken(authHeader) {
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+async function verifyTokenSignature(token, secret) {
+  if (!secret) {
+    return null;
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 3) {
     return null;
   }
 
-  const token = authHeader.substring(7);
   try {
-    const tokenData = JSON.parse(atob(token));
-    if (!tokenData.username || !tokenData.userId) {
+    const key = await getSigningKey(secret);
+    const valid = await crypto.subtle.verify(
+      'HMAC',
+      key,
+      base64UrlDecode(parts[2]),
+      encoder.encode(parts[0] + '.' + parts[1])
+    );
+    if (!valid) {
+      return null;
+    }
+
+    const tokenData = JSON.parse(decoder.decode(base64UrlDecode(parts[1])));
+    if (!tokenData.username || !tokenData.userId || !tokenData.sid || !tokenData.exp) {
       return null;
     }
     return tokenData;
@@ -46,7 +211,354 @@ export function validateToken(authHeader) {
 }
 
 /**
- * Handles POST /api/auth/login — verifies credentials and returns a token.
+ * Extracts the raw token from an Authorization header.
+ * @param {string|null} authHeader
+ * @returns {string|null}
+ */
+function getBearerToken(authHeader) {
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return null;
+  }
+  return authHeader.substring(7);
+}
+
+/**
+ * Tells whether a D1 timestamp is old enough to be worth rewriting.
+ * @param {string|null} timestamp - D1 CURRENT_TIMESTAMP value ("YYYY-MM-DD HH:MM:SS" in UTC), or null if never set
+ * @returns {boolean}
+ */
+function needsTouch(timestamp) {
+  if (!timestamp) {
+    return true;
+  }
+  const lastTouched = Date.parse(timestamp.replace(' ', 'T') + 'Z');
+  return !(Date.now() - lastTouched < SESSION_TOUCH_INTERVAL_MS);
+}
+
+/**
+ * Checks that the session a token was issued for still exists and belongs to the token's user.
+ * @param {Object} env - Cloudflare Worker environment bindings
+ * @param {Object} tokenData - Verified token payload
+ * @returns {Promise<boolean>}
+ */
+async function isSessionActive(env, tokenData) {
+  const session = await getSession(env.DB, tokenData.sid);
+  if (!session || session.user_id !== tokenData.userId) {
+    return false;
+  }
+
+  if (needsTouch(session.last_seen_at)) {
+    await touchSession(env.DB, session.id);
+  }
+  return true;
+}
+
+/**
+ * Validates a personal API token against the scope an endpoint needs.
+ * @param {Object} env - Cloudflare Worker environment bindings
+ * @param {string} token - Plain-text API token
+ * @param {string|null} scope - Required scope; null means the endpoint needs a signed-in session
+ * @returns {Promise<Object|null>} Token data with username/userId/apiTokenId/scopes, or null if invalid or out of scope
+ */
+async function validateApiToken(env, token, scope) {
+  if (!scope) {
+    return null;
+  }
+
+  const apiToken = await getApiToken(env.DB, token);
+  if (!apiToken || !apiToken.scopes.includes(scope)) {
+    return null;
+  }
+
+  if (needsTouch(apiToken.lastUsedAt)) {
+    await touchApiToken(env.DB, apiToken.id);
+  }
+  return {
+    username: apiToken.username,
+    userId: apiToken.userId,
+    apiTokenId: apiToken.id,
+    scopes: apiToken.scopes
+  };
+}
+
+/**
+ * Validates a Bearer token from the Authorization header. Signed session tokens are checked for
+ * signature, expiry, and that their session hasn't been revoked. Personal API tokens are accepted
+ * only when the caller names a scope the token was granted, so account endpoints stay session-only.
+ * @param {string|null} authHeader - Authorization header value (e.g. "Bearer <token>")
+ * @param {Object} env - Cloudflare Worker environment bindings (needs JWT_SECRET and DB)
+ * @param {string|null} [scope=null] - Scope required from a personal API token, e.g. 'links:read'
+ * @returns {Promise<Object|null>} Decoded token data with username/userId (plus sid or apiTokenId), or null if invalid
+ */
+export async function validateToken(authHeader, env, scope = null) {
+  const token = getBearerToken(authHeader);
+  if (!token) {
+    return null;
+  }
+
+  if (token.startsWith(API_TOKEN_PREFIX)) {
+    return validateApiToken(env, token, scope);
+  }
+
+  const tokenData = await verifyTokenSignature(token, env.JWT_SECRET);
+  if (!tokenData || tokenData.exp <= Math.floor(Date.now() / 1000)) {
+    return null;
+  }
+
+  if (!await isSessionActive(env, tokenData)) {
+    return null;
+  }
+  return tokenData;
+}
+
+/**
+ * Creates a session for a freshly authenticated user and issues a token bound to it.
+ * Client type and device name come from the login request body; user agent and IP from the request.
+ * @param {Request} request
+ * @param {Object} env - Cloudflare Worker environment bindings
+ * @param {Object} user - Must contain username, id, and userHash
+ * @param {Object} requestData - Parsed request body ({ clientType?, deviceName? })
+ * @returns {Promise<{token: string, sessionId: string}>}
+ */
+async function startSession(request, env, user, requestData) {
+  const { clientType, deviceName } = requestData;
+
+  const result = await createSession(env.DB, user.id, {
+    clientType: CLIENT_TYPES.includes(clientType) ? clientType : 'web',
+    deviceName: typeof deviceName === 'string' ? deviceName.trim().substring(0, 100) : null,
+    userAgent: (request.headers.get('User-Agent') || '').substring(0, 300),
+    ipAddress: request.headers.get('CF-Connecting-IP')
+  });
+
+  if (!result.success) {
+    throw new Error(result.error || 'Failed to create session');
+  }
+
+  const token = await generateToken(user, env, result.sessionId);
+  return { token, sessionId: result.sessionId };
+}
+
+/**
+ * Checks the second factor for a user with two-factor enabled. Accepts a code from the
+ * authenticator app or, for someone who has lost their device, an unused recovery code.
+ * @param {Object} env - Cloudflare Worker environment bindings
+ * @param {number} userId
+ * @param {string} code - TOTP code or recovery code
+ * @returns {Promise<boolean>}
+ */
+async function verifySecondFactor(env, userId, code) {
+  if (!isTotpCode(code)) {
+    const result = await useRecoveryCode(env.DB, userId, code);
+    return result.success;
+  }
+
+  const settings = await getTotpSettings(env.DB, userId);
+  if (!settings || !settings.enabled || !settings.secret) {
+    return false;
+  }
+
+  const step = await verifyTotp(settings.secret, code, settings.lastUsedStep);
+  return step !== null && await recordTotpStep(env.DB, userId, step);
+}
+
+/**
+ * Builds the brute-force throttle keys for a sign-in attempt: the username (whether or not it exists) and the client IP.
+ * @param {Request} request
+ * @param {string} username
+ * @returns {string[]}
+ */
+function getThrottleKeys(request, username) {
+  const keys = ['user:' + String(username).toLowerCase()];
+  const ipAddress = request.headers.get('CF-Connecting-IP');
+  if (ipAddress) {
+    keys.push('ip:' + ipAddress);
+  }
+  return keys;
+}
+
+/**
+ * Works out how long sign-in attempts for these throttle keys are locked out. Once a key has used its
+ * free attempts, each failure locks it for AUTH_BASE_LOCKOUT_SECONDS, doubling per further failure.
+ * @param {Object} env - Cloudflare Worker environment bindings
+ * @param {string[]} keys - From getThrottleKeys
+ * @returns {Promise<number>} Seconds until the next attempt is allowed, or 0 if it is allowed now
+ */
+async function getLockoutSeconds(env, keys) {
+  const now = Math.floor(Date.now() / 1000);
+  const rows = await getAuthFailures(env.DB, keys);
+
+  let remaining = 0;
+  for (const row of rows) {
+    const excess = row.failures - AUTH_FREE_ATTEMPTS[row.key.split(':')[0]];
+    if (excess < 0) {
+      continue;
+    }
+    const lockout = Math.min(AUTH_BASE_LOCKOUT_SECONDS * 2 ** excess, AUTH_MAX_LOCKOUT_SECONDS);
+    remaining = Math.max(remaining, row.lastFailedAt + lockout - now);
+  }
+  return remaining;
+}
+
+/**
+ * Builds the 429 returned while sign-in attempts are locked out.
+ * @param {number} seconds - Seconds until the next attempt is allowed
+ * @returns {Response}
+ */
+function createLockedOutResponse(seconds) {
+  const minutes = Math.ceil(seconds / 60);
+  const response = createErrorResponse(`Too many failed attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`, 429);
+  response.headers.set('Retry-After', String(seconds));
+  return response;
+}
+
+/**
+ * Checks a user's password under the sign-in throttle, so no endpoint that asks for the password can be
+ * used to keep guessing it. Failures count against the username and client IP. A success doesn't clear
+ * them: the caller does, once any second factor has been checked too.
+ * @param {Request} request
+ * @param {Object} env - Cloudflare Worker environment bindings
+ * @param {string} username
+ * @param {string} password
+ * @param {string} failureMessage - Error returned with the 401 for a wrong password
+ * @returns {Promise<{response?: Response, user?: Object, throttleKeys?: string[]}>} response is set when the
+ *   check failed or is locked out, and should be returned as is; otherwise user is the verified user
+ */
+async function checkPassword(request, env, username, password, failureMessage) {
+  const throttleKeys = getThrottleKeys(request, username);
+  const lockoutSeconds = await getLockoutSeconds(env, throttleKeys);
+  if (lockoutSeconds > 0) {
+    return { response: createLockedOutResponse(lockoutSeconds) };
+  }
+
+  const authResult = await verifyUserPassword(env.DB, username, password, env.PASSWORD_SALT);
+  if (!authResult.success) {
+    await recordAuthFailures(env.DB, throttleKeys, AUTH_FAILURE_WINDOW_SECONDS);
+    return { response: createErrorResponse(failureMessage, 401) };
+  }
+
+  return { user: authResult.user, throttleKeys };
+}
+
+/**
+ * Confirms the signed-in user's password before a sensitive account change, so a stolen token alone
+ * isn't enough to make it.
+ * @param {Request} request
+ * @param {Object} env - Cloudflare Worker environment bindings
+ * @param {Object} tokenData - From validateToken
+ * @param {string} password
+ * @returns {Promise<Response|null>} The error to return, or null if the password is correct
+ */
+async function confirmPassword(request, env, tokenData, password) {
+  const check = await checkPassword(request, env, tokenData.username, password, 'Incorrect password');
+  if (check.response) {
+    return check.response;
+  }
+
+  await clearAuthFailures(env.DB, check.throttleKeys[0]);
+  return null;
+}
+
+/**
+ * Builds a device token polling response that isn't a token. `errorCode` carries the RFC 8628 error
+ * (authorization_pending, slow_down, access_denied, expired_token) so clients know whether to keep polling.
+ * @param {string} errorCode
+ * @param {string} message
+ * @returns {Response}
+ */
+function createDeviceFlowResponse(errorCode, message) {
+  return createResponse({ success: false, error: message, errorCode }, 400);
+}
+
+/**
+ * Builds the 401 returned when a two-factor code is missing or wrong.
+ * Clients use `totpRequired` to show the code prompt instead of a generic error.
+ * @param {string} message
+ * @returns {Response}
+ */
+function createTotpRequiredResponse(message) {
+  return createResponse({ success: false, error: message, totpRequired: true }, 401);
+}
+
+/**
+ * The WebAuthn relying party passkeys are bound to: the host and origin this worker is served from.
+ * @param {Request} request
+ * @returns {{id: string, origin: string}}
+ */
+function getRelyingParty(request) {
+  const url = new URL(request.url);
+  return { id: url.hostname, origin: url.origin };
+}
+
+/**
+ * Signs in with a passkey: POST /api/auth/login with { passkey: { challengeId, credential } } instead of a password.
+ * User verification on the authenticator already makes this two factors, so no TOTP code is asked for,
+ * and an account locked out by failed password guesses can still sign in this way.
+ * @param {Request} request
+ * @param {Object} env - Cloudflare Worker environment bindings
+ * @param {Object} requestData - Parsed login request body
+ * @returns {Promise<Response>}
+ */
+async function signInWithPasskey(request, env, requestData) {
+  const { challengeId, credential } = requestData.passkey;
+
+  if (!challengeId || !credential || typeof credential.id !== 'string') {
+    return createErrorResponse('Passkey response required', 400);
+  }
+
+  const challenge = await consumeWebAuthnChallenge(env.DB, challengeId, 'login');
+  if (!challenge) {
+    return createErrorResponse('Passkey sign-in expired. Please try again.', 401);
+  }
+
+  const passkey = await getPasskeyByCredentialId(env.DB, credential.id);
+  if (!passkey) {
+    return createErrorResponse('Passkey not recognized. Sign in with your password instead.', 401);
+  }
+
+  const rp = getRelyingParty(request);
+  const signCount = await verifyAuthentication(credential, {
+    challenge: challenge.challenge,
+    origin: rp.origin,
+    rpId: rp.id
+  }, passkey);
+
+  if (signCount === null) {
+    return createErrorResponse('Passkey not recognized. Sign in with your password instead.', 401);
+  }
+
+  await touchPasskey(env.DB, passkey.id, signCount);
+  await clearAuthFailures(env.DB, getThrottleKeys(request, passkey.username)[0]);
+
+  const { token, sessionId } = await startSession(request, env, {
+    username: passkey.username,
+    id: passkey.userId,
+    userHash: passkey.userHash
+  }, requestData);
+
+  return withSessionCookie(createResponse({
+    success: true,
+    message: 'Login successful!',
+    user: { username: passkey.username },
+    token: token
+  }), sessionId);
+}
+
+/**
+ * Sets (or clears, when sessionId is null) the session_id cookie used to attribute web analytics events.
+ * @param {Response} response
+ * @param {string|null} sessionId
+ * @returns {Response} The same response
+ */
+function withSessionCookie(response, sessionId) {
+  const maxAge = sessionId ? TOKEN_TTL_SECONDS + TOKEN_REFRESH_GRACE_SECONDS : 0;
+  response.headers.append('Set-Cookie', `session_id=${sessionId || ''}; Path=/; HttpOnly; Secure; SameSite=Lax; Max-Age=${maxAge}`);
+  return response;
+}
+
+/**
+ * Handles POST /api/auth/login — verifies credentials (and the TOTP code, if enabled) and returns a token.
+ * Repeated failures for a username or IP are locked out with exponential backoff.
+ * A body with `passkey` instead of a password signs in with a passkey (see signInWithPasskey).
  * @param {Request} request
  * @param {Object} env - Cloudflare Worker environment bindings
  * @returns {Response}
@@ -59,28 +571,45 @@ export async function handleAuthLogin(request, env) {
   if (request.method === 'POST') {
     try {
       const requestData = await request.json();
-      const { username, password } = requestData;
+      const { username, password, totpCode, passkey } = requestData;
+
+      if (passkey) {
+        return await signInWithPasskey(request, env, requestData);
+      }
 
       if (!username || !password) {
         return createErrorResponse('Username and password required', 400);
       }
 
       // Verify user credentials
-      const authResult = await verifyUserPassword(env.DB, username, password, env.PASSWORD_SALT);
-      
-      if (!authResult.success) {
-        return createErrorResponse(authResult.error, authResult.error === 'User not found' ? 404 : 401);
+      const authResult = await checkPassword(request, env, username, password, INVALID_CREDENTIALS_MESSAGE);
+      if (authResult.response) {
+        return authResult.response;
       }
+      const { throttleKeys } = authResult;
 
-      // Generate token
-      const token = generateToken(authResult.user);
+      // Second step for two-factor accounts: the client re-sends the credentials with the code
+      if (authResult.user.totpEnabled) {
+        if (!totpCode) {
+          return createTotpRequiredResponse('Two-factor code required');
+        }
+        if (!await verifySecondFactor(env, authResult.user.id, totpCode)) {
+          await recordAuthFailures(env.DB, throttleKeys, AUTH_FAILURE_WINDOW_SECONDS);
+          return createTotpRequiredResponse('Invalid two-factor code');
+        }
+      }
 
-      return createResponse({
+      await clearAuthFailures(env.DB, throttleKeys[0]);
+
+      // Start a session and issue a token bound to it
+      const { token, sessionId } = await startSession(request, env, authResult.user, requestData);
+
+      return withSessionCookie(createResponse({
         success: true,
         message: 'Login successful!',
         user: { username: authResult.user.username },
         token: token
-      });
+      }), sessionId);
 
     } catch (error) {
       return createErrorResponse('Authentication failed', 500);
@@ -90,6 +619,62 @@ export async function handleAuthLogin(request, env) {
   return createErrorResponse('Method not allowed', 405);
 }
 
+/**
+ * Handles POST /api/auth/refresh — exchanges a validly signed token for a fresh one.
+ * Accepts tokens up to 30 days past expiry so clients can renew without asking for the password again,
+ * until the session reaches SESSION_MAX_AGE_DAYS (see database.js) and the user has to sign in again.
+ * @param {Request} request
+ * @param {Object} env - Cloudflare Worker environment bindings
+ * @returns {Response}
+ */
+export async function handleAuthRefresh(request, env) {
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { status: 200, headers: CORS_HEADERS });
+  }
+
+  if (request.method === 'POST') {
+    try {
+      const token = getBearerToken(request.headers.get('Authorization'));
+      const tokenData = token ? await verifyTokenSignature(token, env.JWT_SECRET) : null;
+
+      if (!tokenData || tokenData.exp + TOKEN_REFRESH_GRACE_SECONDS <= Math.floor(Date.now() / 1000)) {
+        return createErrorResponse('Unauthorized', 401);
+      }
+
+      // Revoked (logout, device management) and expired sessions can't be renewed
+      const session = await getSession(env.DB, tokenData.sid);
+      if (!session || session.user_id !== tokenData.userId) {
+        return createErrorResponse('Unauthorized', 401);
+      }
+
+      // Re-read the user so deleted accounts can't refresh and renamed users get their current username
+      const user = await getUserById(env.DB, tokenData.userId);
+      if (!user) {
+        return createErrorResponse('Unauthorized', 401);
+      }
+
+      await touchSession(env.DB, session.id);
+
+      const newToken = await generateToken({
+        username: user.username,
+        id: user.id,
+        userHash: user.user_hash
+      }, env, session.id);
+
+      return createResponse({
+        success: true,
+        user: { username: user.username },
+        token: newToken
+      });
+
+    } catch (error) {
+      return createErrorResponse('Failed to refresh token', 500);
+    }
+  }
+
+  return createErrorResponse('Method not allowed', 405);
+}
+
 /**
  * Handles POST /api/auth/register — creates a new user and returns a token.
  * @param {Request} request
@@ -120,26 +705,30 @@ export async function handleAuthRegister(request, env) {
       }
 
       // Create user in D1 database
-      const result = await createUser(env.DB, username, password, env.PASSWORD_SALT);
+      const result = await createUser(env.DB, username, password);
 
       if (!result.success) {
         return createErrorResponse(result.error, result.error === 'Username already exists' ? 409 : 500);
       }
 
-      // Generate token for immediate login
+      // Start a session for immediate login
       const userData = {
         username: username,
         id: result.userId,
         userHash: result.userHash
       };
-      const token = generateToken(userData);
+      const { token, sessionId } = await startSession(request, env, userData, requestData);
 
-      return createResponse({
+      // Recovery codes are the only way back in without the password, so hand them out up front
+      const recovery = await createRecoveryCodes(env.DB, result.userId);
+
+      return withSessionCookie(createResponse({
         success: true,
         message: 'Account created successfully!',
         user: { username: username },
-        token: token
-      });
+        token: token,
+        recoveryCodes: recovery.success ? recovery.codes : []
+      }), sessionId);
 
     } catch (error) {
       return createErrorResponse('Failed to create account', 500);
@@ -163,7 +752,7 @@ export async function handlePasswordReset(request, env) {
   if (request.method === 'POST') {
     try {
       const requestData = await request.json();
-      const { username, currentPassword, newPassword } = requestData;
+      const { username, currentPassword, newPassword, totpCode } = requestData;
 
       if (!username || !currentPassword || !newPassword) {
         return createErrorResponse('Username, current password, and new password are required', 400);
@@ -174,34 +763,48 @@ export async function handlePasswordReset(request, env) {
       }
 
       // Verify current password first
-      const authResult = await verifyUserPassword(env.DB, username, currentPassword, env.PASSWORD_SALT);
-      if (!authResult.success) {
-        return createErrorResponse(authResult.error === 'User not found' ? 'User not found' : 'Current password is incorrect', authResult.error === 'User not found' ? 404 : 401);
+      const authResult = await checkPassword(request, env, username, currentPassword, INVALID_CREDENTIALS_MESSAGE);
+      if (authResult.response) {
+        return authResult.response;
       }
 
-      const user = authResult.user;
+      const { user, throttleKeys } = authResult;
+
+      // The reset signs the user in, so it needs the same second factor as login
+      if (user.totpEnabled) {
+        if (!totpCode) {
+          return createTotpRequiredResponse('Two-factor code required');
+        }
+        if (!await verifySecondFactor(env, user.id, totpCode)) {
+          await recordAuthFailures(env.DB, throttleKeys, AUTH_FAILURE_WINDOW_SECONDS);
+          return createTotpRequiredResponse('Invalid two-factor code');
+        }
+      }
+
+      await clearAuthFailures(env.DB, throttleKeys[0]);
 
       // Update password
-      const result = await updateUserPassword(env.DB, username, newPassword, env.PASSWORD_SALT);
+      const result = await updateUserPassword(env.DB, username, newPassword);
 
       if (!result.success) {
         return createErrorResponse('Failed to reset password', 500);
       }
 
-      // Generate token for immediate login
+      // A password change signs out every existing session, then starts a new one for immediate login
+      await deleteUserSessions(env.DB, user.id);
       const userData = {
         username: user.username,
         id: user.id,
-        userHash: user.user_hash
+        userHash: user.userHash
       };
-      const token = generateToken(userData);
+      const { token, sessionId } = await startSession(request, env, userData, requestData);
 
-      return createResponse({
+      return withSessionCookie(createResponse({
         success: true,
         message: 'Password reset successfully!',
         user: { username: user.username },
         token: token
-      });
+      }), sessionId);
 
     } catch (error) {
       return createErrorResponse('Failed to reset password', 500);
@@ -212,50 +815,152 @@ export async function handlePasswordReset(request, env) {
 }
 
 /**
- * Handles POST /api/auth/update-username — updates username for authenticated user.
+ * Handles POST /api/auth/recover — resets a forgotten password using a one-time recovery code.
+ * Every existing session is signed out and the redeemed code can't be used again. The user is signed
+ * straight in unless two-factor is on: then there is no token, and signing in takes the new password
+ * and a second factor, so one leaked code can't stand in for both.
  * @param {Request} request
  * @param {Object} env - Cloudflare Worker environment bindings
  * @returns {Response}
  */
-export async function handleUpdateUsername(request, env) {
+export async function handleAccountRecovery(request, env) {
   if (request.method === 'OPTIONS') {
     return new Response(null, { status: 200, headers: CORS_HEADERS });
   }
 
   if (request.method === 'POST') {
     try {
-      const tokenData = validateToken(request.headers.get('Authorization'));
-      if (!tokenData) {
-        return createErrorResponse('Unauthorized', 401);
+      const requestData = await request.json();
+      const { username, recoveryCode, newPassword } = requestData;
+
+      if (!username || !recoveryCode || !newPassword) {
+        return createErrorResponse('Username, recovery code, and new password are required', 400);
       }
 
-      const { newUsername } = await request.json();
+      if (newPassword.length < 6) {
+        return createErrorResponse('Password must be at least 6 characters long', 400);
+      }
 
-      if (!newUsername || newUsername.length < 3) {
-        return createErrorResponse('Username must be at least 3 characters long', 400);
+      const throttleKeys = getThrottleKeys(request, username);
+      const lockoutSeconds = await getLockoutSeconds(env, throttleKeys);
+      if (lockoutSeconds > 0) {
+        return createLockedOutResponse(lockoutSeconds);
       }
 
-      const result = await updateUsername(env.DB, tokenData.userId, newUsername);
+      // Same response for an unknown user and a wrong code
+      const user = await getUserByUsername(env.DB, username);
+      const redeemed = user ? await useRecoveryCode(env.DB, user.id, recoveryCode) : { success: false };
+      if (!redeemed.success) {
+        await recordAuthFailures(env.DB, throttleKeys, AUTH_FAILURE_WINDOW_SECONDS);
+        return createErrorResponse('Invalid username or recovery code', 401);
+      }
+
+      await clearAuthFailures(env.DB, throttleKeys[0]);
+
+      const result = await updateUserPassword(env.DB, user.username, newPassword);
 
       if (!result.success) {
-        return createErrorResponse(result.error || 'Failed to update username', result.error === 'Username already exists' ? 409 : 500);
+        return createErrorResponse('Failed to reset password', 500);
       }
 
-      const newToken = generateToken({
-        username: newUsername,
-        id: tokenData.userId,
-        userHash: tokenData.userHash
+      await deleteUserSessions(env.DB, user.id);
+      const recovery = await countRecoveryCodes(env.DB, user.id);
+      const remainingRecoveryCodes = recovery.success ? recovery.remaining : 0;
+
+      if (user.totp_enabled) {
+        return createResponse({
+          success: true,
+          message: 'Password reset. Sign in with your new password and a two-factor code.',
+          user: { username: user.username },
+          remainingRecoveryCodes
+        });
+      }
+
+      const { token, sessionId } = await startSession(request, env, {
+        username: user.username,
+        id: user.id,
+        userHash: user.user_hash
+      }, requestData);
+
+      return withSessionCookie(createResponse({
+        success: true,
+        message: 'Password reset successfully!',
+        user: { username: user.username },
+        token: token,
+        remainingRecoveryCodes
+      }), sessionId);
+
+    } catch (error) {
+      return createErrorResponse('Failed to reset password', 500);
+    }
+  }
+
+  return createErrorResponse('Method not allowed', 405);
+}
+
+/**
+ * Handles GET/POST on /api/auth/recovery-codes — GET returns how many unused codes remain,
+ * POST (with the current password) replaces them with a new set and returns the codes once.
+ * @param {Request} request
+ * @param {Object} env - Cloudflare Worker environment bindings
+ * @returns {Response}
+ */
+export async function handleRecoveryCodes(request, env) {
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { status: 200, headers: CORS_HEADERS });
+  }
+
+  const tokenData = await validateToken(request.headers.get('Authorization'), env);
+  if (!tokenData) {
+    return createErrorResponse('Unauthorized', 401);
+  }
+
+  if (request.method === 'GET') {
+    try {
+      const result = await countRecoveryCodes(env.DB, tokenData.userId);
+
+      if (!result.success) {
+        return createErrorResponse('Failed to fetch recovery codes', 500);
+      }
+
+      return createResponse({
+        success: true,
+        remaining: result.remaining
       });
 
+    } catch (error) {
+      return createErrorResponse('Failed to fetch recovery codes', 500);
+    }
+  }
+
+  if (request.method === 'POST') {
+    try {
+      const { password } = await request.json();
+
+      if (!password) {
+        return createErrorResponse('Password is required', 400);
+      }
+
+      // A stolen token alone must not be enough to mint codes that can take over the account
+      const passwordError = await confirmPassword(request, env, tokenData, password);
+      if (passwordError) {
+        return passwordError;
+      }
+
+      const result = await createRecoveryCodes(env.DB, tokenData.userId);
+
+      if (!result.success) {
+        return createErrorResponse('Failed to generate recovery codes', 500);
+      }
+
       return createResponse({
         success: true,
-        message: 'Username updated successfully!',
-        user: { username: newUsername },
-        token: newToken
+        message: 'New recovery codes generated. Previous codes no longer work.',
+        codes: result.codes
       });
 
     } catch (error) {
-      return createErrorResponse('Failed to update username', 500);
+      return createErrorResponse('Failed to generate recovery codes', 500);
     }
   }
 
@@ -263,48 +968,270 @@ export async function handleUpdateUsername(request, env) {
 }
 
 /**
- * Handles POST /api/auth/delete-account — permanently deletes user and all their data.
+ * Handles GET/POST/DELETE on /api/auth/totp — two-factor status, enrollment, and removal.
+ * GET returns { enabled, pending }. POST (with the current password) creates a new secret and
+ * returns it with an otpauth:// URI; it only takes effect once confirmed via /api/auth/totp/verify,
+ * so regenerating keeps the old authenticator working until then. DELETE (with the password and a
+ * totpCode, from the authenticator app or a recovery code) turns two-factor off.
  * @param {Request} request
  * @param {Object} env - Cloudflare Worker environment bindings
  * @returns {Response}
  */
-export async function handleDeleteAccount(request, env) {
+export async function handleTotp(request, env) {
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { status: 200, headers: CORS_HEADERS });
+  }
+
+  const tokenData = await validateToken(request.headers.get('Authorization'), env);
+  if (!tokenData) {
+    return createErrorResponse('Unauthorized', 401);
+  }
+
+  if (request.method === 'GET') {
+    try {
+      const settings = await getTotpSettings(env.DB, tokenData.userId);
+
+      if (!settings) {
+        return createErrorResponse('Failed to fetch two-factor status', 500);
+      }
+
+      return createResponse({
+        success: true,
+        enabled: settings.enabled,
+        pending: !!settings.pendingSecret
+      });
+
+    } catch (error) {
+      return createErrorResponse('Failed to fetch two-factor status', 500);
+    }
+  }
+
+  if (request.method === 'POST' || request.method === 'DELETE') {
+    try {
+      const { password, totpCode } = await request.json();
+
+      if (!password) {
+        return createErrorResponse('Password is required', 400);
+      }
+
+      const authResult = await checkPassword(request, env, tokenData.username, password, 'Incorrect password');
+      if (authResult.response) {
+        return authResult.response;
+      }
+
+      // The password is only the first factor, so turning two-factor off takes the second one as well
+      if (request.method === 'DELETE' && authResult.user.totpEnabled) {
+        if (!totpCode) {
+          return createTotpRequiredResponse('Two-factor code required');
+        }
+        if (!await verifySecondFactor(env, authResult.user.id, totpCode)) {
+          await recordAuthFailures(env.DB, authResult.throttleKeys, AUTH_FAILURE_WINDOW_SECONDS);
+          return createTotpRequiredResponse('Invalid two-factor code');
+        }
+      }
+
+      await clearAuthFailures(env.DB, authResult.throttleKeys[0]);
+
+      if (request.method === 'DELETE') {
+        const result = await disableTotp(env.DB, tokenData.userId);
+
+        if (!result.success) {
+          return createErrorResponse('Failed to disable two-factor authentication', 500);
+        }
+
+        return createResponse({
+          success: true,
+          message: 'Two-factor authentication disabled'
+        });
+      }
+
+      const secret = generateTotpSecret();
+      const result = await setPendingTotpSecret(env.DB, tokenData.userId, secret);
+
+      if (!result.success) {
+        return createErrorResponse('Failed to start two-factor setup', 500);
+      }
+
+      return createResponse({
+        success: true,
+        secret: secret,
+        uri: getTotpUri(secret, tokenData.username)
+      });
+
+    } catch (error) {
+      return createErrorResponse('Failed to update two-factor authentication', 500);
+    }
+  }
+
+  return createErrorResponse('Method not allowed', 405);
+}
+
+/**
+ * Handles POST /api/auth/totp/verify — confirms a pending TOTP secret with a code from the
+ * authenticator app and turns two-factor on.
+ * @param {Request} request
+ * @param {Object} env - Cloudflare Worker environment bindings
+ * @returns {Response}
+ */
+export async function handleTotpVerify(request, env) {
   if (request.method === 'OPTIONS') {
     return new Response(null, { status: 200, headers: CORS_HEADERS });
   }
 
   if (request.method === 'POST') {
     try {
-      const tokenData = validateToken(request.headers.get('Authorization'));
+      const tokenData = await validateToken(request.headers.get('Authorization'), env);
       if (!tokenData) {
         return createErrorResponse('Unauthorized', 401);
       }
 
+      const { code } = await request.json();
+
+      if (!code) {
+        return createErrorResponse('Code is required', 400);
+      }
+
+      const settings = await getTotpSettings(env.DB, tokenData.userId);
+      if (!settings || !settings.pendingSecret) {
+        return createErrorResponse('No two-factor setup in progress', 400);
+      }
+
+      const step = await verifyTotp(settings.pendingSecret, code);
+      if (step === null) {
+        return createErrorResponse('Invalid code. Check the time on your device and try again.', 401);
+      }
+
+      const result = await enableTotp(env.DB, tokenData.userId, step);
+
+      if (!result.success) {
+        return createErrorResponse('Failed to enable two-factor authentication', 500);
+      }
+
+      return createResponse({
+        success: true,
+        message: 'Two-factor authentication enabled'
+      });
+
+    } catch (error) {
+      return createErrorResponse('Failed to enable two-factor authentication', 500);
+    }
+  }
+
+  return createErrorResponse('Method not allowed', 405);
+}
+
+/**
+ * Handles GET/POST/DELETE on /api/auth/passkeys — passkey management for the signed-in user.
+ * GET lists passkeys; POST { password } starts registering a new one and returns the options for
+ * navigator.credentials.create() (finish at /api/auth/passkeys/verify); DELETE ?id= removes one.
+ * @param {Request} request
+ * @param {Object} env - Cloudflare Worker environment bindings
+ * @returns {Response}
+ */
+export async function handlePasskeys(request, env) {
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { status: 200, headers: CORS_HEADERS });
+  }
+
+  const tokenData = await validateToken(request.headers.get('Authorization'), env);
+  if (!tokenData) {
+    return createErrorResponse('Unauthorized', 401);
+  }
+
+  if (request.method === 'GET') {
+    try {
+      const result = await getUserPasskeys(env.DB, tokenData.userId);
+
+      if (!result.success) {
+        return createErrorResponse('Failed to fetch passkeys', 500);
+      }
+
+      return createResponse({
+        success: true,
+        passkeys: result.passkeys.map(({ id, name, createdAt, lastUsedAt }) => ({ id, name, createdAt, lastUsedAt }))
+      });
+
+    } catch (error) {
+      return createErrorResponse('Failed to fetch passkeys', 500);
+    }
+  }
+
+  if (request.method === 'POST') {
+    try {
       const { password } = await request.json();
 
       if (!password) {
-        return createErrorResponse('Password is required to delete account', 400);
+        return createErrorResponse('Password is required', 400);
       }
 
-      // Verify password before deletion
-      const authResult = await verifyUserPassword(env.DB, tokenData.username, password, env.PASSWORD_SALT);
-      if (!authResult.success) {
-        return createErrorResponse('Incorrect password', 401);
+      const passwordError = await confirmPassword(request, env, tokenData, password);
+      if (passwordError) {
+        return passwordError;
       }
 
-      const result = await deleteUser(env.DB, tokenData.userId);
+      const existing = await getUserPasskeys(env.DB, tokenData.userId);
+      if (existing.passkeys.length >= MAX_PASSKEYS) {
+        return createErrorResponse(`You can have at most ${MAX_PASSKEYS} passkeys. Remove one first.`, 400);
+      }
+
+      const challenge = generateChallenge();
+      const result = await createWebAuthnChallenge(env.DB, challenge, 'register', tokenData.userId, PASSKEY_CHALLENGE_TTL_SECONDS);
 
       if (!result.success) {
-        return createErrorResponse('Failed to delete account', 500);
+        return createErrorResponse('Failed to start passkey setup', 500);
       }
 
+      const rp = getRelyingParty(request);
+
       return createResponse({
         success: true,
-        message: 'Account deleted successfully'
+        challengeId: result.challengeId,
+        publicKey: {
+          challenge: challenge,
+          rp: { id: rp.id, name: PASSKEY_RP_NAME },
+          user: { id: encodeUserHandle(tokenData.userId), name: tokenData.username, displayName: tokenData.username },
+          pubKeyCredParams: PASSKEY_ALGORITHMS.map(alg => ({ type: 'public-key', alg })),
+          timeout: PASSKEY_CHALLENGE_TTL_SECONDS * 1000,
+          attestation: 'none',
+          authenticatorSelection: { residentKey: 'required', requireResidentKey: true, userVerification: 'required' },
+          excludeCredentials: existing.passkeys.map(passkey => ({
+            type: 'public-key',
+            id: passkey.credentialId,
+            transports: passkey.transports
+          }))
+        }
       });
 
     } catch (error) {
-      return createErrorResponse('Failed to delete account', 500);
+      return createErrorResponse('Failed to start passkey setup', 500);
+    }
+  }
+
+  if (request.method === 'DELETE') {
+    try {
+      const passkeyId = new URL(request.url).searchParams.get('id');
+
+      if (!passkeyId) {
+        return createErrorResponse('Passkey ID is required', 400);
+      }
+
+      const result = await deletePasskey(env.DB, tokenData.userId, passkeyId);
+
+      if (!result.success) {
+        return createErrorResponse('Failed to remove passkey', 500);
+      }
+
+      if (result.changes === 0) {
+        return createErrorResponse('Passkey not found', 404);
+      }
+
+      return createResponse({
+        success: true,
+        message: 'Passkey removed'
+      });
+
+    } catch (error) {
+      return createErrorResponse('Failed to remove passkey', 500);
     }
   }
 
@@ -312,23 +1239,660 @@ export async function handleDeleteAccount(request, env) {
 }
 
 /**
- * Handles POST /api/auth/logout — currently client-side only (token removal).
+ * Handles POST /api/auth/passkeys/verify — checks the result of navigator.credentials.create()
+ * against the challenge from /api/auth/passkeys and saves the new passkey.
  * @param {Request} request
  * @param {Object} env - Cloudflare Worker environment bindings
  * @returns {Response}
  */
-export async function handleAuthLogout(request, env) {
+export async function handlePasskeyVerify(request, env) {
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { status: 200, headers: CORS_HEADERS });
+  }
+
+  if (request.method === 'POST') {
+    try {
+      const tokenData = await validateToken(request.headers.get('Authorization'), env);
+      if (!tokenData) {
+        return createErrorResponse('Unauthorized', 401);
+      }
+
+      const { challengeId, credential, name } = await request.json();
+      const passkeyName = typeof name === 'string' ? name.trim() : '';
+
+      if (!passkeyName || passkeyName.length > 50) {
+        return createErrorResponse('Passkey name must be 1-50 characters long', 400);
+      }
+
+      if (!challengeId || !credential) {
+        return createErrorResponse('Passkey response required', 400);
+      }
+
+      const challenge = await consumeWebAuthnChallenge(env.DB, challengeId, 'register');
+      if (!challenge || challenge.userId !== tokenData.userId) {
+        return createErrorResponse('Passkey setup expired. Please try again.', 400);
+      }
+
+      const rp = getRelyingParty(request);
+      const verified = await verifyRegistration(credential, {
+        challenge: challenge.challenge,
+        origin: rp.origin,
+        rpId: rp.id
+      });
+
+      if (!verified) {
+        return createErrorResponse('Could not verify the passkey. Please try again.', 400);
+      }
+
+      const result = await createPasskey(env.DB, tokenData.userId, { ...verified, name: passkeyName });
+
+      if (!result.success) {
+        return createErrorResponse('Failed to save passkey', 500);
+      }
+
+      return createResponse({
+        success: true,
+        message: 'Passkey added',
+        passkey: result.passkey
+      });
+
+    } catch (error) {
+      return createErrorResponse('Failed to save passkey', 500);
+    }
+  }
+
+  return createErrorResponse('Method not allowed', 405);
+}
+
+/**
+ * Handles POST /api/auth/passkeys/challenge — starts a passkey sign-in. Returns the options for
+ * navigator.credentials.get(); the signed response is then sent to /api/auth/login as { passkey }.
+ * No username is needed: the browser offers the passkeys it holds for this site.
+ * @param {Request} request
+ * @param {Object} env - Cloudflare Worker environment bindings
+ * @returns {Response}
+ */
+export async function handlePasskeyChallenge(request, env) {
   if (request.method === 'OPTIONS') {
     return new Response(null, { status: 200, headers: CORS_HEADERS });
   }
 
   if (request.method === 'POST') {
-    // For now, logout is client-side only (remove token)
-    // In the future, we could maintain a token blacklist in D1
-    return createResponse({
-      success: true,
-      message: 'Logged out successfully'
-    });
+    try {
+      const challenge = generateChallenge();
+      const result = await createWebAuthnChallenge(env.DB, challenge, 'login', null, PASSKEY_CHALLENGE_TTL_SECONDS);
+
+      if (!result.success) {
+        return createErrorResponse('Failed to start passkey sign-in', 500);
+      }
+
+      return createResponse({
+        success: true,
+        challengeId: result.challengeId,
+        publicKey: {
+          challenge: challenge,
+          rpId: getRelyingParty(request).id,
+          timeout: PASSKEY_CHALLENGE_TTL_SECONDS * 1000,
+          userVerification: 'required'
+        }
+      });
+
+    } catch (error) {
+      return createErrorResponse('Failed to start passkey sign-in', 500);
+    }
+  }
+
+  return createErrorResponse('Method not allowed', 405);
+}
+
+/**
+ * Handles POST /api/auth/update-username — updates username for authenticated user.
+ * @param {Request} request
+ * @param {Object} env - Cloudflare Worker environment bindings
+ * @returns {Response}
+ */
+export async function handleUpdateUsername(request, env) {
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { status: 200, headers: CORS_HEADERS });
+  }
+
+  if (request.method === 'POST') {
+    try {
+      const tokenData = await validateToken(request.headers.get('Authorization'), env);
+      if (!tokenData) {
+        return createErrorResponse('Unauthorized', 401);
+      }
+
+      const { newUsername } = await request.json();
+
+      if (!newUsername || newUsername.length < 3) {
+        return createErrorResponse('Username must be at least 3 characters long', 400);
+      }
+
+      const result = await updateUsername(env.DB, tokenData.userId, newUsername);
+
+      if (!result.success) {
+        return createErrorResponse(result.error || 'Failed to update username', result.error === 'Username already exists' ? 409 : 500);
+      }
+
+      const newToken = await generateToken({
+        username: newUsername,
+        id: tokenData.userId,
+        userHash: tokenData.userHash
+      }, env, tokenData.sid);
+
+      return createResponse({
+        success: true,
+        message: 'Username updated successfully!',
+        user: { username: newUsername },
+        token: newToken
+      });
+
+    } catch (error) {
+      return createErrorResponse('Failed to update username', 500);
+    }
+  }
+
+  return createErrorResponse('Method not allowed', 405);
+}
+
+/**
+ * Handles POST /api/auth/delete-account — permanently deletes user and all their data.
+ * @param {Request} request
+ * @param {Object} env - Cloudflare Worker environment bindings
+ * @returns {Response}
+ */
+export async function handleDeleteAccount(request, env) {
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { status: 200, headers: CORS_HEADERS });
+  }
+
+  if (request.method === 'POST') {
+    try {
+      const tokenData = await validateToken(request.headers.get('Authorization'), env);
+      if (!tokenData) {
+        return createErrorResponse('Unauthorized', 401);
+      }
+
+      const { password } = await request.json();
+
+      if (!password) {
+        return createErrorResponse('Password is required to delete account', 400);
+      }
+
+      // Verify password before deletion
+      const passwordError = await confirmPassword(request, env, tokenData, password);
+      if (passwordError) {
+        return passwordError;
+      }
+
+      const result = await deleteUser(env.DB, tokenData.userId);
+
+      if (!result.success) {
+        return createErrorResponse('Failed to delete account', 500);
+      }
+
+      return createResponse({
+        success: true,
+        message: 'Account deleted successfully'
+      });
+
+    } catch (error) {
+      return createErrorResponse('Failed to delete account', 500);
+    }
+  }
+
+  return createErrorResponse('Method not allowed', 405);
+}
+
+/**
+ * Handles GET /api/auth/export — downloads a JSON archive of everything stored about the account:
+ * profile, all links with every field, sessions, API tokens, passkeys, and the user's own analytics events.
+ * @param {Request} request
+ * @param {Object} env - Cloudflare Worker environment bindings
+ * @returns {Response}
+ */
+export async function handleAccountExport(request, env) {
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { status: 200, headers: CORS_HEADERS });
+  }
+
+  if (request.method === 'GET') {
+    try {
+      const tokenData = await validateToken(request.headers.get('Authorization'), env);
+      if (!tokenData) {
+        return createErrorResponse('Unauthorized', 401);
+      }
+
+      const result = await getUserDataExport(env.DB, tokenData.userId);
+
+      if (!result.success) {
+        return createErrorResponse('Failed to export account data', 500);
+      }
+
+      const exportedAt = new Date().toISOString();
+      const response = createResponse({
+        success: true,
+        exportedAt: exportedAt,
+        ...result.data
+      });
+      response.headers.set('Content-Disposition', `attachment; filename="kurate-export-${exportedAt.slice(0, 10)}.json"`);
+      return response;
+
+    } catch (error) {
+      return createErrorResponse('Failed to export account data', 500);
+    }
+  }
+
+  return createErrorResponse('Method not allowed', 405);
+}
+
+/**
+ * Handles POST /api/auth/logout — revokes the caller's session so its token stops working immediately.
+ * Expired tokens are accepted so a client can always clean up its own session.
+ * @param {Request} request
+ * @param {Object} env - Cloudflare Worker environment bindings
+ * @returns {Response}
+ */
+export async function handleAuthLogout(request, env) {
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { status: 200, headers: CORS_HEADERS });
+  }
+
+  if (request.method === 'POST') {
+    try {
+      const token = getBearerToken(request.headers.get('Authorization'));
+      const tokenData = token ? await verifyTokenSignature(token, env.JWT_SECRET) : null;
+
+      if (tokenData) {
+        await deleteSession(env.DB, tokenData.userId, tokenData.sid);
+      }
+
+      return withSessionCookie(createResponse({
+        success: true,
+        message: 'Logged out successfully'
+      }), null);
+
+    } catch (error) {
+      return createErrorResponse('Failed to log out', 500);
+    }
+  }
+
+  return createErrorResponse('Method not allowed', 405);
+}
+
+/**
+ * Handles GET/DELETE on /api/auth/sessions — lists the user's active sessions or revokes them.
+ * DELETE ?id=<sessionId> revokes one session; DELETE ?all=true revokes every session except the caller's.
+ * @param {Request} request
+ * @param {Object} env - Cloudflare Worker environment bindings
+ * @returns {Response}
+ */
+export async function handleSessions(request, env) {
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { status: 200, headers: CORS_HEADERS });
+  }
+
+  const tokenData = await validateToken(request.headers.get('Authorization'), env);
+  if (!tokenData) {
+    return createErrorResponse('Unauthorized', 401);
+  }
+
+  if (request.method === 'GET') {
+    try {
+      const result = await getUserSessions(env.DB, tokenData.userId);
+
+      if (!result.success) {
+        return createErrorResponse('Failed to fetch sessions', 500);
+      }
+
+      return createResponse({
+        success: true,
+        sessions: result.sessions.map(session => ({
+          ...session,
+          current: session.id === tokenData.sid
+        }))
+      });
+
+    } catch (error) {
+      return createErrorResponse('Failed to fetch sessions', 500);
+    }
+  }
+
+  if (request.method === 'DELETE') {
+    try {
+      const url = new URL(request.url);
+      const sessionId = url.searchParams.get('id');
+
+      if (url.searchParams.get('all') === 'true') {
+        const result = await deleteUserSessions(env.DB, tokenData.userId, tokenData.sid);
+
+        if (!result.success) {
+          return createErrorResponse('Failed to revoke sessions', 500);
+        }
+
+        return createResponse({
+          success: true,
+          message: 'Signed out of all other devices',
+          revoked: result.changes
+        });
+      }
+
+      if (!sessionId) {
+        return createErrorResponse('Session ID is required', 400);
+      }
+
+      const result = await deleteSession(env.DB, tokenData.userId, sessionId);
+
+      if (!result.success) {
+        return createErrorResponse('Failed to revoke session', 500);
+      }
+
+      if (result.changes === 0) {
+        return createErrorResponse('Session not found', 404);
+      }
+
+      return createResponse({
+        success: true,
+        message: 'Session revoked'
+      });
+
+    } catch (error) {
+      return createErrorResponse('Failed to revoke session', 500);
+    }
+  }
+
+  return createErrorResponse('Method not allowed', 405);
+}
+
+/**
+ * Handles GET/POST/DELETE on /api/auth/tokens — manages personal API tokens for scripts and integrations.
+ * POST { name, scopes } creates a token and returns its value once; DELETE ?id=<tokenId> revokes one.
+ * Only a signed-in session can manage tokens; API tokens can't be used to mint more.
+ * @param {Request} request
+ * @param {Object} env - Cloudflare Worker environment bindings
+ * @returns {Response}
+ */
+export async function handleApiTokens(request, env) {
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { status: 200, headers: CORS_HEADERS });
+  }
+
+  const tokenData = await validateToken(request.headers.get('Authorization'), env);
+  if (!tokenData) {
+    return createErrorResponse('Unauthorized', 401);
+  }
+
+  if (request.method === 'GET') {
+    try {
+      const result = await getUserApiTokens(env.DB, tokenData.userId);
+
+      if (!result.success) {
+        return createErrorResponse('Failed to fetch API tokens', 500);
+      }
+
+      return createResponse({
+        success: true,
+        tokens: result.tokens
+      });
+
+    } catch (error) {
+      return createErrorResponse('Failed to fetch API tokens', 500);
+    }
+  }
+
+  if (request.method === 'POST') {
+    try {
+      const { name, scopes } = await request.json();
+      const tokenName = typeof name === 'string' ? name.trim() : '';
+
+      if (!tokenName || tokenName.length > 50) {
+        return createErrorResponse('Token name must be 1-50 characters long', 400);
+      }
+
+      if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => API_TOKEN_SCOPES.includes(scope))) {
+        return createErrorResponse(`Choose at least one scope: ${API_TOKEN_SCOPES.join(', ')}`, 400);
+      }
+
+      const existing = await getUserApiTokens(env.DB, tokenData.userId);
+      if (existing.tokens.length >= MAX_API_TOKENS) {
+        return createErrorResponse(`You can have at most ${MAX_API_TOKENS} API tokens. Revoke one first.`, 400);
+      }
+
+      const uniqueScopes = API_TOKEN_SCOPES.filter(scope => scopes.includes(scope));
+      const result = await createApiToken(env.DB, tokenData.userId, tokenName, uniqueScopes);
+
+      if (!result.success) {
+        return createErrorResponse('Failed to create API token', 500);
+      }
+
+      return createResponse({
+        success: true,
+        message: 'API token created. Copy it now; it will not be shown again.',
+        token: result.token,
+        apiToken: result.apiToken
+      });
+
+    } catch (error) {
+      return createErrorResponse('Failed to create API token', 500);
+    }
+  }
+
+  if (request.method === 'DELETE') {
+    try {
+      const tokenId = new URL(request.url).searchParams.get('id');
+
+      if (!tokenId) {
+        return createErrorResponse('Token ID is required', 400);
+      }
+
+      const result = await deleteApiToken(env.DB, tokenData.userId, tokenId);
+
+      if (!result.success) {
+        return createErrorResponse('Failed to revoke API token', 500);
+      }
+
+      if (result.changes === 0) {
+        return createErrorResponse('API token not found', 404);
+      }
+
+      return createResponse({
+        success: true,
+        message: 'API token revoked'
+      });
+
+    } catch (error) {
+      return createErrorResponse('Failed to revoke API token', 500);
+    }
+  }
+
+  return createErrorResponse('Method not allowed', 405);
+}
+
+/**
+ * Handles POST /api/auth/device/code — starts a device sign-in for the extension or mobile app.
+ * Returns a device code to poll /api/auth/device/token with and a user code for the user to approve
+ * on the signed-in web dashboard, so the client never handles the password.
+ * @param {Request} request
+ * @param {Object} env - Cloudflare Worker environment bindings
+ * @returns {Response}
+ */
+export async function handleDeviceCode(request, env) {
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { status: 200, headers: CORS_HEADERS });
+  }
+
+  if (request.method === 'POST') {
+    try {
+      const { clientType, deviceName } = await request.json();
+
+      const result = await createDeviceCode(env.DB, {
+        clientType: CLIENT_TYPES.includes(clientType) ? clientType : 'web',
+        deviceName: typeof deviceName === 'string' ? deviceName.trim().substring(0, 100) : null
+      }, DEVICE_CODE_TTL_SECONDS);
+
+      if (!result.success) {
+        return createErrorResponse('Failed to start device sign-in', 500);
+      }
+
+      const verificationUri = new URL(request.url).origin + '/device';
+
+      return createResponse({
+        success: true,
+        deviceCode: result.deviceCode,
+        userCode: result.userCode,
+        verificationUri: verificationUri,
+        verificationUriComplete: verificationUri + '?code=' + encodeURIComponent(result.userCode),
+        expiresIn: DEVICE_CODE_TTL_SECONDS,
+        interval: DEVICE_POLL_INTERVAL_SECONDS
+      });
+
+    } catch (error) {
+      return createErrorResponse('Failed to start device sign-in', 500);
+    }
+  }
+
+  return createErrorResponse('Method not allowed', 405);
+}
+
+/**
+ * Handles POST /api/auth/device/token — polled by the device with its device code. Returns a token
+ * and starts a session once the request is approved; until then returns an errorCode telling the
+ * client to keep polling, slow down, or give up.
+ * @param {Request} request
+ * @param {Object} env - Cloudflare Worker environment bindings
+ * @returns {Response}
+ */
+export async function handleDeviceToken(request, env) {
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { status: 200, headers: CORS_HEADERS });
+  }
+
+  if (request.method === 'POST') {
+    try {
+      const { deviceCode } = await request.json();
+
+      if (!deviceCode) {
+        return createErrorResponse('Device code is required', 400);
+      }
+
+      const now = Math.floor(Date.now() / 1000);
+      const deviceRequest = await pollDeviceCode(env.DB, deviceCode);
+
+      if (!deviceRequest || deviceRequest.expiresAt <= now) {
+        return createDeviceFlowResponse('expired_token', 'This sign-in request has expired. Please start again.');
+      }
+
+      if (deviceRequest.status === 'denied') {
+        await deleteDeviceCode(env.DB, deviceRequest.id);
+        return createDeviceFlowResponse('access_denied', 'Sign-in was denied on the dashboard.');
+      }
+
+      if (deviceRequest.status !== 'approved') {
+        if (deviceRequest.lastPolledAt && now - deviceRequest.lastPolledAt < DEVICE_POLL_INTERVAL_SECONDS) {
+          return createDeviceFlowResponse('slow_down', 'Polling too quickly');
+        }
+        return createDeviceFlowResponse('authorization_pending', 'Waiting for approval');
+      }
+
+      // Deleting the request before issuing the token makes the approval single-use even if two polls race
+      const user = await getUserById(env.DB, deviceRequest.userId);
+      if (!user || !await deleteDeviceCode(env.DB, deviceRequest.id)) {
+        return createDeviceFlowResponse('expired_token', 'This sign-in request has expired. Please start again.');
+      }
+
+      const { token, sessionId } = await startSession(request, env, {
+        username: user.username,
+        id: user.id,
+        userHash: user.user_hash
+      }, {
+        clientType: deviceRequest.clientType,
+        deviceName: deviceRequest.deviceName
+      });
+
+      return withSessionCookie(createResponse({
+        success: true,
+        message: 'Login successful!',
+        user: { username: user.username },
+        token: token
+      }), sessionId);
+
+    } catch (error) {
+      return createErrorResponse('Failed to complete device sign-in', 500);
+    }
+  }
+
+  return createErrorResponse('Method not allowed', 405);
+}
+
+/**
+ * Handles GET/POST on /api/auth/device — the signed-in dashboard side of device sign-in.
+ * GET ?code=<userCode> shows which client is asking so the user can check it before approving;
+ * POST { userCode, approve } approves (signing the device in to this account) or denies it.
+ * @param {Request} request
+ * @param {Object} env - Cloudflare Worker environment bindings
+ * @returns {Response}
+ */
+export async function handleDeviceApproval(request, env) {
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { status: 200, headers: CORS_HEADERS });
+  }
+
+  const tokenData = await validateToken(request.headers.get('Authorization'), env);
+  if (!tokenData) {
+    return createErrorResponse('Unauthorized', 401);
+  }
+
+  if (request.method === 'GET') {
+    try {
+      const userCode = new URL(request.url).searchParams.get('code');
+
+      if (!userCode) {
+        return createErrorResponse('Code is required', 400);
+      }
+
+      const deviceRequest = await getPendingDeviceCode(env.DB, userCode);
+
+      if (!deviceRequest) {
+        return createErrorResponse('Code not found or expired. Check the code shown on your device.', 404);
+      }
+
+      return createResponse({
+        success: true,
+        request: deviceRequest
+      });
+
+    } catch (error) {
+      return createErrorResponse('Failed to look up code', 500);
+    }
+  }
+
+  if (request.method === 'POST') {
+    try {
+      const { userCode, approve } = await request.json();
+
+      if (!userCode) {
+        return createErrorResponse('Code is required', 400);
+      }
+
+      const result = await resolveDeviceCode(env.DB, userCode, tokenData.userId, approve === true);
+
+      if (!result.success) {
+        return createErrorResponse('Failed to update sign-in request', 500);
+      }
+
+      if (result.changes === 0) {
+        return createErrorResponse('Code not found or expired. Check the code shown on your device.', 404);
+      }
+
+      return createResponse({
+        success: true,
+        message: approve === true ? 'Device signed in. You can return to it now.' : 'Sign-in request denied'
+      });
+
+    } catch (error) {
+      return createErrorResponse('Failed to update sign-in request', 500);
+    }
   }
 
   return createErrorResponse('Method not allowed', 405);
@@ -2,7 +2,7 @@
 export const CORS_HEADERS = {
   'Content-Type': 'application/json',
   'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
   'Access-Control-Allow-Headers': 'Content-Type, Authorization'
 };
 
@@ -19,7 +19,7 @@ const SUCCESS_RESPONSE_TEMPLATE = JSON.stringify({ success: true });
  */
 export function createResponse(data, status = 200) {
   let body;
-  if (data.success === false && data.error) {
+  if (data.success === false && data.error && Object.keys(data).length === 2) {
     body = ERROR_RESPONSE_TEMPLATE.replace('""', `"${data.error}"`);
   } else if (data.success === true && Object.keys(data).length === 1) {
     body = SUCCESS_RESPONSE_TEMPLATE;
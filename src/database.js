@@ -1,21 +1,96 @@
+import { canonicalizeUrl, normalizeUrl, getCanonicalUrl } from './urls.js';
+import { fetchArticleText } from './articles.js';
+
 const encoder = new TextEncoder();
 
 /**
- * Generates a SHA-256 hash of the password with the provided salt.
+ * PBKDF2-SHA256 work factor for new hashes. Cloudflare Workers reject more than 100,000 iterations.
+ * Hashes stored with fewer iterations are re-derived on the next successful login.
+ */
+const PBKDF2_ITERATIONS = 100000;
+
+/**
+ * Hex-encodes a byte array.
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toHex(bytes) {
+  let result = '';
+  for (let i = 0; i < bytes.length; i++) {
+    result += bytes[i].toString(16).padStart(2, '0');
+  }
+  return result;
+}
+
+/**
+ * Decodes a hex string into bytes.
+ * @param {string} hex
+ * @returns {Uint8Array}
+ */
+function fromHex(hex) {
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
+
+/**
+ * Compares two hex strings in constant time so hash checks don't leak timing.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+/**
+ * Generates a SHA-256 hash of the password with the global salt.
+ * Legacy scheme — only used to verify hashes that predate per-user salts.
  * @param {string} password - Plain text password
  * @param {string} salt - Salt from environment variable (PASSWORD_SALT)
  * @returns {Promise<string>} Hex-encoded hash
  */
-async function generatePasswordHash(password, salt) {
+async function generateLegacyPasswordHash(password, salt) {
   const data = encoder.encode(password + salt);
   const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-  const hashArray = new Uint8Array(hashBuffer);
+  return toHex(new Uint8Array(hashBuffer));
+}
 
-  let result = '';
-  for (let i = 0; i < hashArray.length; i++) {
-    result += hashArray[i].toString(16).padStart(2, '0');
-  }
-  return result;
+/**
+ * Derives a PBKDF2-SHA256 hash of the password.
+ * @param {string} password - Plain text password
+ * @param {string} salt - Hex-encoded per-user salt
+ * @param {number} iterations - PBKDF2 iteration count
+ * @returns {Promise<string>} Hex-encoded 256-bit hash
+ */
+async function derivePasswordHash(password, salt, iterations) {
+  const key = await crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: fromHex(salt), iterations },
+    key,
+    256
+  );
+  return toHex(new Uint8Array(bits));
+}
+
+/**
+ * Hashes a password with a fresh random salt at the current work factor.
+ * @param {string} password - Plain text password
+ * @returns {Promise<{hash: string, salt: string, iterations: number}>}
+ */
+async function generatePasswordHash(password) {
+  const salt = toHex(crypto.getRandomValues(new Uint8Array(16)));
+  const hash = await derivePasswordHash(password, salt, PBKDF2_ITERATIONS);
+  return { hash, salt, iterations: PBKDF2_ITERATIONS };
 }
 
 /**
@@ -26,13 +101,131 @@ async function generatePasswordHash(password, salt) {
 async function generateUserHash(username) {
   const data = encoder.encode(username + Date.now().toString());
   const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-  const hashArray = new Uint8Array(hashBuffer);
+  return toHex(new Uint8Array(hashBuffer));
+}
 
-  let result = '';
-  for (let i = 0; i < hashArray.length; i++) {
-    result += hashArray[i].toString(16).padStart(2, '0');
+/** Number of codes in a recovery code set. */
+const RECOVERY_CODE_COUNT = 10;
+
+/** Unambiguous 32-character alphabet for recovery codes (no 0/O, 1/I), so each character is exactly 5 random bits. */
+const RECOVERY_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * Generates a random recovery code formatted as XXXXX-XXXXX.
+ * @returns {string}
+ */
+function generateRecoveryCode() {
+  const bytes = crypto.getRandomValues(new Uint8Array(10));
+  let code = '';
+  for (let i = 0; i < bytes.length; i++) {
+    code += RECOVERY_CODE_ALPHABET[bytes[i] % RECOVERY_CODE_ALPHABET.length];
   }
-  return result;
+  return code.slice(0, 5) + '-' + code.slice(5);
+}
+
+/**
+ * Hashes a recovery code for storage. Codes are random (50 bits), so a fast hash is enough.
+ * Input is normalized so case, spaces, and dashes don't matter when the user types it back.
+ * @param {string} code
+ * @returns {Promise<string>} Hex-encoded hash
+ */
+async function hashRecoveryCode(code) {
+  const normalized = code.toUpperCase().replace(/[^A-Z0-9]/g, '');
+  const hashBuffer = await crypto.subtle.digest('SHA-256', encoder.encode(normalized));
+  return toHex(new Uint8Array(hashBuffer));
+}
+
+/** Prefix that marks a bearer token as a personal API token rather than a signed session token. */
+export const API_TOKEN_PREFIX = 'kurate_';
+
+/** Characters of the token (after the prefix) kept in plain text so users can tell their tokens apart. */
+const API_TOKEN_HINT_LENGTH = 6;
+
+/**
+ * Generates a random personal API token: the prefix followed by 256 random bits in hex.
+ * @returns {string}
+ */
+function generateApiToken() {
+  return API_TOKEN_PREFIX + toHex(crypto.getRandomValues(new Uint8Array(32)));
+}
+
+/**
+ * Hashes a random bearer secret (API token or device code) for storage and lookup.
+ * The secrets carry 256 random bits, so a fast hash is enough.
+ * @param {string} token
+ * @returns {Promise<string>} Hex-encoded hash
+ */
+async function hashSecretToken(token) {
+  const hashBuffer = await crypto.subtle.digest('SHA-256', encoder.encode(token));
+  return toHex(new Uint8Array(hashBuffer));
+}
+
+/**
+ * Generates a device sign-in user code formatted as XXXX-XXXX, short enough to type from another screen.
+ * @returns {string}
+ */
+function generateDeviceUserCode() {
+  const bytes = crypto.getRandomValues(new Uint8Array(8));
+  let code = '';
+  for (let i = 0; i < bytes.length; i++) {
+    code += RECOVERY_CODE_ALPHABET[bytes[i] % RECOVERY_CODE_ALPHABET.length];
+  }
+  return code.slice(0, 4) + '-' + code.slice(4);
+}
+
+/**
+ * Normalizes a user code as typed (any case, with or without the dash) to the stored XXXX-XXXX form.
+ * @param {string} userCode
+ * @returns {string}
+ */
+function normalizeDeviceUserCode(userCode) {
+  const clean = String(userCode).toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return clean.slice(0, 4) + '-' + clean.slice(4);
+}
+
+/**
+ * Generates a random 256-bit session identifier.
+ * @returns {string} Hex-encoded session ID
+ */
+function generateSessionId() {
+  return toHex(crypto.getRandomValues(new Uint8Array(32)));
+}
+
+/** Days after sign-in that a session ends, however often its token is refreshed. */
+export const SESSION_MAX_AGE_DAYS = 90;
+
+/**
+ * Days a session can go unused before it ends. A token is valid for 7 days and can be refreshed for 30
+ * more (see auth.js), so a session unused for longer has no token left that works.
+ */
+export const SESSION_IDLE_DAYS = 37;
+
+/** WHERE condition on sessions that leaves out those past SESSION_MAX_AGE_DAYS or SESSION_IDLE_DAYS. */
+const LIVE_SESSION_CONDITION = `created_at > datetime('now', '-${SESSION_MAX_AGE_DAYS} days')
+  AND last_seen_at > datetime('now', '-${SESSION_IDLE_DAYS} days')`;
+
+/** Characters of the random part of a public list slug: lowercase letters and digits, less l, o, 0 and 1. */
+const PUBLIC_SLUG_ALPHABET = 'abcdefghijkmnpqrstuvwxyz23456789';
+
+/** Random characters in a public list slug (50 bits), so a list can't be found without being given the address. */
+const PUBLIC_SLUG_RANDOM_LENGTH = 10;
+
+/**
+ * Generates the slug a list is published under: the list's name in URL form, for people reading the
+ * address, followed by a random part.
+ * @param {string} name
+ * @returns {string} e.g. 'weekend-reads-k3m9x2pq7t'
+ */
+function generatePublicSlug(name) {
+  const bytes = crypto.getRandomValues(new Uint8Array(PUBLIC_SLUG_RANDOM_LENGTH));
+  let random = '';
+  for (let i = 0; i < bytes.length; i++) {
+    random += PUBLIC_SLUG_ALPHABET[bytes[i] % PUBLIC_SLUG_ALPHABET.length];
+  }
+
+  const words = name.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-').slice(0, 40).replace(/^-+|-+$/g, '');
+  return words ? `${words}-${random}` : random;
 }
 
 /**
@@ -73,23 +266,234 @@ async function extractTitleFromUrl(url) {
   }
 }
 
+/**
+ * Columns selected for a link (aliased as l), including its tags and the IDs of its collections as
+ * comma-separated lists. Tag names never contain commas, so the list splits back cleanly.
+ */
+const LINK_COLUMNS = `
+  l.id, l.url, l.title, l.category, l.is_read, l.is_favorite, l.domain, l.note, l.date_added, l.timestamp, l.deleted_at,
+  l.read_progress, l.read_position, l.read_seconds, l.last_read_at,
+  (
+    SELECT GROUP_CONCAT(t.name, ',')
+    FROM link_tags lt
+    JOIN tags t ON t.id = lt.tag_id
+    WHERE lt.link_id = l.id
+  ) AS tags,
+  (SELECT GROUP_CONCAT(collection_id, ',') FROM collection_links WHERE link_id = l.id) AS collection_ids,
+  (SELECT COUNT(*) FROM highlights h WHERE h.link_id = l.id) AS highlight_count`;
+
+/**
+ * Converts a link row selected with LINK_COLUMNS to the shape returned by the API.
+ * @param {Object} link
+ * @returns {Object}
+ */
+function formatLink(link) {
+  return {
+    id: link.id.toString(),
+    url: link.url,
+    title: link.title,
+    category: link.category,
+    isRead: link.is_read,
+    isFavorite: link.is_favorite,
+    domain: link.domain,
+    note: link.note || '',
+    dateAdded: link.date_added,
+    timestamp: link.timestamp,
+    deletedAt: link.deleted_at || null,
+    tags: link.tags ? link.tags.split(',').sort((a, b) => a.localeCompare(b)) : [],
+    collectionIds: link.collection_ids ? link.collection_ids.split(',') : [],
+    highlightCount: link.highlight_count || 0,
+    ...formatReadingProgress(link)
+  };
+}
+
+/**
+ * Converts a link row's reading progress columns to the shape returned by the API.
+ * @param {Object} link
+ * @returns {{readProgress: number, readPosition: number, readSeconds: number, lastReadAt: string|null}}
+ */
+function formatReadingProgress(link) {
+  return {
+    readProgress: link.read_progress || 0,
+    readPosition: link.read_position || 0,
+    readSeconds: link.read_seconds || 0,
+    lastReadAt: link.last_read_at || null
+  };
+}
+
+/** Days a link stays in the trash before purgeExpiredTrash deletes it for good. */
+export const TRASH_RETENTION_DAYS = 30;
+
+/** Colors a category can be shown in; each client maps them to its own badge styles. */
+export const CATEGORY_COLORS = ['gray', 'red', 'orange', 'yellow', 'green', 'teal', 'blue', 'indigo', 'purple', 'pink'];
+
+/**
+ * Category links are saved to when none is given, and that takes the links of a deleted category.
+ * Every user has it; it can be recolored and moved but not renamed or deleted.
+ */
+export const DEFAULT_CATEGORY = 'Other';
+
+/** Categories a new account starts with, in order. */
+const STARTER_CATEGORIES = [
+  { name: 'Sports', color: 'green' },
+  { name: 'Entertainment', color: 'pink' },
+  { name: 'Business', color: 'orange' },
+  { name: 'Technology', color: 'blue' },
+  { name: 'Education', color: 'indigo' },
+  { name: DEFAULT_CATEGORY, color: 'gray' }
+];
+
+/**
+ * Builds the statements that permanently delete the links matching a condition, with their tags, highlights
+ * and places in collections.
+ * @param {D1Database} db
+ * @param {string} condition - WHERE clause on links
+ * @param {Array} values - Values bound to the condition
+ * @returns {D1PreparedStatement[]} The last statement deletes the links themselves
+ */
+function purgeLinksStatements(db, condition, values) {
+  return [
+    db.prepare(`DELETE FROM link_tags WHERE link_id IN (SELECT id FROM links WHERE ${condition})`).bind(...values),
+    db.prepare(`DELETE FROM highlights WHERE link_id IN (SELECT id FROM links WHERE ${condition})`).bind(...values),
+    db.prepare(`DELETE FROM collection_links WHERE link_id IN (SELECT id FROM links WHERE ${condition})`).bind(...values),
+    db.prepare(`DELETE FROM links WHERE ${condition}`).bind(...values)
+  ];
+}
+
+/**
+ * Finds the user's link with the given canonical URL, in the trash or not. Links saved before canonical
+ * URLs were recorded have none, so those are matched on their stored URL instead.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @param {string} canonicalUrl
+ * @param {string[]} urls - URLs a legacy link may have been stored under
+ * @param {string|number|null} [excludeLinkId] - Link to leave out, when checking an edit
+ * @returns {Promise<Object|null>} Link row selected with LINK_COLUMNS
+ */
+async function findLinkByCanonicalUrl(db, userId, canonicalUrl, urls, excludeLinkId = null) {
+  return await db.prepare(`
+    SELECT ${LINK_COLUMNS}
+    FROM links l
+    WHERE l.user_id = ?
+      AND (l.canonical_url = ? OR (l.canonical_url IS NULL AND l.url IN (?, ?)))
+      AND l.id IS NOT ?
+    LIMIT 1
+  `).bind(userId, canonicalUrl, urls[0], urls[urls.length - 1], excludeLinkId).first();
+}
+
+/**
+ * Replaces the tags on a link, creating tags the user doesn't have yet and deleting any left unused.
+ * The caller must have checked that the link belongs to the user.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @param {string|number} linkId
+ * @param {string[]} tags - Normalized tag names
+ * @returns {Promise<void>}
+ */
+async function setLinkTags(db, userId, linkId, tags) {
+  const statements = tags.map(name =>
+    db.prepare('INSERT OR IGNORE INTO tags (user_id, name) VALUES (?, ?)').bind(userId, name)
+  );
+
+  statements.push(db.prepare('DELETE FROM link_tags WHERE link_id = ?').bind(linkId));
+
+  if (tags.length > 0) {
+    statements.push(db.prepare(`
+      INSERT INTO link_tags (link_id, tag_id)
+      SELECT ?, id FROM tags
+      WHERE user_id = ? AND name IN (${tags.map(() => '?').join(', ')})
+    `).bind(linkId, userId, ...tags));
+  }
+
+  statements.push(deleteUnusedTagsStatement(db, userId));
+
+  await db.batch(statements);
+}
+
+/**
+ * Builds the statement that removes a user's tags that are no longer on any link.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @returns {D1PreparedStatement}
+ */
+function deleteUnusedTagsStatement(db, userId) {
+  return db.prepare(`
+    DELETE FROM tags
+    WHERE user_id = ? AND id NOT IN (SELECT tag_id FROM link_tags)
+  `).bind(userId);
+}
+
+/**
+ * Statement that adds a category to the end of a user's list, unless they already have one by that name.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @param {string} name
+ * @returns {D1PreparedStatement}
+ */
+function addCategoryStatement(db, userId, name) {
+  return db.prepare(`
+    INSERT OR IGNORE INTO categories (user_id, name, position)
+    SELECT ?, ?, COALESCE(MAX(position) + 1, 0) FROM categories WHERE user_id = ?
+  `).bind(userId, name, userId);
+}
+
+/**
+ * Finds the category a link is being filed under, adding it to the user's list if it's new
+ * (links saved by scripts and older clients can name any category).
+ * @param {D1Database} db
+ * @param {number} userId
+ * @param {string} name
+ * @returns {Promise<string>} The name as spelled in the user's list
+ */
+async function resolveCategory(db, userId, name) {
+  const [, stored] = await db.batch([
+    addCategoryStatement(db, userId, name),
+    db.prepare('SELECT name FROM categories WHERE user_id = ? AND name = ?').bind(userId, name)
+  ]);
+  return stored.results[0].name;
+}
+
+/**
+ * Statement that adds a link to the end of each of the given collections it isn't in yet. IDs that aren't
+ * the user's collections are skipped.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @param {string|number} linkId - A link the caller has checked belongs to the user
+ * @param {Array<string|number>} collectionIds
+ * @returns {D1PreparedStatement}
+ */
+function addLinkToCollectionsStatement(db, userId, linkId, collectionIds) {
+  return db.prepare(`
+    INSERT OR IGNORE INTO collection_links (collection_id, link_id, position)
+    SELECT c.id, ?, COALESCE((SELECT MAX(position) + 1 FROM collection_links WHERE collection_id = c.id), 0)
+    FROM collections c
+    WHERE c.user_id = ? AND c.id IN (SELECT value FROM json_each(?))
+  `).bind(linkId, userId, JSON.stringify(collectionIds.map(Number)));
+}
+
 /**
  * Creates a new user in the database with hashed password and unique user hash.
  * @param {D1Database} db
  * @param {string} username
  * @param {string} password - Plain text, will be hashed before storage
- * @param {string} salt - Password salt from environment
  * @returns {Promise<{success: boolean, userId?: number, userHash?: string, error?: string}>}
  */
-export async function createUser(db, username, password, salt) {
+export async function createUser(db, username, password) {
   try {
-    const passwordHash = await generatePasswordHash(password, salt);
+    const passwordHash = await generatePasswordHash(password);
     const userHash = await generateUserHash(username);
 
-    const result = await db.prepare(`
-      INSERT INTO users (username, password_hash, user_hash)
-      VALUES (?, ?, ?)
-    `).bind(username, passwordHash, userHash).run();
+    const [result] = await db.batch([
+      db.prepare(`
+        INSERT INTO users (username, password_hash, password_salt, password_iterations, user_hash)
+        VALUES (?, ?, ?, ?, ?)
+      `).bind(username, passwordHash.hash, passwordHash.salt, passwordHash.iterations, userHash),
+      db.prepare(`
+        INSERT INTO categories (user_id, name, color, position)
+        SELECT (SELECT id FROM users WHERE username = ?), json_extract(value, '$.name'), json_extract(value, '$.color'), key
+        FROM json_each(?)
+      `).bind(username, JSON.stringify(STARTER_CATEGORIES))
+    ]);
 
     return {
       success: true,
@@ -116,7 +520,7 @@ export async function createUser(db, username, password, salt) {
 export async function getUserByUsername(db, username) {
   try {
     const user = await db.prepare(`
-      SELECT id, username, password_hash, user_hash, created_at
+      SELECT id, username, password_hash, password_salt, password_iterations, user_hash, totp_enabled, created_at
       FROM users 
       WHERE username = ?
     `).bind(username).first();
@@ -127,32 +531,64 @@ export async function getUserByUsername(db, username) {
   }
 }
 
+/**
+ * Looks up a user by ID.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @returns {Promise<Object|null>} User row or null if not found
+ */
+export async function getUserById(db, userId) {
+  try {
+    const user = await db.prepare(`
+      SELECT id, username, user_hash, created_at
+      FROM users
+      WHERE id = ?
+    `).bind(userId).first();
+
+    return user;
+  } catch (error) {
+    return null;
+  }
+}
+
 /**
  * Verifies a user's password against the stored hash.
+ * Users still on the legacy SHA-256 scheme, or on an outdated iteration count, are
+ * re-hashed with PBKDF2 and a fresh salt once the password checks out.
  * @param {D1Database} db
  * @param {string} username
  * @param {string} password - Plain text password to verify
- * @param {string} salt - Password salt from environment
+ * @param {string} legacySalt - Global salt from environment (PASSWORD_SALT), for pre-PBKDF2 hashes
  * @returns {Promise<{success: boolean, user?: Object, error?: string}>}
  */
-export async function verifyUserPassword(db, username, password, salt) {
+export async function verifyUserPassword(db, username, password, legacySalt) {
   try {
     const user = await getUserByUsername(db, username);
     if (!user) {
+      // Spend the same PBKDF2 work as a real check so response time doesn't reveal whether the account exists
+      await derivePasswordHash(password, toHex(new Uint8Array(16)), PBKDF2_ITERATIONS);
       return { success: false, error: 'User not found' };
     }
 
-    const passwordHash = await generatePasswordHash(password, salt);
-    if (user.password_hash !== passwordHash) {
+    const passwordHash = user.password_salt
+      ? await derivePasswordHash(password, user.password_salt, user.password_iterations)
+      : await generateLegacyPasswordHash(password, legacySalt);
+    if (!timingSafeEqual(user.password_hash, passwordHash)) {
       return { success: false, error: 'Invalid credentials' };
     }
 
+    if (!user.password_salt || user.password_iterations < PBKDF2_ITERATIONS) {
+      // Best effort: a failed upgrade must not fail the login, it will be retried next time
+      await upgradePasswordHash(db, user.id, password).catch(() => {});
+    }
+
     return {
       success: true,
       user: {
         id: user.id,
         username: user.username,
-        userHash: user.user_hash
+        userHash: user.user_hash,
+        totpEnabled: user.totp_enabled === 1
       }
     };
   } catch (error) {
@@ -161,13 +597,21 @@ export async function verifyUserPassword(db, username, password, salt) {
 }
 
 /**
- * Updates a user's password hash.
+ * Re-hashes a verified password with a fresh salt at the current work factor.
  * @param {D1Database} db
- * @param {string} username
- * @param {string} newPassword - New plain text password to hash and store
- * @param {string} salt - Password salt from environment
- * @returns {Promise<{success: boolean, changes?: number, error?: string}>}
+ * @param {number} userId
+ * @param {string} password - Plain text password that has just been verified
+ * @returns {Promise<void>}
  */
+async function upgradePasswordHash(db, userId, password) {
+  const passwordHash = await generatePasswordHash(password);
+  await db.prepare(`
+    UPDATE users
+    SET password_hash = ?, password_salt = ?, password_iterations = ?
+    WHERE id = ?
+  `).bind(passwordHash.hash, passwordHash.salt, passwordHash.iterations, userId).run();
+}
+
 export async function updateUsername(db, userId, newUsername) {
   try {
     const result = await db.prepare(`
@@ -190,7 +634,20 @@ export async function updateUsername(db, userId, newUsername) {
 
 export async function deleteUser(db, userId) {
   try {
+    await db.prepare('DELETE FROM link_tags WHERE link_id IN (SELECT id FROM links WHERE user_id = ?)').bind(userId).run();
+    await db.prepare('DELETE FROM tags WHERE user_id = ?').bind(userId).run();
+    await db.prepare('DELETE FROM categories WHERE user_id = ?').bind(userId).run();
+    await db.prepare('DELETE FROM collection_links WHERE collection_id IN (SELECT id FROM collections WHERE user_id = ?)').bind(userId).run();
+    await db.prepare('DELETE FROM collections WHERE user_id = ?').bind(userId).run();
+    await db.prepare('DELETE FROM public_lists WHERE user_id = ?').bind(userId).run();
+    await db.prepare('DELETE FROM highlights WHERE user_id = ?').bind(userId).run();
     await db.prepare('DELETE FROM links WHERE user_id = ?').bind(userId).run();
+    await db.prepare('DELETE FROM sessions WHERE user_id = ?').bind(userId).run();
+    await db.prepare('DELETE FROM recovery_codes WHERE user_id = ?').bind(userId).run();
+    await db.prepare('DELETE FROM api_tokens WHERE user_id = ?').bind(userId).run();
+    await db.prepare('DELETE FROM device_codes WHERE user_id = ?').bind(userId).run();
+    await db.prepare('DELETE FROM passkeys WHERE user_id = ?').bind(userId).run();
+    await db.prepare('DELETE FROM webauthn_challenges WHERE user_id = ?').bind(userId).run();
     await db.prepare('UPDATE metrics SET user_id = NULL WHERE user_id = ?').bind(userId).run();
     const result = await db.prepare('DELETE FROM users WHERE id = ?').bind(userId).run();
 
@@ -203,14 +660,146 @@ export async function deleteUser(db, userId) {
   }
 }
 
-export async function updateUserPassword(db, username, newPassword, salt) {
+/**
+ * Collects everything stored about a user for a data export: profile, every column of every link
+ * plus its tags, categories, collections, published lists, highlights, sessions, API token and passkey details, and the user's own analytics events.
+ * Password hashes, two-factor secrets, recovery codes, token hashes and passkey public keys are left out.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @returns {Promise<{success: boolean, data?: Object, error?: string}>}
+ */
+export async function getUserDataExport(db, userId) {
+  try {
+    const [profile, links, linkTags, categories, collections, collectionLinks, publicLists, highlights, sessions, apiTokens, passkeys, events] = await db.batch([
+      db.prepare(`
+        SELECT id, username, totp_enabled, auto_read_progress, created_at, updated_at
+        FROM users
+        WHERE id = ?
+      `).bind(userId),
+      db.prepare('SELECT * FROM links WHERE user_id = ? ORDER BY timestamp DESC').bind(userId),
+      db.prepare(`
+        SELECT lt.link_id, t.name
+        FROM link_tags lt
+        JOIN tags t ON t.id = lt.tag_id
+        WHERE t.user_id = ?
+        ORDER BY t.name
+      `).bind(userId),
+      db.prepare(`
+        SELECT name, color, position, created_at
+        FROM categories
+        WHERE user_id = ?
+        ORDER BY position, id
+      `).bind(userId),
+      db.prepare(`
+        SELECT id, name, description, position, created_at
+        FROM collections
+        WHERE user_id = ?
+        ORDER BY position, id
+      `).bind(userId),
+      db.prepare(`
+        SELECT cl.collection_id, cl.link_id, cl.added_at
+        FROM collection_links cl
+        JOIN collections c ON c.id = cl.collection_id
+        WHERE c.user_id = ?
+        ORDER BY cl.position
+      `).bind(userId),
+      db.prepare(`
+        SELECT slug, category_id, collection_id, created_at
+        FROM public_lists
+        WHERE user_id = ?
+        ORDER BY created_at ASC
+      `).bind(userId),
+      db.prepare(`
+        SELECT id, link_id, text, prefix, suffix, created_at
+        FROM highlights
+        WHERE user_id = ?
+        ORDER BY created_at ASC
+      `).bind(userId),
+      db.prepare(`
+        SELECT client_type, device_name, user_agent, ip_address, created_at, last_seen_at
+        FROM sessions
+        WHERE user_id = ?
+        ORDER BY last_seen_at DESC
+      `).bind(userId),
+      db.prepare(`
+        SELECT name, token_hint, scopes, created_at, last_used_at
+        FROM api_tokens
+        WHERE user_id = ?
+        ORDER BY created_at DESC
+      `).bind(userId),
+      db.prepare(`
+        SELECT name, created_at, last_used_at
+        FROM passkeys
+        WHERE user_id = ?
+        ORDER BY created_at DESC
+      `).bind(userId),
+      db.prepare(`
+        SELECT id, event_type, metadata, timestamp
+        FROM metrics
+        WHERE user_id = ?
+        ORDER BY timestamp ASC
+      `).bind(userId)
+    ]);
+
+    const user = profile.results[0];
+    if (!user) {
+      return { success: false, error: 'User not found' };
+    }
+
+    const tagsByLink = new Map();
+    for (const { link_id, name } of linkTags.results || []) {
+      if (!tagsByLink.has(link_id)) tagsByLink.set(link_id, []);
+      tagsByLink.get(link_id).push(name);
+    }
+
+    const linksByCollection = new Map();
+    for (const { collection_id, link_id, added_at } of collectionLinks.results || []) {
+      if (!linksByCollection.has(collection_id)) linksByCollection.set(collection_id, []);
+      linksByCollection.get(collection_id).push({ link_id, added_at });
+    }
+
+    return {
+      success: true,
+      data: {
+        profile: user,
+        links: (links.results || []).map(link => ({ ...link, tags: tagsByLink.get(link.id) || [] })),
+        categories: categories.results || [],
+        collections: (collections.results || []).map(collection => ({ ...collection, links: linksByCollection.get(collection.id) || [] })),
+        publicLists: publicLists.results || [],
+        highlights: highlights.results || [],
+        sessions: sessions.results || [],
+        apiTokens: apiTokens.results || [],
+        passkeys: passkeys.results || [],
+        events: (events.results || []).map(event => {
+          // metadata is stored as a JSON string; export it as structured data when it parses
+          try {
+            return { ...event, metadata: event.metadata ? JSON.parse(event.metadata) : null };
+          } catch (error) {
+            return event;
+          }
+        })
+      }
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Updates a user's password hash.
+ * @param {D1Database} db
+ * @param {string} username
+ * @param {string} newPassword - New plain text password to hash and store
+ * @returns {Promise<{success: boolean, changes?: number, error?: string}>}
+ */
+export async function updateUserPassword(db, username, newPassword) {
   try {
-    const newPasswordHash = await generatePasswordHash(newPassword, salt);
+    const newPasswordHash = await generatePasswordHash(newPassword);
     const result = await db.prepare(`
       UPDATE users 
-      SET password_hash = ?, updated_at = CURRENT_TIMESTAMP
+      SET password_hash = ?, password_salt = ?, password_iterations = ?, updated_at = CURRENT_TIMESTAMP
       WHERE username = ?
-    `).bind(newPasswordHash, username).run();
+    `).bind(newPasswordHash.hash, newPasswordHash.salt, newPasswordHash.iterations, username).run();
 
     return {
       success: result.meta.changes > 0,
@@ -222,177 +811,2638 @@ export async function updateUserPassword(db, username, newPassword, salt) {
 }
 
 /**
- * Retrieves all links for a user, ordered by most recent first.
+ * Creates a session record for a successful login.
  * @param {D1Database} db
  * @param {number} userId
- * @returns {Promise<{success: boolean, links: Array}>}
+ * @param {Object} details - { clientType, deviceName, userAgent, ipAddress }
+ * @returns {Promise<{success: boolean, sessionId?: string, error?: string}>}
  */
-export async function getUserLinks(db, userId) {
+export async function createSession(db, userId, details) {
   try {
-    const links = await db.prepare(`
-      SELECT id, url, title, category, is_read, is_favorite, domain, date_added, timestamp
-      FROM links 
-      WHERE user_id = ?
-      ORDER BY timestamp DESC
-    `).bind(userId).all();
+    const sessionId = generateSessionId();
+    await db.prepare(`
+      INSERT INTO sessions (id, user_id, client_type, device_name, user_agent, ip_address)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).bind(
+      sessionId,
+      userId,
+      details.clientType,
+      details.deviceName || null,
+      details.userAgent || null,
+      details.ipAddress || null
+    ).run();
 
-    const results = links.results || [];
-    const formattedLinks = new Array(results.length);
+    return { success: true, sessionId };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
 
-    for (let i = 0; i < results.length; i++) {
-      const link = results[i];
-      formattedLinks[i] = {
-        id: link.id.toString(),
-        url: link.url,
-        title: link.title,
-        category: link.category,
-        isRead: link.is_read,
-        isFavorite: link.is_favorite,
-        domain: link.domain,
-        dateAdded: link.date_added,
-        timestamp: link.timestamp
-      };
-    }
+/**
+ * Looks up an active session by ID.
+ * @param {D1Database} db
+ * @param {string} sessionId
+ * @returns {Promise<Object|null>} Session row or null if it doesn't exist (revoked, expired or never created)
+ */
+export async function getSession(db, sessionId) {
+  try {
+    return await db.prepare(`
+      SELECT id, user_id, client_type, device_name, created_at, last_seen_at
+      FROM sessions
+      WHERE id = ? AND ${LIVE_SESSION_CONDITION}
+    `).bind(sessionId).first();
+  } catch (error) {
+    return null;
+  }
+}
 
-    return {
-      success: true,
-      links: formattedLinks
-    };
+/**
+ * Bumps a session's last_seen_at to now.
+ * @param {D1Database} db
+ * @param {string} sessionId
+ * @returns {Promise<void>}
+ */
+export async function touchSession(db, sessionId) {
+  try {
+    await db.prepare(`
+      UPDATE sessions SET last_seen_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).bind(sessionId).run();
   } catch (error) {
-    return {
-      success: false,
-      error: error.message,
-      links: []
-    };
+    // Non-critical — a stale last_seen_at shouldn't fail the request
   }
 }
 
 /**
- * Creates a new link entry. Auto-extracts title from URL if not provided.
+ * Lists all active sessions for a user, most recently used first.
  * @param {D1Database} db
  * @param {number} userId
- * @param {Object} linkData - { url, title?, category? }
- * @returns {Promise<{success: boolean, link?: Object, error?: string}>}
+ * @returns {Promise<{success: boolean, sessions: Array, error?: string}>}
  */
-export async function createLink(db, userId, linkData) {
+export async function getUserSessions(db, userId) {
   try {
-    const { url, title, category = 'general' } = linkData;
-    const domain = getDomainFromUrl(url);
-    const finalTitle = title || await extractTitleFromUrl(url) || 'Untitled';
-
     const result = await db.prepare(`
-      INSERT INTO links (user_id, url, title, category, domain, is_read, is_favorite)
-      VALUES (?, ?, ?, ?, ?, 0, 0)
-    `).bind(userId, url, finalTitle, category, domain).run();
+      SELECT id, client_type, device_name, user_agent, ip_address, created_at, last_seen_at
+      FROM sessions
+      WHERE user_id = ? AND ${LIVE_SESSION_CONDITION}
+      ORDER BY last_seen_at DESC
+    `).bind(userId).all();
 
-    // Fetch the created link
-    const newLink = await db.prepare(`
-      SELECT id, url, title, category, is_read, is_favorite, domain, date_added, timestamp
-      FROM links 
-      WHERE id = ?
-    `).bind(result.meta.last_row_id).first();
+    const sessions = (result.results || []).map(session => ({
+      id: session.id,
+      clientType: session.client_type,
+      deviceName: session.device_name,
+      userAgent: session.user_agent,
+      ipAddress: session.ip_address,
+      createdAt: session.created_at,
+      lastSeenAt: session.last_seen_at
+    }));
 
-    return {
-      success: true,
-      link: {
-        id: newLink.id.toString(),
-        url: newLink.url,
-        title: newLink.title,
-        category: newLink.category,
-        isRead: newLink.is_read,
-        isFavorite: newLink.is_favorite,
-        domain: newLink.domain,
-        dateAdded: newLink.date_added,
-        timestamp: newLink.timestamp
-      }
-    };
+    return { success: true, sessions };
   } catch (error) {
-    return {
-      success: false,
-      error: error.message
-    };
+    return { success: false, error: error.message, sessions: [] };
   }
 }
 
 /**
- * Deletes a link owned by the given user.
+ * Deletes every user's sessions past SESSION_MAX_AGE_DAYS or SESSION_IDLE_DAYS, which can no longer be used.
+ * Run from the Worker's scheduled (cron) handler.
  * @param {D1Database} db
- * @param {number} userId
- * @param {string|number} linkId
  * @returns {Promise<{success: boolean, changes?: number, error?: string}>}
  */
-export async function deleteLink(db, userId, linkId) {
+export async function deleteExpiredSessions(db) {
   try {
+    const result = await db.prepare(`DELETE FROM sessions WHERE NOT (${LIVE_SESSION_CONDITION})`).run();
+    return { success: true, changes: result.meta.changes };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Deletes (revokes) one of a user's sessions.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @param {string} sessionId
+ * @returns {Promise<{success: boolean, changes?: number, error?: string}>}
+ */
+export async function deleteSession(db, userId, sessionId) {
+  try {
+    const result = await db.prepare(`
+      DELETE FROM sessions WHERE id = ? AND user_id = ?
+    `).bind(sessionId, userId).run();
+
+    return { success: true, changes: result.meta.changes };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Deletes (revokes) all of a user's sessions, optionally keeping one.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @param {string|null} [exceptSessionId=null] - Session to keep, e.g. the caller's own
+ * @returns {Promise<{success: boolean, changes?: number, error?: string}>}
+ */
+export async function deleteUserSessions(db, userId, exceptSessionId = null) {
+  try {
+    const result = await db.prepare(`
+      DELETE FROM sessions WHERE user_id = ? AND id != ?
+    `).bind(userId, exceptSessionId || '').run();
+
+    return { success: true, changes: result.meta.changes };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Reads a user's two-factor settings.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @returns {Promise<{enabled: boolean, secret: string|null, pendingSecret: string|null, lastUsedStep: number|null}|null>}
+ */
+export async function getTotpSettings(db, userId) {
+  try {
+    const row = await db.prepare(`
+      SELECT totp_enabled, totp_secret, totp_pending_secret, totp_last_used_step
+      FROM users
+      WHERE id = ?
+    `).bind(userId).first();
+
+    if (!row) {
+      return null;
+    }
+
+    return {
+      enabled: row.totp_enabled === 1,
+      secret: row.totp_secret,
+      pendingSecret: row.totp_pending_secret,
+      lastUsedStep: row.totp_last_used_step
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Stores a new TOTP secret awaiting confirmation. An already active secret keeps working until then.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @param {string} secret - Base32-encoded secret
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function setPendingTotpSecret(db, userId, secret) {
+  try {
+    const result = await db.prepare(`
+      UPDATE users
+      SET totp_pending_secret = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).bind(secret, userId).run();
+
+    return { success: result.meta.changes > 0 };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Promotes the pending TOTP secret to the active one and turns two-factor on.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @param {number} usedStep - Time step of the confirming code, recorded so it can't be replayed at login
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function enableTotp(db, userId, usedStep) {
+  try {
+    const result = await db.prepare(`
+      UPDATE users
+      SET totp_secret = totp_pending_secret, totp_pending_secret = NULL, totp_enabled = 1,
+          totp_last_used_step = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND totp_pending_secret IS NOT NULL
+    `).bind(usedStep, userId).run();
+
+    return { success: result.meta.changes > 0 };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Turns two-factor off and forgets all TOTP secrets.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function disableTotp(db, userId) {
+  try {
+    const result = await db.prepare(`
+      UPDATE users
+      SET totp_enabled = 0, totp_secret = NULL, totp_pending_secret = NULL,
+          totp_last_used_step = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).bind(userId).run();
+
+    return { success: result.meta.changes > 0 };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Records the time step of an accepted TOTP code. The update only applies to newer steps,
+ * so two requests racing with the same code can't both succeed.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @param {number} step
+ * @returns {Promise<boolean>} Whether the step was recorded (false means the code was already used)
+ */
+export async function recordTotpStep(db, userId, step) {
+  try {
+    const result = await db.prepare(`
+      UPDATE users
+      SET totp_last_used_step = ?
+      WHERE id = ? AND (totp_last_used_step IS NULL OR totp_last_used_step < ?)
+    `).bind(step, userId, step).run();
+
+    return result.meta.changes > 0;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Replaces a user's recovery codes with a freshly generated set.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @returns {Promise<{success: boolean, codes?: string[], error?: string}>} Plain-text codes, shown to the user once
+ */
+export async function createRecoveryCodes(db, userId) {
+  try {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+    const hashes = await Promise.all(codes.map(hashRecoveryCode));
+
+    await db.batch([
+      db.prepare('DELETE FROM recovery_codes WHERE user_id = ?').bind(userId),
+      ...hashes.map(hash => db.prepare(`
+        INSERT INTO recovery_codes (user_id, code_hash)
+        VALUES (?, ?)
+      `).bind(userId, hash))
+    ]);
+
+    return { success: true, codes };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Redeems a recovery code. Each code works once; the UPDATE is conditional so concurrent
+ * attempts can't both succeed.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @param {string} code - Code as typed by the user
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function useRecoveryCode(db, userId, code) {
+  try {
+    const codeHash = await hashRecoveryCode(code);
+    const result = await db.prepare(`
+      UPDATE recovery_codes
+      SET used_at = CURRENT_TIMESTAMP
+      WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+    `).bind(userId, codeHash).run();
+
+    return { success: result.meta.changes > 0 };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Counts a user's unused recovery codes.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @returns {Promise<{success: boolean, remaining?: number, error?: string}>}
+ */
+export async function countRecoveryCodes(db, userId) {
+  try {
+    const row = await db.prepare(`
+      SELECT COUNT(*) as remaining
+      FROM recovery_codes
+      WHERE user_id = ? AND used_at IS NULL
+    `).bind(userId).first();
+
+    return { success: true, remaining: row ? row.remaining : 0 };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Starts a device sign-in: stores a pending request and returns its device code (kept by the client
+ * for polling, stored hashed) and user code (typed by the user on the dashboard). Expired requests are purged first.
+ * @param {D1Database} db
+ * @param {Object} details - { clientType, deviceName }
+ * @param {number} ttlSeconds - How long the request can be approved for
+ * @returns {Promise<{success: boolean, deviceCode?: string, userCode?: string, error?: string}>}
+ */
+export async function createDeviceCode(db, details, ttlSeconds) {
+  try {
+    const now = Math.floor(Date.now() / 1000);
+    const deviceCode = toHex(crypto.getRandomValues(new Uint8Array(32)));
+    const deviceCodeHash = await hashSecretToken(deviceCode);
+    const userCode = generateDeviceUserCode();
+
+    await db.batch([
+      db.prepare('DELETE FROM device_codes WHERE expires_at < ?').bind(now),
+      db.prepare(`
+        INSERT INTO device_codes (device_code_hash, user_code, client_type, device_name, expires_at)
+        VALUES (?, ?, ?, ?, ?)
+      `).bind(deviceCodeHash, userCode, details.clientType, details.deviceName || null, now + ttlSeconds)
+    ]);
+
+    return { success: true, deviceCode, userCode };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Looks up a pending, unexpired device sign-in by the code the user typed.
+ * @param {D1Database} db
+ * @param {string} userCode
+ * @returns {Promise<Object|null>} { userCode, clientType, deviceName, createdAt } or null
+ */
+export async function getPendingDeviceCode(db, userCode) {
+  try {
+    const row = await db.prepare(`
+      SELECT user_code, client_type, device_name, created_at
+      FROM device_codes
+      WHERE user_code = ? AND status = 'pending' AND expires_at > ?
+    `).bind(normalizeDeviceUserCode(userCode), Math.floor(Date.now() / 1000)).first();
+
+    if (!row) {
+      return null;
+    }
+
+    return {
+      userCode: row.user_code,
+      clientType: row.client_type,
+      deviceName: row.device_name,
+      createdAt: row.created_at
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Approves or denies a pending device sign-in. Conditional on the request still being pending and
+ * unexpired, so it can only be answered once.
+ * @param {D1Database} db
+ * @param {string} userCode
+ * @param {number} userId - Account the device will be signed in to
+ * @param {boolean} approve
+ * @returns {Promise<{success: boolean, changes?: number, error?: string}>}
+ */
+export async function resolveDeviceCode(db, userCode, userId, approve) {
+  try {
+    const result = await db.prepare(`
+      UPDATE device_codes
+      SET status = ?, user_id = ?
+      WHERE user_code = ? AND status = 'pending' AND expires_at > ?
+    `).bind(
+      approve ? 'approved' : 'denied',
+      userId,
+      normalizeDeviceUserCode(userCode),
+      Math.floor(Date.now() / 1000)
+    ).run();
+
+    return { success: true, changes: result.meta.changes };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Reads a device sign-in for a polling client and records the poll time.
+ * @param {D1Database} db
+ * @param {string} deviceCode
+ * @returns {Promise<Object|null>} { id, status, userId, clientType, deviceName, expiresAt, lastPolledAt } with
+ *   lastPolledAt from before this poll, or null if the code doesn't exist
+ */
+export async function pollDeviceCode(db, deviceCode) {
+  try {
+    const row = await db.prepare(`
+      SELECT id, status, user_id, client_type, device_name, expires_at, last_polled_at
+      FROM device_codes
+      WHERE device_code_hash = ?
+    `).bind(await hashSecretToken(deviceCode)).first();
+
+    if (!row) {
+      return null;
+    }
+
+    await db.prepare(`
+      UPDATE device_codes SET last_polled_at = ? WHERE id = ?
+    `).bind(Math.floor(Date.now() / 1000), row.id).run();
+
+    return {
+      id: row.id,
+      status: row.status,
+      userId: row.user_id,
+      clientType: row.client_type,
+      deviceName: row.device_name,
+      expiresAt: row.expires_at,
+      lastPolledAt: row.last_polled_at
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Deletes a device sign-in once its outcome has been delivered.
+ * @param {D1Database} db
+ * @param {number} id
+ * @returns {Promise<boolean>} True if this call deleted it, so concurrent polls can't both collect the token
+ */
+export async function deleteDeviceCode(db, id) {
+  try {
+    const result = await db.prepare('DELETE FROM device_codes WHERE id = ?').bind(id).run();
+    return result.meta.changes > 0;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Reads failed sign-in counters for brute-force protection.
+ * @param {D1Database} db
+ * @param {string[]} keys - Throttle keys, e.g. ['user:alice', 'ip:203.0.113.7']
+ * @returns {Promise<Array<{key: string, failures: number, lastFailedAt: number}>>} Rows that exist; last_failed_at in Unix seconds
+ */
+export async function getAuthFailures(db, keys) {
+  try {
+    const result = await db.prepare(`
+      SELECT throttle_key, failures, last_failed_at
+      FROM auth_failures
+      WHERE throttle_key IN (${keys.map(() => '?').join(', ')})
+    `).bind(...keys).all();
+
+    return (result.results || []).map(row => ({
+      key: row.throttle_key,
+      failures: row.failures,
+      lastFailedAt: row.last_failed_at
+    }));
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Counts a failed sign-in against each throttle key. Counters that have seen no failure
+ * for windowSeconds are dropped first, so they start again from one.
+ * @param {D1Database} db
+ * @param {string[]} keys
+ * @param {number} windowSeconds - How long a counter is remembered after its last failure
+ * @returns {Promise<void>}
+ */
+export async function recordAuthFailures(db, keys, windowSeconds) {
+  try {
+    const now = Math.floor(Date.now() / 1000);
+    await db.batch([
+      db.prepare('DELETE FROM auth_failures WHERE last_failed_at < ?').bind(now - windowSeconds),
+      ...keys.map(key => db.prepare(`
+        INSERT INTO auth_failures (throttle_key, failures, last_failed_at)
+        VALUES (?, 1, ?)
+        ON CONFLICT (throttle_key) DO UPDATE SET failures = failures + 1, last_failed_at = excluded.last_failed_at
+      `).bind(key, now))
+    ]);
+  } catch (error) {
+    // Non-critical — a missed counter shouldn't turn a wrong password into a server error
+  }
+}
+
+/**
+ * Resets a throttle key's failed sign-in counter, e.g. after the account signs in successfully.
+ * @param {D1Database} db
+ * @param {string} key
+ * @returns {Promise<void>}
+ */
+export async function clearAuthFailures(db, key) {
+  try {
+    await db.prepare('DELETE FROM auth_failures WHERE throttle_key = ?').bind(key).run();
+  } catch (error) {
+    // Non-critical — the counter expires on its own
+  }
+}
+
+/**
+ * Creates a personal API token.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @param {string} name - Label chosen by the user
+ * @param {string[]} scopes - Granted scopes, e.g. ['links:read']
+ * @returns {Promise<{success: boolean, token?: string, apiToken?: Object, error?: string}>} Plain-text token, shown to the user once
+ */
+export async function createApiToken(db, userId, name, scopes) {
+  try {
+    const token = generateApiToken();
+    const tokenHash = await hashSecretToken(token);
+    const tokenHint = token.slice(-API_TOKEN_HINT_LENGTH);
+
+    const result = await db.prepare(`
+      INSERT INTO api_tokens (user_id, name, token_hash, token_hint, scopes)
+      VALUES (?, ?, ?, ?, ?)
+    `).bind(userId, name, tokenHash, tokenHint, scopes.join(' ')).run();
+
+    return {
+      success: true,
+      token,
+      apiToken: {
+        id: result.meta.last_row_id,
+        name,
+        tokenHint,
+        scopes,
+        createdAt: new Date().toISOString(),
+        lastUsedAt: null
+      }
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Looks up a personal API token by its plain-text value, with the owning user's username.
+ * @param {D1Database} db
+ * @param {string} token
+ * @returns {Promise<Object|null>} { id, userId, username, scopes, lastUsedAt } or null if it doesn't exist (revoked or never created)
+ */
+export async function getApiToken(db, token) {
+  try {
+    const tokenHash = await hashSecretToken(token);
+    const row = await db.prepare(`
+      SELECT t.id, t.user_id, t.scopes, t.last_used_at, u.username
+      FROM api_tokens t
+      JOIN users u ON t.user_id = u.id
+      WHERE t.token_hash = ?
+    `).bind(tokenHash).first();
+
+    if (!row) {
+      return null;
+    }
+
+    return {
+      id: row.id,
+      userId: row.user_id,
+      username: row.username,
+      scopes: row.scopes ? row.scopes.split(' ') : [],
+      lastUsedAt: row.last_used_at
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Bumps a personal API token's last_used_at to now.
+ * @param {D1Database} db
+ * @param {number} tokenId
+ * @returns {Promise<void>}
+ */
+export async function touchApiToken(db, tokenId) {
+  try {
+    await db.prepare(`
+      UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).bind(tokenId).run();
+  } catch (error) {
+    // Non-critical — a stale last_used_at shouldn't fail the request
+  }
+}
+
+/**
+ * Lists a user's personal API tokens, newest first. Token values are never returned.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @returns {Promise<{success: boolean, tokens: Array, error?: string}>}
+ */
+export async function getUserApiTokens(db, userId) {
+  try {
+    const result = await db.prepare(`
+      SELECT id, name, token_hint, scopes, created_at, last_used_at
+      FROM api_tokens
+      WHERE user_id = ?
+      ORDER BY created_at DESC, id DESC
+    `).bind(userId).all();
+
+    const tokens = (result.results || []).map(token => ({
+      id: token.id,
+      name: token.name,
+      tokenHint: token.token_hint,
+      scopes: token.scopes ? token.scopes.split(' ') : [],
+      createdAt: token.created_at,
+      lastUsedAt: token.last_used_at
+    }));
+
+    return { success: true, tokens };
+  } catch (error) {
+    return { success: false, error: error.message, tokens: [] };
+  }
+}
+
+/**
+ * Deletes (revokes) one of a user's personal API tokens.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @param {number|string} tokenId
+ * @returns {Promise<{success: boolean, changes?: number, error?: string}>}
+ */
+export async function deleteApiToken(db, userId, tokenId) {
+  try {
+    const result = await db.prepare(`
+      DELETE FROM api_tokens WHERE id = ? AND user_id = ?
+    `).bind(tokenId, userId).run();
+
+    return { success: true, changes: result.meta.changes };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Stores a WebAuthn challenge, dropping expired ones first.
+ * @param {D1Database} db
+ * @param {string} challenge - Base64url challenge from generateChallenge
+ * @param {string} purpose - 'register' or 'login'
+ * @param {number|null} userId - Account adding a passkey, or null for sign-in
+ * @param {number} ttlSeconds
+ * @returns {Promise<{success: boolean, challengeId?: number, error?: string}>}
+ */
+export async function createWebAuthnChallenge(db, challenge, purpose, userId, ttlSeconds) {
+  try {
+    const now = Math.floor(Date.now() / 1000);
+    const [, result] = await db.batch([
+      db.prepare('DELETE FROM webauthn_challenges WHERE expires_at < ?').bind(now),
+      db.prepare(`
+        INSERT INTO webauthn_challenges (challenge, purpose, user_id, expires_at)
+        VALUES (?, ?, ?, ?)
+      `).bind(challenge, purpose, userId, now + ttlSeconds)
+    ]);
+
+    return { success: true, challengeId: result.meta.last_row_id };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Deletes a WebAuthn challenge and returns it if it was still valid for this purpose.
+ * @param {D1Database} db
+ * @param {number|string} challengeId
+ * @param {string} purpose - 'register' or 'login'
+ * @returns {Promise<{challenge: string, userId: number|null}|null>} Null if unknown, expired or already used
+ */
+export async function consumeWebAuthnChallenge(db, challengeId, purpose) {
+  try {
+    const row = await db.prepare(`
+      DELETE FROM webauthn_challenges
+      WHERE id = ? AND purpose = ? AND expires_at > ?
+      RETURNING challenge, user_id
+    `).bind(challengeId, purpose, Math.floor(Date.now() / 1000)).first();
+
+    if (!row) {
+      return null;
+    }
+
+    return { challenge: row.challenge, userId: row.user_id };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Saves a newly registered passkey.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @param {Object} passkey - { name, credentialId, publicKey, algorithm, signCount, transports }
+ * @returns {Promise<{success: boolean, passkey?: Object, error?: string}>}
+ */
+export async function createPasskey(db, userId, passkey) {
+  try {
+    const result = await db.prepare(`
+      INSERT INTO passkeys (user_id, name, credential_id, public_key, algorithm, sign_count, transports)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+      userId,
+      passkey.name,
+      passkey.credentialId,
+      passkey.publicKey,
+      passkey.algorithm,
+      passkey.signCount,
+      passkey.transports.join(' ')
+    ).run();
+
+    return {
+      success: true,
+      passkey: {
+        id: result.meta.last_row_id,
+        name: passkey.name,
+        createdAt: new Date().toISOString(),
+        lastUsedAt: null
+      }
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Looks up a passkey by the credential ID the browser signed in with, along with its owner.
+ * @param {D1Database} db
+ * @param {string} credentialId - Base64url
+ * @returns {Promise<Object|null>} { id, userId, username, userHash, publicKey, algorithm, signCount } or null
+ */
+export async function getPasskeyByCredentialId(db, credentialId) {
+  try {
+    const row = await db.prepare(`
+      SELECT p.id, p.user_id, p.public_key, p.algorithm, p.sign_count, u.username, u.user_hash
+      FROM passkeys p
+      JOIN users u ON p.user_id = u.id
+      WHERE p.credential_id = ?
+    `).bind(credentialId).first();
+
+    if (!row) {
+      return null;
+    }
+
+    return {
+      id: row.id,
+      userId: row.user_id,
+      username: row.username,
+      userHash: row.user_hash,
+      publicKey: row.public_key,
+      algorithm: row.algorithm,
+      signCount: row.sign_count
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Records a successful passkey sign-in: the authenticator's new signature counter and last_used_at.
+ * @param {D1Database} db
+ * @param {number} passkeyId
+ * @param {number} signCount
+ * @returns {Promise<void>}
+ */
+export async function touchPasskey(db, passkeyId, signCount) {
+  try {
+    await db.prepare(`
+      UPDATE passkeys SET sign_count = ?, last_used_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).bind(signCount, passkeyId).run();
+  } catch (error) {
+    // Non-critical — the sign-in already succeeded
+  }
+}
+
+/**
+ * Lists a user's passkeys, newest first. credentialIds and transports are included for excludeCredentials.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @returns {Promise<{success: boolean, passkeys: Array, error?: string}>}
+ */
+export async function getUserPasskeys(db, userId) {
+  try {
+    const result = await db.prepare(`
+      SELECT id, name, credential_id, transports, created_at, last_used_at
+      FROM passkeys
+      WHERE user_id = ?
+      ORDER BY created_at DESC, id DESC
+    `).bind(userId).all();
+
+    const passkeys = (result.results || []).map(passkey => ({
+      id: passkey.id,
+      name: passkey.name,
+      credentialId: passkey.credential_id,
+      transports: passkey.transports ? passkey.transports.split(' ') : [],
+      createdAt: passkey.created_at,
+      lastUsedAt: passkey.last_used_at
+    }));
+
+    return { success: true, passkeys };
+  } catch (error) {
+    return { success: false, error: error.message, passkeys: [] };
+  }
+}
+
+/**
+ * Deletes one of a user's passkeys.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @param {number|string} passkeyId
+ * @returns {Promise<{success: boolean, changes?: number, error?: string}>}
+ */
+export async function deletePasskey(db, userId, passkeyId) {
+  try {
+    const result = await db.prepare(`
+      DELETE FROM passkeys WHERE id = ? AND user_id = ?
+    `).bind(passkeyId, userId).run();
+
+    return { success: true, changes: result.meta.changes };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Sort orders for a user's links. Each sorts on one column and breaks ties on the link id, which is
+ * what lets a page cursor (the last row's column value and id) pick up exactly where the page ended.
+ */
+const LINK_SORTS = {
+  newest: { column: 'l.timestamp', direction: 'DESC' },
+  oldest: { column: 'l.timestamp', direction: 'ASC' },
+  title: { column: 'l.title COLLATE NOCASE', direction: 'ASC' },
+  domain: { column: "COALESCE(l.domain, '')", direction: 'ASC' },
+  // The collection's own order; only with a collection filter, which getUserLinks joins as cl
+  position: { column: 'cl.position', direction: 'ASC' }
+};
+
+/** Names of the sort orders getUserLinks accepts. */
+export const LINK_SORT_OPTIONS = Object.keys(LINK_SORTS);
+
+/**
+ * Encodes the position after a link row as an opaque page cursor.
+ * @param {Object} row - Link row with sort_value and id
+ * @returns {string} Base64url-encoded JSON
+ */
+function encodeLinkCursor(row) {
+  const bytes = encoder.encode(JSON.stringify([row.sort_value, row.id]));
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes a page cursor made by encodeLinkCursor.
+ * @param {string} cursor
+ * @returns {{value: string|number, id: number}|null} null if the cursor is malformed
+ */
+function decodeLinkCursor(cursor) {
+  try {
+    const binary = atob(cursor.replace(/-/g, '+').replace(/_/g, '/'));
+    const [value, id] = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0))));
+    if ((typeof value !== 'string' && typeof value !== 'number') || !Number.isInteger(id)) {
+      return null;
+    }
+    return { value, id };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Builds the WHERE conditions (on links aliased as l) shared by getUserLinks and searchLinks.
+ * Links in the trash never match.
+ * @param {number} userId
+ * @param {Object} filters - status, category, collection, domain, from, to, tags and query, as described on getUserLinks
+ * @returns {{conditions: string[], values: Array}}
+ */
+function getLinkFilterConditions(userId, filters) {
+  const conditions = ['l.user_id = ?', 'l.deleted_at IS NULL'];
+  const values = [userId];
+
+  if (filters.status === 'unread') {
+    conditions.push('l.is_read = 0');
+  } else if (filters.status === 'read') {
+    conditions.push('l.is_read = 1');
+  } else if (filters.status === 'favorites') {
+    conditions.push('l.is_favorite = 1');
+  }
+
+  if (filters.category) {
+    conditions.push('l.category = ? COLLATE NOCASE');
+    values.push(filters.category);
+  }
+  if (filters.collection) {
+    conditions.push('l.id IN (SELECT link_id FROM collection_links WHERE collection_id = ?)');
+    values.push(filters.collection);
+  }
+  if (filters.domain) {
+    conditions.push('l.domain = ?');
+    values.push(filters.domain);
+  }
+  if (filters.from) {
+    conditions.push('l.timestamp >= ?');
+    values.push(filters.from);
+  }
+  if (filters.to) {
+    conditions.push("l.timestamp < date(?, '+1 day')");
+    values.push(filters.to);
+  }
+
+  // One EXISTS per tag, so a link must carry every requested tag
+  for (const tag of filters.tags || []) {
+    conditions.push(`EXISTS (
+      SELECT 1 FROM link_tags lt
+      JOIN tags t ON t.id = lt.tag_id
+      WHERE lt.link_id = l.id AND t.name = ?
+    )`);
+    values.push(tag);
+  }
+
+  if (filters.query) {
+    const pattern = `%${filters.query.replace(/[\\%_]/g, char => `\\${char}`)}%`;
+    conditions.push(`(
+      l.title LIKE ? ESCAPE '\\' OR l.url LIKE ? ESCAPE '\\' OR l.note LIKE ? ESCAPE '\\'
+      OR EXISTS (
+        SELECT 1 FROM link_tags lt
+        JOIN tags t ON t.id = lt.tag_id
+        WHERE lt.link_id = l.id AND t.name LIKE ? ESCAPE '\\'
+      )
+    )`);
+    values.push(pattern, pattern, pattern, pattern);
+  }
+
+  return { conditions, values };
+}
+
+/**
+ * Retrieves a user's links, optionally filtered, sorted and split into pages.
+ * Without a limit every matching link is returned in one go.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @param {Object} [filters]
+ * @param {string} [filters.status] - all (default), unread, read or favorites
+ * @param {string} [filters.category] - Only this category (case-insensitive)
+ * @param {string} [filters.collection] - Only links in the collection with this ID
+ * @param {string} [filters.domain] - Only links on this domain
+ * @param {string} [filters.from] - Only links saved on or after this day (YYYY-MM-DD, UTC)
+ * @param {string} [filters.to] - Only links saved on or before this day (YYYY-MM-DD, UTC)
+ * @param {string[]} [filters.tags] - Only links carrying every one of these tags
+ * @param {string} [filters.query] - Only links whose title, URL, note or tags contain this text
+ * @param {string} [filters.sort] - One of LINK_SORT_OPTIONS; newest by default. position needs a collection
+ * @param {number} [filters.limit] - Page size
+ * @param {string} [filters.cursor] - nextCursor of the previous page
+ * @returns {Promise<{success: boolean, links: Array, nextCursor?: string|null, invalidCursor?: boolean, error?: string}>}
+ *   nextCursor is null on the last page
+ */
+export async function getUserLinks(db, userId, filters = {}) {
+  try {
+    const sort = LINK_SORTS[filters.sort] || LINK_SORTS.newest;
+    const { conditions, values } = getLinkFilterConditions(userId, filters);
+
+    let join = '';
+    if (sort === LINK_SORTS.position) {
+      join = 'JOIN collection_links cl ON cl.link_id = l.id AND cl.collection_id = ?';
+      values.unshift(filters.collection);
+    }
+
+    if (filters.cursor) {
+      const cursor = decodeLinkCursor(filters.cursor);
+      if (!cursor) {
+        return { success: false, invalidCursor: true, error: 'Invalid cursor', links: [] };
+      }
+      const comparison = sort.direction === 'DESC' ? '<' : '>';
+      conditions.push(`(${sort.column} ${comparison} ? OR (${sort.column} = ? AND l.id ${comparison} ?))`);
+      values.push(cursor.value, cursor.value, cursor.id);
+    }
+
+    // One extra row tells whether another page follows
+    const limit = filters.limit ? ` LIMIT ${filters.limit + 1}` : '';
+
+    const links = await db.prepare(`
+      SELECT ${LINK_COLUMNS}, ${sort.column} AS sort_value
+      FROM links l ${join}
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY ${sort.column} ${sort.direction}, l.id ${sort.direction}${limit}
+    `).bind(...values).all();
+
+    const results = links.results || [];
+    const hasMore = !!filters.limit && results.length > filters.limit;
+    const page = hasMore ? results.slice(0, filters.limit) : results;
+    const formattedLinks = new Array(page.length);
+
+    for (let i = 0; i < page.length; i++) {
+      formattedLinks[i] = formatLink(page[i]);
+    }
+
+    return {
+      success: true,
+      links: formattedLinks,
+      nextCursor: hasMore ? encodeLinkCursor(page[page.length - 1]) : null
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      links: []
+    };
+  }
+}
+
+/** Links per search results page when no limit is given. */
+const DEFAULT_SEARCH_PAGE_SIZE = 20;
+
+/**
+ * Relative weight of each links_fts column (title, url, domain, note, article) in search ranking.
+ * A match in the title counts most; article text is long, so a match there counts least.
+ */
+const SEARCH_COLUMN_WEIGHTS = [10.0, 3.0, 3.0, 5.0, 1.0];
+
+/** Marks the start and end of matched words in search snippets; split out by parseSnippet. */
+const SNIPPET_MATCH_START = '\u0002';
+const SNIPPET_MATCH_END = '\u0003';
+
+/** Words of context in a search snippet. */
+const SNIPPET_WORDS = 24;
+
+/**
+ * Turns what the user typed into an FTS5 query. Every word must match, the last one as a prefix so results
+ * show up while typing; words are quoted, so FTS5 operators and punctuation are taken literally.
+ * @param {string} query
+ * @returns {string|null} null if there are no words
+ */
+function buildSearchQuery(query) {
+  const words = query.split(/\s+/).filter(Boolean).map(word => `"${word.replace(/"/g, '""')}"`);
+  if (words.length === 0) {
+    return null;
+  }
+  words[words.length - 1] += '*';
+  return words.join(' ');
+}
+
+/**
+ * Splits a snippet from FTS5 into plain and matched parts, so clients can mark matches without parsing HTML.
+ * @param {string|null} snippet
+ * @returns {Array<{text: string, match: boolean}>}
+ */
+function parseSnippet(snippet) {
+  const [before, ...rest] = (snippet || '').split(SNIPPET_MATCH_START);
+  const parts = before ? [{ text: before, match: false }] : [];
+
+  for (const part of rest) {
+    const [matched, after] = part.split(SNIPPET_MATCH_END);
+    if (matched) parts.push({ text: matched, match: true });
+    if (after) parts.push({ text: after, match: false });
+  }
+  return parts;
+}
+
+/**
+ * Full-text search over a user's links: title, URL, domain, note and the text of the saved page.
+ * Results are ranked best match first, each with a snippet of the text around the match.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @param {string} query - Words to look for; all must match, the last also as a word prefix
+ * @param {Object} [filters] - status, category, collection, domain, from, to and tags as on getUserLinks, plus limit and cursor
+ * @returns {Promise<{success: boolean, links: Array, nextCursor?: string|null, invalidCursor?: boolean, error?: string}>}
+ *   Each link also has snippet, a list of { text, match } parts; nextCursor is null on the last page
+ */
+export async function searchLinks(db, userId, query, filters = {}) {
+  try {
+    const match = buildSearchQuery(query);
+    if (!match) {
+      return { success: true, links: [], nextCursor: null };
+    }
+
+    const { conditions, values } = getLinkFilterConditions(userId, { ...filters, query: null });
+    const limit = filters.limit || DEFAULT_SEARCH_PAGE_SIZE;
+
+    // Ranked by bm25 score (lower is better), then id; pages continue after the last score and id seen
+    let after = '';
+    const afterValues = [];
+    if (filters.cursor) {
+      const cursor = decodeLinkCursor(filters.cursor);
+      if (!cursor || typeof cursor.value !== 'number') {
+        return { success: false, invalidCursor: true, error: 'Invalid cursor', links: [] };
+      }
+      after = 'WHERE sort_value > ? OR (sort_value = ? AND id > ?)';
+      afterValues.push(cursor.value, cursor.value, cursor.id);
+    }
+
+    const links = await db.prepare(`
+      SELECT * FROM (
+        SELECT ${LINK_COLUMNS},
+          bm25(links_fts, ${SEARCH_COLUMN_WEIGHTS.join(', ')}) AS sort_value,
+          snippet(links_fts, -1, ?, ?, '…', ${SNIPPET_WORDS}) AS snippet
+        FROM links_fts
+        JOIN links l ON l.id = links_fts.rowid
+        WHERE links_fts MATCH ? AND ${conditions.join(' AND ')}
+      )
+      ${after}
+      ORDER BY sort_value, id
+      LIMIT ?
+    `).bind(SNIPPET_MATCH_START, SNIPPET_MATCH_END, match, ...values, ...afterValues, limit + 1).all();
+
+    const results = links.results || [];
+    const hasMore = results.length > limit;
+    const page = hasMore ? results.slice(0, limit) : results;
+
+    return {
+      success: true,
+      links: page.map(row => ({ ...formatLink(row), snippet: parseSnippet(row.snippet) })),
+      nextCursor: hasMore ? encodeLinkCursor(page[page.length - 1]) : null
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      links: []
+    };
+  }
+}
+
+/**
+ * Stores the readable text of a link's page in the search index. Downloading the page can be slow,
+ * so this runs after the link is saved (and again when its URL changes) rather than before responding.
+ * @param {D1Database} db
+ * @param {string|number} linkId
+ * @param {string} url
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function indexLinkArticle(db, linkId, url) {
+  try {
+    const text = await fetchArticleText(url);
+    if (text) {
+      await db.prepare('UPDATE links_fts SET article = ? WHERE rowid = ?').bind(text, linkId).run();
+    }
+    return { success: true };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Creates a new link entry. Auto-extracts title from URL if not provided.
+ * The URL is canonicalized first (shorteners expanded, tracking parameters removed); if the user
+ * already saved the same page, that link is returned with duplicate set instead of adding another.
+ * Saving a page whose link is in the trash restores that link. The link is added to the given collections
+ * in each case, so saving an already saved page into a collection files it there.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @param {Object} linkData - { url, title?, category?, tags?, note?, collections? (collection IDs) }
+ * @returns {Promise<{success: boolean, link?: Object, duplicate?: boolean, restored?: boolean, error?: string}>}
+ */
+export async function createLink(db, userId, linkData) {
+  try {
+    const { title, tags = [], note = null, collections = [] } = linkData;
+    const { url, canonicalUrl } = await canonicalizeUrl(linkData.url);
+
+    const existing = await findLinkByCanonicalUrl(db, userId, canonicalUrl, [linkData.url, url]);
+    if (existing) {
+      const statements = [
+        addLinkToCollectionsStatement(db, userId, existing.id, collections),
+        db.prepare(`SELECT ${LINK_COLUMNS} FROM links l WHERE l.id = ?`).bind(existing.id)
+      ];
+      if (existing.deleted_at) {
+        statements.unshift(db.prepare('UPDATE links SET deleted_at = NULL WHERE id = ?').bind(existing.id));
+      }
+      const results = await db.batch(statements);
+      const link = formatLink(results[results.length - 1].results[0]);
+      return existing.deleted_at
+        ? { success: true, restored: true, link }
+        : { success: true, duplicate: true, link };
+    }
+
+    const domain = getDomainFromUrl(url);
+    const finalTitle = title || await extractTitleFromUrl(url) || 'Untitled';
+    const category = await resolveCategory(db, userId, linkData.category || DEFAULT_CATEGORY);
+
+    const created = await db.prepare(`
+      INSERT INTO links (user_id, url, canonical_url, title, category, domain, note, is_read, is_favorite)
+      VALUES (?, ?, ?, ?, ?, ?, ?, 0, 0)
+      ON CONFLICT (user_id, canonical_url) DO NOTHING
+      RETURNING id
+    `).bind(userId, url, canonicalUrl, finalTitle, category, domain, note || null).first();
+
+    if (!created) {
+      // Saved by another request while the title was being fetched
+      const saved = await findLinkByCanonicalUrl(db, userId, canonicalUrl, [linkData.url, url]);
+      return { success: true, duplicate: true, link: formatLink(saved) };
+    }
+
+    if (tags.length > 0) {
+      await setLinkTags(db, userId, created.id, tags);
+    }
+    if (collections.length > 0) {
+      await addLinkToCollectionsStatement(db, userId, created.id, collections).run();
+    }
+
+    // Fetch the created link
+    const newLink = await db.prepare(`
+      SELECT ${LINK_COLUMNS}
+      FROM links l
+      WHERE l.id = ?
+    `).bind(created.id).first();
+
+    return {
+      success: true,
+      link: formatLink(newLink)
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Updates the title, URL, category, note, tags and/or collections of a link owned by the given user.
+ * A new URL is canonicalized like on save, and the domain recomputed; tags and collections, when given,
+ * replace the link's current set. An empty note clears it. Links in the trash are left alone and, like links
+ * that aren't found, give changes 0.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @param {string|number} linkId
+ * @param {Object} updates - { url?, title?, category?, note?, tags?, collections? (collection IDs) }; omitted
+ *   fields are left unchanged
+ * @returns {Promise<{success: boolean, changes?: number, link?: Object, duplicate?: boolean, error?: string}>}
+ *   duplicate is set, with the other link, when the new URL is already saved as a different link
+ */
+export async function updateLink(db, userId, linkId, updates) {
+  try {
+    const assignments = [];
+    const values = [];
+
+    if (updates.url !== undefined) {
+      const { url, canonicalUrl } = await canonicalizeUrl(updates.url);
+      const existing = await findLinkByCanonicalUrl(db, userId, canonicalUrl, [updates.url, url], linkId);
+      if (existing) {
+        const error = existing.deleted_at
+          ? 'This URL is saved as another link in the trash'
+          : 'This URL is already saved as another link';
+        return { success: false, duplicate: true, link: formatLink(existing), error };
+      }
+
+      assignments.push('url = ?', 'canonical_url = ?', 'domain = ?');
+      values.push(url, canonicalUrl, getDomainFromUrl(url));
+    }
+    if (updates.title !== undefined) {
+      assignments.push('title = ?');
+      values.push(updates.title);
+    }
+    if (updates.category !== undefined) {
+      assignments.push('category = ?');
+      values.push(await resolveCategory(db, userId, updates.category));
+    }
+    if (updates.note !== undefined) {
+      assignments.push('note = ?');
+      values.push(updates.note || null);
+    }
+
+    if (assignments.length > 0) {
+      const result = await db.prepare(`
+        UPDATE links
+        SET ${assignments.join(', ')}
+        WHERE id = ? AND user_id = ? AND deleted_at IS NULL
+      `).bind(...values, linkId, userId).run();
+
+      if (result.meta.changes === 0) {
+        return { success: true, changes: 0 };
+      }
+    } else {
+      // Tags or collections only: nothing to UPDATE, so check ownership directly
+      const owned = await db.prepare('SELECT id FROM links WHERE id = ? AND user_id = ? AND deleted_at IS NULL').bind(linkId, userId).first();
+      if (!owned) {
+        return { success: true, changes: 0 };
+      }
+    }
+
+    if (updates.tags !== undefined) {
+      await setLinkTags(db, userId, linkId, updates.tags);
+    }
+    if (updates.collections !== undefined) {
+      // Collections the link stays in keep its place there
+      await db.batch([
+        db.prepare(`
+          DELETE FROM collection_links
+          WHERE link_id = ? AND collection_id NOT IN (SELECT value FROM json_each(?))
+        `).bind(linkId, JSON.stringify(updates.collections.map(Number))),
+        addLinkToCollectionsStatement(db, userId, linkId, updates.collections)
+      ]);
+    }
+
+    const link = await db.prepare(`
+      SELECT ${LINK_COLUMNS}
+      FROM links l
+      WHERE l.id = ?
+    `).bind(linkId).first();
+
+    return {
+      success: true,
+      changes: 1,
+      link: formatLink(link)
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Moves a link owned by the given user to the trash. It keeps its tags, note and highlights until it is
+ * restored or purged.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @param {string|number} linkId
+ * @returns {Promise<{success: boolean, changes?: number, error?: string}>}
+ */
+export async function deleteLink(db, userId, linkId) {
+  try {
+    const result = await db.prepare(`
+      UPDATE links
+      SET deleted_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND user_id = ? AND deleted_at IS NULL
+    `).bind(linkId, userId).run();
+
+    return {
+      success: true,
+      changes: result.meta.changes
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Marks a link as read or unread.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @param {string|number} linkId
+ * @param {number} [isRead=1] - 1 for read, 0 for unread
+ * @returns {Promise<{success: boolean, changes?: number, error?: string}>}
+ */
+export async function markLinkAsRead(db, userId, linkId, isRead = 1) {
+  try {
+    const result = await db.prepare(`
+      UPDATE links
+      SET is_read = ?
+      WHERE id = ? AND user_id = ? AND deleted_at IS NULL
+    `).bind(isRead, linkId, userId).run();
+
+    return {
+      success: true,
+      changes: result.meta.changes
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Sets or clears the favorite flag on a link.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @param {string|number} linkId
+ * @param {number} [isFavorite=1] - 1 to favorite, 0 to unfavorite
+ * @returns {Promise<{success: boolean, changes?: number, error?: string}>}
+ */
+export async function toggleFavorite(db, userId, linkId, isFavorite = 1) {
+  try {
+    const result = await db.prepare(`
+      UPDATE links 
+      SET is_favorite = ?
+      WHERE id = ? AND user_id = ? AND deleted_at IS NULL
+    `).bind(isFavorite, linkId, userId).run();
+
+    return {
+      success: true,
+      changes: result.meta.changes
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/** Actions bulkUpdateLinks can apply. */
+export const BULK_LINK_ACTIONS = ['read', 'unread', 'favorite', 'unfavorite', 'category', 'tag', 'delete'];
+
+/**
+ * Applies one action to many of a user's links at once. The changes run as a single batch, so they
+ * all apply or none do; link IDs are passed as one JSON array, which keeps any number of them within
+ * D1's limit on bound parameters.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @param {Object} target - { ids } to name the links, or { filters } (as on getUserLinks) for every matching link
+ * @param {string} action - One of BULK_LINK_ACTIONS; delete moves the links to the trash
+ * @param {Object} [options] - { category } for the category action, { tags } (normalized names) for tag
+ * @returns {Promise<{success: boolean, results?: Array<{id: string, success: boolean, error?: string}>, error?: string}>}
+ *   One result per link; IDs that aren't the user's links, or are in the trash, fail with an error
+ */
+export async function bulkUpdateLinks(db, userId, target, action, options = {}) {
+  try {
+    let ids = target.ids;
+    if (!ids) {
+      const { conditions, values } = getLinkFilterConditions(userId, target.filters);
+      const matches = await db.prepare(`
+        SELECT l.id FROM links l
+        WHERE ${conditions.join(' AND ')}
+      `).bind(...values).all();
+      ids = (matches.results || []).map(row => row.id);
+    }
+    if (ids.length === 0) {
+      return { success: true, results: [] };
+    }
+
+    const idList = JSON.stringify(ids.map(Number));
+    const inList = 'id IN (SELECT value FROM json_each(?)) AND user_id = ? AND deleted_at IS NULL';
+    const statements = [db.prepare(`SELECT id FROM links WHERE ${inList}`).bind(idList, userId)];
+
+    if (action === 'read' || action === 'unread') {
+      statements.push(db.prepare(`UPDATE links SET is_read = ? WHERE ${inList}`).bind(action === 'read' ? 1 : 0, idList, userId));
+    } else if (action === 'favorite' || action === 'unfavorite') {
+      statements.push(db.prepare(`UPDATE links SET is_favorite = ? WHERE ${inList}`).bind(action === 'favorite' ? 1 : 0, idList, userId));
+    } else if (action === 'category') {
+      const category = await resolveCategory(db, userId, options.category);
+      statements.push(db.prepare(`UPDATE links SET category = ? WHERE ${inList}`).bind(category, idList, userId));
+    } else if (action === 'tag') {
+      // Adds the tags; tags already on a link are left as they are
+      statements.push(...options.tags.map(name =>
+        db.prepare('INSERT OR IGNORE INTO tags (user_id, name) VALUES (?, ?)').bind(userId, name)
+      ));
+      statements.push(db.prepare(`
+        INSERT OR IGNORE INTO link_tags (link_id, tag_id)
+        SELECT l.id, t.id FROM links l
+        JOIN tags t ON t.user_id = l.user_id
+        WHERE l.id IN (SELECT value FROM json_each(?)) AND l.user_id = ? AND l.deleted_at IS NULL
+          AND t.name IN (SELECT value FROM json_each(?))
+      `).bind(idList, userId, JSON.stringify(options.tags)));
+    } else if (action === 'delete') {
+      statements.push(db.prepare(`UPDATE links SET deleted_at = CURRENT_TIMESTAMP WHERE ${inList}`).bind(idList, userId));
+    } else {
+      return { success: false, error: `Unknown action: ${action}` };
+    }
+
+    const [found] = await db.batch(statements);
+    const foundIds = new Set((found.results || []).map(row => row.id));
+
+    return {
+      success: true,
+      results: ids.map(id => foundIds.has(Number(id))
+        ? { id: String(id), success: true }
+        : { id: String(id), success: false, error: 'Link not found or not owned by user' })
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/** Links written per INSERT statement by importLinks, keeping each JSON parameter small. */
+const IMPORT_CHUNK_SIZE = 500;
+
+/**
+ * Saves links imported from another service. Each URL is cleaned and compared like on save (without
+ * following shortened links, which would mean a request per row) against the user's links and the rest
+ * of the file; matches are reported as duplicates, and matches in the trash are restored. Original saved
+ * dates and read and favorite state are kept. All writes run as one batch.
+ * Page text isn't fetched, so imported links are found by search on their title, URL, domain and note.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @param {Array<Object>} items - { row, url, title, category, tags, note, addedAt, isRead, isFavorite }, with
+ *   valid http(s) URLs, a title, normalized tags, and addedAt as 'YYYY-MM-DD HH:MM:SS' (UTC) or null for now.
+ *   Categories the user doesn't have yet are added to their list
+ * @returns {Promise<{success: boolean, results?: Array<{row: number, url: string, status: string, linkId?: string}>, error?: string}>}
+ *   One result per item, in order; status is imported, duplicate or restored
+ */
+export async function importLinks(db, userId, items) {
+  try {
+    const entries = items.map(item => {
+      const url = normalizeUrl(item.url);
+      return { item, url, canonicalUrl: getCanonicalUrl(url) };
+    });
+    if (entries.length === 0) {
+      return { success: true, results: [] };
+    }
+
+    // Links saved before canonical URLs were recorded are matched on their stored URL
+    const existing = await db.prepare(`
+      SELECT id, url, canonical_url, deleted_at FROM links
+      WHERE user_id = ?
+        AND (canonical_url IN (SELECT value FROM json_each(?))
+          OR (canonical_url IS NULL AND url IN (SELECT value FROM json_each(?))))
+    `).bind(
+      userId,
+      JSON.stringify(entries.map(entry => entry.canonicalUrl)),
+      JSON.stringify(entries.flatMap(entry => [entry.item.url, entry.url]))
+    ).all();
+
+    const saved = new Map();
+    for (const link of existing.results || []) {
+      saved.set(link.canonical_url || getCanonicalUrl(normalizeUrl(link.url)), link);
+    }
+
+    const newLinks = [];
+    const inFile = new Set();
+    for (const entry of entries) {
+      if (!saved.has(entry.canonicalUrl) && !inFile.has(entry.canonicalUrl)) {
+        inFile.add(entry.canonicalUrl);
+        newLinks.push({
+          url: entry.url,
+          canonicalUrl: entry.canonicalUrl,
+          title: entry.item.title,
+          category: entry.item.category,
+          domain: getDomainFromUrl(entry.url),
+          note: entry.item.note || null,
+          addedAt: entry.item.addedAt,
+          isRead: entry.item.isRead ? 1 : 0,
+          isFavorite: entry.item.isFavorite ? 1 : 0,
+          tags: entry.item.tags
+        });
+      }
+    }
+
+    const statements = [];
+    for (let i = 0; i < newLinks.length; i += IMPORT_CHUNK_SIZE) {
+      const chunk = JSON.stringify(newLinks.slice(i, i + IMPORT_CHUNK_SIZE));
+      // WHERE true: without it SQLite would read ON CONFLICT as part of the SELECT's join
+      statements.push(db.prepare(`
+        INSERT INTO links (user_id, url, canonical_url, title, category, domain, note, is_read, is_favorite, date_added, timestamp)
+        SELECT ?, json_extract(value, '$.url'), json_extract(value, '$.canonicalUrl'), json_extract(value, '$.title'),
+          json_extract(value, '$.category'), json_extract(value, '$.domain'), json_extract(value, '$.note'),
+          json_extract(value, '$.isRead'), json_extract(value, '$.isFavorite'),
+          COALESCE(json_extract(value, '$.addedAt'), CURRENT_TIMESTAMP), COALESCE(json_extract(value, '$.addedAt'), CURRENT_TIMESTAMP)
+        FROM json_each(?) WHERE true
+        ON CONFLICT (user_id, canonical_url) DO NOTHING
+        RETURNING id, canonical_url
+      `).bind(userId, chunk));
+      statements.push(db.prepare(`
+        INSERT OR IGNORE INTO tags (user_id, name)
+        SELECT DISTINCT ?, tag.value FROM json_each(?) item, json_each(item.value, '$.tags') tag
+      `).bind(userId, chunk));
+      // CROSS JOIN fixes the join order, so each item looks its link up by index instead of scanning links
+      statements.push(db.prepare(`
+        INSERT OR IGNORE INTO link_tags (link_id, tag_id)
+        SELECT l.id, t.id FROM json_each(?) item
+        CROSS JOIN json_each(item.value, '$.tags') tag
+        CROSS JOIN links l ON l.user_id = ? AND l.canonical_url = json_extract(item.value, '$.canonicalUrl')
+        JOIN tags t ON t.user_id = l.user_id AND t.name = tag.value
+      `).bind(chunk, userId));
+    }
+
+    const trashed = [...saved.values()].filter(link => link.deleted_at).map(link => link.id);
+    if (trashed.length > 0) {
+      statements.push(db.prepare(`
+        UPDATE links SET deleted_at = NULL
+        WHERE id IN (SELECT value FROM json_each(?)) AND user_id = ?
+      `).bind(JSON.stringify(trashed), userId));
+    }
+    for (const category of new Set(newLinks.map(link => link.category))) {
+      statements.push(addCategoryStatement(db, userId, category));
+    }
+
+    const batchResults = statements.length > 0 ? await db.batch(statements) : [];
+    const created = new Map();
+    for (let i = 0; i < newLinks.length; i += IMPORT_CHUNK_SIZE) {
+      for (const row of batchResults[(i / IMPORT_CHUNK_SIZE) * 3].results || []) {
+        created.set(row.canonical_url, row.id);
+      }
+    }
+
+    const reported = new Set();
+    return {
+      success: true,
+      results: entries.map(({ item, url, canonicalUrl }) => {
+        const link = saved.get(canonicalUrl);
+        let status = 'duplicate';
+        if (link && link.deleted_at && !reported.has(canonicalUrl)) {
+          status = 'restored';
+        } else if (!link && created.has(canonicalUrl) && !reported.has(canonicalUrl)) {
+          status = 'imported';
+        }
+        reported.add(canonicalUrl);
+
+        const linkId = link ? link.id : created.get(canonicalUrl);
+        return { row: item.row, url, status, ...(linkId ? { linkId: String(linkId) } : {}) };
+      })
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Lists the links in a user's trash, most recently deleted first.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @returns {Promise<{success: boolean, links: Array, error?: string}>}
+ */
+export async function getTrashedLinks(db, userId) {
+  try {
+    const links = await db.prepare(`
+      SELECT ${LINK_COLUMNS}
+      FROM links l
+      WHERE l.user_id = ? AND l.deleted_at IS NOT NULL
+      ORDER BY l.deleted_at DESC, l.id DESC
+    `).bind(userId).all();
+
+    return {
+      success: true,
+      links: (links.results || []).map(formatLink)
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      links: []
+    };
+  }
+}
+
+/**
+ * Takes links out of the user's trash.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @param {Array<string|number>} linkIds
+ * @returns {Promise<{success: boolean, changes?: number, error?: string}>} changes counts the links restored
+ */
+export async function restoreLinks(db, userId, linkIds) {
+  try {
+    const result = await db.prepare(`
+      UPDATE links
+      SET deleted_at = NULL
+      WHERE id IN (SELECT value FROM json_each(?)) AND user_id = ? AND deleted_at IS NOT NULL
+    `).bind(JSON.stringify(linkIds.map(Number)), userId).run();
+
+    return {
+      success: true,
+      changes: result.meta.changes
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Permanently deletes one link from the user's trash, or the whole trash, with the links' tags and highlights.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @param {string|number|null} [linkId] - The link to delete; the whole trash is emptied when omitted
+ * @returns {Promise<{success: boolean, changes?: number, error?: string}>} changes counts the links deleted
+ */
+export async function purgeTrashedLinks(db, userId, linkId = null) {
+  try {
+    const condition = `user_id = ? AND deleted_at IS NOT NULL${linkId === null ? '' : ' AND id = ?'}`;
+    const values = linkId === null ? [userId] : [userId, linkId];
+
+    const purge = purgeLinksStatements(db, condition, values);
+    const results = await db.batch([
+      ...purge,
+      deleteUnusedTagsStatement(db, userId)
+    ]);
+
+    return {
+      success: true,
+      changes: results[purge.length - 1].meta.changes
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Permanently deletes every user's links that have been in the trash for more than TRASH_RETENTION_DAYS.
+ * Run from the Worker's scheduled (cron) handler.
+ * @param {D1Database} db
+ * @returns {Promise<{success: boolean, changes?: number, error?: string}>} changes counts the links deleted
+ */
+export async function purgeExpiredTrash(db) {
+  try {
+    const purge = purgeLinksStatements(db, "deleted_at < datetime('now', ?)", [`-${TRASH_RETENTION_DAYS} days`]);
+    const results = await db.batch([
+      ...purge,
+      db.prepare('DELETE FROM tags WHERE id NOT IN (SELECT tag_id FROM link_tags)')
+    ]);
+
+    return {
+      success: true,
+      changes: results[purge.length - 1].meta.changes
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Converts a categories row to the shape returned by the API.
+ * @param {Object} category
+ * @returns {Object}
+ */
+function formatCategory(category) {
+  return {
+    id: category.id.toString(),
+    name: category.name,
+    color: category.color,
+    position: category.position,
+    count: category.count || 0,
+    publicSlug: category.public_slug || null
+  };
+}
+
+/**
+ * Lists a user's categories in their order, with how many links (not counting the trash) are in each.
+ * publicSlug is the slug the category is published under, or null if it isn't public.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @returns {Promise<{success: boolean, categories: Array<{id: string, name: string, color: string, position: number, count: number, publicSlug: string|null}>, error?: string}>}
+ */
+export async function getUserCategories(db, userId) {
+  try {
+    const result = await db.prepare(`
+      SELECT c.id, c.name, c.color, c.position, COUNT(l.id) AS count,
+        (SELECT slug FROM public_lists WHERE category_id = c.id) AS public_slug
+      FROM categories c
+      LEFT JOIN links l ON l.user_id = c.user_id AND l.category = c.name COLLATE NOCASE AND l.deleted_at IS NULL
+      WHERE c.user_id = ?
+      GROUP BY c.id
+      ORDER BY c.position, c.id
+    `).bind(userId).all();
+
+    return {
+      success: true,
+      categories: (result.results || []).map(formatCategory)
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      categories: []
+    };
+  }
+}
+
+/**
+ * Adds a category to the end of a user's list.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @param {Object} category - { name, color }
+ * @returns {Promise<{success: boolean, category?: Object, conflict?: boolean, error?: string}>}
+ *   conflict is set when the user already has a category by that name
+ */
+export async function createCategory(db, userId, category) {
+  try {
+    const created = await db.prepare(`
+      INSERT INTO categories (user_id, name, color, position)
+      SELECT ?, ?, ?, COALESCE(MAX(position) + 1, 0) FROM categories WHERE user_id = ?
+      ON CONFLICT (user_id, name) DO NOTHING
+      RETURNING id, name, color, position
+    `).bind(userId, category.name, category.color, userId).first();
+
+    if (!created) {
+      return { success: false, conflict: true, error: 'You already have a category with that name' };
+    }
+    return { success: true, category: formatCategory(created) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Renames and/or recolors one of a user's categories. Renaming also renames it on every link filed under it,
+ * including links in the trash.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @param {string|number} categoryId
+ * @param {Object} updates - { name?, color? }
+ * @returns {Promise<{success: boolean, changes?: number, category?: Object, conflict?: boolean, invalid?: boolean, error?: string}>}
+ *   changes is 0 if the category isn't the user's; conflict is set when the new name is taken, and invalid
+ *   when renaming DEFAULT_CATEGORY
+ */
+export async function updateCategory(db, userId, categoryId, updates) {
+  try {
+    const category = await db.prepare('SELECT id, name, color FROM categories WHERE id = ? AND user_id = ?').bind(categoryId, userId).first();
+    if (!category) {
+      return { success: true, changes: 0 };
+    }
+
+    const name = updates.name ?? category.name;
+    if (name.toLowerCase() !== category.name.toLowerCase() && category.name.toLowerCase() === DEFAULT_CATEGORY.toLowerCase()) {
+      return { success: false, invalid: true, error: `${DEFAULT_CATEGORY} can't be renamed` };
+    }
+
+    const color = updates.color ?? category.color;
+    const [updated, , linkCount] = await db.batch([
+      db.prepare(`
+        UPDATE categories SET name = ?, color = ?
+        WHERE id = ?
+        RETURNING id, name, color, position, (SELECT slug FROM public_lists WHERE category_id = categories.id) AS public_slug
+      `).bind(name, color, category.id),
+      db.prepare('UPDATE links SET category = ? WHERE user_id = ? AND category = ? COLLATE NOCASE').bind(name, userId, category.name),
+      db.prepare(`
+        SELECT COUNT(*) AS count FROM links
+        WHERE user_id = ? AND category = ? COLLATE NOCASE AND deleted_at IS NULL
+      `).bind(userId, name)
+    ]);
+
+    return { success: true, changes: 1, category: formatCategory({ ...updated.results[0], count: linkCount.results[0].count }) };
+  } catch (error) {
+    if (error.message.includes('UNIQUE constraint failed')) {
+      return { success: false, conflict: true, error: 'You already have a category with that name' };
+    }
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Deletes one of a user's categories; its links, including any in the trash, move to DEFAULT_CATEGORY.
+ * A published category stops being public.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @param {string|number} categoryId
+ * @returns {Promise<{success: boolean, changes?: number, moved?: number, invalid?: boolean, error?: string}>}
+ *   changes is 0 if the category isn't the user's; invalid is set for DEFAULT_CATEGORY; moved counts the links
+ */
+export async function deleteCategory(db, userId, categoryId) {
+  try {
+    const category = await db.prepare('SELECT id, name FROM categories WHERE id = ? AND user_id = ?').bind(categoryId, userId).first();
+    if (!category) {
+      return { success: true, changes: 0 };
+    }
+    if (category.name.toLowerCase() === DEFAULT_CATEGORY.toLowerCase()) {
+      return { success: false, invalid: true, error: `${DEFAULT_CATEGORY} can't be deleted` };
+    }
+
+    const [, moved] = await db.batch([
+      addCategoryStatement(db, userId, DEFAULT_CATEGORY),
+      db.prepare(`
+        UPDATE links SET category = (SELECT name FROM categories WHERE user_id = ? AND name = ?)
+        WHERE user_id = ? AND category = ? COLLATE NOCASE
+      `).bind(userId, DEFAULT_CATEGORY, userId, category.name),
+      db.prepare('DELETE FROM public_lists WHERE category_id = ?').bind(category.id),
+      db.prepare('DELETE FROM categories WHERE id = ?').bind(category.id)
+    ]);
+
+    return { success: true, changes: 1, moved: moved.meta.changes };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Puts a user's categories in a new order.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @param {Array<string|number>} categoryIds - Every one of the user's category IDs, once each, in the new order
+ * @returns {Promise<{success: boolean, invalid?: boolean, error?: string}>}
+ *   invalid is set when the IDs aren't exactly the user's categories
+ */
+export async function reorderCategories(db, userId, categoryIds) {
+  try {
+    const current = await db.prepare('SELECT id FROM categories WHERE user_id = ?').bind(userId).all();
+    const ids = categoryIds.map(Number);
+    const owned = new Set((current.results || []).map(row => row.id));
+
+    if (ids.length !== owned.size || new Set(ids).size !== ids.length || !ids.every(id => owned.has(id))) {
+      return { success: false, invalid: true, error: 'ids must list each of your categories once' };
+    }
+
+    await db.prepare(`
+      UPDATE categories
+      SET position = (SELECT key FROM json_each(?) WHERE value = categories.id)
+      WHERE user_id = ?
+    `).bind(JSON.stringify(ids), userId).run();
+
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Converts a collections row to the shape returned by the API.
+ * @param {Object} collection
+ * @returns {Object}
+ */
+function formatCollection(collection) {
+  return {
+    id: collection.id.toString(),
+    name: collection.name,
+    description: collection.description,
+    position: collection.position,
+    count: collection.count || 0,
+    publicSlug: collection.public_slug || null,
+    createdAt: collection.created_at
+  };
+}
+
+/**
+ * Finds one of a user's collections.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @param {string|number} collectionId
+ * @returns {Promise<Object|null>} The collections row, or null if it isn't the user's
+ */
+async function findCollection(db, userId, collectionId) {
+  return await db.prepare('SELECT * FROM collections WHERE id = ? AND user_id = ?').bind(collectionId, userId).first();
+}
+
+/**
+ * Lists a user's collections in their order, with how many links (not counting the trash) are in each.
+ * publicSlug is the slug the collection is published under, or null if it isn't public.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @returns {Promise<{success: boolean, collections: Array<{id: string, name: string, description: string, position: number, count: number, publicSlug: string|null, createdAt: string}>, error?: string}>}
+ */
+export async function getUserCollections(db, userId) {
+  try {
+    const result = await db.prepare(`
+      SELECT c.id, c.name, c.description, c.position, c.created_at, COUNT(l.id) AS count,
+        (SELECT slug FROM public_lists WHERE collection_id = c.id) AS public_slug
+      FROM collections c
+      LEFT JOIN collection_links cl ON cl.collection_id = c.id
+      LEFT JOIN links l ON l.id = cl.link_id AND l.deleted_at IS NULL
+      WHERE c.user_id = ?
+      GROUP BY c.id
+      ORDER BY c.position, c.id
+    `).bind(userId).all();
+
+    return {
+      success: true,
+      collections: (result.results || []).map(formatCollection)
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      collections: []
+    };
+  }
+}
+
+/**
+ * Adds a collection to the end of a user's list.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @param {Object} collection - { name, description }
+ * @returns {Promise<{success: boolean, collection?: Object, conflict?: boolean, error?: string}>}
+ *   conflict is set when the user already has a collection by that name
+ */
+export async function createCollection(db, userId, collection) {
+  try {
+    const created = await db.prepare(`
+      INSERT INTO collections (user_id, name, description, position)
+      SELECT ?, ?, ?, COALESCE(MAX(position) + 1, 0) FROM collections WHERE user_id = ?
+      ON CONFLICT (user_id, name) DO NOTHING
+      RETURNING id, name, description, position, created_at
+    `).bind(userId, collection.name, collection.description, userId).first();
+
+    if (!created) {
+      return { success: false, conflict: true, error: 'You already have a collection with that name' };
+    }
+    return { success: true, collection: formatCollection(created) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Renames one of a user's collections and/or changes its description.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @param {string|number} collectionId
+ * @param {Object} updates - { name?, description? }
+ * @returns {Promise<{success: boolean, changes?: number, collection?: Object, conflict?: boolean, error?: string}>}
+ *   changes is 0 if the collection isn't the user's; conflict is set when the new name is taken
+ */
+export async function updateCollection(db, userId, collectionId, updates) {
+  try {
+    const collection = await findCollection(db, userId, collectionId);
+    if (!collection) {
+      return { success: true, changes: 0 };
+    }
+
+    const [updated, linkCount] = await db.batch([
+      db.prepare(`
+        UPDATE collections SET name = ?, description = ?
+        WHERE id = ?
+        RETURNING id, name, description, position, created_at,
+          (SELECT slug FROM public_lists WHERE collection_id = collections.id) AS public_slug
+      `).bind(updates.name ?? collection.name, updates.description ?? collection.description, collection.id),
+      db.prepare(`
+        SELECT COUNT(*) AS count FROM collection_links cl
+        JOIN links l ON l.id = cl.link_id AND l.deleted_at IS NULL
+        WHERE cl.collection_id = ?
+      `).bind(collection.id)
+    ]);
+
+    return { success: true, changes: 1, collection: formatCollection({ ...updated.results[0], count: linkCount.results[0].count }) };
+  } catch (error) {
+    if (error.message.includes('UNIQUE constraint failed')) {
+      return { success: false, conflict: true, error: 'You already have a collection with that name' };
+    }
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Deletes one of a user's collections. Its links are left as they are, other than no longer being in it.
+ * A published collection stops being public.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @param {string|number} collectionId
+ * @returns {Promise<{success: boolean, changes?: number, error?: string}>} changes is 0 if the collection isn't the user's
+ */
+export async function deleteCollection(db, userId, collectionId) {
+  try {
+    const [, , deleted] = await db.batch([
+      db.prepare(`
+        DELETE FROM collection_links
+        WHERE collection_id = (SELECT id FROM collections WHERE id = ? AND user_id = ?)
+      `).bind(collectionId, userId),
+      db.prepare(`
+        DELETE FROM public_lists
+        WHERE collection_id = (SELECT id FROM collections WHERE id = ? AND user_id = ?)
+      `).bind(collectionId, userId),
+      db.prepare('DELETE FROM collections WHERE id = ? AND user_id = ?').bind(collectionId, userId)
+    ]);
+
+    return { success: true, changes: deleted.meta.changes };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Puts a user's collections in a new order.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @param {Array<string|number>} collectionIds - Every one of the user's collection IDs, once each, in the new order
+ * @returns {Promise<{success: boolean, invalid?: boolean, error?: string}>}
+ *   invalid is set when the IDs aren't exactly the user's collections
+ */
+export async function reorderCollections(db, userId, collectionIds) {
+  try {
+    const current = await db.prepare('SELECT id FROM collections WHERE user_id = ?').bind(userId).all();
+    const ids = collectionIds.map(Number);
+    const owned = new Set((current.results || []).map(row => row.id));
+
+    if (ids.length !== owned.size || new Set(ids).size !== ids.length || !ids.every(id => owned.has(id))) {
+      return { success: false, invalid: true, error: 'ids must list each of your collections once' };
+    }
+
+    await db.prepare(`
+      UPDATE collections
+      SET position = (SELECT key FROM json_each(?) WHERE value = collections.id)
+      WHERE user_id = ?
+    `).bind(JSON.stringify(ids), userId).run();
+
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Adds links to the end of one of a user's collections, in the order given. Links already in it keep
+ * their place.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @param {string|number} collectionId
+ * @param {Array<string|number>} linkIds
+ * @returns {Promise<{success: boolean, changes?: number, added?: number, error?: string}>}
+ *   changes is 0 if the collection isn't the user's; added counts the links that weren't in it yet
+ *   (IDs that aren't the user's links are skipped)
+ */
+export async function addLinksToCollection(db, userId, collectionId, linkIds) {
+  try {
+    const collection = await findCollection(db, userId, collectionId);
+    if (!collection) {
+      return { success: true, changes: 0 };
+    }
+
     const result = await db.prepare(`
-      DELETE FROM links 
-      WHERE id = ? AND user_id = ?
-    `).bind(linkId, userId).run();
+      INSERT OR IGNORE INTO collection_links (collection_id, link_id, position)
+      SELECT ?, l.id, (SELECT COALESCE(MAX(position) + 1, 0) FROM collection_links WHERE collection_id = ?) + j.key
+      FROM json_each(?) j
+      JOIN links l ON l.id = j.value
+      WHERE l.user_id = ?
+    `).bind(collection.id, collection.id, JSON.stringify(linkIds.map(Number)), userId).run();
+
+    return { success: true, changes: 1, added: result.meta.changes };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Takes links out of one of a user's collections.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @param {string|number} collectionId
+ * @param {Array<string|number>} linkIds
+ * @returns {Promise<{success: boolean, changes?: number, removed?: number, error?: string}>}
+ *   changes is 0 if the collection isn't the user's; removed counts the links that were in it
+ */
+export async function removeLinksFromCollection(db, userId, collectionId, linkIds) {
+  try {
+    const collection = await findCollection(db, userId, collectionId);
+    if (!collection) {
+      return { success: true, changes: 0 };
+    }
+
+    const result = await db.prepare(`
+      DELETE FROM collection_links
+      WHERE collection_id = ? AND link_id IN (SELECT value FROM json_each(?))
+    `).bind(collection.id, JSON.stringify(linkIds.map(Number))).run();
+
+    return { success: true, changes: 1, removed: result.meta.changes };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Reorders links within one of a user's collections. The links given swap into the places they held
+ * between them, in the order given, and every other link stays where it is; so moving one card past its
+ * neighbour only needs those two, and listing the whole collection reorders all of it.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @param {string|number} collectionId
+ * @param {Array<string|number>} linkIds - Links in the collection, once each, in their new order
+ * @returns {Promise<{success: boolean, changes?: number, invalid?: boolean, error?: string}>}
+ *   changes is 0 if the collection isn't the user's; invalid is set when a link isn't in it or is listed twice
+ */
+export async function reorderCollectionLinks(db, userId, collectionId, linkIds) {
+  try {
+    const collection = await findCollection(db, userId, collectionId);
+    if (!collection) {
+      return { success: true, changes: 0 };
+    }
+
+    const ids = linkIds.map(Number);
+    const current = await db.prepare(`
+      SELECT position FROM collection_links
+      WHERE collection_id = ? AND link_id IN (SELECT value FROM json_each(?))
+      ORDER BY position
+    `).bind(collection.id, JSON.stringify(ids)).all();
+    const positions = (current.results || []).map(row => row.position);
+
+    if (positions.length !== ids.length || new Set(ids).size !== ids.length) {
+      return { success: false, invalid: true, error: 'linkIds must list links in the collection, once each' };
+    }
+
+    await db.prepare(`
+      UPDATE collection_links
+      SET position = (
+        SELECT p.value FROM json_each(?) i
+        JOIN json_each(?) p ON p.key = i.key
+        WHERE i.value = collection_links.link_id
+      )
+      WHERE collection_id = ? AND link_id IN (SELECT value FROM json_each(?))
+    `).bind(JSON.stringify(ids), JSON.stringify(positions), collection.id, JSON.stringify(ids)).run();
+
+    return { success: true, changes: 1 };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/** Kinds of list that can be published, with the table each lives in and its column in public_lists. */
+export const PUBLIC_LIST_TYPES = {
+  category: { table: 'categories', column: 'category_id' },
+  collection: { table: 'collections', column: 'collection_id' }
+};
+
+/**
+ * Converts a public_lists row, joined with its list's name, to the shape returned by the API.
+ * @param {Object} publicList
+ * @returns {{slug: string, type: string, listId: string, name: string, createdAt: string}}
+ */
+function formatPublicList(publicList) {
+  return {
+    slug: publicList.slug,
+    type: publicList.category_id ? 'category' : 'collection',
+    listId: (publicList.category_id || publicList.collection_id).toString(),
+    name: publicList.name,
+    createdAt: publicList.created_at
+  };
+}
+
+/**
+ * Finds one of a user's categories or collections.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @param {string} type - A key of PUBLIC_LIST_TYPES
+ * @param {string|number} listId
+ * @returns {Promise<{id: number, name: string}|null>} null if it isn't the user's
+ */
+async function findPublishableList(db, userId, type, listId) {
+  return await db.prepare(`SELECT id, name FROM ${PUBLIC_LIST_TYPES[type].table} WHERE id = ? AND user_id = ?`).bind(listId, userId).first();
+}
+
+/**
+ * Lists the categories and collections a user has published, most recently published first.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @returns {Promise<{success: boolean, publicLists: Object[], error?: string}>}
+ */
+export async function getUserPublicLists(db, userId) {
+  try {
+    const result = await db.prepare(`
+      SELECT p.slug, p.category_id, p.collection_id, p.created_at, COALESCE(c.name, col.name) AS name
+      FROM public_lists p
+      LEFT JOIN categories c ON c.id = p.category_id
+      LEFT JOIN collections col ON col.id = p.collection_id
+      WHERE p.user_id = ?
+      ORDER BY p.created_at DESC, p.id DESC
+    `).bind(userId).all();
 
     return {
-      success: result.changes > 0,
-      changes: result.changes
+      success: true,
+      publicLists: (result.results || []).map(formatPublicList)
     };
   } catch (error) {
     return {
       success: false,
-      error: error.message
+      error: error.message,
+      publicLists: []
     };
   }
 }
 
 /**
- * Marks a link as read or unread.
+ * Publishes one of a user's categories or collections under a new slug. A list that is already public
+ * keeps the slug it has.
  * @param {D1Database} db
  * @param {number} userId
- * @param {string|number} linkId
- * @param {number} [isRead=1] - 1 for read, 0 for unread
- * @returns {Promise<{success: boolean, changes?: number, error?: string}>}
+ * @param {string} type - A key of PUBLIC_LIST_TYPES
+ * @param {string|number} listId
+ * @returns {Promise<{success: boolean, changes?: number, publicList?: Object, error?: string}>}
+ *   changes is 0 if the list isn't the user's
  */
-export async function markLinkAsRead(db, userId, linkId, isRead = 1) {
+export async function publishList(db, userId, type, listId) {
+  try {
+    const list = await findPublishableList(db, userId, type, listId);
+    if (!list) {
+      return { success: true, changes: 0 };
+    }
+
+    const { column } = PUBLIC_LIST_TYPES[type];
+    const [, published] = await db.batch([
+      db.prepare(`
+        INSERT INTO public_lists (user_id, slug, ${column}) VALUES (?, ?, ?)
+        ON CONFLICT (${column}) DO NOTHING
+      `).bind(userId, generatePublicSlug(list.name), list.id),
+      db.prepare(`SELECT slug, category_id, collection_id, created_at FROM public_lists WHERE ${column} = ?`).bind(list.id)
+    ]);
+
+    return { success: true, changes: 1, publicList: formatPublicList({ ...published.results[0], name: list.name }) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Gives a published category or collection a new slug; the old address stops working straight away.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @param {string} type - A key of PUBLIC_LIST_TYPES
+ * @param {string|number} listId
+ * @returns {Promise<{success: boolean, changes?: number, publicList?: Object|null, error?: string}>}
+ *   changes is 0 if the list isn't the user's; publicList is null if the list isn't public
+ */
+export async function regeneratePublicSlug(db, userId, type, listId) {
+  try {
+    const list = await findPublishableList(db, userId, type, listId);
+    if (!list) {
+      return { success: true, changes: 0 };
+    }
+
+    const updated = await db.prepare(`
+      UPDATE public_lists SET slug = ?
+      WHERE ${PUBLIC_LIST_TYPES[type].column} = ?
+      RETURNING slug, category_id, collection_id, created_at
+    `).bind(generatePublicSlug(list.name), list.id).first();
+
+    return { success: true, changes: 1, publicList: updated ? formatPublicList({ ...updated, name: list.name }) : null };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Stops publishing one of a user's categories or collections; its address stops working straight away.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @param {string} type - A key of PUBLIC_LIST_TYPES
+ * @param {string|number} listId
+ * @returns {Promise<{success: boolean, changes?: number, error?: string}>} changes is 0 if the list isn't the user's
+ */
+export async function unpublishList(db, userId, type, listId) {
+  try {
+    const list = await findPublishableList(db, userId, type, listId);
+    if (!list) {
+      return { success: true, changes: 0 };
+    }
+
+    await db.prepare(`DELETE FROM public_lists WHERE ${PUBLIC_LIST_TYPES[type].column} = ?`).bind(list.id).run();
+    return { success: true, changes: 1 };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Looks up a published list by its slug, for its public page and feeds. Only what the page shows is read:
+ * each link's URL, title, domain and when it was added (to the collection, for collections). Notes, tags,
+ * read state and highlights stay private, as do links in the trash.
+ * @param {D1Database} db
+ * @param {string} slug
+ * @param {number} limit - Most links to return: a category's newest, or the first of a collection in its order
+ * @returns {Promise<{success: boolean, list?: Object|null, links?: Object[], error?: string}>}
+ *   list is { type, name, description, count, publishedAt }, or null if nothing is published under the slug
+ */
+export async function getPublicList(db, slug, limit) {
+  try {
+    const list = await db.prepare(`
+      SELECT p.user_id, p.category_id, p.collection_id, p.created_at,
+        COALESCE(c.name, col.name) AS name, COALESCE(col.description, '') AS description
+      FROM public_lists p
+      LEFT JOIN categories c ON c.id = p.category_id
+      LEFT JOIN collections col ON col.id = p.collection_id
+      WHERE p.slug = ?
+    `).bind(slug).first();
+
+    if (!list) {
+      return { success: true, list: null };
+    }
+
+    const [links, count] = list.category_id
+      ? await db.batch([
+        db.prepare(`
+          SELECT url, title, domain, timestamp AS added_at FROM links
+          WHERE user_id = ? AND category = ? COLLATE NOCASE AND deleted_at IS NULL
+          ORDER BY timestamp DESC, id DESC
+          LIMIT ?
+        `).bind(list.user_id, list.name, limit),
+        db.prepare(`
+          SELECT COUNT(*) AS count FROM links
+          WHERE user_id = ? AND category = ? COLLATE NOCASE AND deleted_at IS NULL
+        `).bind(list.user_id, list.name)
+      ])
+      : await db.batch([
+        db.prepare(`
+          SELECT l.url, l.title, l.domain, cl.added_at FROM collection_links cl
+          JOIN links l ON l.id = cl.link_id AND l.deleted_at IS NULL
+          WHERE cl.collection_id = ?
+          ORDER BY cl.position
+          LIMIT ?
+        `).bind(list.collection_id, limit),
+        db.prepare(`
+          SELECT COUNT(*) AS count FROM collection_links cl
+          JOIN links l ON l.id = cl.link_id AND l.deleted_at IS NULL
+          WHERE cl.collection_id = ?
+        `).bind(list.collection_id)
+      ]);
+
+    return {
+      success: true,
+      list: {
+        type: list.category_id ? 'category' : 'collection',
+        name: list.name,
+        description: list.description,
+        count: count.results[0].count,
+        publishedAt: list.created_at
+      },
+      links: (links.results || []).map(link => ({
+        url: link.url,
+        title: link.title,
+        domain: link.domain,
+        addedAt: link.added_at
+      }))
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Lists a user's tags with how many links carry each, alphabetically. Links in the trash aren't counted,
+ * and tags only on such links aren't listed.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @returns {Promise<{success: boolean, tags: Array<{name: string, count: number}>, error?: string}>}
+ */
+export async function getUserTags(db, userId) {
   try {
     const result = await db.prepare(`
-      UPDATE links
-      SET is_read = ?
-      WHERE id = ? AND user_id = ?
-    `).bind(isRead, linkId, userId).run();
+      SELECT t.name, COUNT(lt.link_id) AS count
+      FROM tags t
+      JOIN link_tags lt ON lt.tag_id = t.id
+      JOIN links l ON l.id = lt.link_id AND l.deleted_at IS NULL
+      WHERE t.user_id = ?
+      GROUP BY t.id
+      ORDER BY t.name
+    `).bind(userId).all();
 
     return {
-      success: result.changes > 0,
-      changes: result.changes
+      success: true,
+      tags: result.results || []
     };
   } catch (error) {
     return {
       success: false,
-      error: error.message
+      error: error.message,
+      tags: []
     };
   }
 }
 
 /**
- * Sets or clears the favorite flag on a link.
+ * Lists the highlights on a link, in the order they were made.
  * @param {D1Database} db
  * @param {number} userId
  * @param {string|number} linkId
- * @param {number} [isFavorite=1] - 1 to favorite, 0 to unfavorite
- * @returns {Promise<{success: boolean, changes?: number, error?: string}>}
+ * @returns {Promise<{success: boolean, highlights: Array, error?: string}>}
  */
-export async function toggleFavorite(db, userId, linkId, isFavorite = 1) {
+export async function getLinkHighlights(db, userId, linkId) {
   try {
     const result = await db.prepare(`
-      UPDATE links 
-      SET is_favorite = ?
-      WHERE id = ? AND user_id = ?
-    `).bind(isFavorite, linkId, userId).run();
+      SELECT id, link_id, text, prefix, suffix, created_at
+      FROM highlights
+      WHERE user_id = ? AND link_id = ?
+      ORDER BY created_at ASC, id ASC
+    `).bind(userId, linkId).all();
+
+    return {
+      success: true,
+      highlights: (result.results || []).map(highlight => ({
+        id: highlight.id,
+        linkId: highlight.link_id.toString(),
+        text: highlight.text,
+        prefix: highlight.prefix,
+        suffix: highlight.suffix,
+        createdAt: highlight.created_at
+      }))
+    };
+  } catch (error) {
+    return { success: false, error: error.message, highlights: [] };
+  }
+}
+
+/**
+ * Saves a highlight on a link, provided the link belongs to the user and isn't in the trash.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @param {string|number} linkId
+ * @param {Object} highlight - { text, prefix, suffix }
+ * @returns {Promise<{success: boolean, highlight?: Object, error?: string}>} highlight is missing if the link wasn't found
+ */
+export async function createHighlight(db, userId, linkId, highlight) {
+  try {
+    const created = await db.prepare(`
+      INSERT INTO highlights (user_id, link_id, text, prefix, suffix)
+      SELECT user_id, id, ?, ?, ? FROM links WHERE id = ? AND user_id = ? AND deleted_at IS NULL
+      RETURNING id, link_id, text, prefix, suffix, created_at
+    `).bind(highlight.text, highlight.prefix, highlight.suffix, linkId, userId).first();
+
+    if (!created) {
+      return { success: true };
+    }
 
     return {
-      success: result.changes > 0,
-      changes: result.changes
+      success: true,
+      highlight: {
+        id: created.id,
+        linkId: created.link_id.toString(),
+        text: created.text,
+        prefix: created.prefix,
+        suffix: created.suffix,
+        createdAt: created.created_at
+      }
     };
   } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Deletes one of the user's highlights.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @param {string|number} highlightId
+ * @returns {Promise<{success: boolean, changes?: number, error?: string}>}
+ */
+export async function deleteHighlight(db, userId, highlightId) {
+  try {
+    const result = await db.prepare('DELETE FROM highlights WHERE id = ? AND user_id = ?').bind(highlightId, userId).run();
+    return { success: true, changes: result.meta.changes };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/** Reading progress, as a fraction of the page, at which a user can have links marked read automatically. */
+export const AUTO_READ_THRESHOLDS = [0.5, 0.75, 0.9, 1];
+
+/**
+ * Records a report from the in-app viewer on a link. progress is the furthest point reached on the page and
+ * never goes back; position is where the page was left; seconds is the reading time since the last report.
+ * A link is marked read when its progress first reaches the user's auto_read_progress, so one marked unread
+ * again afterwards stays unread. Links in the trash aren't updated.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @param {string|number} linkId
+ * @param {Object} report - { progress, position, seconds }, progress and position from 0 to 1
+ * @returns {Promise<{success: boolean, progress?: Object, error?: string}>} progress (the link's reading
+ *   progress and isRead) is missing if the link wasn't found
+ */
+export async function recordReadingProgress(db, userId, linkId, report) {
+  try {
+    const updated = await db.prepare(`
+      UPDATE links
+      SET read_progress = MAX(read_progress, ?),
+          read_position = ?,
+          read_seconds = read_seconds + ?,
+          last_read_at = CURRENT_TIMESTAMP,
+          is_read = CASE
+            WHEN read_progress < u.auto_read_progress AND ? >= u.auto_read_progress THEN 1
+            ELSE is_read
+          END
+      FROM users u
+      WHERE links.id = ? AND links.user_id = ? AND links.deleted_at IS NULL AND u.id = links.user_id
+      RETURNING is_read, read_progress, read_position, read_seconds, last_read_at
+    `).bind(report.progress, report.position, report.seconds, report.progress, linkId, userId).first();
+
+    if (!updated) {
+      return { success: true };
+    }
+
     return {
-      success: false,
-      error: error.message
+      success: true,
+      progress: { isRead: updated.is_read, ...formatReadingProgress(updated) }
     };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Gets the reading progress at which the user's links are marked read automatically.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @returns {Promise<{success: boolean, autoReadProgress?: number|null, error?: string}>} autoReadProgress is
+ *   one of AUTO_READ_THRESHOLDS, or null when links are only marked read by hand
+ */
+export async function getAutoReadProgress(db, userId) {
+  try {
+    const user = await db.prepare('SELECT auto_read_progress FROM users WHERE id = ?').bind(userId).first();
+    return { success: true, autoReadProgress: user ? user.auto_read_progress : null };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Sets the reading progress at which the user's links are marked read automatically. Links already read
+ * further than that are left as they are until they are next opened.
+ * @param {D1Database} db
+ * @param {number} userId
+ * @param {number|null} autoReadProgress - One of AUTO_READ_THRESHOLDS, or null to turn it off
+ * @returns {Promise<{success: boolean, changes?: number, error?: string}>}
+ */
+export async function setAutoReadProgress(db, userId, autoReadProgress) {
+  try {
+    const result = await db.prepare(`
+      UPDATE users
+      SET auto_read_progress = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).bind(autoReadProgress, userId).run();
+
+    return { success: true, changes: result.meta.changes };
+  } catch (error) {
+    return { success: false, error: error.message };
   }
 }
 
@@ -0,0 +1,176 @@
+/**
+ * Writers for the files a user's links can be exported as: a bookmark file any browser can import,
+ * CSV for spreadsheets, JSON for scripts, and Markdown to read or keep in notes.
+ */
+
+/** File formats links can be exported as. */
+export const EXPORT_FORMATS = ['html', 'csv', 'json', 'markdown'];
+
+/** Content type and file extension of each export format. */
+const EXPORT_FILE_TYPES = {
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  markdown: { contentType: 'text/markdown; charset=utf-8', extension: 'md' }
+};
+
+/** CSV columns, in order. */
+const CSV_COLUMNS = ['url', 'title', 'category', 'tags', 'note', 'domain', 'is_read', 'is_favorite', 'saved_at'];
+
+/**
+ * Escapes text for HTML element content and double-quoted attribute values.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Converts a stored UTC 'YYYY-MM-DD HH:MM:SS' date to Unix time in seconds.
+ * @param {string|null} value
+ * @returns {number|null}
+ */
+function toUnixTime(value) {
+  const time = value ? Date.parse(value.replace(' ', 'T') + 'Z') : NaN;
+  return Number.isFinite(time) ? Math.floor(time / 1000) : null;
+}
+
+/**
+ * Groups links by category, categories in alphabetical order and links kept in the order given.
+ * @param {Object[]} links
+ * @returns {Array<[string, Object[]]>}
+ */
+function groupByCategory(links) {
+  const groups = new Map();
+  for (const link of links) {
+    const category = link.category || 'Other';
+    if (!groups.has(category)) groups.set(category, []);
+    groups.get(category).push(link);
+  }
+  return [...groups].sort(([a], [b]) => a.localeCompare(b));
+}
+
+/**
+ * Writes a Netscape bookmark file with one folder per category. Tags go in the TAGS attribute and notes in
+ * each link's description; browsers ignore both, but bookmark managers keep them.
+ * @param {Object[]} links
+ * @returns {string}
+ */
+function toBookmarksHtml(links) {
+  const lines = [
+    '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+    '<!-- This is an automatically generated file.',
+    '     It will be read and overwritten.',
+    '     DO NOT EDIT! -->',
+    '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+    '<TITLE>Bookmarks</TITLE>',
+    '<H1>Kurate</H1>',
+    '<DL><p>'
+  ];
+
+  for (const [category, categoryLinks] of groupByCategory(links)) {
+    lines.push(`    <DT><H3>${escapeHtml(category)}</H3>`, '    <DL><p>');
+    for (const link of categoryLinks) {
+      const addDate = toUnixTime(link.timestamp || link.dateAdded);
+      const attributes = [`HREF="${escapeHtml(link.url)}"`];
+      if (addDate !== null) attributes.push(`ADD_DATE="${addDate}"`);
+      if (link.tags.length > 0) attributes.push(`TAGS="${escapeHtml(link.tags.join(','))}"`);
+      lines.push(`        <DT><A ${attributes.join(' ')}>${escapeHtml(link.title || link.url)}</A>`);
+      if (link.note) {
+        lines.push(`        <DD>${escapeHtml(link.note).replace(/\r?\n/g, '<BR>')}`);
+      }
+    }
+    lines.push('    </DL><p>');
+  }
+
+  lines.push('</DL><p>', '');
+  return lines.join('\n');
+}
+
+/**
+ * Quotes a CSV field when it needs it. Text that a spreadsheet would run as a formula gets a leading
+ * apostrophe, since titles are taken from the pages themselves.
+ * @param {string|number} value
+ * @returns {string}
+ */
+function toCsvField(value) {
+  let text = String(value ?? '');
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes CSV (RFC 4180) with a header row; tags are separated by '|'.
+ * @param {Object[]} links
+ * @returns {string}
+ */
+function toCsv(links) {
+  const rows = [CSV_COLUMNS.join(',')];
+  for (const link of links) {
+    rows.push([
+      link.url,
+      link.title,
+      link.category,
+      link.tags.join('|'),
+      link.note,
+      link.domain,
+      link.isRead ? 1 : 0,
+      link.isFavorite ? 1 : 0,
+      link.timestamp || link.dateAdded
+    ].map(toCsvField).join(','));
+  }
+  return rows.join('\r\n') + '\r\n';
+}
+
+/**
+ * Writes Markdown with a section per category and a list item per link; notes follow as block quotes.
+ * @param {Object[]} links
+ * @param {string} exportedAt - ISO 8601 time of the export
+ * @returns {string}
+ */
+function toMarkdown(links, exportedAt) {
+  const lines = ['# Kurate links', '', `Exported ${exportedAt.slice(0, 10)} · ${links.length} ${links.length === 1 ? 'link' : 'links'}`];
+
+  for (const [category, categoryLinks] of groupByCategory(links)) {
+    lines.push('', `## ${category}`, '');
+    for (const link of categoryLinks) {
+      const title = (link.title || link.url).replace(/[\\[\]<]/g, char => `\\${char}`);
+      const url = link.url.replace(/[ ()]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+      const details = [];
+      if (link.isRead) details.push('read');
+      if (link.isFavorite) details.push('favorite');
+      if (link.tags.length > 0) details.push(link.tags.map(tag => `#${tag.replace(/\s+/g, '-')}`).join(' '));
+      lines.push(`- [${title}](${url})${details.length > 0 ? ` — ${details.join(' · ')}` : ''}`);
+      if (link.note) {
+        lines.push(...link.note.split(/\r?\n/).map(line => `  > ${line}`.trimEnd()));
+      }
+    }
+  }
+
+  lines.push('');
+  return lines.join('\n');
+}
+
+/**
+ * Writes links, in the shape returned by GET /api/links, to an export file.
+ * @param {Object[]} links
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {string} exportedAt - ISO 8601 time of the export
+ * @returns {{body: string, contentType: string, extension: string}}
+ */
+export function serializeLinks(links, format, exportedAt) {
+  let body;
+  if (format === 'html') {
+    body = toBookmarksHtml(links);
+  } else if (format === 'csv') {
+    body = toCsv(links);
+  } else if (format === 'markdown') {
+    body = toMarkdown(links, exportedAt);
+  } else {
+    body = JSON.stringify({ exportedAt, count: links.length, links }, null, 2);
+  }
+  return { body, ...EXPORT_FILE_TYPES[format] };
+}
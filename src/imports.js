@@ -0,0 +1,333 @@
+/**
+ * Parsers for the files other read-later tools and browsers export, so a library can be moved to Kurate.
+ * Each parser turns a file into a list of rows in one shape; the import endpoint does the rest.
+ */
+
+/** File formats that can be imported; 'auto' picks one from the content. */
+export const IMPORT_FORMATS = ['auto', 'bookmarks', 'pocket', 'instapaper', 'raindrop', 'urls'];
+
+/** Browser folders that only hold other bookmarks, so they say nothing about a link. */
+const ROOT_FOLDER_ATTRIBUTES = /\b(PERSONAL_TOOLBAR_FOLDER|UNFILED_BOOKMARKS_FOLDER)\s*=/i;
+
+/** Named character references decoded in titles and attributes; anything rarer is left as written. */
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Decodes numeric and common named character references.
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+    }
+    return HTML_ENTITIES[name.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Reads the attributes of an HTML start tag.
+ * @param {string} source - The text between the tag name and the closing '>'
+ * @returns {Object<string, string>} Values by lowercased attribute name
+ */
+function parseAttributes(source) {
+  const attributes = {};
+  const pattern = /([a-z_:][\w:.-]*)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/gi;
+  let match;
+  while ((match = pattern.exec(source))) {
+    attributes[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4]);
+  }
+  return attributes;
+}
+
+/**
+ * Converts a saved date as exported (Unix time in seconds, milliseconds or microseconds, or an ISO 8601
+ * string) to the UTC 'YYYY-MM-DD HH:MM:SS' form D1 stores.
+ * @param {string|undefined} value
+ * @returns {string|null} null if the value is missing or not a date
+ */
+function toStoredDate(value) {
+  const text = (value || '').trim();
+  if (!text) {
+    return null;
+  }
+
+  let time;
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    time = Number(text);
+    while (time > 1e11) {
+      time /= 1000;
+    }
+    time *= 1000;
+  } else {
+    time = Date.parse(text);
+  }
+
+  // Dates before 1995 or in the future come from broken exports
+  if (!Number.isFinite(time) || time < Date.UTC(1995, 0, 1) || time > Date.now() + 86400000) {
+    return null;
+  }
+  return new Date(time).toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Splits a tag list as exported.
+ * @param {string|undefined} value
+ * @param {RegExp|string} separator
+ * @returns {string[]}
+ */
+function splitTags(value, separator) {
+  return (value || '').split(separator).map(tag => tag.trim()).filter(Boolean);
+}
+
+/**
+ * Parses CSV (RFC 4180: quoted fields may hold commas, quotes and line breaks).
+ * @param {string} content
+ * @returns {Array<{line: number, fields: string[]}>} Records with the line each starts on, blank lines skipped
+ */
+function parseCsv(content) {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    fields.push(field);
+    if (fields.length > 1 || fields[0] !== '') {
+      records.push({ line: recordLine, fields });
+    }
+    fields = [];
+    field = '';
+    recordLine = line;
+  };
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      line++;
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || fields.length > 0) {
+    endRecord();
+  }
+  return records;
+}
+
+/**
+ * Parses a Netscape bookmark file, as exported by every browser, Pocket (HTML export) and most bookmark
+ * managers. Links take the folder they sit in; in Pocket's export the "Read Archive" section marks read links.
+ * @param {string} content
+ * @returns {Object[]} Import rows
+ */
+function parseBookmarksHtml(content) {
+  const rows = [];
+  const folders = [];
+  let pendingFolder = null;
+  let inReadSection = false;
+
+  const pattern = /<h([1-6])\b([^>]*)>([\s\S]*?)<\/h\1\s*>|<a\b([^>]*)>([\s\S]*?)<\/a\s*>|<(\/?)dl\b[^>]*>/gi;
+  let match;
+  while ((match = pattern.exec(content))) {
+    if (match[1]) {
+      const heading = decodeEntities(match[3].replace(/<[^>]*>/g, '')).trim();
+      if (match[1] === '3') {
+        pendingFolder = ROOT_FOLDER_ATTRIBUTES.test(match[2]) ? null : heading;
+      } else {
+        inReadSection = /^read archive$/i.test(heading);
+      }
+    } else if (match[4] !== undefined) {
+      const attributes = parseAttributes(match[4]);
+      if (!attributes.href) {
+        continue;
+      }
+      rows.push({
+        row: rows.length + 1,
+        url: attributes.href,
+        title: decodeEntities(match[5].replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim(),
+        tags: splitTags(attributes.tags, ','),
+        folder: folders.length > 0 ? folders[folders.length - 1] : null,
+        addedAt: toStoredDate(attributes.add_date || attributes.time_added),
+        isRead: inReadSection,
+        isFavorite: false,
+        note: ''
+      });
+    } else if (match[6]) {
+      folders.pop();
+    } else {
+      folders.push(pendingFolder);
+      pendingFolder = null;
+    }
+  }
+  return rows;
+}
+
+/**
+ * Builds import rows from a CSV file whose first record names the columns.
+ * @param {string} content
+ * @param {function(Object<string, string>): Object} toRow - Maps a record, keyed by lowercased column name,
+ *   to an import row (without its row number)
+ * @returns {Object[]}
+ */
+function parseCsvRows(content, toRow) {
+  const [header, ...records] = parseCsv(content);
+  if (!header) {
+    return [];
+  }
+  const columns = header.fields.map(name => name.trim().toLowerCase());
+
+  return records.map(record => {
+    const values = {};
+    columns.forEach((name, index) => {
+      values[name] = (record.fields[index] || '').trim();
+    });
+    return { row: record.line, ...toRow(values) };
+  });
+}
+
+/**
+ * Pocket CSV export: title, url, time_added, tags (separated by '|'), status (unread or archive).
+ * @param {Object<string, string>} values
+ * @returns {Object}
+ */
+function pocketRow(values) {
+  return {
+    url: values.url,
+    title: values.title,
+    tags: splitTags(values.tags, '|'),
+    folder: null,
+    addedAt: toStoredDate(values.time_added),
+    isRead: values.status === 'archive',
+    isFavorite: false,
+    note: ''
+  };
+}
+
+/**
+ * Instapaper CSV export: URL, Title, Selection, Folder, Timestamp. Folder is Unread, Archive, Starred or
+ * one of the user's own folders; Selection is text the user highlighted, kept as the note.
+ * @param {Object<string, string>} values
+ * @returns {Object}
+ */
+function instapaperRow(values) {
+  const folder = values.folder || '';
+  const builtIn = ['unread', 'archive', 'starred'].includes(folder.toLowerCase());
+  return {
+    url: values.url,
+    title: values.title,
+    tags: [],
+    folder: builtIn ? null : folder,
+    addedAt: toStoredDate(values.timestamp),
+    isRead: folder.toLowerCase() === 'archive',
+    isFavorite: folder.toLowerCase() === 'starred',
+    note: values.selection || ''
+  };
+}
+
+/**
+ * Raindrop.io CSV export: id, title, note, excerpt, url, folder (nested folders as "Parent/Child"), tags
+ * (comma separated), created, cover, highlights, favorite.
+ * @param {Object<string, string>} values
+ * @returns {Object}
+ */
+function raindropRow(values) {
+  const folder = (values.folder || '').split('/').pop().trim();
+  return {
+    url: values.url,
+    title: values.title,
+    tags: splitTags(values.tags, ','),
+    folder: folder && folder.toLowerCase() !== 'unsorted' ? folder : null,
+    addedAt: toStoredDate(values.created),
+    isRead: false,
+    isFavorite: values.favorite === 'true',
+    note: values.note || ''
+  };
+}
+
+/**
+ * Reads a plain list of URLs, one per line. Lines that aren't URLs (blank lines, comments) are skipped.
+ * @param {string} content
+ * @returns {Object[]}
+ */
+function parseUrlList(content) {
+  const rows = [];
+  content.split(/\r\n|\r|\n/).forEach((line, index) => {
+    const url = line.trim();
+    if (/^https?:\/\//i.test(url)) {
+      rows.push({ row: index + 1, url, title: '', tags: [], folder: null, addedAt: null, isRead: false, isFavorite: false, note: '' });
+    }
+  });
+  return rows;
+}
+
+/**
+ * Works out which format a file is in from its content.
+ * @param {string} content
+ * @returns {string|null} One of IMPORT_FORMATS (never 'auto'), or null if the file isn't recognised
+ */
+function detectImportFormat(content) {
+  const start = content.trimStart();
+  if (start.startsWith('<') || /<!DOCTYPE NETSCAPE-Bookmark-file/i.test(start.slice(0, 500))) {
+    return 'bookmarks';
+  }
+
+  const header = start.split(/\r\n|\r|\n/, 1)[0].toLowerCase().split(',').map(name => name.trim().replace(/^"|"$/g, ''));
+  if (header.includes('url')) {
+    if (header.includes('selection')) return 'instapaper';
+    if (header.includes('time_added')) return 'pocket';
+    if (header.includes('excerpt') || header.includes('created')) return 'raindrop';
+  }
+
+  return /^https?:\/\//im.test(start) ? 'urls' : null;
+}
+
+/**
+ * Parses an exported file into import rows: { row, url, title, tags, folder, addedAt, isRead, isFavorite, note }.
+ * row is the link's line in the file (its position, for bookmark files); folder is the innermost folder the
+ * link was filed under, if any; addedAt is the original saved date (UTC 'YYYY-MM-DD HH:MM:SS') or null.
+ * Rows are returned as found; URLs are not checked here.
+ * @param {string} content
+ * @param {string} [format] - One of IMPORT_FORMATS
+ * @returns {{format?: string, rows?: Object[], error?: string}}
+ */
+export function parseImportFile(content, format = 'auto') {
+  const detected = format === 'auto' ? detectImportFormat(content) : format;
+
+  switch (detected) {
+    case 'bookmarks':
+      return { format: detected, rows: parseBookmarksHtml(content) };
+    case 'pocket':
+      // Pocket's older export is a bookmark file
+      return { format: detected, rows: content.trimStart().startsWith('<') ? parseBookmarksHtml(content) : parseCsvRows(content, pocketRow) };
+    case 'instapaper':
+      return { format: detected, rows: parseCsvRows(content, instapaperRow) };
+    case 'raindrop':
+      return { format: detected, rows: parseCsvRows(content, raindropRow) };
+    case 'urls':
+      return { format: detected, rows: parseUrlList(content) };
+    default:
+      return { error: 'Unrecognised file. Import a bookmark HTML file, a Pocket, Instapaper or Raindrop export, or a list of URLs.' };
+  }
+}
@@ -5,9 +5,10 @@
  * Routes: API endpoints (/api/*), static assets (HTML/CSS/JS), and landing pages.
  * All HTML, CSS, and JS are generated inline by the get*() functions below.
  */
-import { handleAuthLogin, handleAuthRegister, handlePasswordReset, handleUpdateUsername, handleDeleteAccount, handleAuthLogout, validateToken } from './auth.js';
-import { handleLinks, handleMarkRead, handleToggleFavorite } from './links.js';
-import { checkDatabaseHealth, trackEvent } from './database.js';
+import { handleAuthLogin, handleAuthRegister, handleAuthRefresh, handlePasswordReset, handleUpdateUsername, handleDeleteAccount, handleAccountExport, handleAuthLogout, handleSessions, handleAccountRecovery, handleRecoveryCodes, handleTotp, handleTotpVerify, handleApiTokens, handlePasskeys, handlePasskeyVerify, handlePasskeyChallenge, handleDeviceCode, handleDeviceToken, handleDeviceApproval, validateToken } from './auth.js';
+import { handleLinks, handleLinkSearch, handleBulkLinks, handleImport, handleExport, handleTrash, handleMarkRead, handleToggleFavorite, handleCategories, handleCollections, handleCollectionLinks, handlePublicLists, handleTags, handleHighlights, handleReadingProgress } from './links.js';
+import { handlePublicList } from './public.js';
+import { checkDatabaseHealth, trackEvent, getSession, purgeExpiredTrash, deleteExpiredSessions } from './database.js';
 import { CORS_HEADERS, createResponse, createErrorResponse } from './constants.js';
 import { RSS_FEEDS } from './feeds.js';
 
@@ -65,10 +66,30 @@ export default {
             return handleAuthRegister(request, env);
         }
 
+        if (path === '/api/auth/refresh') {
+            return handleAuthRefresh(request, env);
+        }
+
         if (path === '/api/auth/reset-password') {
             return handlePasswordReset(request, env);
         }
 
+        if (path === '/api/auth/recover') {
+            return handleAccountRecovery(request, env);
+        }
+
+        if (path === '/api/auth/recovery-codes') {
+            return handleRecoveryCodes(request, env);
+        }
+
+        if (path === '/api/auth/totp') {
+            return handleTotp(request, env);
+        }
+
+        if (path === '/api/auth/totp/verify') {
+            return handleTotpVerify(request, env);
+        }
+
         if (path === '/api/auth/update-username') {
             return handleUpdateUsername(request, env);
         }
@@ -77,12 +98,68 @@ export default {
             return handleDeleteAccount(request, env);
         }
 
+        if (path === '/api/auth/export') {
+            return handleAccountExport(request, env);
+        }
+
         if (path === '/api/auth/logout') {
             return handleAuthLogout(request, env);
         }
 
+        if (path === '/api/auth/sessions') {
+            return handleSessions(request, env);
+        }
+
+        if (path === '/api/auth/tokens') {
+            return handleApiTokens(request, env);
+        }
+
+        if (path === '/api/auth/passkeys') {
+            return handlePasskeys(request, env);
+        }
+
+        if (path === '/api/auth/passkeys/verify') {
+            return handlePasskeyVerify(request, env);
+        }
+
+        if (path === '/api/auth/passkeys/challenge') {
+            return handlePasskeyChallenge(request, env);
+        }
+
+        if (path === '/api/auth/device') {
+            return handleDeviceApproval(request, env);
+        }
+
+        if (path === '/api/auth/device/code') {
+            return handleDeviceCode(request, env);
+        }
+
+        if (path === '/api/auth/device/token') {
+            return handleDeviceToken(request, env);
+        }
+
         if (path === '/api/links') {
-            return handleLinks(request, env);
+            return handleLinks(request, env, ctx);
+        }
+
+        if (path === '/api/links/search') {
+            return handleLinkSearch(request, env);
+        }
+
+        if (path === '/api/links/bulk') {
+            return handleBulkLinks(request, env);
+        }
+
+        if (path === '/api/links/import') {
+            return handleImport(request, env);
+        }
+
+        if (path === '/api/links/export') {
+            return handleExport(request, env);
+        }
+
+        if (path === '/api/links/trash') {
+            return handleTrash(request, env);
         }
 
         if (path === '/api/links/mark-read') {
@@ -93,6 +170,41 @@ export default {
             return handleToggleFavorite(request, env);
         }
 
+        if (path === '/api/links/categories') {
+            return handleCategories(request, env);
+        }
+
+        if (path === '/api/links/collections') {
+            return handleCollections(request, env);
+        }
+
+        if (path === '/api/links/collections/links') {
+            return handleCollectionLinks(request, env);
+        }
+
+        if (path === '/api/links/public') {
+            return handlePublicLists(request, env);
+        }
+
+        if (path === '/api/links/tags') {
+            return handleTags(request, env);
+        }
+
+        if (path === '/api/links/highlights') {
+            return handleHighlights(request, env);
+        }
+
+        if (path === '/api/links/progress') {
+            return handleReadingProgress(request, env);
+        }
+
+        // RSS feed sources behind Recommended Reading; API tokens need the feeds:read scope
+        if (path === '/api/feeds') {
+            const tokenData = await validateToken(request.headers.get('Authorization'), env, 'feeds:read');
+            if (!tokenData) return createErrorResponse('Authorization required', 401);
+            return createResponse({ success: true, feeds: RSS_FEEDS });
+        }
+
         if (path === '/api/meta') {
             const targetUrl = url.searchParams.get('url');
             if (!targetUrl) return createErrorResponse('Missing URL', 400);
@@ -164,9 +276,14 @@ export default {
                 newHeaders.delete('Content-Security-Policy');
                 newHeaders.delete('Content-Security-Policy-Report-Only');
 
+                // The page is someone else's content served from this origin, so it runs sandboxed: its scripts
+                // get an opaque origin and can't read the dashboard's storage (and the auth token in it)
+                newHeaders.set('Content-Security-Policy', 'sandbox allow-scripts allow-forms allow-popups allow-popups-to-escape-sandbox');
+
                 const contentType = (proxyResp.headers.get('Content-Type') || '').toLowerCase();
 
-                // For HTML responses, inject <base> tag and (for non-embed sites) ad-blocking
+                // For HTML responses, inject <base> tag and (for non-embed sites) ad-blocking, the highlighter and
+                // reading progress
                 if (contentType.includes('text/html')) {
                     let html = await proxyResp.text();
                     const baseTag = '<base href="' + target.origin + '/">';
@@ -176,6 +293,8 @@ export default {
 
                     let adBlockCSS = '';
                     let adBlockJS = '';
+                    let highlighterJS = '';
+                    let progressJS = '';
 
                     if (!skipAdBlock) {
                     // CSS: hide common ad containers instantly (no flash)
@@ -242,16 +361,178 @@ amp-ad,amp-embed{display:none!important;height:0!important;overflow:hidden!impor
   else{clean()}
   window.addEventListener('load',clean);
 })();
+</script>`;
+
+                    // Highlighter: selecting text offers a "Highlight" button. The viewer (the parent dashboard) saves
+                    // highlights and sends back the link's list; nothing happens until it does, so pages opened
+                    // outside the viewer or for unsaved links are left alone. Highlights are located again by
+                    // their text plus a little surrounding context.
+                    highlighterJS = `<style data-kurate-highlighter>mark[data-kurate-highlight]{background:#FDE68A;color:inherit;padding:0}</style>
+<script data-kurate-highlighter>
+(function(){
+  if(window.parent===window)return;
+  var CONTEXT=32,MAX_LENGTH=5000,enabled=false,pending=[],applied={},button=null;
+  function post(message){message.source='kurate-highlighter';window.parent.postMessage(message,location.origin)}
+  // Page text as one string, with each text node's starting offset in it
+  function collect(){
+    var walker=document.createTreeWalker(document.body,NodeFilter.SHOW_TEXT,{acceptNode:function(node){
+      var parent=node.parentNode,tag=parent&&parent.nodeName;
+      if(tag==='SCRIPT'||tag==='STYLE'||tag==='NOSCRIPT'||tag==='TEXTAREA')return NodeFilter.FILTER_REJECT;
+      return parent.hasAttribute&&parent.hasAttribute('data-kurate-highlighter')?NodeFilter.FILTER_REJECT:NodeFilter.FILTER_ACCEPT;
+    }});
+    var nodes=[],text='',node;
+    while((node=walker.nextNode())){nodes.push({node:node,start:text.length});text+=node.nodeValue}
+    return {nodes:nodes,text:text};
+  }
+  function offsetOf(page,container,offset){
+    var before=document.createRange();
+    before.setStart(document.body,0);
+    before.setEnd(container,offset);
+    var total=container.nodeType===3?offset:0;
+    page.nodes.forEach(function(entry){
+      if(entry.node!==container&&before.intersectsNode(entry.node))total+=entry.node.nodeValue.length;
+    });
+    return total;
+  }
+  function wrap(page,start,end,id){
+    page.nodes.forEach(function(entry){
+      var node=entry.node,length=node.nodeValue.length;
+      var from=Math.max(start-entry.start,0),to=Math.min(end-entry.start,length);
+      if(from>=to)return;
+      if(to<length)node.splitText(to);
+      if(from>0)node=node.splitText(from);
+      // Whitespace between block elements (e.g. list items) can't hold a <mark>
+      if(!node.nodeValue.trim())return;
+      var mark=document.createElement('mark');
+      mark.setAttribute('data-kurate-highlight',id);
+      node.parentNode.insertBefore(mark,node);
+      mark.appendChild(node);
+    });
+  }
+  function apply(){
+    if(!document.body)return;
+    pending=pending.filter(function(highlight){
+      if(applied[highlight.id])return false;
+      var page=collect();
+      var at=page.text.indexOf(highlight.prefix+highlight.text+highlight.suffix);
+      var start=at===-1?page.text.indexOf(highlight.text):at+highlight.prefix.length;
+      if(start===-1)return true;
+      wrap(page,start,start+highlight.text.length,highlight.id);
+      applied[highlight.id]=true;
+      return false;
+    });
+  }
+  function hideButton(){if(button){button.remove();button=null}}
+  function showButton(){
+    hideButton();
+    var selection=window.getSelection();
+    if(!enabled||!selection||selection.isCollapsed||!selection.rangeCount)return;
+    var range=selection.getRangeAt(0);
+    if(!document.body.contains(range.commonAncestorContainer))return;
+    var page=collect();
+    var start=offsetOf(page,range.startContainer,range.startOffset),end=offsetOf(page,range.endContainer,range.endOffset);
+    var text=page.text.slice(start,end);
+    if(!text.trim()||text.length>MAX_LENGTH)return;
+    var rect=range.getBoundingClientRect();
+    button=document.createElement('button');
+    button.type='button';
+    button.textContent='Highlight';
+    button.setAttribute('data-kurate-highlighter','');
+    button.style.cssText='position:fixed;z-index:2147483647;top:'+Math.max(rect.top-36,4)+'px;left:'+Math.max(rect.left,4)+'px;padding:6px 10px;border:none;border-radius:6px;background:#111827;color:#fff;font:600 12px/1 -apple-system,BlinkMacSystemFont,sans-serif;cursor:pointer;box-shadow:0 4px 12px rgba(0,0,0,.2)';
+    // Pressing the button would otherwise clear the selection before the click lands
+    button.addEventListener('mousedown',function(e){e.preventDefault()});
+    button.addEventListener('click',function(){
+      post({type:'create',text:text,prefix:page.text.slice(Math.max(start-CONTEXT,0),start),suffix:page.text.slice(end,end+CONTEXT)});
+      selection.removeAllRanges();
+      hideButton();
+    });
+    document.body.appendChild(button);
+  }
+  document.addEventListener('mouseup',function(e){
+    if(button&&e.target===button)return;
+    setTimeout(showButton,0);
+  });
+  document.addEventListener('scroll',hideButton,true);
+  window.addEventListener('message',function(e){
+    if(e.source!==window.parent||e.origin!==location.origin)return;
+    var data=e.data||{};
+    if(data.source!=='kurate'||data.type!=='highlights')return;
+    enabled=true;
+    pending=pending.concat(data.highlights||[]);
+    apply();
+  });
+  if(document.readyState==='loading'){document.addEventListener('DOMContentLoaded',function(){post({type:'ready'})})}
+  else{post({type:'ready'})}
+  // Content added by the page's own scripts gets a second chance
+  window.addEventListener('load',apply);
+})();
+</script>`;
+
+                    // Reading progress: tells the viewer how far down the page the reader has got, where they are
+                    // now, and how long they've spent reading (while the page is on screen and they've been active
+                    // in the last couple of minutes). Like the highlighter it stays idle until the viewer answers
+                    // its "ready", which also says where the link was last left so the page can open there.
+                    progressJS = `<script data-kurate-progress>
+(function(){
+  if(window.parent===window)return;
+  var REPORT_EVERY=15,IDLE_AFTER=120000;
+  var tracking=false,restoreTo=0,furthest=0,position=0,seconds=0,ticks=0,lastActive=Date.now(),reported='';
+  function post(message){message.source='kurate-progress';window.parent.postMessage(message,location.origin)}
+  function root(){return document.scrollingElement||document.documentElement}
+  function measure(){
+    var height=root().scrollHeight,view=window.innerHeight,top=window.pageYOffset||0,max=Math.max(height-view,0);
+    position=max>0?Math.min(top/max,1):0;
+    // How far the bottom of the window has reached, so a page that fits on screen counts as read through
+    furthest=Math.max(furthest,height>0?Math.min((top+view)/height,1):1);
+  }
+  function report(){
+    if(!tracking)return;
+    measure();
+    var state=furthest.toFixed(3)+','+position.toFixed(3);
+    if(!seconds&&state===reported)return;
+    reported=state;
+    post({type:'progress',progress:Math.round(furthest*1000)/1000,position:Math.round(position*1000)/1000,seconds:seconds});
+    seconds=0;
+  }
+  // Pages grow as images and late content load, so the saved position is applied again until the reader scrolls
+  function restore(){
+    var max=Math.max(root().scrollHeight-window.innerHeight,0);
+    if(restoreTo>0&&max>0)window.scrollTo(0,restoreTo*max);
+  }
+  function active(){lastActive=Date.now()}
+  function takeOver(){restoreTo=0;active()}
+  ['wheel','keydown','touchstart','mousedown'].forEach(function(type){window.addEventListener(type,takeOver,true)});
+  window.addEventListener('mousemove',active,true);
+  setInterval(function(){
+    if(!tracking)return;
+    measure();
+    if(document.visibilityState==='visible'&&Date.now()-lastActive<IDLE_AFTER)seconds++;
+    if(++ticks%REPORT_EVERY===0)report();
+  },1000);
+  document.addEventListener('visibilitychange',function(){if(document.visibilityState==='hidden')report()});
+  window.addEventListener('pagehide',report);
+  window.addEventListener('message',function(e){
+    if(e.source!==window.parent||e.origin!==location.origin)return;
+    var data=e.data||{};
+    if(data.source!=='kurate'||data.type!=='progress'||tracking)return;
+    tracking=true;
+    restoreTo=data.position||0;
+    restore();
+  });
+  window.addEventListener('load',restore);
+  if(document.readyState==='loading'){document.addEventListener('DOMContentLoaded',function(){post({type:'ready'})})}
+  else{post({type:'ready'})}
+})();
 </script>`;
                     }
 
                     // Insert after <head> or at the start of the document
                     if (html.match(/<head[^>]*>/i)) {
-                        html = html.replace(/<head([^>]*)>/i, '<head$1>' + baseTag + adBlockCSS + adBlockJS);
+                        html = html.replace(/<head([^>]*)>/i, '<head$1>' + baseTag + adBlockCSS + adBlockJS + highlighterJS + progressJS);
                     } else if (html.match(/<html[^>]*>/i)) {
-                        html = html.replace(/<html([^>]*)>/i, '<html$1><head>' + baseTag + adBlockCSS + adBlockJS + '</head>');
+                        html = html.replace(/<html([^>]*)>/i, '<html$1><head>' + baseTag + adBlockCSS + adBlockJS + highlighterJS + progressJS + '</head>');
                     } else {
-                        html = baseTag + adBlockCSS + adBlockJS + html;
+                        html = baseTag + adBlockCSS + adBlockJS + highlighterJS + progressJS + html;
                     }
 
                     return new Response(html, {
@@ -283,8 +564,8 @@ amp-ad,amp-embed{display:none!important;height:0!important;overflow:hidden!impor
 
                 let userId = null;
                 if (cookies.session_id) {
-                    const session = await env.KV.get(cookies.session_id, { type: 'json' });
-                    if (session) userId = session.userId;
+                    const session = await getSession(env.DB, cookies.session_id);
+                    if (session) userId = session.user_id;
                 }
 
                 const data = await request.json();
@@ -302,6 +583,12 @@ amp-ad,amp-embed{display:none!important;height:0!important;overflow:hidden!impor
             }
         }
 
+        // Published categories and collections: the page and its RSS and Atom feeds, open to anyone
+        const publicListMatch = path.match(/^\/list\/([a-z0-9-]{1,64})(?:\/(rss|atom)\.xml)?\/?$/);
+        if (publicListMatch) {
+            return handlePublicList(request, env, publicListMatch[1], publicListMatch[2] || 'html');
+        }
+
         // Landing page for root
         if (path === '/') {
             const html = mobile ? getMobileLandingHTML() : getLandingHTML();
@@ -315,8 +602,8 @@ amp-ad,amp-embed{display:none!important;height:0!important;overflow:hidden!impor
             return Response.redirect(url.origin, 302);
         }
 
-        // App routes - protected views
-        if (path === '/app' || path === '/home' || path === '/dashboard') {
+        // App routes - protected views (/device opens the device sign-in approval in the profile modal)
+        if (path === '/app' || path === '/home' || path === '/dashboard' || path === '/device') {
             const html = mobile ? getMobileIndexHTML() : getIndexHTML();
             return new Response(html, {
                 headers: { 'Content-Type': 'text/html' }
@@ -350,6 +637,13 @@ amp-ad,amp-embed{display:none!important;height:0!important;overflow:hidden!impor
         return new Response(fallbackHtml, {
             headers: { 'Content-Type': 'text/html' }
         });
+    },
+
+    // Cron trigger (see [triggers] in wrangler.toml): permanently deletes links left in the trash too long,
+    // and sessions that have expired
+    async scheduled(event, env, ctx) {
+        ctx.waitUntil(purgeExpiredTrash(env.DB));
+        ctx.waitUntil(deleteExpiredSessions(env.DB));
     }
 };
 
@@ -368,7 +662,6 @@ function getIndexHTML() {
     <meta name="description" content="Save and organize your links with kurate">
     <link rel="stylesheet" href="styles.css">
     <link rel="icon" type="image/png" href="/favicon.png?v=2">
-    <script src="https://cdn.jsdelivr.net/npm/fuse.js@7.0.0"></script>
     <link rel="preconnect" href="https://fonts.googleapis.com">
     <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
     <link href="https://fonts.googleapis.com/css2?family=Instrument+Serif:ital,wght@0,400;1,400&family=Inter:wght@400;500;600&display=swap" rel="stylesheet">
@@ -437,24 +730,36 @@ function getIndexHTML() {
                                 </span>
                                 Favorites
                             </button>
+                            <button id="trashTab" class="nav-item">
+                                <span class="nav-icon">
+                                    <svg width="17" height="17" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="3 6 5 6 21 6"></polyline><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path></svg>
+                                </span>
+                                Trash
+                            </button>
                         </nav>
                     </div>
 
                     <div class="nav-section">
                         <h3 class="nav-header">Categories</h3>
                         <nav class="nav-list" id="categoryNav">
-                            <!-- Populated by JS or static for now, JS toggles active class -->
+                            <!-- Built from /api/links/categories by renderCategories -->
                              <button class="nav-item category-item active" data-category="all">
                                 All
                              </button>
-                             <button class="nav-item category-item" data-category="Sports">Sports</button>
-                             <button class="nav-item category-item" data-category="Entertainment">Entertainment</button>
-                             <button class="nav-item category-item" data-category="Business">Business</button>
-                             <button class="nav-item category-item" data-category="Technology">Technology</button>
-                             <button class="nav-item category-item" data-category="Education">Education</button>
-                             <button class="nav-item category-item" data-category="Other">Other</button>
                         </nav>
                     </div>
+
+                    <div class="nav-section">
+                        <h3 class="nav-header nav-header-row">Collections <button id="newCollectionBtn" class="nav-header-btn" title="New collection">+</button></h3>
+                        <!-- Built from /api/links/collections by renderCollections -->
+                        <nav class="nav-list" id="collectionNav"></nav>
+                    </div>
+
+                    <div class="nav-section" id="tagSection" hidden>
+                        <h3 class="nav-header">Tags</h3>
+                        <!-- Built from /api/links/tags by renderTagNav -->
+                        <nav class="nav-list" id="tagNav"></nav>
+                    </div>
                 </aside>
 
                 <!-- Middle: Content Area -->
@@ -463,6 +768,19 @@ function getIndexHTML() {
                         <h2 class="content-title" id="userGreeting">Curated List</h2>
                     </div>
 
+                    <div id="collectionHeader" class="collection-header" hidden>
+                        <div class="collection-header-text">
+                            <h3 id="collectionTitle" class="collection-title"></h3>
+                            <p id="collectionDescription" class="collection-description"></p>
+                            <p id="collectionPublic" class="collection-public" hidden>Public at <a id="collectionPublicLink" target="_blank" rel="noopener"></a></p>
+                        </div>
+                        <button id="collectionPublishBtn" class="bulk-btn" data-collection-action="publish">Publish</button>
+                        <button id="collectionNewLinkBtn" class="bulk-btn" data-collection-action="new-link" title="Move the public page to a new address; the old one stops working" hidden>New link</button>
+                        <button class="bulk-btn" data-collection-action="edit">Edit</button>
+                        <button class="bulk-btn bulk-btn-danger" data-collection-action="delete">Delete</button>
+                        <button class="bulk-btn" data-collection-action="close" title="Show all links">✕</button>
+                    </div>
+
                     <div class="search-row">
                         <div class="search-container">
                             <svg class="search-icon" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="#A8A29E" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
@@ -476,12 +794,49 @@ function getIndexHTML() {
                         </button>
                     </div>
 
+                    <div class="filter-row">
+                        <select id="sortSelect" class="filter-select" aria-label="Sort links">
+                            <option value="newest">Newest first</option>
+                            <option value="oldest">Oldest first</option>
+                            <option value="title">Title A–Z</option>
+                            <option value="domain">Domain A–Z</option>
+                            <option value="position" hidden>Collection order</option>
+                        </select>
+                        <label class="filter-date">From <input type="date" id="dateFromInput"></label>
+                        <label class="filter-date">To <input type="date" id="dateToInput"></label>
+                        <button id="domainFilterChip" class="filter-chip" title="Clear domain filter" hidden></button>
+                        <button id="selectModeBtn" class="filter-select filter-button" title="Select several links to change at once">Select</button>
+                    </div>
+
+                    <div id="bulkBar" class="bulk-bar" hidden>
+                        <span id="bulkCount" class="bulk-count">0 selected</span>
+                        <button class="bulk-btn" data-bulk="select-all">Select all</button>
+                        <button class="bulk-btn" data-bulk="read">Mark read</button>
+                        <button class="bulk-btn" data-bulk="unread">Mark unread</button>
+                        <button class="bulk-btn" data-bulk="favorite">Favorite</button>
+                        <select id="bulkCategorySelect" class="filter-select" aria-label="Move selected links to a category">
+                            <option value="">Move to…</option>
+                        </select>
+                        <select id="bulkCollectionSelect" class="filter-select" aria-label="Add selected links to a collection" hidden>
+                            <option value="">Add to collection…</option>
+                        </select>
+                        <button class="bulk-btn" data-bulk="tag">Add tag</button>
+                        <button class="bulk-btn bulk-btn-danger" data-bulk="delete">Delete</button>
+                        <button class="bulk-btn" data-bulk="done">Done</button>
+                    </div>
+
+                    <div id="trashBar" class="bulk-bar" hidden>
+                        <span class="bulk-count trash-note">Links in the trash are deleted for good after 30 days.</span>
+                        <button id="emptyTrashBtn" class="bulk-btn bulk-btn-danger">Empty trash</button>
+                    </div>
+
                     <section class="links-container">
                         <div id="links" class="links-grid">
                             <div class="empty-state">
                                 <div class="empty-description">Loading links...</div>
                             </div>
                         </div>
+                        <div id="linksSentinel" class="links-sentinel"></div>
                     </section>
                 </main>
 
@@ -544,14 +899,7 @@ function getIndexHTML() {
                                 <path d="M6 9l6 6 6-6"/>
                             </svg>
                         </button>
-                        <div class="custom-options" id="mobileCategoryOptions">
-                            <div class="custom-option" data-value="Sports">Sports</div>
-                            <div class="custom-option" data-value="Entertainment">Entertainment</div>
-                            <div class="custom-option" data-value="Business">Business</div>
-                            <div class="custom-option" data-value="Technology">Technology</div>
-                            <div class="custom-option" data-value="Education">Education</div>
-                            <div class="custom-option" data-value="Other">Other</div>
-                        </div>
+                        <div class="custom-options" id="mobileCategoryOptions"></div>
                     </div>
                 </div>
                 <button type="submit" class="btn btn-primary btn-full">
@@ -588,16 +936,13 @@ function getIndexHTML() {
                                 <path d="M6 9l6 6 6-6"/>
                             </svg>
                         </button>
-                        <div class="custom-options" id="categoryOptions">
-                            <div class="custom-option" data-value="Sports">Sports</div>
-                            <div class="custom-option" data-value="Entertainment">Entertainment</div>
-                            <div class="custom-option" data-value="Business">Business</div>
-                            <div class="custom-option" data-value="Technology">Technology</div>
-                            <div class="custom-option" data-value="Education">Education</div>
-                            <div class="custom-option" data-value="Other">Other</div>
-                        </div>
+                        <div class="custom-options" id="categoryOptions"></div>
                     </div>
                 </div>
+                <div class="form-group">
+                    <label for="linkTags" class="form-label">Tags</label>
+                    <input type="text" id="linkTags" class="form-input" placeholder="research, to-cite" autocomplete="off">
+                </div>
                 <button type="submit" id="addBtn" class="btn btn-primary btn-full">
                     Curate
                 </button>
@@ -616,6 +961,14 @@ function getIndexHTML() {
                     </svg>
                 </button>
                 <span class="link-viewer-url" id="linkViewerUrl"></span>
+                <button id="linkViewerNotesBtn" class="link-viewer-external link-viewer-notes-btn hidden" onclick="window.app.toggleViewerNotes()" title="Note">
+                    <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                        <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/>
+                        <polyline points="14 2 14 8 20 8"/>
+                        <line x1="16" y1="13" x2="8" y2="13"/>
+                        <line x1="16" y1="17" x2="8" y2="17"/>
+                    </svg>
+                </button>
                 <button class="link-viewer-external" onclick="window.app.openLinkExternal()" title="Open in new tab">
                     <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
                         <path d="M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6"/>
@@ -640,7 +993,34 @@ function getIndexHTML() {
                     <p class="link-viewer-fallback-msg">This site cannot be viewed here</p>
                     <button class="link-viewer-fallback-btn" onclick="window.app.openLinkExternal()">Open in Browser</button>
                 </div>
+                <aside id="linkViewerNotes" class="link-viewer-notes hidden">
+                    <div class="link-viewer-notes-header">
+                        <span>Note</span>
+                        <span class="link-viewer-notes-hint">Markdown</span>
+                    </div>
+                    <textarea id="linkViewerNoteInput" class="link-viewer-note-input" maxlength="10000" placeholder="Why did you save this?" oninput="window.app.updateViewerNotePreview()"></textarea>
+                    <div id="linkViewerNotePreview" class="link-viewer-note-preview note-markdown"></div>
+                    <button id="linkViewerNoteSave" class="card-edit-save" onclick="window.app.saveViewerNote()">Save note</button>
+                </aside>
+            </div>
+        </div>
+    </div>
+
+    <!-- Highlights Modal -->
+    <div id="highlightsModal" class="add-link-modal hidden">
+        <div class="add-link-modal-backdrop" onclick="window.app.closeHighlights()"></div>
+        <div class="add-link-modal-content highlights-modal-content">
+            <div class="add-link-modal-header">
+                <h2 class="add-link-modal-title">Highlights</h2>
+                <button class="add-link-modal-close" onclick="window.app.closeHighlights()">
+                    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                        <path d="M18 6L6 18M6 6l12 12"/>
+                    </svg>
+                </button>
             </div>
+            <div id="highlightsLinkTitle" class="highlights-link-title"></div>
+            <div id="highlightsList" class="highlights-list"></div>
+            <button class="btn btn-primary btn-full" onclick="window.app.openHighlightsInViewer()">Open page</button>
         </div>
     </div>
 
@@ -677,6 +1057,171 @@ function getIndexHTML() {
                 </div>
             </div>
 
+            <!-- Two-Factor Authentication Section -->
+            <div class="profile-section">
+                <h3 class="profile-section-title">Two-Factor Authentication</h3>
+                <p id="totpStatus" class="profile-help-text">Require a code from an authenticator app when signing in.</p>
+                <div id="totpSetup" class="profile-totp-setup hidden">
+                    <p class="profile-help-text">Add this key to your authenticator app, or <a id="totpUriLink" href="#">open it in the app</a> on this device. Then enter the 6-digit code it shows.</p>
+                    <div id="totpSecret" class="profile-code-grid profile-totp-secret"></div>
+                    <input type="text" id="totpVerifyCode" class="profile-input" placeholder="6-digit code" inputmode="numeric" autocomplete="one-time-code">
+                    <div class="profile-btn-row">
+                        <button id="totpVerifyBtn" class="profile-action-btn" onclick="window.app.verifyTotpSetup()">Verify</button>
+                    </div>
+                </div>
+                <input type="password" id="totpPassword" class="profile-input" placeholder="Current password" autocomplete="off">
+                <input type="text" id="totpDisableCode" class="profile-input hidden" placeholder="Two-factor or recovery code, to turn it off" autocomplete="one-time-code">
+                <div class="profile-btn-row">
+                    <button id="totpDisableBtn" class="profile-link-btn hidden" onclick="window.app.disableTotp()">Turn off</button>
+                    <button id="totpSetupBtn" class="profile-action-btn" onclick="window.app.startTotpSetup()">Set up</button>
+                </div>
+            </div>
+
+            <!-- Passkeys Section -->
+            <div class="profile-section">
+                <h3 class="profile-section-title">Passkeys</h3>
+                <p class="profile-help-text">Sign in with your fingerprint, face or device PIN instead of typing your password. Your password keeps working as a fallback.</p>
+                <div id="profilePasskeysList" class="profile-list">
+                    <div class="profile-list-empty">Loading passkeys...</div>
+                </div>
+                <input type="text" id="passkeyName" class="profile-input" placeholder="Passkey name (e.g. MacBook Touch ID)" maxlength="50" autocomplete="off">
+                <input type="password" id="passkeyPassword" class="profile-input" placeholder="Current password" autocomplete="off">
+                <div class="profile-btn-row">
+                    <button id="addPasskeyBtn" class="profile-action-btn" onclick="window.app.addPasskey()">Add passkey</button>
+                </div>
+            </div>
+
+            <!-- Recovery Codes Section -->
+            <div class="profile-section">
+                <h3 class="profile-section-title">Recovery Codes</h3>
+                <p id="recoveryCodesSummary" class="profile-help-text">Recovery codes let you reset your password if you forget it.</p>
+                <div id="recoveryCodesList" class="profile-code-grid hidden"></div>
+                <input type="password" id="recoveryCodesPassword" class="profile-input" placeholder="Current password" autocomplete="off">
+                <div class="profile-btn-row">
+                    <button id="copyRecoveryCodesBtn" class="profile-link-btn hidden" onclick="window.app.copyRecoveryCodes()">Copy codes</button>
+                    <button id="generateRecoveryCodesBtn" class="profile-action-btn" onclick="window.app.generateRecoveryCodes()">Generate new codes</button>
+                </div>
+            </div>
+
+            <!-- Connect a Device Section -->
+            <div id="deviceAuthSection" class="profile-section">
+                <h3 class="profile-section-title">Connect a Device</h3>
+                <p class="profile-help-text">Enter the code shown in the Kurate browser extension or mobile app to sign it in without typing your password there.</p>
+                <p id="deviceAuthRequest" class="profile-help-text profile-device-request hidden"></p>
+                <input type="text" id="deviceUserCode" class="profile-input" placeholder="XXXX-XXXX" maxlength="9" autocomplete="off" autocapitalize="characters">
+                <div class="profile-btn-row">
+                    <button id="deviceDenyBtn" class="profile-link-btn hidden" onclick="window.app.respondToDeviceCode(false)">Deny</button>
+                    <button id="deviceApproveBtn" class="profile-action-btn hidden" onclick="window.app.respondToDeviceCode(true)">Approve</button>
+                    <button id="deviceLookupBtn" class="profile-action-btn" onclick="window.app.lookupDeviceCode()">Continue</button>
+                </div>
+            </div>
+
+            <!-- Active Sessions Section -->
+            <div class="profile-section">
+                <h3 class="profile-section-title">Active Sessions</h3>
+                <div id="profileSessionsList" class="profile-list">
+                    <div class="profile-list-empty">Loading sessions...</div>
+                </div>
+                <div class="profile-btn-row">
+                    <button id="revokeOtherSessionsBtn" class="profile-action-btn" onclick="window.app.revokeOtherSessions()">Sign out other devices</button>
+                </div>
+            </div>
+
+            <!-- API Tokens Section -->
+            <div class="profile-section">
+                <h3 class="profile-section-title">API Tokens</h3>
+                <p id="apiTokensSummary" class="profile-help-text">Personal tokens let scripts and integrations call the Kurate API with an <code>Authorization: Bearer</code> header. Give each one only the access it needs.</p>
+                <div id="profileApiTokensList" class="profile-list">
+                    <div class="profile-list-empty">Loading tokens...</div>
+                </div>
+                <div id="newApiToken" class="profile-code-grid profile-token-value hidden"></div>
+                <input type="text" id="apiTokenName" class="profile-input" placeholder="Token name (e.g. Backup script)" maxlength="50" autocomplete="off">
+                <div id="apiTokenScopes" class="profile-scope-options">
+                    <label><input type="checkbox" value="links:read" checked> Read links</label>
+                    <label><input type="checkbox" value="links:write"> Write links</label>
+                    <label><input type="checkbox" value="feeds:read"> Read feeds</label>
+                </div>
+                <div class="profile-btn-row">
+                    <button id="copyApiTokenBtn" class="profile-link-btn hidden" onclick="window.app.copyApiToken()">Copy token</button>
+                    <button id="createApiTokenBtn" class="profile-action-btn" onclick="window.app.createApiToken()">Create token</button>
+                </div>
+            </div>
+
+            <!-- Categories Section -->
+            <div class="profile-section">
+                <h3 class="profile-section-title">Categories</h3>
+                <p class="profile-help-text">Rename, recolor and reorder the categories you file links under. Deleting a category moves its links to Other. Publish one to share a read-only page of its links, with RSS and Atom feeds.</p>
+                <div id="profileCategoriesList" class="profile-list">
+                    <div class="profile-list-empty">Loading categories...</div>
+                </div>
+                <input type="text" id="newCategoryName" class="profile-input" placeholder="New category" maxlength="50" autocomplete="off">
+                <div class="profile-btn-row">
+                    <button id="createCategoryBtn" class="profile-action-btn" onclick="window.app.createCategory()">Add category</button>
+                </div>
+            </div>
+
+            <!-- Reading Section -->
+            <div class="profile-section">
+                <h3 class="profile-section-title">Reading</h3>
+                <p class="profile-help-text">The viewer remembers how far you've read each link and reopens it where you left off. It can also mark links read once you've read far enough.</p>
+                <select id="autoReadProgress" class="profile-input" aria-label="Mark links read automatically">
+                    <option value="">Only mark links read by hand</option>
+                    <option value="0.5">Mark read at 50%</option>
+                    <option value="0.75">Mark read at 75%</option>
+                    <option value="0.9">Mark read at 90%</option>
+                    <option value="1">Mark read at the end</option>
+                </select>
+            </div>
+
+            <!-- Import Section -->
+            <div class="profile-section">
+                <h3 class="profile-section-title">Import Links</h3>
+                <p class="profile-help-text">Bring your links over from Pocket, Instapaper or Raindrop (their HTML or CSV export), a browser's bookmark file, or a plain list of URLs. Saved dates, read state and tags come along, folders become categories or tags, and links you already have are skipped.</p>
+                <select id="importFormat" class="profile-input" aria-label="File format">
+                    <option value="auto">Detect the format</option>
+                    <option value="bookmarks">Bookmark file (HTML)</option>
+                    <option value="pocket">Pocket</option>
+                    <option value="instapaper">Instapaper</option>
+                    <option value="raindrop">Raindrop</option>
+                    <option value="urls">List of URLs</option>
+                </select>
+                <input type="file" id="importFile" class="profile-input" accept=".html,.htm,.csv,.txt,text/html,text/csv,text/plain">
+                <div class="profile-btn-row">
+                    <button id="importLinksBtn" class="profile-action-btn" onclick="window.app.importLinksFile()">Import</button>
+                </div>
+                <div id="importResults" class="profile-import-results" hidden></div>
+            </div>
+
+            <!-- Export Section -->
+            <div class="profile-section">
+                <h3 class="profile-section-title">Export Links</h3>
+                <p class="profile-help-text">Download your links as a bookmark file any browser can import, a spreadsheet (CSV), JSON, or Markdown grouped by category. Links in the trash are left out.</p>
+                <select id="exportStatus" class="profile-input" aria-label="Links to export">
+                    <option value="all">All links</option>
+                    <option value="unread">Unread</option>
+                    <option value="read">Read</option>
+                    <option value="favorites">Favorites</option>
+                </select>
+                <select id="exportCategory" class="profile-input" aria-label="Category to export">
+                    <option value="">All categories</option>
+                </select>
+                <div class="profile-btn-row profile-export-row">
+                    <button class="profile-action-btn" data-export-format="html" onclick="window.app.exportLinks('html')">Bookmarks</button>
+                    <button class="profile-action-btn" data-export-format="csv" onclick="window.app.exportLinks('csv')">CSV</button>
+                    <button class="profile-action-btn" data-export-format="json" onclick="window.app.exportLinks('json')">JSON</button>
+                    <button class="profile-action-btn" data-export-format="markdown" onclick="window.app.exportLinks('markdown')">Markdown</button>
+                </div>
+            </div>
+
+            <!-- Your Data Section -->
+            <div class="profile-section">
+                <h3 class="profile-section-title">Your Data</h3>
+                <p class="profile-help-text">Download a JSON archive of your profile, every saved link, your sessions and API tokens, and your activity history.</p>
+                <div class="profile-btn-row">
+                    <button id="exportDataBtn" class="profile-action-btn" onclick="window.app.downloadAccountData()">Download my data</button>
+                </div>
+            </div>
+
             <!-- Delete Account Section -->
             <div class="profile-section profile-danger-zone">
                 <h3 class="profile-section-title">Delete Account</h3>
@@ -965,6 +1510,8 @@ body {
 .profile-btn-row {
     display: flex;
     justify-content: flex-end;
+    align-items: center;
+    gap: 16px;
     margin-top: 4px;
 }
 
@@ -985,86 +1532,318 @@ body {
     background: var(--accent-orange-hover);
 }
 
-.profile-danger-zone {
-    border-bottom: none;
-}
-
-.profile-danger-text {
+.profile-help-text {
     font-size: 13px;
     color: var(--text-secondary);
     margin-bottom: 12px;
     line-height: 1.5;
 }
 
-.profile-status {
-    margin-top: 16px;
-    padding: 10px 14px;
-    border-radius: 8px;
-    font-size: 13px;
-    font-weight: 500;
-    font-family: var(--font-sans);
+.profile-code-grid {
+    display: grid;
+    grid-template-columns: 1fr 1fr;
+    gap: 6px 16px;
+    padding: 12px 14px;
+    margin-bottom: 12px;
+    border: 1px dashed var(--border-light);
+    border-radius: 10px;
+    background: #FAFAFA;
+    font-family: ui-monospace, SFMono-Regular, Menlo, monospace;
+    font-size: 14px;
+    font-weight: 600;
+    color: var(--text-primary);
+    user-select: all;
 }
 
-.profile-status.hidden {
-    display: none;
+.profile-totp-secret,
+.profile-token-value {
+    grid-template-columns: 1fr;
+    text-align: center;
+    letter-spacing: 1px;
+    word-break: break-all;
 }
 
-.profile-status.success {
-    background: #ECFDF5;
-    color: #059669;
+.profile-totp-setup a {
+    color: var(--accent-orange);
 }
 
-.profile-status.error {
-    background: #FEF2F2;
-    color: #DC2626;
+.profile-scope-options {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 8px 16px;
+    margin-bottom: 12px;
+    font-size: 13px;
+    color: var(--text-secondary);
 }
 
-/* Main Grid Layout */
-.main-content {
-    display: grid;
-    grid-template-columns: var(--sidebar-width-left) 1fr var(--sidebar-width-right);
-    gap: clamp(24px, 3vw, 40px);
-    padding-top: 12px;
-    padding-bottom: 64px;
+.profile-scope-options label {
+    display: flex;
+    align-items: center;
+    gap: 6px;
+    cursor: pointer;
 }
 
-/* Left Sidebar: Navigation */
-.nav-section { margin-bottom: 34px; }
+.profile-help-text code {
+    font-family: ui-monospace, SFMono-Regular, Menlo, monospace;
+    font-size: 12px;
+}
 
-.nav-header {
-    font-size: 10px;
-    font-weight: 700;
-    text-transform: uppercase;
-    letter-spacing: 0.05em;
+.profile-device-request {
     color: var(--text-primary);
-    margin-bottom: 14px;
-    margin-top: 0;
+    font-weight: 500;
 }
 
-.nav-list { display: flex; flex-direction: column; gap: 4px; }
+.profile-code-grid.hidden,
+.profile-category-item {
+    justify-content: flex-start;
+    gap: 8px;
+    padding: 6px 10px;
+}
 
-.nav-item {
-    display: flex;
-    align-items: center;
-    gap: 10px;
-    padding: 8px 10px;
-    background: transparent;
+.profile-category-color {
     border: none;
-    border-radius: var(--radius-sm);
+    border-radius: 6px;
+    padding: 4px 6px;
     font-family: var(--font-sans);
-    font-size: 13px;
-    font-style: normal;
-    font-weight: 500;
-    color: var(--text-secondary);
+    font-size: 11px;
+    font-weight: 600;
     cursor: pointer;
-    text-align: left;
-    transition: all 0.2s;
-}
-
-.nav-item:hover { 
-    color: var(--text-primary); 
-    background: #F3F4F6;
-    outline: none !important;
+}
+
+.profile-category-name {
+    flex: 1;
+    min-width: 0;
+    padding: 4px 6px;
+    border: 1px solid transparent;
+    border-radius: 6px;
+    background: transparent;
+    font-family: var(--font-sans);
+    font-size: 13px;
+    font-weight: 600;
+    color: var(--text-primary);
+}
+
+.profile-category-name:focus {
+    outline: none;
+    border-color: var(--accent-orange);
+    background: #fff;
+}
+
+.profile-category-name[readonly] {
+    cursor: default;
+}
+
+.profile-category-item .profile-list-meta {
+    margin-top: 0;
+}
+
+.profile-category-item .profile-link-btn:disabled {
+    opacity: 0.3;
+    cursor: default;
+}
+
+.profile-category-item a.profile-link-btn {
+    text-decoration: none;
+}
+
+.profile-export-row {
+    flex-wrap: wrap;
+    justify-content: flex-start;
+    gap: 8px;
+}
+
+.profile-export-row .profile-action-btn {
+    padding: 8px 16px;
+}
+
+.profile-import-results {
+    margin-top: 12px;
+    font-size: 12px;
+    color: var(--text-secondary);
+}
+
+.profile-import-row {
+    padding: 4px 0;
+    white-space: nowrap;
+    overflow: hidden;
+    text-overflow: ellipsis;
+}
+
+.profile-import-status {
+    font-weight: 600;
+    margin-right: 6px;
+}
+
+.profile-help-text.hidden,
+.profile-action-btn.hidden,
+.profile-link-btn.hidden,
+.profile-totp-setup.hidden {
+    display: none;
+}
+
+.profile-list {
+    display: flex;
+    flex-direction: column;
+    gap: 8px;
+    margin-bottom: 8px;
+}
+
+.profile-list-item {
+    display: flex;
+    align-items: center;
+    justify-content: space-between;
+    gap: 12px;
+    padding: 10px 12px;
+    border: 1px solid var(--border-light);
+    border-radius: 10px;
+    background: #FAFAFA;
+}
+
+.profile-list-main {
+    min-width: 0;
+}
+
+.profile-list-title {
+    font-size: 13px;
+    font-weight: 600;
+    font-family: var(--font-sans);
+    color: var(--text-primary);
+    white-space: nowrap;
+    overflow: hidden;
+    text-overflow: ellipsis;
+}
+
+.profile-list-meta {
+    font-size: 12px;
+    color: var(--text-tertiary);
+    margin-top: 2px;
+}
+
+.profile-list-empty {
+    font-size: 13px;
+    color: var(--text-tertiary);
+}
+
+.profile-list-badge {
+    font-size: 11px;
+    font-weight: 600;
+    color: var(--accent-orange);
+    white-space: nowrap;
+}
+
+.profile-link-btn {
+    border: none;
+    background: none;
+    padding: 4px 0;
+    font-family: var(--font-sans);
+    font-size: 12px;
+    font-weight: 600;
+    color: var(--text-secondary);
+    cursor: pointer;
+    white-space: nowrap;
+}
+
+.profile-link-btn:hover {
+    color: #DC2626;
+}
+
+.profile-danger-zone {
+    border-bottom: none;
+}
+
+.profile-danger-text {
+    font-size: 13px;
+    color: var(--text-secondary);
+    margin-bottom: 12px;
+    line-height: 1.5;
+}
+
+.profile-status {
+    margin-top: 16px;
+    padding: 10px 14px;
+    border-radius: 8px;
+    font-size: 13px;
+    font-weight: 500;
+    font-family: var(--font-sans);
+}
+
+.profile-status.hidden {
+    display: none;
+}
+
+.profile-status.success {
+    background: #ECFDF5;
+    color: #059669;
+}
+
+.profile-status.error {
+    background: #FEF2F2;
+    color: #DC2626;
+}
+
+/* Main Grid Layout */
+.main-content {
+    display: grid;
+    grid-template-columns: var(--sidebar-width-left) 1fr var(--sidebar-width-right);
+    gap: clamp(24px, 3vw, 40px);
+    padding-top: 12px;
+    padding-bottom: 64px;
+}
+
+/* Left Sidebar: Navigation */
+.nav-section { margin-bottom: 34px; }
+
+.nav-header {
+    font-size: 10px;
+    font-weight: 700;
+    text-transform: uppercase;
+    letter-spacing: 0.05em;
+    color: var(--text-primary);
+    margin-bottom: 14px;
+    margin-top: 0;
+}
+
+/* Header with an action button at the end, e.g. Collections' "+" */
+.nav-header-row {
+    display: flex;
+    align-items: center;
+    justify-content: space-between;
+}
+
+.nav-header-btn {
+    padding: 0 4px;
+    border: none;
+    background: none;
+    font-size: 16px;
+    line-height: 1;
+    color: var(--accent-orange);
+    cursor: pointer;
+}
+
+.nav-list { display: flex; flex-direction: column; gap: 4px; }
+
+.nav-item {
+    display: flex;
+    align-items: center;
+    gap: 10px;
+    padding: 8px 10px;
+    background: transparent;
+    border: none;
+    border-radius: var(--radius-sm);
+    font-family: var(--font-sans);
+    font-size: 13px;
+    font-style: normal;
+    font-weight: 500;
+    color: var(--text-secondary);
+    cursor: pointer;
+    text-align: left;
+    transition: all 0.2s;
+}
+
+.nav-item:hover { 
+    color: var(--text-primary); 
+    background: #F3F4F6;
+    outline: none !important;
 }
 
 .nav-item.active {
@@ -1079,11 +1858,20 @@ body {
     border: none !important;
 }
 
-#categoryNav .nav-item.active {
+#categoryNav .nav-item.active,
+#collectionNav .nav-item.active,
+#tagNav .nav-item.active {
     background: #FFEDD5;
     color: var(--accent-orange);
 }
 
+#collectionNav .collection-item span:first-child,
+#tagNav .tag-item span:first-child {
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+}
+
 .category-count {
     margin-left: auto;
     background: #374151;
@@ -1104,6 +1892,8 @@ body {
 
 .category-item { padding-left: 10px; } /* Simple list for categories */
 
+.collection-item { padding-left: 10px; }
+
 /* Content Area */
 .content-mid { 
     display: flex; 
@@ -1167,43 +1957,227 @@ body {
     opacity: 0.5;
 }
 
-/* Links Grid */
-.links-container {
-    max-height: calc(100vh - 230px);
-    overflow-y: auto;
-    padding: 20px;
-    background: #FEFEFE;
-    border: 1px solid #E8E8E8;
-    border-radius: 20px;
-    box-shadow: 0 2px 8px rgba(0, 0, 0, 0.04), 0 1px 2px rgba(0, 0, 0, 0.02);
-    transition: box-shadow 0.3s ease;
+/* Sort & filters */
+.filter-row {
+    display: flex;
+    align-items: center;
+    flex-wrap: wrap;
+    gap: 10px;
+    margin: -6px 0 14px;
+    font-size: 12px;
+    color: var(--text-secondary);
 }
 
-.links-container:hover {
-    box-shadow: 0 4px 12px rgba(0, 0, 0, 0.06), 0 2px 4px rgba(0, 0, 0, 0.03);
+.filter-select,
+.filter-date input {
+    padding: 6px 10px;
+    border: 1px solid var(--border-light);
+    border-radius: var(--radius-md);
+    font-family: var(--font-sans);
+    font-size: 12px;
+    color: var(--text-primary);
+    background: #fff;
 }
 
-.links-container::-webkit-scrollbar {
-    width: 8px;
+.filter-date {
+    display: flex;
+    align-items: center;
+    gap: 6px;
 }
 
-.links-container::-webkit-scrollbar-track {
-    background: transparent;
-    margin: 8px 0;
+.filter-chip {
+    padding: 5px 10px;
+    border: none;
+    border-radius: 999px;
+    font-family: var(--font-sans);
+    font-size: 12px;
+    color: var(--accent-orange);
+    background: #FFEDD5;
+    cursor: pointer;
 }
 
-.links-container::-webkit-scrollbar-thumb {
-    background: #D1D5DB;
-    border-radius: 10px;
-    border: 2px solid #FEFEFE;
-    transition: background 0.2s ease;
+.filter-chip[hidden] { display: none; }
+
+.filter-button {
+    margin-left: auto;
+    cursor: pointer;
 }
 
-.links-container::-webkit-scrollbar-thumb:hover {
-    background: #9CA3AF;
+.filter-button.active {
+    color: var(--accent-orange);
+    border-color: var(--accent-orange);
 }
 
-.links-grid {
+/* Name, description and actions of the open collection */
+.collection-header {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    margin: 0 0 14px;
+    padding: 10px 12px;
+    border: 1px solid var(--border-light);
+    border-radius: var(--radius-md);
+    background: #fff;
+}
+
+.collection-header[hidden] { display: none; }
+
+.collection-header-text {
+    min-width: 0;
+    margin-right: auto;
+}
+
+.collection-title {
+    margin: 0;
+    font-size: 15px;
+    font-weight: 700;
+    color: var(--text-primary);
+}
+
+.collection-description {
+    margin: 2px 0 0;
+    font-size: 12px;
+    color: var(--text-secondary);
+}
+
+.collection-public {
+    margin: 2px 0 0;
+    font-size: 12px;
+    color: var(--text-tertiary);
+    overflow-wrap: anywhere;
+}
+
+.collection-public a {
+    color: var(--accent-orange);
+}
+
+/* Multi-select: a bar of actions for the selected links */
+.bulk-bar {
+    display: flex;
+    align-items: center;
+    flex-wrap: wrap;
+    gap: 8px;
+    margin: -4px 0 14px;
+    padding: 8px 10px;
+    border: 1px solid var(--border-light);
+    border-radius: var(--radius-md);
+    background: #fff;
+    font-size: 12px;
+}
+
+.bulk-bar[hidden] { display: none; }
+
+.bulk-count {
+    margin-right: auto;
+    font-weight: 600;
+    color: var(--text-primary);
+}
+
+.bulk-btn {
+    padding: 6px 10px;
+    border: 1px solid var(--border-light);
+    border-radius: var(--radius-md);
+    font-family: var(--font-sans);
+    font-size: 12px;
+    color: var(--text-primary);
+    background: #fff;
+    cursor: pointer;
+}
+
+.bulk-btn:hover { border-color: var(--accent-orange); }
+
+.bulk-btn-danger { color: #DC2626; }
+
+.trash-note {
+    font-weight: 400;
+    color: var(--text-secondary);
+}
+
+.card-deleted-date {
+    font-size: 12px;
+    color: var(--text-secondary);
+}
+
+.link-card.is-selectable .star-btn { visibility: hidden; }
+
+.link-card.is-selectable::after {
+    content: '';
+    position: absolute;
+    top: 10px;
+    right: 12px;
+    width: 16px;
+    height: 16px;
+    border: 1.5px solid #D1D5DB;
+    border-radius: 50%;
+    background: #fff;
+    font-size: 11px;
+    line-height: 16px;
+    text-align: center;
+    color: #fff;
+}
+
+.link-card.is-selected {
+    border-color: var(--accent-orange);
+    box-shadow: 0 0 0 2px rgba(210, 98, 42, 0.2);
+}
+
+.link-card.is-selected::after {
+    content: '✓';
+    border-color: var(--accent-orange);
+    background: var(--accent-orange);
+}
+
+.links-sentinel {
+    height: 1px;
+}
+
+.links-sentinel.is-loading {
+    height: auto;
+    padding: 16px 0 4px;
+    text-align: center;
+    font-size: 12px;
+    color: var(--text-tertiary);
+}
+
+.links-sentinel.is-loading::after { content: 'Loading more links...'; }
+
+/* Links Grid */
+.links-container {
+    max-height: calc(100vh - 230px);
+    overflow-y: auto;
+    padding: 20px;
+    background: #FEFEFE;
+    border: 1px solid #E8E8E8;
+    border-radius: 20px;
+    box-shadow: 0 2px 8px rgba(0, 0, 0, 0.04), 0 1px 2px rgba(0, 0, 0, 0.02);
+    transition: box-shadow 0.3s ease;
+}
+
+.links-container:hover {
+    box-shadow: 0 4px 12px rgba(0, 0, 0, 0.06), 0 2px 4px rgba(0, 0, 0, 0.03);
+}
+
+.links-container::-webkit-scrollbar {
+    width: 8px;
+}
+
+.links-container::-webkit-scrollbar-track {
+    background: transparent;
+    margin: 8px 0;
+}
+
+.links-container::-webkit-scrollbar-thumb {
+    background: #D1D5DB;
+    border-radius: 10px;
+    border: 2px solid #FEFEFE;
+    transition: background 0.2s ease;
+}
+
+.links-container::-webkit-scrollbar-thumb:hover {
+    background: #9CA3AF;
+}
+
+.links-grid {
     display: grid;
     grid-template-columns: repeat(2, 1fr); /* Fixed 2 columns */
     gap: 16px;
@@ -1248,13 +2222,17 @@ body {
     color: var(--text-secondary);
 }
 
-/* Dynamic Badge Colors */
-.badge-Business { background: #FFEDD5; color: #9A3412; }
-.badge-Technology { background: #DBEAFE; color: #1E40AF; }
-.badge-Sports { background: #DCFCE7; color: #166534; }
-.badge-Education { background: #E0E7FF; color: #3730A3; }
-.badge-Entertainment { background: #FCE7F3; color: #9D174D; }
-.badge-Other { background: #F3F4F6; color: #4B5563; }
+/* Category Badge Colors (CATEGORY_COLORS) */
+.badge-gray { background: #F3F4F6; color: #4B5563; }
+.badge-red { background: #FEE2E2; color: #991B1B; }
+.badge-orange { background: #FFEDD5; color: #9A3412; }
+.badge-yellow { background: #FEF9C3; color: #854D0E; }
+.badge-green { background: #DCFCE7; color: #166534; }
+.badge-teal { background: #CCFBF1; color: #115E59; }
+.badge-blue { background: #DBEAFE; color: #1E40AF; }
+.badge-indigo { background: #E0E7FF; color: #3730A3; }
+.badge-purple { background: #F3E8FF; color: #6B21A8; }
+.badge-pink { background: #FCE7F3; color: #9D174D; }
 
 .star-btn {
     background: transparent;
@@ -1273,6 +2251,21 @@ body {
 
 .card-main { margin-bottom: 6px; flex: 1; }
 
+/* How far an unread link has been read in the viewer */
+.card-progress {
+    height: 3px;
+    margin: -2px 0 6px;
+    border-radius: 2px;
+    background: var(--border-light);
+    overflow: hidden;
+}
+
+.card-progress span {
+    display: block;
+    height: 100%;
+    background: var(--accent-orange);
+}
+
 .card-title {
     font-size: 14px;
     font-weight: 600;
@@ -1293,8 +2286,40 @@ body {
 .card-domain {
     font-size: 11px;
     color: var(--text-tertiary);
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+}
+
+.card-domain-link { cursor: pointer; }
+
+.card-domain-link:hover { color: var(--accent-orange); }
+
+.card-snippet {
+    margin-top: 6px;
+    font-size: 12px;
+    line-height: 1.5;
+    color: var(--text-secondary);
+    display: -webkit-box;
+    -webkit-line-clamp: 3;
+    -webkit-box-orient: vertical;
+    overflow: hidden;
+}
+
+.card-snippet mark {
+    background: rgba(210, 98, 42, 0.18);
+    color: var(--text-primary);
+    border-radius: 2px;
+}
+
+.card-tag {
+    margin-left: 6px;
+    color: var(--text-secondary);
+    cursor: pointer;
 }
 
+.card-tag:hover { color: var(--accent-orange); }
+
 .card-footer {
     display: flex;
     justify-content: space-between;
@@ -1333,6 +2358,92 @@ body {
 
 .icon-btn:hover { background: #F3F4F6; color: var(--text-primary); }
 
+.icon-btn.has-note { color: var(--accent-orange); }
+
+.icon-btn.has-highlights {
+    display: flex;
+    align-items: center;
+    gap: 2px;
+    font-size: 11px;
+    font-weight: 600;
+    color: #B45309;
+}
+
+/* Inline link editing */
+.link-card.is-editing {
+    height: auto;
+    cursor: default;
+    border-color: var(--accent-orange);
+}
+
+.card-edit-form {
+    display: flex;
+    flex-direction: column;
+    gap: 6px;
+}
+
+.card-edit-input {
+    width: 100%;
+    padding: 6px 8px;
+    background: #F9FAFB;
+    border: 1px solid #CBD5E1;
+    border-radius: 6px;
+    font-family: var(--font-sans);
+    font-size: 12px;
+    color: var(--text-primary);
+}
+
+.card-edit-collections {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 4px 12px;
+    font-size: 12px;
+    color: var(--text-secondary);
+}
+
+.card-edit-collections[hidden] { display: none; }
+
+.card-edit-collections label {
+    display: flex;
+    align-items: center;
+    gap: 4px;
+    cursor: pointer;
+}
+
+.card-edit-note {
+    resize: vertical;
+    min-height: 54px;
+    line-height: 1.4;
+}
+
+.card-edit-input:focus {
+    outline: none;
+    background: #fff;
+    border-color: var(--accent-orange);
+}
+
+.card-edit-actions {
+    display: flex;
+    justify-content: flex-end;
+    gap: 6px;
+}
+
+.card-edit-cancel,
+.card-edit-save {
+    border: none;
+    border-radius: 6px;
+    padding: 5px 12px;
+    font-size: 12px;
+    font-weight: 600;
+    cursor: pointer;
+}
+
+.card-edit-cancel { background: #F3F4F6; color: var(--text-secondary); }
+
+.card-edit-save { background: var(--accent-orange); color: white; }
+
+.card-edit-save:disabled { opacity: 0.6; cursor: default; }
+
 /* Right Sidebar */
 .sidebar-right {
     align-self: start;
@@ -1603,6 +2714,52 @@ body {
     color: var(--text-primary);
 }
 
+.highlights-modal-content {
+    width: 520px;
+}
+
+.highlights-link-title {
+    margin: -12px 0 16px;
+    font-size: 13px;
+    color: var(--text-secondary);
+    white-space: nowrap;
+    overflow: hidden;
+    text-overflow: ellipsis;
+}
+
+.highlights-list {
+    display: flex;
+    flex-direction: column;
+    gap: 10px;
+    max-height: 55vh;
+    overflow-y: auto;
+    margin-bottom: 16px;
+}
+
+.highlight-item {
+    padding: 10px 12px;
+    border-left: 3px solid #FBBF24;
+    border-radius: 6px;
+    background: #FFFBEB;
+}
+
+.highlight-text {
+    margin: 0;
+    font-size: 13px;
+    line-height: 1.5;
+    color: var(--text-primary);
+    white-space: pre-wrap;
+}
+
+.highlight-meta {
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    margin-top: 6px;
+    font-size: 11px;
+    color: var(--text-tertiary);
+}
+
 @keyframes slideUpModal {
     from {
         opacity: 0;
@@ -2308,17 +3465,92 @@ body {
     border: none;
 }
 
-.link-viewer-loading {
+.link-viewer-notes-btn.has-note { color: var(--accent-orange); }
+
+.link-viewer-notes {
     position: absolute;
     top: 0;
-    left: 0;
-    width: 100%;
-    height: 100%;
+    right: 0;
+    bottom: 0;
+    width: 340px;
+    max-width: 100%;
     display: flex;
     flex-direction: column;
-    align-items: center;
-    justify-content: center;
-    background: #fff;
+    gap: 10px;
+    padding: 16px;
+    background: #fff;
+    border-left: 1px solid #E5E7EB;
+    box-shadow: -8px 0 24px rgba(0, 0, 0, 0.06);
+    z-index: 2;
+}
+
+.link-viewer-notes.hidden { display: none; }
+
+.link-viewer-notes-header {
+    display: flex;
+    justify-content: space-between;
+    align-items: baseline;
+    font-size: 13px;
+    font-weight: 600;
+    color: var(--text-primary);
+}
+
+.link-viewer-notes-hint {
+    font-size: 11px;
+    font-weight: 400;
+    color: var(--text-tertiary);
+}
+
+.link-viewer-note-input {
+    flex: 1;
+    min-height: 120px;
+    padding: 10px;
+    background: #F9FAFB;
+    border: 1px solid #CBD5E1;
+    border-radius: 8px;
+    font-family: var(--font-sans);
+    font-size: 13px;
+    line-height: 1.5;
+    color: var(--text-primary);
+    resize: none;
+}
+
+.link-viewer-note-input:focus {
+    outline: none;
+    background: #fff;
+    border-color: var(--accent-orange);
+}
+
+.link-viewer-note-preview {
+    flex: 1;
+    overflow-y: auto;
+    font-size: 13px;
+    line-height: 1.5;
+    color: var(--text-secondary);
+}
+
+.link-viewer-note-preview:empty { display: none; }
+
+.note-markdown h3,
+.note-markdown h4,
+.note-markdown h5 { margin: 8px 0 4px; color: var(--text-primary); }
+.note-markdown p,
+.note-markdown ul { margin: 0 0 8px; }
+.note-markdown ul { padding-left: 18px; }
+.note-markdown code { background: #F3F4F6; padding: 1px 4px; border-radius: 4px; font-size: 12px; }
+.note-markdown a { color: var(--accent-orange); }
+
+.link-viewer-loading {
+    position: absolute;
+    top: 0;
+    left: 0;
+    width: 100%;
+    height: 100%;
+    display: flex;
+    flex-direction: column;
+    align-items: center;
+    justify-content: center;
+    background: #fff;
     gap: 16px;
     transition: opacity 0.3s ease;
 }
@@ -2483,6 +3715,10 @@ body {
 /** Returns the desktop dashboard client-side JavaScript (LinksApp class + initialization). */
 function getAppJS() {
     return `// Dave's Links App - Client-side JavaScript
+
+// Colors a category can have (CATEGORY_COLORS in src/database.js); each has a .badge-<color> style
+const CATEGORY_COLORS = ['gray', 'red', 'orange', 'yellow', 'green', 'teal', 'blue', 'indigo', 'purple', 'pink'];
+
 class LinksApp {
     // ===== Initialization =====
     constructor() {
@@ -2497,18 +3733,47 @@ class LinksApp {
         this.currentTab = this.getInitialTab();
         this.searchQuery = '';
         this.categoryFilter = 'all';
+        this.tagFilter = null;
+        this.domainFilter = null;
+        this.dateFrom = '';
+        this.dateTo = '';
+        this.sortOrder = 'newest';
+        this.pageSize = 30;
+        this.nextCursor = null;
+        this.loadingMore = false;
+        this.linksRequestId = 0;
+        this.tags = [];
+        this.tagsLoaded = false;
+        this.categories = [];
+        this.categoriesLoaded = false;
+        this.collections = [];
+        this.collectionsLoaded = false;
+        this.collectionFilter = null;
+        this.searchTimeout = null;
+        this.selectMode = false;
+        this.selectedIds = new Set();
+        this.editingLinkId = null;
         this.linkViewerUrl = '';
+        this.linkViewerLinkId = null;
         this.linkViewerTimeout = null;
+        this.readingProgressLinkId = null;
+        this.highlightsLinkId = null;
         this.init();
     }
 
     getInitialTab() {
         const hash = window.location.hash.replace('#', '');
-        const validTabs = ['unread','read', 'favorites'];
+        const validTabs = ['unread','read', 'favorites', 'trash'];
         return validTabs.includes(hash) ? hash : 'all';
     }
 
     init() {
+        // /device?code=... opened from the extension or mobile app: keep the code across the sign-in redirect
+        if (window.location.pathname === '/device') {
+            localStorage.setItem('pendingDeviceCode', new URLSearchParams(window.location.search).get('code') || '');
+            window.history.replaceState({}, '', '/home');
+        }
+
         if (!this.token) {
             window.location.replace('/');
             return;
@@ -2516,10 +3781,14 @@ class LinksApp {
         
         // Extract user info from token
         try {
-            const tokenData = JSON.parse(atob(this.token));
+            const tokenData = this.decodeToken(this.token);
             if (tokenData && tokenData.username) {
                 this.currentUser = { username: tokenData.username };
             }
+            // Renew ahead of expiry so an open dashboard never hits a 401
+            if (tokenData.exp * 1000 - Date.now() < 24 * 60 * 60 * 1000) {
+                this.refreshToken();
+            }
         } catch (e) {
             localStorage.removeItem('authToken');
             this.token = null;
@@ -2531,7 +3800,11 @@ class LinksApp {
         this.showMainApp();
         this.loadLinks();
 
-        if (localStorage.getItem('reopenProfile')) {
+        const pendingDeviceCode = localStorage.getItem('pendingDeviceCode');
+        if (pendingDeviceCode !== null) {
+            localStorage.removeItem('pendingDeviceCode');
+            setTimeout(() => this.openDeviceApproval(pendingDeviceCode), 300);
+        } else if (localStorage.getItem('reopenProfile')) {
             localStorage.removeItem('reopenProfile');
             setTimeout(() => this.openProfileModal(), 300);
         }
@@ -2581,7 +3854,7 @@ class LinksApp {
         let isAuthenticated = false;
         if (this.token) {
             try {
-                const tokenData = JSON.parse(atob(this.token));
+                const tokenData = this.decodeToken(this.token);
                 if (tokenData && tokenData.username) {
                     this.currentUser = { username: tokenData.username };
                     isAuthenticated = true;
@@ -2642,7 +3915,39 @@ class LinksApp {
 
     // ===== API Calls =====
 
-    async apiRequest(endpoint, options = {}) {
+    decodeToken(token) {
+        // Tokens are header.payload.signature with a base64url-encoded JSON payload
+        const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+        return JSON.parse(atob(payload + '='.repeat((4 - payload.length % 4) % 4)));
+    }
+
+    isTokenExpired() {
+        try {
+            return this.decodeToken(this.token).exp * 1000 <= Date.now();
+        } catch (e) {
+            return true;
+        }
+    }
+
+    async refreshToken() {
+        try {
+            const response = await fetch(\`\${this.apiBase}/auth/refresh\`, {
+                method: 'POST',
+                headers: { 'Authorization': \`Bearer \${this.token}\` }
+            });
+            const data = await response.json();
+            if (data.success && data.token) {
+                this.token = data.token;
+                localStorage.setItem('authToken', data.token);
+                return true;
+            }
+        } catch (error) {
+            // Fall through — caller treats this as a failed refresh
+        }
+        return false;
+    }
+
+    async apiRequest(endpoint, options = {}, isRetry = false) {
         const url = \`\${this.apiBase}\${endpoint}\`;
         const defaultOptions = {
             headers: {
@@ -2662,6 +3967,12 @@ class LinksApp {
 
         try {
             const response = await fetch(url, config);
+
+            // Expired session — renew once and replay the request with the new token
+            if (response.status === 401 && !isRetry && this.token && this.isTokenExpired() && await this.refreshToken()) {
+                return this.apiRequest(endpoint, options, true);
+            }
+
             const contentType = response.headers.get('content-type');
             let data;
             
@@ -2759,6 +4070,8 @@ class LinksApp {
         document.getElementById('unreadTab').classList.toggle('active', this.currentTab === 'unread');
         document.getElementById('readTab').classList.toggle('active', this.currentTab === 'read');
         document.getElementById('favoritesTab').classList.toggle('active', this.currentTab === 'favorites');
+        document.getElementById('trashTab').classList.toggle('active', this.currentTab === 'trash');
+        this.updateTrashControls();
         
         this.renderLinks();
     }
@@ -2833,13 +4146,7 @@ class LinksApp {
                 // Clear browser history to prevent back button navigation to auth pages
                 window.history.replaceState({}, '', '/home');
             } else {
-                // Handle different error types from server response or show default error
-                const errorMessage = (result && result.error) || 'Password reset failed. Please try again.';
-                if (errorMessage.includes('User not found')) {
-                    this.showStatus('User not found. Please check the username or create an account.', 'error');
-                } else {
-                    this.showStatus(errorMessage, 'error');
-                }
+                this.showStatus((result && result.error) || 'Password reset failed. Please try again.', 'error');
             }
         } catch (error) {
             // Always show error message, similar to button pattern
@@ -2902,6 +4209,7 @@ class LinksApp {
         document.getElementById('unreadTab').addEventListener('click', () => { this._s('click_tab_unread'); this.switchTab('unread'); });
         document.getElementById('readTab').addEventListener('click', () => { this._s('click_tab_read'); this.switchTab('read'); });
         document.getElementById('favoritesTab').addEventListener('click', () => { this._s('click_tab_favorite'); this.switchTab('favorites'); });
+        document.getElementById('trashTab').addEventListener('click', () => { this._s('click_tab_trash'); this.switchTab('trash'); });
 
         // Add Link
         document.getElementById('addLinkForm').addEventListener('submit', (e) => {
@@ -2976,6 +4284,10 @@ class LinksApp {
                 if (addLinkModalEl && !addLinkModalEl.classList.contains('hidden')) {
                     this.closeAddLinkModal();
                 }
+                const highlightsModal = document.getElementById('highlightsModal');
+                if (highlightsModal && !highlightsModal.classList.contains('hidden')) {
+                    this.closeHighlights();
+                }
                 const sidebar = document.querySelector('.sidebar-left');
                 if (sidebar && sidebar.classList.contains('drawer-open')) {
                     this.toggleDrawer();
@@ -3011,6 +4323,8 @@ class LinksApp {
 
         this.setupCustomDropdown();
         this.setupSearchAndFilter();
+        this.setupHighlighter();
+        this.setupReadingProgress();
         this.setupMobileFormListeners();
     }
 
@@ -3018,28 +4332,309 @@ class LinksApp {
         const searchInput = document.getElementById('searchInput');
         const categoryNav = document.getElementById('categoryNav');
 
+        // Search runs on the server; wait for a pause in typing before asking
         if (searchInput) {
             searchInput.addEventListener('input', (e) => {
-                this.searchQuery = e.target.value.toLowerCase();
-                this.renderLinks();
+                clearTimeout(this.searchTimeout);
+                this.searchTimeout = setTimeout(() => {
+                    this.searchQuery = e.target.value.trim();
+                    // Search results come best match first, whatever the sort order
+                    const sortSelect = document.getElementById('sortSelect');
+                    if (sortSelect) sortSelect.disabled = !!this.searchQuery;
+                    this.loadLinks();
+                }, 250);
             });
         }
 
         if (categoryNav) {
             categoryNav.addEventListener('click', (e) => {
-                if (e.target.classList.contains('category-item')) {
+                const item = e.target.closest('.category-item');
+                if (item) {
                     // Update active state UI
-                    document.querySelectorAll('.category-item').forEach(item => item.classList.remove('active'));
-                    e.target.classList.add('active');
+                    document.querySelectorAll('.category-item').forEach(navItem => navItem.classList.remove('active'));
+                    item.classList.add('active');
 
                     // Update state
-                    this.categoryFilter = e.target.dataset.category;
+                    this.categoryFilter = item.dataset.category;
+                    this.loadLinks();
+                }
+            });
+        }
+
+        const sortSelect = document.getElementById('sortSelect');
+        if (sortSelect) {
+            sortSelect.addEventListener('change', () => {
+                this.sortOrder = sortSelect.value;
+                this.loadLinks();
+            });
+        }
+
+        const dateFromInput = document.getElementById('dateFromInput');
+        const dateToInput = document.getElementById('dateToInput');
+        [dateFromInput, dateToInput].forEach(input => {
+            if (!input) return;
+            input.addEventListener('change', () => {
+                this.dateFrom = dateFromInput.value;
+                this.dateTo = dateToInput.value;
+                this.loadLinks();
+            });
+        });
+
+        const domainFilterChip = document.getElementById('domainFilterChip');
+        if (domainFilterChip) {
+            domainFilterChip.addEventListener('click', () => this.setDomainFilter(null));
+        }
+
+        const selectModeBtn = document.getElementById('selectModeBtn');
+        if (selectModeBtn) {
+            selectModeBtn.addEventListener('click', () => this.setSelectMode(!this.selectMode));
+        }
+
+        const bulkBar = document.getElementById('bulkBar');
+        if (bulkBar) {
+            bulkBar.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-bulk]');
+                if (!button) return;
+                const action = button.dataset.bulk;
+                if (action === 'done') {
+                    this.setSelectMode(false);
+                } else if (action === 'select-all') {
+                    this.links.forEach(link => this.selectedIds.add(link.id));
+                    this.updateBulkCount();
                     this.renderLinks();
+                } else if (action === 'tag') {
+                    const tags = this.parseTagInput(prompt('Tags to add to the selected links (comma separated):') || '');
+                    if (tags.length > 0) this.runBulkAction('tag', { tags });
+                } else {
+                    this.runBulkAction(action);
+                }
+            });
+        }
+
+        const emptyTrashBtn = document.getElementById('emptyTrashBtn');
+        if (emptyTrashBtn) {
+            emptyTrashBtn.addEventListener('click', () => this.emptyTrash());
+        }
+
+        const bulkCategorySelect = document.getElementById('bulkCategorySelect');
+        if (bulkCategorySelect) {
+            bulkCategorySelect.addEventListener('change', () => {
+                const category = bulkCategorySelect.value;
+                bulkCategorySelect.value = '';
+                if (category) this.runBulkAction('category', { category });
+            });
+        }
+
+        // Load the next page as the end of the list scrolls into view
+        const sentinel = document.getElementById('linksSentinel');
+        if (sentinel && 'IntersectionObserver' in window) {
+            this.linksObserver = new IntersectionObserver((entries) => {
+                if (entries.some(entry => entry.isIntersecting)) {
+                    this.loadMoreLinks();
+                }
+            }, { rootMargin: '400px 0px' });
+            this.linksObserver.observe(sentinel);
+        }
+
+        // Tags filter one at a time; choosing the active tag again clears it
+        const tagNav = document.getElementById('tagNav');
+        if (tagNav) {
+            tagNav.addEventListener('click', (e) => {
+                const item = e.target.closest('.tag-item');
+                if (item) {
+                    this.setTagFilter(item.dataset.tag);
+                }
+            });
+        }
+
+        // Choosing a collection shows it in its own order; choosing the open collection again closes it
+        const collectionNav = document.getElementById('collectionNav');
+        if (collectionNav) {
+            collectionNav.addEventListener('click', (e) => {
+                const item = e.target.closest('.collection-item');
+                if (item) {
+                    this.setCollectionFilter(item.dataset.id);
+                }
+            });
+        }
+
+        const newCollectionBtn = document.getElementById('newCollectionBtn');
+        if (newCollectionBtn) {
+            newCollectionBtn.addEventListener('click', () => this.createCollection());
+        }
+
+        const collectionHeader = document.getElementById('collectionHeader');
+        if (collectionHeader) {
+            collectionHeader.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-collection-action]');
+                if (!button) return;
+                const action = button.dataset.collectionAction;
+                if (action === 'edit') {
+                    this.editCollection();
+                } else if (action === 'delete') {
+                    this.deleteCollection();
+                } else if (action === 'publish') {
+                    const collection = this.findCollection(this.collectionFilter);
+                    if (collection) this.setListPublic('collection', collection, !collection.publicSlug);
+                } else if (action === 'new-link') {
+                    const collection = this.findCollection(this.collectionFilter);
+                    if (collection) this.regeneratePublicLink('collection', collection);
+                } else {
+                    this.setCollectionFilter(this.collectionFilter);
+                }
+            });
+        }
+
+        const autoReadProgress = document.getElementById('autoReadProgress');
+        if (autoReadProgress) {
+            autoReadProgress.addEventListener('change', () => this.saveAutoReadProgress());
+        }
+
+        const bulkCollectionSelect = document.getElementById('bulkCollectionSelect');
+        if (bulkCollectionSelect) {
+            bulkCollectionSelect.addEventListener('change', () => {
+                const collectionId = bulkCollectionSelect.value;
+                bulkCollectionSelect.value = '';
+                if (collectionId) this.addSelectedToCollection(collectionId);
+            });
+        }
+
+        const linksContainer = document.getElementById('links');
+        if (linksContainer) {
+            // In select mode a click anywhere on a card selects it; capturing stops the card's own buttons and link
+            linksContainer.addEventListener('click', (e) => {
+                const card = this.selectMode && e.target.closest('.link-card');
+                if (card) {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    this.toggleSelected(card.dataset.id);
+                }
+            }, true);
+
+            linksContainer.addEventListener('click', (e) => {
+                const tag = e.target.closest('.card-tag');
+                if (tag) {
+                    this.setTagFilter(tag.dataset.tag);
+                }
+                const domain = e.target.closest('.card-domain-link');
+                if (domain) {
+                    this.setDomainFilter(domain.dataset.domain);
                 }
             });
         }
     }
 
+    setTagFilter(tag) {
+        this.tagFilter = this.tagFilter && this.tagFilter.toLowerCase() === tag.toLowerCase() ? null : tag;
+        this.renderTagNav();
+        this.loadLinks();
+    }
+
+    setDomainFilter(domain) {
+        this.domainFilter = domain === this.domainFilter ? null : domain;
+        const chip = document.getElementById('domainFilterChip');
+        if (chip) {
+            chip.hidden = !this.domainFilter;
+            chip.textContent = this.domainFilter ? this.domainFilter + ' ✕' : '';
+        }
+        this.loadLinks();
+    }
+
+    // Splits a comma-separated tags field into names; the server trims and de-duplicates them
+    parseTagInput(value) {
+        return value.split(',').map(tag => tag.trim()).filter(Boolean);
+    }
+
+    renderTagNav() {
+        const section = document.getElementById('tagSection');
+        const tagNav = document.getElementById('tagNav');
+        if (!section || !tagNav) return;
+
+        const tags = this.tags;
+        section.hidden = tags.length === 0;
+
+        // Built through the DOM so tag names never need escaping
+        tagNav.replaceChildren(...tags.map(({ name, count }) => {
+            const item = document.createElement('button');
+            item.className = 'nav-item tag-item';
+            item.dataset.tag = name;
+            item.classList.toggle('active', !!this.tagFilter && this.tagFilter.toLowerCase() === name.toLowerCase());
+
+            const label = document.createElement('span');
+            label.textContent = '#' + name;
+            const badge = document.createElement('span');
+            badge.className = 'category-count';
+            badge.textContent = count;
+
+            item.append(label, badge);
+            return item;
+        }));
+    }
+
+    setCollectionFilter(collectionId) {
+        this.collectionFilter = collectionId === this.collectionFilter ? null : collectionId;
+
+        // A collection opens in the order its links were arranged in; closing it goes back to newest first
+        this.sortOrder = this.collectionFilter ? 'position' : 'newest';
+        const sortSelect = document.getElementById('sortSelect');
+        if (sortSelect) {
+            sortSelect.querySelector('option[value="position"]').hidden = !this.collectionFilter;
+            sortSelect.value = this.sortOrder;
+        }
+
+        this.renderCollections();
+        this.loadLinks();
+    }
+
+    // Fills the sidebar list, the bulk bar and the open collection's header; built through the DOM like the
+    // tag list, so names and descriptions never need escaping
+    renderCollections() {
+        const collectionNav = document.getElementById('collectionNav');
+        if (collectionNav) {
+            collectionNav.replaceChildren(...this.collections.map(({ id, name, count }) => {
+                const item = document.createElement('button');
+                item.className = 'nav-item collection-item';
+                item.dataset.id = id;
+                item.classList.toggle('active', id === this.collectionFilter);
+
+                const label = document.createElement('span');
+                label.textContent = name;
+                const badge = document.createElement('span');
+                badge.className = 'category-count';
+                badge.textContent = count;
+
+                item.append(label, badge);
+                return item;
+            }));
+        }
+
+        const bulkCollectionSelect = document.getElementById('bulkCollectionSelect');
+        if (bulkCollectionSelect) {
+            bulkCollectionSelect.replaceChildren(bulkCollectionSelect.options[0], ...this.collections.map(({ id, name }) => new Option(name, id)));
+            bulkCollectionSelect.hidden = this.collections.length === 0;
+        }
+
+        const header = document.getElementById('collectionHeader');
+        const collection = this.collectionFilter && this.findCollection(this.collectionFilter);
+        if (header) {
+            header.hidden = !collection;
+            if (collection) {
+                document.getElementById('collectionTitle').textContent = collection.name;
+                const description = document.getElementById('collectionDescription');
+                description.textContent = collection.description;
+                description.hidden = !collection.description;
+
+                const publicUrl = collection.publicSlug ? this.publicListUrl(collection.publicSlug) : '';
+                const publicLink = document.getElementById('collectionPublicLink');
+                publicLink.href = publicUrl;
+                publicLink.textContent = publicUrl;
+                document.getElementById('collectionPublic').hidden = !publicUrl;
+                document.getElementById('collectionPublishBtn').textContent = publicUrl ? 'Unpublish' : 'Publish';
+                document.getElementById('collectionNewLinkBtn').hidden = !publicUrl;
+            }
+        }
+    }
+
     setupCustomDropdown() {
         const trigger = document.getElementById('categoryTrigger');
         const options = document.getElementById('categoryOptions');
@@ -3172,10 +4767,15 @@ class LinksApp {
         this.toggleMobileAddLink();
 
         try {
-            await this.apiRequest('/links', {
+            const result = await this.apiRequest('/links', {
                 method: 'POST',
                 body: JSON.stringify({ url, title: '', category })
             });
+            if (result.duplicate) {
+                this.showStatus('That link is already in your library', 'info');
+            } else if (result.restored) {
+                this.showStatus('That link was in the trash and has been restored', 'info');
+            }
             await this.loadLinks(true);
         } catch (error) {
             await this.loadLinks(true);
@@ -3188,10 +4788,12 @@ class LinksApp {
         const urlInput = document.getElementById('linkUrl');
         const titleInput = document.getElementById('linkTitle');
         const categoryInput = document.getElementById('linkCategory');
+        const tagsInput = document.getElementById('linkTags');
 
         const url = urlInput ? urlInput.value.trim() : '';
         const title = titleInput ? titleInput.value.trim() : '';
         const category = categoryInput ? categoryInput.value : 'general';
+        const tags = tagsInput ? this.parseTagInput(tagsInput.value) : [];
 
         if (!url) {
             this.showStatus('URL is required', 'error');
@@ -3201,10 +4803,15 @@ class LinksApp {
         this.clearAddLinkForm();
         this.closeAddLinkModal();
         try {
-            await this.apiRequest('/links', {
+            const result = await this.apiRequest('/links', {
                 method: 'POST',
-                body: JSON.stringify({ url, title, category })
+                body: JSON.stringify({ url, title, category, tags })
             });
+            if (result.duplicate) {
+                this.showStatus('That link is already in your library', 'info');
+            } else if (result.restored) {
+                this.showStatus('That link was in the trash and has been restored', 'info');
+            }
             await this.loadLinks(true);
         } catch (error) {
             await this.loadLinks(true);
@@ -3221,6 +4828,28 @@ class LinksApp {
 
     // ===== Data Loading, Tab & Filter Logic =====
 
+    // API path for the current tab, filters and sort order; the server does the filtering and paging.
+    // With a search query the full-text search endpoint answers instead, ranked by relevance.
+    // The trash comes back whole, newest deletion first, and is filtered here in renderLinks.
+    getLinksPath(cursor = null) {
+        if (this.currentTab === 'trash') return '/links/trash';
+        const params = new URLSearchParams({ status: this.currentTab, limit: this.pageSize });
+        if (this.categoryFilter !== 'all') params.set('category', this.categoryFilter);
+        if (this.tagFilter) params.set('tag', this.tagFilter);
+        if (this.collectionFilter) params.set('collection', this.collectionFilter);
+        if (this.domainFilter) params.set('domain', this.domainFilter);
+        if (this.dateFrom) params.set('from', this.dateFrom);
+        if (this.dateTo) params.set('to', this.dateTo);
+        if (cursor) params.set('cursor', cursor);
+        if (this.searchQuery) {
+            params.set('q', this.searchQuery);
+            return '/links/search?' + params.toString();
+        }
+        params.set('sort', this.sortOrder);
+        return '/links?' + params.toString();
+    }
+
+    // Loads the first page for the current filters. forceRefresh also refreshes the tag list, after links change.
     async loadLinks(forceRefresh = false) {
         if (!this.token || !this.currentUser) {
             this.links = [];
@@ -3228,11 +4857,28 @@ class LinksApp {
             return;
         }
 
+        if (forceRefresh || !this.tagsLoaded) {
+            this.loadTags();
+        }
+        if (forceRefresh || !this.categoriesLoaded) {
+            this.loadCategories();
+        }
+        if (forceRefresh || !this.collectionsLoaded) {
+            this.loadCollections();
+        }
+
+        // A newer request (the user changed filters meanwhile) makes this one's answer stale
+        const requestId = ++this.linksRequestId;
+        this.loadingMore = false;
+
         try {
-            const result = await this.apiRequest('/links');
+            const result = await this.apiRequest(this.getLinksPath());
+            if (requestId !== this.linksRequestId) return;
             if (result.success) {
                     this.links = result.links || [];
+                    this.nextCursor = result.nextCursor || null;
                     this.renderLinks();
+                    this.checkLinksSentinel();
             } else {
                 this.showStatus(result.error || 'Failed to load links', 'error');
             }
@@ -3246,6 +4892,168 @@ class LinksApp {
         }
     }
 
+    async loadMoreLinks() {
+        if (!this.nextCursor || this.loadingMore) return;
+
+        const requestId = this.linksRequestId;
+        const sentinel = document.getElementById('linksSentinel');
+        this.loadingMore = true;
+        if (sentinel) sentinel.classList.add('is-loading');
+
+        try {
+            const result = await this.apiRequest(this.getLinksPath(this.nextCursor));
+            if (requestId !== this.linksRequestId) return;
+            if (result.success) {
+                // Links edited or added since the first page can show up twice
+                const loadedIds = new Set(this.links.map(link => link.id));
+                this.links = this.links.concat((result.links || []).filter(link => !loadedIds.has(link.id)));
+                this.nextCursor = result.nextCursor || null;
+                this.renderLinks();
+            } else {
+                this.nextCursor = null;
+                this.showStatus(result.error || 'Failed to load more links', 'error');
+            }
+        } catch (error) {
+            this.showStatus('Failed to load more links', 'error');
+        } finally {
+            if (requestId === this.linksRequestId) {
+                this.loadingMore = false;
+                if (sentinel) sentinel.classList.remove('is-loading');
+                this.checkLinksSentinel();
+            }
+        }
+    }
+
+    // The observer only fires when visibility changes; observing again reports whether more space is still showing
+    checkLinksSentinel() {
+        const sentinel = document.getElementById('linksSentinel');
+        if (this.linksObserver && sentinel && this.nextCursor) {
+            this.linksObserver.unobserve(sentinel);
+            this.linksObserver.observe(sentinel);
+        }
+    }
+
+    async loadTags() {
+        try {
+            const result = await this.apiRequest('/links/tags');
+            if (!result.success) return;
+            this.tags = result.tags || [];
+            this.tagsLoaded = true;
+
+            // Drop the filter once no link carries that tag anymore
+            if (this.tagFilter && !this.tags.some(tag => tag.name.toLowerCase() === this.tagFilter.toLowerCase())) {
+                this.tagFilter = null;
+                this.loadLinks();
+            }
+            this.renderTagNav();
+        } catch (error) {
+            // The tag list is optional; links still load without it
+        }
+    }
+
+    async loadCategories() {
+        try {
+            const result = await this.apiRequest('/links/categories');
+            if (!result.success) return;
+            this.categories = result.categories || [];
+            this.categoriesLoaded = true;
+
+            // Drop the filter once its category has been renamed or deleted
+            if (this.categoryFilter !== 'all' && !this.findCategory(this.categoryFilter)) {
+                this.categoryFilter = 'all';
+                this.loadLinks();
+            }
+            this.renderCategories();
+            this.renderLinks();
+        } catch (error) {
+            // Cards still show their category without the list; only the pickers stay empty
+        }
+    }
+
+    findCategory(name) {
+        const lowerName = (name || '').toLowerCase();
+        return this.categories.find(category => category.name.toLowerCase() === lowerName);
+    }
+
+    categoryColor(name) {
+        const category = this.findCategory(name);
+        return category ? category.color : 'gray';
+    }
+
+    async loadCollections() {
+        try {
+            const result = await this.apiRequest('/links/collections');
+            if (!result.success) return;
+            this.collections = result.collections || [];
+            this.collectionsLoaded = true;
+
+            // Close the open collection once it has been deleted
+            if (this.collectionFilter && !this.findCollection(this.collectionFilter)) {
+                this.setCollectionFilter(this.collectionFilter);
+            }
+            this.renderCollections();
+        } catch (error) {
+            // Collections are optional; links still load without them
+        }
+    }
+
+    findCollection(collectionId) {
+        return this.collections.find(collection => collection.id === collectionId);
+    }
+
+    // Fills the sidebar, the add-link pickers, the bulk bar and the export filter; built through the DOM
+    // like the tag list, so category names never need escaping
+    renderCategories() {
+        const categoryNav = document.getElementById('categoryNav');
+        if (categoryNav) {
+            const allItem = document.createElement('button');
+            allItem.className = 'nav-item category-item';
+            allItem.dataset.category = 'all';
+            allItem.textContent = 'All';
+
+            categoryNav.replaceChildren(allItem, ...this.categories.map(({ name, count }) => {
+                const item = document.createElement('button');
+                item.className = 'nav-item category-item';
+                item.dataset.category = name;
+
+                const label = document.createElement('span');
+                label.textContent = name;
+                const badge = document.createElement('span');
+                badge.className = 'category-count';
+                badge.textContent = count;
+
+                item.append(label, badge);
+                return item;
+            }));
+            categoryNav.querySelectorAll('.category-item').forEach(item => {
+                item.classList.toggle('active', item.dataset.category.toLowerCase() === this.categoryFilter.toLowerCase());
+            });
+        }
+
+        ['categoryOptions', 'mobileCategoryOptions'].forEach(id => {
+            const options = document.getElementById(id);
+            if (!options) return;
+            options.replaceChildren(...this.categories.map(({ name }) => {
+                const option = document.createElement('div');
+                option.className = 'custom-option';
+                option.dataset.value = name;
+                option.textContent = name;
+                return option;
+            }));
+        });
+
+        // Both selects keep their first, placeholder option
+        ['bulkCategorySelect', 'exportCategory'].forEach(id => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            const value = select.value;
+            select.replaceChildren(select.options[0], ...this.categories.map(({ name }) => new Option(name, name)));
+            select.value = this.findCategory(value) ? this.findCategory(value).name : '';
+        });
+
+        this.renderCategoryManager();
+    }
+
     showLoadingState() {
         const linksContainer = document.getElementById('links');
         linksContainer.innerHTML = \`
@@ -3259,35 +5067,9 @@ class LinksApp {
     renderLinks() {
         const linksContainer = document.getElementById('links');
         
-        let linksToFilter = this.links;
-
-        // 1. Fuzzy Search Filter (if query exists)
-        if (this.searchQuery) {
-            const options = {
-                keys: [
-                    { name: 'title', weight: 0.7 },
-                    { name: 'category', weight: 0.2 },
-                    { name: 'url', weight: 0.1 }
-                ],
-                threshold: 0.4, // 0 = exact match, 1 = match anything; 0.4 balances typo tolerance with relevance
-                ignoreLocation: true
-            };
-
-            if (window.Fuse) {
-                const fuse = new Fuse(linksToFilter, options);
-                const results = fuse.search(this.searchQuery);
-                linksToFilter = results.map(result => result.item);
-            } else {
-                const query = this.searchQuery;
-                linksToFilter = linksToFilter.filter(link => 
-                    (link.title || '').toLowerCase().includes(query) || 
-                    (link.url || '').toLowerCase().includes(query)
-                );
-            }
-        }
-
-        // 2. Tab & Category Filter
-        const filteredLinks = linksToFilter.filter(link => {
+        // The server already filtered, searched and sorted each page. Tab, category and tag are checked again
+        // so a link drops out as soon as it is changed here (e.g. marked read on the To be read tab).
+        const filteredLinks = this.links.filter(link => {
             // Tab Filter
             let tabMatch = false;
             if (this.currentTab === 'all') {
@@ -3297,6 +5079,8 @@ class LinksApp {
                 tabMatch = link.isRead === 1;
             } else if (this.currentTab === 'favorites') {
                 tabMatch = link.isFavorite === 1;
+            } else if (this.currentTab === 'trash') {
+                tabMatch = !!link.deletedAt;
             } else {
                 tabMatch = !link.isRead || link.isRead === 0;
             }
@@ -3310,6 +5094,27 @@ class LinksApp {
                 }
             }
 
+            // Tag Filter
+            if (this.tagFilter) {
+                const tag = this.tagFilter.toLowerCase();
+                if (!(link.tags || []).some(linkTag => linkTag.toLowerCase() === tag)) {
+                    return false;
+                }
+            }
+
+            // Collection Filter
+            if (this.collectionFilter && !(link.collectionIds || []).includes(this.collectionFilter)) {
+                return false;
+            }
+
+            // Search Filter (the trash isn't part of the search index)
+            if (this.currentTab === 'trash' && this.searchQuery) {
+                const query = this.searchQuery.toLowerCase();
+                if (!((link.title || '') + ' ' + link.url).toLowerCase().includes(query)) {
+                    return false;
+                }
+            }
+
             return true;
         });
 
@@ -3321,10 +5126,15 @@ class LinksApp {
         
         if (filteredLinks.length === 0) {
              let emptyMessage = 'No links found';
+             let emptyDescription = 'Save a link to get started';
              if (this.currentTab === 'all') emptyMessage = 'No links found';
              else if (this.currentTab === 'read') emptyMessage = 'No read links';
              else if (this.currentTab === 'favorites') emptyMessage = 'No favorites yet';
              else if (this.currentTab === 'unread') emptyMessage = 'All caught up!';
+             else if (this.currentTab === 'trash') {
+                 emptyMessage = 'Trash is empty';
+                 emptyDescription = 'Deleted links stay here for 30 days';
+             }
              
              linksContainer.innerHTML = \`
                 <div class="empty-state">
@@ -3334,23 +5144,27 @@ class LinksApp {
                         </svg>
                     </div>
                     <div class="empty-title">\${emptyMessage}</div>
-                    <div class="empty-description">Save a link to get started</div>
+                    <div class="empty-description">\${emptyDescription}</div>
                 </div>
             \`;
     return;
 }
 
-const sortedLinks = filteredLinks.sort((a, b) => new Date(b.timestamp || b.dateAdded) - new Date(a.timestamp || a.dateAdded));
+linksContainer.innerHTML = filteredLinks.map(link => {
+    if (link.id === this.editingLinkId) {
+        return this.renderLinkEditor(link);
+    }
+    if (link.deletedAt) {
+        return this.renderTrashedLink(link);
+    }
 
-linksContainer.innerHTML = sortedLinks.map(link => {
     const domain = this.extractDomainFromUrl(link.url);
     const isRead = link.isRead === 1;
-    const category = link.category || 'Other';
 
         return \`
-            <div class="link-card" data-id="\${link.id}">
+            <div class="link-card\${this.selectMode ? ' is-selectable' : ''}\${this.selectedIds.has(link.id) ? ' is-selected' : ''}" data-id="\${link.id}">
                 <div class="card-top">
-                    <span class="card-badge badge-\${category}">\${category}</span>
+                    <span class="card-badge badge-\${this.categoryColor(link.category)}"></span>
                     <button class="star-btn \${link.isFavorite ? 'active' : ''}" 
                             onclick="app.toggleFavorite('\${link.id}', \${!link.isFavorite})"
                             title="\${link.isFavorite ? 'Remove from favorites' : 'Favorite'}">
@@ -3360,11 +5174,13 @@ linksContainer.innerHTML = sortedLinks.map(link => {
                 
                 <div class="card-main">
                     <h3 class="card-title">
-                        <a href="\${link.url}" onclick="event.preventDefault(); app.openLinkViewer(this.href)">\${link.title || domain}</a>
+                        <a href="\${link.url}" onclick="event.preventDefault(); app.openLinkViewer(this.href, '\${link.id}')">\${link.title || domain}</a>
                         \${link.isPending ? '<span class="pending-indicator">...</span>' : ''}
                     </h3>
-                    <div class="card-domain">\${domain}</div>
+                    <div class="card-domain"><span class="card-domain-link" data-domain="\${domain}" title="Show links from \${domain}">\${domain}</span><span class="card-tags"></span></div>
+                    \${link.snippet && link.snippet.length ? '<p class="card-snippet"></p>' : ''}
                 </div>
+                \${!isRead && link.readProgress > 0 ? \`<div class="card-progress" title="\${this.describeReadingProgress(link)}"><span style="width: \${Math.round(link.readProgress * 100)}%"></span></div>\` : ''}
                 
                 <div class="card-footer">
                     \${!isRead
@@ -3379,6 +5195,25 @@ linksContainer.innerHTML = sortedLinks.map(link => {
         }
                     
                     <div class="card-actions">
+                        \${link.note ? \`<button class="icon-btn has-note" onclick="app.startEditLink('\${link.id}')" title="Has a note">
+                            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"></path><polyline points="14 2 14 8 20 8"></polyline><line x1="16" y1="13" x2="8" y2="13"></line><line x1="16" y1="17" x2="8" y2="17"></line></svg>
+                        </button>\` : ''}
+                        \${link.highlightCount ? \`<button class="icon-btn has-highlights" onclick="app.openHighlights('\${link.id}')" title="Highlights">
+                            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M9 11l-6 6v3h9l3-3"></path><path d="M22 12l-4.6 4.6a2 2 0 0 1-2.8 0l-5.2-5.2a2 2 0 0 1 0-2.8L14 4"></path></svg>
+                            \${link.highlightCount}
+                        </button>\` : ''}
+                        \${this.collectionFilter && this.sortOrder === 'position' && !this.searchQuery ? \`<button class="icon-btn" onclick="app.moveInCollection('\${link.id}', -1)" title="Move up">
+                            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="12" y1="19" x2="12" y2="5"></line><polyline points="5 12 12 5 19 12"></polyline></svg>
+                        </button>
+                        <button class="icon-btn" onclick="app.moveInCollection('\${link.id}', 1)" title="Move down">
+                            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="12" y1="5" x2="12" y2="19"></line><polyline points="19 12 12 19 5 12"></polyline></svg>
+                        </button>\` : ''}
+                        \${this.collectionFilter ? \`<button class="icon-btn" onclick="app.removeFromCollection('\${link.id}')" title="Remove from collection">
+                            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"></path><line x1="9" y1="14" x2="15" y2="14"></line></svg>
+                        </button>\` : ''}
+                        <button class="icon-btn" onclick="app.startEditLink('\${link.id}')" title="Edit">
+                            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 20h9"></path><path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"></path></svg>
+                        </button>
                         <button class="icon-btn" onclick="app.copyLink('\${link.url}')" title="Copy">
                             <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path></svg>
                         </button>
@@ -3390,14 +5225,174 @@ linksContainer.innerHTML = sortedLinks.map(link => {
             </div>
         \`;
 }).join('');
-    }
 
-    async copyLink(url) {
-        try {
-            await navigator.clipboard.writeText(url);
-        } catch (error) {
-            const textArea = document.createElement('textarea');
-            textArea.value = url;
+        // Categories, tags and search snippets go in through the DOM as well, for the same reason as the editor below
+        linksContainer.querySelectorAll('.link-card:not(.is-editing)').forEach(card => {
+            const link = this.links.find(item => item.id === card.dataset.id);
+            const tagsSlot = card.querySelector('.card-tags');
+            if (!link || !tagsSlot) return;
+
+            card.querySelector('.card-badge').textContent = link.category || 'Other';
+
+            const trashedTitle = card.querySelector('.card-trashed-title');
+            if (trashedTitle) {
+                trashedTitle.href = link.url;
+                trashedTitle.textContent = link.title || link.domain;
+            }
+            (link.tags || []).forEach(tag => {
+                const chip = document.createElement('span');
+                chip.className = 'card-tag';
+                chip.dataset.tag = tag;
+                chip.textContent = '#' + tag;
+                tagsSlot.appendChild(chip);
+            });
+
+            const snippetSlot = card.querySelector('.card-snippet');
+            if (snippetSlot) {
+                link.snippet.forEach(part => {
+                    const node = part.match ? document.createElement('mark') : document.createTextNode('');
+                    node.textContent = part.text;
+                    snippetSlot.appendChild(node);
+                });
+            }
+        });
+
+        // Fill the editor through the DOM so titles and URLs never need escaping into attributes
+        const editForm = linksContainer.querySelector('.card-edit-form');
+        const editingLink = editForm && this.links.find(link => link.id === this.editingLinkId);
+        if (editingLink) {
+            const categorySelect = editForm.elements.category;
+            const category = editingLink.category || 'Other';
+            this.categories.forEach(({ name }) => categorySelect.add(new Option(name, name)));
+            if (!Array.from(categorySelect.options).some(option => option.value === category)) {
+                categorySelect.add(new Option(category, category));
+            }
+            categorySelect.value = category;
+            editForm.elements.title.value = editingLink.title || '';
+            editForm.elements.url.value = editingLink.url;
+            editForm.elements.tags.value = (editingLink.tags || []).join(', ');
+            editForm.elements.note.value = editingLink.note || '';
+
+            const collectionsSlot = editForm.querySelector('.card-edit-collections');
+            collectionsSlot.hidden = this.collections.length === 0;
+            this.collections.forEach(({ id, name }) => {
+                const box = document.createElement('input');
+                box.type = 'checkbox';
+                box.name = 'collections';
+                box.value = id;
+                box.checked = (editingLink.collectionIds || []).includes(id);
+                const label = document.createElement('label');
+                label.append(box, name);
+                collectionsSlot.appendChild(label);
+            });
+            editForm.elements.title.focus();
+        }
+    }
+
+    // Trashed links can only be restored or deleted for good; the title is filled in by renderLinks
+    renderTrashedLink(link) {
+        const deletedDate = new Date(link.deletedAt.replace(' ', 'T') + 'Z').toLocaleDateString();
+        return \`
+            <div class="link-card" data-id="\${link.id}">
+                <div class="card-top">
+                    <span class="card-badge badge-\${this.categoryColor(link.category)}"></span>
+                </div>
+
+                <div class="card-main">
+                    <h3 class="card-title"><a class="card-trashed-title" target="_blank" rel="noopener noreferrer"></a></h3>
+                    <div class="card-domain"><span>\${link.domain}</span><span class="card-tags"></span></div>
+                </div>
+
+                <div class="card-footer">
+                    <span class="card-deleted-date">Deleted \${deletedDate}</span>
+                    <div class="card-actions">
+                        <button class="icon-btn" onclick="app.restoreLink('\${link.id}')" title="Restore">
+                            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="1 4 1 10 7 10"></polyline><path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10"></path></svg>
+                        </button>
+                        <button class="icon-btn" onclick="app.purgeLink('\${link.id}')" title="Delete forever">
+                            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="3 6 5 6 21 6"></polyline><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path><line x1="10" y1="11" x2="10" y2="17"></line><line x1="14" y1="11" x2="14" y2="17"></line></svg>
+                        </button>
+                    </div>
+                </div>
+            </div>
+        \`;
+    }
+
+    renderLinkEditor(link) {
+        return \`
+            <div class="link-card is-editing" data-id="\${link.id}">
+                <form class="card-edit-form" onsubmit="event.preventDefault(); app.saveLinkEdit('\${link.id}')" onkeydown="if (event.key === 'Escape') app.cancelEditLink()">
+                    <input type="text" name="title" class="card-edit-input" placeholder="Title" maxlength="500" required>
+                    <input type="url" name="url" class="card-edit-input" placeholder="https://..." required>
+                    <select name="category" class="card-edit-input"></select>
+                    <input type="text" name="tags" class="card-edit-input" placeholder="Tags, comma separated" autocomplete="off">
+                    <div class="card-edit-collections"></div>
+                    <textarea name="note" class="card-edit-input card-edit-note" placeholder="Note (Markdown)" maxlength="10000" rows="3"></textarea>
+                    <div class="card-edit-actions">
+                        <button type="button" class="card-edit-cancel" onclick="app.cancelEditLink()">Cancel</button>
+                        <button type="submit" class="card-edit-save">Save</button>
+                    </div>
+                </form>
+            </div>
+        \`;
+    }
+
+    startEditLink(linkId) {
+        this.editingLinkId = linkId;
+        this.renderLinks();
+    }
+
+    cancelEditLink() {
+        this.editingLinkId = null;
+        this.renderLinks();
+    }
+
+    async saveLinkEdit(linkId) {
+        const form = document.querySelector('.card-edit-form');
+        if (!form) return;
+
+        const saveBtn = form.querySelector('.card-edit-save');
+        saveBtn.disabled = true;
+
+        try {
+            const result = await this.apiRequest('/links?id=' + encodeURIComponent(linkId), {
+                method: 'PATCH',
+                body: JSON.stringify({
+                    title: form.elements.title.value.trim(),
+                    url: form.elements.url.value.trim(),
+                    category: form.elements.category.value,
+                    tags: this.parseTagInput(form.elements.tags.value),
+                    note: form.elements.note.value,
+                    // The list replaces the link's collections, so it is only sent once they have loaded
+                    ...(this.collectionsLoaded && {
+                        collections: Array.from(form.querySelectorAll('input[name="collections"]:checked'), box => box.value)
+                    })
+                })
+            });
+
+            if (result.success) {
+                this.links = this.links.map(link => link.id === linkId ? result.link : link);
+                this.editingLinkId = null;
+                this.renderLinks();
+                this.loadTags();
+                this.loadCollections();
+                this.showStatus('Link updated', 'success');
+            } else {
+                this.showStatus(result.error || 'Failed to update link', 'error');
+                saveBtn.disabled = false;
+            }
+        } catch (error) {
+            this.showStatus('Failed to update link', 'error');
+            saveBtn.disabled = false;
+        }
+    }
+
+    async copyLink(url) {
+        try {
+            await navigator.clipboard.writeText(url);
+        } catch (error) {
+            const textArea = document.createElement('textarea');
+            textArea.value = url;
             document.body.appendChild(textArea);
             textArea.select();
             document.execCommand('copy');
@@ -3407,12 +5402,318 @@ linksContainer.innerHTML = sortedLinks.map(link => {
 
     async deleteLink(linkId) {
         try {
-            await this.apiRequest('/links?id=' + linkId, {
+            const result = await this.apiRequest('/links?id=' + linkId, {
                 method: 'DELETE'
             });
-            await this.loadLinks(true);
+            if (result.success) {
+                this.links = this.links.filter(link => link.id !== linkId);
+                this.renderLinks();
+                this.loadTags();
+                this.showStatus('Moved to the trash', 'success');
+            } else {
+                this.showStatus(result.error || 'Failed to delete link', 'error');
+            }
         } catch (error) {
-            await this.loadLinks(true);
+            this.showStatus('Failed to delete link', 'error');
+        }
+    }
+
+    async restoreLink(linkId) {
+        try {
+            const result = await this.apiRequest('/links/trash', {
+                method: 'POST',
+                body: JSON.stringify({ ids: [linkId] })
+            });
+            if (result.success) {
+                this.links = this.links.filter(link => link.id !== linkId);
+                this.renderLinks();
+                this.loadTags();
+                this.showStatus('Link restored', 'success');
+            } else {
+                this.showStatus(result.error || 'Failed to restore link', 'error');
+            }
+        } catch (error) {
+            this.showStatus('Failed to restore link', 'error');
+        }
+    }
+
+    async purgeLink(linkId) {
+        if (!confirm('Delete this link forever? This cannot be undone.')) return;
+        try {
+            const result = await this.apiRequest('/links/trash?id=' + encodeURIComponent(linkId), {
+                method: 'DELETE'
+            });
+            if (result.success) {
+                this.links = this.links.filter(link => link.id !== linkId);
+                this.renderLinks();
+            } else {
+                this.showStatus(result.error || 'Failed to delete link', 'error');
+            }
+        } catch (error) {
+            this.showStatus('Failed to delete link', 'error');
+        }
+    }
+
+    async emptyTrash() {
+        if (!confirm('Delete every link in the trash forever? This cannot be undone.')) return;
+        try {
+            const result = await this.apiRequest('/links/trash', { method: 'DELETE' });
+            if (result.success) {
+                this.links = this.links.filter(link => !link.deletedAt);
+                this.renderLinks();
+                this.showStatus('Trash emptied', 'success');
+            } else {
+                this.showStatus(result.error || 'Failed to empty the trash', 'error');
+            }
+        } catch (error) {
+            this.showStatus('Failed to empty the trash', 'error');
+        }
+    }
+
+    // The trash has its own actions in place of multi-select
+    updateTrashControls() {
+        const inTrash = this.currentTab === 'trash';
+        if (inTrash && this.selectMode) this.setSelectMode(false);
+        document.getElementById('selectModeBtn').hidden = inTrash;
+        document.getElementById('trashBar').hidden = !inTrash;
+    }
+
+    setSelectMode(enabled) {
+        this.selectMode = enabled;
+        this.selectedIds.clear();
+        if (enabled) this.editingLinkId = null;
+        document.getElementById('selectModeBtn').classList.toggle('active', enabled);
+        document.getElementById('bulkBar').hidden = !enabled;
+        this.updateBulkCount();
+        this.renderLinks();
+    }
+
+    toggleSelected(linkId) {
+        if (!this.selectedIds.delete(linkId)) this.selectedIds.add(linkId);
+        const card = document.querySelector('.link-card[data-id="' + linkId + '"]');
+        if (card) card.classList.toggle('is-selected', this.selectedIds.has(linkId));
+        this.updateBulkCount();
+    }
+
+    updateBulkCount() {
+        const count = document.getElementById('bulkCount');
+        if (count) count.textContent = this.selectedIds.size + ' selected';
+    }
+
+    // Applies an action to every selected link through /api/links/bulk, which takes up to 500 IDs per request
+    async runBulkAction(action, options = {}) {
+        const ids = Array.from(this.selectedIds);
+        if (ids.length === 0) {
+            this.showStatus('Select some links first', 'error');
+            return;
+        }
+        if (action === 'delete' && !confirm('Move ' + ids.length + (ids.length === 1 ? ' link' : ' links') + ' to the trash?')) {
+            return;
+        }
+
+        let updated = 0;
+        try {
+            for (let i = 0; i < ids.length; i += 500) {
+                const result = await this.apiRequest('/links/bulk', {
+                    method: 'POST',
+                    body: JSON.stringify({ action, ids: ids.slice(i, i + 500), ...options })
+                });
+                if (!result.success) {
+                    this.showStatus(result.error || 'Failed to update links', 'error');
+                    break;
+                }
+                updated += result.updated;
+            }
+        } catch (error) {
+            this.showStatus('Failed to update links', 'error');
+        }
+
+        if (updated > 0) {
+            this.showStatus((action === 'delete' ? 'Moved to the trash: ' : 'Updated ') + updated + (updated === 1 ? ' link' : ' links'));
+        }
+        this.setSelectMode(false);
+        this.loadLinks(true);
+    }
+
+    // Adds the selected links to the end of a collection, up to 500 per request like runBulkAction
+    async addSelectedToCollection(collectionId) {
+        const ids = Array.from(this.selectedIds);
+        if (ids.length === 0) {
+            this.showStatus('Select some links first', 'error');
+            return;
+        }
+
+        let added = 0;
+        try {
+            for (let i = 0; i < ids.length; i += 500) {
+                const result = await this.apiRequest('/links/collections/links', {
+                    method: 'POST',
+                    body: JSON.stringify({ collectionId, linkIds: ids.slice(i, i + 500) })
+                });
+                if (!result.success) {
+                    this.showStatus(result.error || 'Failed to add links to the collection', 'error');
+                    break;
+                }
+                added += result.added;
+            }
+        } catch (error) {
+            this.showStatus('Failed to add links to the collection', 'error');
+        }
+
+        const collection = this.findCollection(collectionId);
+        if (added > 0 && collection) {
+            this.showStatus('Added ' + added + (added === 1 ? ' link' : ' links') + ' to ' + collection.name);
+        }
+        this.setSelectMode(false);
+        this.loadLinks(true);
+    }
+
+    async createCollection() {
+        const name = (prompt('Name of the new collection:') || '').trim();
+        if (!name) return;
+
+        try {
+            const result = await this.apiRequest('/links/collections', {
+                method: 'POST',
+                body: JSON.stringify({ name })
+            });
+            if (result.success) {
+                await this.loadCollections();
+                this.setCollectionFilter(result.collection.id);
+                this.showStatus('Collection created', 'success');
+            } else {
+                this.showStatus(result.error || 'Failed to create the collection', 'error');
+            }
+        } catch (error) {
+            this.showStatus('Failed to create the collection', 'error');
+        }
+    }
+
+    async editCollection() {
+        const collection = this.findCollection(this.collectionFilter);
+        if (!collection) return;
+        const name = prompt('Collection name:', collection.name);
+        if (name === null) return;
+        const description = prompt('Description (optional):', collection.description);
+        if (description === null) return;
+
+        try {
+            const result = await this.apiRequest('/links/collections?id=' + collection.id, {
+                method: 'PATCH',
+                body: JSON.stringify({ name, description })
+            });
+            if (result.success) {
+                await this.loadCollections();
+                this.showStatus('Collection updated', 'success');
+            } else {
+                this.showStatus(result.error || 'Failed to update the collection', 'error');
+            }
+        } catch (error) {
+            this.showStatus('Failed to update the collection', 'error');
+        }
+    }
+
+    async deleteCollection() {
+        const collection = this.findCollection(this.collectionFilter);
+        if (!collection || !confirm('Delete the ' + collection.name + ' collection? Its links stay in your list.')) return;
+
+        try {
+            const result = await this.apiRequest('/links/collections?id=' + collection.id, { method: 'DELETE' });
+            if (result.success) {
+                this.showStatus(result.message, 'success');
+                this.loadCollections();
+            } else {
+                this.showStatus(result.error || 'Failed to delete the collection', 'error');
+            }
+        } catch (error) {
+            this.showStatus('Failed to delete the collection', 'error');
+        }
+    }
+
+    // Swaps a link with the card above or below it; sent first, a link takes the higher of the two places
+    async moveInCollection(linkId, offset) {
+        const cards = Array.from(document.querySelectorAll('#links .link-card'));
+        const index = cards.findIndex(card => card.dataset.id === linkId);
+        const neighbour = index >= 0 && cards[index + offset];
+        if (!neighbour) return;
+        const linkIds = offset < 0 ? [linkId, neighbour.dataset.id] : [neighbour.dataset.id, linkId];
+
+        try {
+            const result = await this.apiRequest('/links/collections/links', {
+                method: 'PUT',
+                body: JSON.stringify({ collectionId: this.collectionFilter, linkIds })
+            });
+            if (result.success) {
+                const from = this.links.findIndex(link => link.id === linkId);
+                const to = this.links.findIndex(link => link.id === neighbour.dataset.id);
+                [this.links[from], this.links[to]] = [this.links[to], this.links[from]];
+                this.renderLinks();
+            } else {
+                this.showStatus(result.error || 'Failed to move the link', 'error');
+            }
+        } catch (error) {
+            this.showStatus('Failed to move the link', 'error');
+        }
+    }
+
+    async removeFromCollection(linkId) {
+        try {
+            const result = await this.apiRequest('/links/collections/links', {
+                method: 'DELETE',
+                body: JSON.stringify({ collectionId: this.collectionFilter, linkIds: [linkId] })
+            });
+            if (result.success) {
+                this.links = this.links.filter(link => link.id !== linkId);
+                this.renderLinks();
+                this.loadCollections();
+            } else {
+                this.showStatus(result.error || 'Failed to remove the link from the collection', 'error');
+            }
+        } catch (error) {
+            this.showStatus('Failed to remove the link from the collection', 'error');
+        }
+    }
+
+    publicListUrl(slug) {
+        return window.location.origin + '/list/' + slug;
+    }
+
+    // Publishes a category or collection as a read-only page with RSS and Atom feeds, or takes it down
+    async setListPublic(type, list, isPublic) {
+        if (!isPublic && !confirm('Unpublish ' + list.name + '? Its public page and feeds stop working for everyone with the link.')) return;
+        await this.updatePublicList(type, list, isPublic ? 'POST' : 'DELETE');
+    }
+
+    async regeneratePublicLink(type, list) {
+        if (!confirm('Give ' + list.name + ' a new public link? The current link and its feeds stop working.')) return;
+        await this.updatePublicList(type, list, 'PUT');
+    }
+
+    // Categories are managed in the profile modal, collections on the dashboard, so each reports where it's shown
+    async updatePublicList(type, list, method) {
+        const report = (message, kind) => type === 'category' ? this.showProfileStatus(message, kind) : this.showStatus(message, kind);
+        try {
+            const result = await this.apiRequest('/links/public', {
+                method,
+                body: JSON.stringify({ type, id: list.id })
+            });
+            if (result && result.success) {
+                if (result.publicList) {
+                    await this.copyLink(result.publicList.url);
+                    report(method === 'POST' ? 'Published. Public link copied' : 'New public link copied', 'success');
+                } else {
+                    report(result.message, 'success');
+                }
+                if (type === 'category') {
+                    this.loadCategories();
+                } else {
+                    this.loadCollections();
+                }
+            } else {
+                report((result && result.error) || 'Failed to update the public page', 'error');
+            }
+        } catch (error) {
+            report('Failed to update the public page', 'error');
         }
     }
 
@@ -3426,6 +5727,8 @@ linksContainer.innerHTML = sortedLinks.map(link => {
         document.getElementById('unreadTab').classList.toggle('active', tab === 'unread');
         document.getElementById('readTab').classList.toggle('active', tab === 'read');
         document.getElementById('favoritesTab').classList.toggle('active', tab === 'favorites');
+        document.getElementById('trashTab').classList.toggle('active', tab === 'trash');
+        this.updateTrashControls();
 
         // Close mobile drawer if open
         const sidebar = document.querySelector('.sidebar-left');
@@ -3433,30 +5736,41 @@ linksContainer.innerHTML = sortedLinks.map(link => {
             this.toggleDrawer();
         }
 
-        this.renderLinks();
+        this.loadLinks();
     }
 
+    // Updates the loaded copy in place rather than reloading, so the pages scrolled through so far stay put
     async markAsRead(linkId, isRead = true) {
         try {
-            await this.apiRequest('/links/mark-read', {
+            const result = await this.apiRequest('/links/mark-read', {
                 method: 'POST',
                 body: JSON.stringify({ linkId, isRead: isRead ? 1 : 0 })
             });
-            await this.loadLinks(true);
+            if (result.success) {
+                this.links = this.links.map(link => link.id === linkId ? { ...link, isRead: isRead ? 1 : 0 } : link);
+                this.renderLinks();
+            } else {
+                this.showStatus(result.error || 'Failed to update link', 'error');
+            }
         } catch (error) {
-            await this.loadLinks(true);
+            this.showStatus('Failed to update link', 'error');
         }
     }
 
     async toggleFavorite(linkId, isFavorite) {
         try {
-            await this.apiRequest('/links/toggle-favorite', {
+            const result = await this.apiRequest('/links/toggle-favorite', {
                 method: 'POST',
                 body: JSON.stringify({ linkId, isFavorite: isFavorite ? 1 : 0 })
             });
-            await this.loadLinks(true);
+            if (result.success) {
+                this.links = this.links.map(link => link.id === linkId ? { ...link, isFavorite: isFavorite ? 1 : 0 } : link);
+                this.renderLinks();
+            } else {
+                this.showStatus(result.error || 'Failed to update link', 'error');
+            }
         } catch (error) {
-            await this.loadLinks(true);
+            this.showStatus('Failed to update link', 'error');
         }
     }
 
@@ -3496,6 +5810,14 @@ openProfileModal() {
             usernameInput.value = this.currentUser.username;
         }
         this.hideProfileStatus();
+        this.loadTotpStatus();
+        this.loadRecoveryCodeCount();
+        this.loadSessions();
+        this.loadApiTokens();
+        this.loadPasskeys();
+        this.loadCategories();
+        this.loadAutoReadProgress();
+        this.resetDeviceApproval();
     }
 }
 
@@ -3591,12 +5913,18 @@ async handleProfilePasswordReset() {
     if (btn) btn.disabled = true;
 
     try {
+        // Changing the password signs in again, so two-factor accounts need a code
+        const totp = await this.apiRequest('/auth/totp');
+        const totpCode = totp && totp.enabled ? prompt('Enter the code from your authenticator app:') : undefined;
+        if (totp && totp.enabled && !totpCode) return;
+
         const result = await this.apiRequest('/auth/reset-password', {
             method: 'POST',
             body: JSON.stringify({
                 username: this.currentUser.username,
                 currentPassword,
-                newPassword
+                newPassword,
+                totpCode
             })
         });
 
@@ -3617,6 +5945,917 @@ async handleProfilePasswordReset() {
     }
 }
 
+async loadTotpStatus() {
+    document.getElementById('totpSetup').classList.add('hidden');
+    document.getElementById('totpPassword').value = '';
+    document.getElementById('totpDisableCode').value = '';
+
+    try {
+        const result = await this.apiRequest('/auth/totp');
+        if (!result || !result.success) return;
+
+        this.totpEnabled = result.enabled;
+        document.getElementById('totpStatus').textContent = result.enabled
+            ? 'On. Signing in requires a code from your authenticator app. Regenerating moves it to a new app.'
+            : 'Off. Require a code from an authenticator app when signing in.';
+        document.getElementById('totpSetupBtn').textContent = result.enabled ? 'Regenerate' : 'Set up';
+        document.getElementById('totpDisableBtn').classList.toggle('hidden', !result.enabled);
+        document.getElementById('totpDisableCode').classList.toggle('hidden', !result.enabled);
+    } catch (error) {
+        // Keep the default description
+    }
+}
+
+async startTotpSetup() {
+    const password = document.getElementById('totpPassword').value;
+    if (!password) {
+        this.showProfileStatus('Enter your current password to set up two-factor authentication.', 'error');
+        return;
+    }
+
+    const btn = document.getElementById('totpSetupBtn');
+    btn.disabled = true;
+
+    try {
+        const result = await this.apiRequest('/auth/totp', {
+            method: 'POST',
+            body: JSON.stringify({ password })
+        });
+
+        if (result && result.success) {
+            document.getElementById('totpPassword').value = '';
+            document.getElementById('totpSecret').textContent = result.secret.match(/.{1,4}/g).join(' ');
+            document.getElementById('totpUriLink').href = result.uri;
+            document.getElementById('totpVerifyCode').value = '';
+            document.getElementById('totpSetup').classList.remove('hidden');
+            document.getElementById('totpVerifyCode').focus();
+            this.hideProfileStatus();
+        } else {
+            this.showProfileStatus((result && result.error) || 'Failed to start two-factor setup.', 'error');
+        }
+    } catch (error) {
+        this.showProfileStatus('Failed to start two-factor setup.', 'error');
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+async verifyTotpSetup() {
+    const code = document.getElementById('totpVerifyCode').value.trim();
+    if (!code) {
+        this.showProfileStatus('Enter the code from your authenticator app.', 'error');
+        return;
+    }
+
+    const btn = document.getElementById('totpVerifyBtn');
+    btn.disabled = true;
+
+    try {
+        const result = await this.apiRequest('/auth/totp/verify', {
+            method: 'POST',
+            body: JSON.stringify({ code })
+        });
+
+        if (result && result.success) {
+            await this.loadTotpStatus();
+            this.showProfileStatus('Two-factor authentication is on.', 'success');
+        } else {
+            this.showProfileStatus((result && result.error) || 'Invalid code.', 'error');
+        }
+    } catch (error) {
+        this.showProfileStatus('Failed to verify code.', 'error');
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+async disableTotp() {
+    const password = document.getElementById('totpPassword').value;
+    const totpCode = document.getElementById('totpDisableCode').value.trim();
+    if (!password || !totpCode) {
+        this.showProfileStatus('Enter your current password and a code from your authenticator app (or a recovery code) to turn off two-factor authentication.', 'error');
+        return;
+    }
+
+    if (!confirm('Turn off two-factor authentication? Signing in will only need your password.')) {
+        return;
+    }
+
+    try {
+        const result = await this.apiRequest('/auth/totp', {
+            method: 'DELETE',
+            body: JSON.stringify({ password, totpCode })
+        });
+
+        if (result && result.success) {
+            await this.loadTotpStatus();
+            this.showProfileStatus('Two-factor authentication is off.', 'success');
+        } else {
+            this.showProfileStatus((result && result.error) || 'Failed to turn off two-factor authentication.', 'error');
+        }
+    } catch (error) {
+        this.showProfileStatus('Failed to turn off two-factor authentication.', 'error');
+    }
+}
+
+async loadRecoveryCodeCount() {
+    const summary = document.getElementById('recoveryCodesSummary');
+    document.getElementById('recoveryCodesList').classList.add('hidden');
+    document.getElementById('copyRecoveryCodesBtn').classList.add('hidden');
+    this.recoveryCodes = null;
+
+    try {
+        const result = await this.apiRequest('/auth/recovery-codes');
+        if (!result || !result.success) return;
+
+        summary.textContent = result.remaining > 0
+            ? \`You have \${result.remaining} unused recovery codes. Use one to reset your password if you forget it. Generating a new set replaces them.\`
+            : 'You have no recovery codes left. Generate a new set so you can reset a forgotten password.';
+    } catch (error) {
+        // Keep the default description
+    }
+}
+
+async generateRecoveryCodes() {
+    const password = document.getElementById('recoveryCodesPassword').value;
+    if (!password) {
+        this.showProfileStatus('Enter your current password to generate new codes.', 'error');
+        return;
+    }
+
+    const btn = document.getElementById('generateRecoveryCodesBtn');
+    btn.disabled = true;
+
+    try {
+        const result = await this.apiRequest('/auth/recovery-codes', {
+            method: 'POST',
+            body: JSON.stringify({ password })
+        });
+
+        if (result && result.success) {
+            this.recoveryCodes = result.codes;
+            document.getElementById('recoveryCodesPassword').value = '';
+            document.getElementById('recoveryCodesSummary').textContent = 'Save these codes somewhere safe. Each one can reset your password once, and they will not be shown again.';
+            const list = document.getElementById('recoveryCodesList');
+            list.innerHTML = result.codes.map(code => \`<span>\${code}</span>\`).join('');
+            list.classList.remove('hidden');
+            document.getElementById('copyRecoveryCodesBtn').classList.remove('hidden');
+            this.hideProfileStatus();
+        } else {
+            this.showProfileStatus((result && result.error) || 'Failed to generate recovery codes.', 'error');
+        }
+    } catch (error) {
+        this.showProfileStatus('Failed to generate recovery codes.', 'error');
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+async copyRecoveryCodes() {
+    if (!this.recoveryCodes) return;
+    try {
+        await navigator.clipboard.writeText(this.recoveryCodes.join('\\n'));
+        this.showProfileStatus('Recovery codes copied.', 'success');
+    } catch (error) {
+        this.showProfileStatus('Could not copy. Select the codes and copy them manually.', 'error');
+    }
+}
+
+openDeviceApproval(userCode) {
+    this.openProfileModal();
+    const input = document.getElementById('deviceUserCode');
+    input.value = userCode;
+    document.getElementById('deviceAuthSection').scrollIntoView({ block: 'center' });
+    if (userCode) {
+        this.lookupDeviceCode();
+    } else {
+        input.focus();
+    }
+}
+
+resetDeviceApproval() {
+    this.deviceRequest = null;
+    document.getElementById('deviceAuthRequest').classList.add('hidden');
+    document.getElementById('deviceDenyBtn').classList.add('hidden');
+    document.getElementById('deviceApproveBtn').classList.add('hidden');
+    document.getElementById('deviceLookupBtn').classList.remove('hidden');
+    document.getElementById('deviceUserCode').disabled = false;
+}
+
+async lookupDeviceCode() {
+    const userCode = document.getElementById('deviceUserCode').value.trim();
+    if (!userCode) {
+        this.showProfileStatus('Enter the code shown on your device.', 'error');
+        return;
+    }
+
+    const btn = document.getElementById('deviceLookupBtn');
+    btn.disabled = true;
+
+    try {
+        const result = await this.apiRequest('/auth/device?code=' + encodeURIComponent(userCode));
+        if (result && result.success) {
+            const clientLabels = { web: 'a browser', extension: 'the browser extension', mobile: 'the mobile app', share_extension: 'the share extension' };
+            this.deviceRequest = result.request;
+            const requestEl = document.getElementById('deviceAuthRequest');
+            requestEl.textContent = \`Sign in \${result.request.deviceName || clientLabels[result.request.clientType] || 'this device'} as \${this.currentUser.username}? Only approve a code you just requested yourself.\`;
+            requestEl.classList.remove('hidden');
+            document.getElementById('deviceUserCode').disabled = true;
+            document.getElementById('deviceLookupBtn').classList.add('hidden');
+            document.getElementById('deviceDenyBtn').classList.remove('hidden');
+            document.getElementById('deviceApproveBtn').classList.remove('hidden');
+            this.hideProfileStatus();
+        } else {
+            this.showProfileStatus((result && result.error) || 'Code not found.', 'error');
+        }
+    } catch (error) {
+        this.showProfileStatus('Failed to look up code.', 'error');
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+async respondToDeviceCode(approve) {
+    if (!this.deviceRequest) return;
+
+    try {
+        const result = await this.apiRequest('/auth/device', {
+            method: 'POST',
+            body: JSON.stringify({ userCode: this.deviceRequest.userCode, approve })
+        });
+
+        if (result && result.success) {
+            document.getElementById('deviceUserCode').value = '';
+            this.showProfileStatus(result.message, 'success');
+        } else {
+            this.showProfileStatus((result && result.error) || 'Failed to update sign-in request.', 'error');
+        }
+    } catch (error) {
+        this.showProfileStatus('Failed to update sign-in request.', 'error');
+    }
+    this.resetDeviceApproval();
+}
+
+async loadSessions() {
+    const list = document.getElementById('profileSessionsList');
+    if (!list) return;
+
+    try {
+        const result = await this.apiRequest('/auth/sessions');
+        if (!result || !result.success) {
+            list.innerHTML = '<div class="profile-list-empty">Failed to load sessions.</div>';
+            return;
+        }
+
+        const clientLabels = { web: 'Web', extension: 'Browser extension', mobile: 'Mobile app', share_extension: 'Share extension' };
+        list.innerHTML = result.sessions.map(session => {
+            const device = session.deviceName || this.describeUserAgent(session.userAgent);
+            const lastSeen = session.lastSeenAt ? this.getTimeAgo(new Date(session.lastSeenAt.replace(' ', 'T') + 'Z')) : '';
+            return \`
+                <div class="profile-list-item">
+                    <div class="profile-list-main">
+                        <div class="profile-list-title">\${this.escapeHtml(clientLabels[session.clientType] || session.clientType)} · \${this.escapeHtml(device)}</div>
+                        <div class="profile-list-meta">Last active \${lastSeen}</div>
+                    </div>
+                    \${session.current
+                        ? '<span class="profile-list-badge">This device</span>'
+                        : \`<button class="profile-link-btn" onclick="window.app.revokeSession('\${session.id}')">Sign out</button>\`}
+                </div>
+            \`;
+        }).join('');
+    } catch (error) {
+        list.innerHTML = '<div class="profile-list-empty">Failed to load sessions.</div>';
+    }
+}
+
+describeUserAgent(ua) {
+    if (!ua) return 'Unknown device';
+    const browser = /Edg\\//.test(ua) ? 'Edge' : /Firefox\\//.test(ua) ? 'Firefox' : /Chrome\\//.test(ua) ? 'Chrome' : /Safari\\//.test(ua) ? 'Safari' : 'Browser';
+    const os = /iPhone|iPad/.test(ua) ? 'iOS' : /Android/.test(ua) ? 'Android' : /Mac OS X/.test(ua) ? 'macOS' : /Windows/.test(ua) ? 'Windows' : /Linux/.test(ua) ? 'Linux' : '';
+    return os ? browser + ' on ' + os : browser;
+}
+
+async revokeSession(sessionId) {
+    try {
+        const result = await this.apiRequest('/auth/sessions?id=' + encodeURIComponent(sessionId), { method: 'DELETE' });
+        if (!result || !result.success) {
+            this.showProfileStatus((result && result.error) || 'Failed to sign out session.', 'error');
+        }
+    } catch (error) {
+        this.showProfileStatus('Failed to sign out session.', 'error');
+    }
+    this.loadSessions();
+}
+
+async revokeOtherSessions() {
+    const btn = document.getElementById('revokeOtherSessionsBtn');
+    if (btn) btn.disabled = true;
+
+    try {
+        const result = await this.apiRequest('/auth/sessions?all=true', { method: 'DELETE' });
+        if (result && result.success) {
+            this.showProfileStatus('Signed out of all other devices.', 'success');
+        } else {
+            this.showProfileStatus((result && result.error) || 'Failed to sign out other devices.', 'error');
+        }
+    } catch (error) {
+        this.showProfileStatus('Failed to sign out other devices.', 'error');
+    } finally {
+        if (btn) btn.disabled = false;
+    }
+    this.loadSessions();
+}
+
+async loadApiTokens() {
+    const list = document.getElementById('profileApiTokensList');
+    if (!list) return;
+    document.getElementById('newApiToken').classList.add('hidden');
+    document.getElementById('copyApiTokenBtn').classList.add('hidden');
+    this.newApiToken = null;
+
+    try {
+        const result = await this.apiRequest('/auth/tokens');
+        if (!result || !result.success) {
+            list.innerHTML = '<div class="profile-list-empty">Failed to load tokens.</div>';
+            return;
+        }
+
+        if (result.tokens.length === 0) {
+            list.innerHTML = '<div class="profile-list-empty">No API tokens yet.</div>';
+            return;
+        }
+
+        const scopeLabels = { 'links:read': 'Read links', 'links:write': 'Write links', 'feeds:read': 'Read feeds' };
+        list.innerHTML = result.tokens.map(token => {
+            const scopes = token.scopes.map(scope => scopeLabels[scope] || scope).join(', ');
+            const lastUsed = token.lastUsedAt ? 'Last used ' + this.getTimeAgo(new Date(token.lastUsedAt.replace(' ', 'T') + 'Z')) : 'Never used';
+            return \`
+                <div class="profile-list-item">
+                    <div class="profile-list-main">
+                        <div class="profile-list-title">\${this.escapeHtml(token.name)} · …\${this.escapeHtml(token.tokenHint)}</div>
+                        <div class="profile-list-meta">\${this.escapeHtml(scopes)} · \${lastUsed}</div>
+                    </div>
+                    <button class="profile-link-btn" onclick="window.app.revokeApiToken(\${token.id})">Revoke</button>
+                </div>
+            \`;
+        }).join('');
+    } catch (error) {
+        list.innerHTML = '<div class="profile-list-empty">Failed to load tokens.</div>';
+    }
+}
+
+async createApiToken() {
+    const name = document.getElementById('apiTokenName').value.trim();
+    const scopes = Array.from(document.querySelectorAll('#apiTokenScopes input:checked')).map(input => input.value);
+
+    if (!name) {
+        this.showProfileStatus('Give the token a name so you can recognize it later.', 'error');
+        return;
+    }
+    if (scopes.length === 0) {
+        this.showProfileStatus('Choose at least one permission for the token.', 'error');
+        return;
+    }
+
+    const btn = document.getElementById('createApiTokenBtn');
+    btn.disabled = true;
+
+    try {
+        const result = await this.apiRequest('/auth/tokens', {
+            method: 'POST',
+            body: JSON.stringify({ name, scopes })
+        });
+
+        if (result && result.success) {
+            await this.loadApiTokens();
+            this.newApiToken = result.token;
+            document.getElementById('apiTokenName').value = '';
+            const tokenEl = document.getElementById('newApiToken');
+            tokenEl.textContent = result.token;
+            tokenEl.classList.remove('hidden');
+            document.getElementById('copyApiTokenBtn').classList.remove('hidden');
+            this.showProfileStatus('Token created. Copy it now; it will not be shown again.', 'success');
+        } else {
+            this.showProfileStatus((result && result.error) || 'Failed to create token.', 'error');
+        }
+    } catch (error) {
+        this.showProfileStatus('Failed to create token.', 'error');
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+async copyApiToken() {
+    if (!this.newApiToken) return;
+    try {
+        await navigator.clipboard.writeText(this.newApiToken);
+        this.showProfileStatus('Token copied.', 'success');
+    } catch (error) {
+        this.showProfileStatus('Could not copy. Select the token and copy it manually.', 'error');
+    }
+}
+
+async revokeApiToken(tokenId) {
+    if (!confirm('Revoke this token? Scripts using it will stop working immediately.')) return;
+
+    try {
+        const result = await this.apiRequest('/auth/tokens?id=' + encodeURIComponent(tokenId), { method: 'DELETE' });
+        if (result && result.success) {
+            this.showProfileStatus('Token revoked.', 'success');
+        } else {
+            this.showProfileStatus((result && result.error) || 'Failed to revoke token.', 'error');
+        }
+    } catch (error) {
+        this.showProfileStatus('Failed to revoke token.', 'error');
+    }
+    this.loadApiTokens();
+}
+
+async downloadAccountData() {
+    const btn = document.getElementById('exportDataBtn');
+    if (btn) btn.disabled = true;
+
+    try {
+        const result = await this.apiRequest('/auth/export');
+        if (result && result.success) {
+            const blob = new Blob([JSON.stringify(result, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = 'kurate-export-' + result.profile.username + '-' + result.exportedAt.slice(0, 10) + '.json';
+            document.body.appendChild(a);
+            a.click();
+            a.remove();
+            URL.revokeObjectURL(url);
+            this.showProfileStatus('Your data has been downloaded.', 'success');
+        } else {
+            this.showProfileStatus((result && result.error) || 'Failed to export your data.', 'error');
+        }
+    } catch (error) {
+        this.showProfileStatus('Failed to export your data.', 'error');
+    } finally {
+        if (btn) btn.disabled = false;
+    }
+}
+
+// Categories are edited in place: a new name or color is saved as soon as it changes
+renderCategoryManager() {
+    const list = document.getElementById('profileCategoriesList');
+    if (!list || !this.categoriesLoaded) return;
+
+    list.replaceChildren(...this.categories.map((category, index) => {
+        const item = document.createElement('div');
+        item.className = 'profile-list-item profile-category-item';
+        const isDefault = category.name.toLowerCase() === 'other';
+
+        const color = document.createElement('select');
+        color.className = 'profile-category-color badge-' + category.color;
+        color.setAttribute('aria-label', 'Color of ' + category.name);
+        CATEGORY_COLORS.forEach(name => color.add(new Option(name[0].toUpperCase() + name.slice(1), name)));
+        color.value = category.color;
+        color.addEventListener('change', () => this.updateCategory(category, { color: color.value }));
+
+        const name = document.createElement('input');
+        name.type = 'text';
+        name.className = 'profile-category-name';
+        name.maxLength = 50;
+        name.value = category.name;
+        name.readOnly = isDefault;
+        if (isDefault) name.title = "Links from deleted categories go here, so it can't be renamed";
+        name.addEventListener('keydown', (e) => { if (e.key === 'Enter') name.blur(); });
+        name.addEventListener('change', () => {
+            const newName = name.value.trim();
+            if (newName && newName !== category.name) {
+                this.updateCategory(category, { name: newName });
+            } else {
+                name.value = category.name;
+            }
+        });
+
+        const count = document.createElement('span');
+        count.className = 'profile-list-meta';
+        count.textContent = category.count === 1 ? '1 link' : category.count + ' links';
+
+        const button = (label, title, disabled, onClick) => {
+            const btn = document.createElement('button');
+            btn.className = 'profile-link-btn';
+            btn.textContent = label;
+            btn.title = title;
+            btn.disabled = disabled;
+            btn.addEventListener('click', onClick);
+            return btn;
+        };
+
+        const publicButtons = [];
+        if (category.publicSlug) {
+            const publicLink = document.createElement('a');
+            publicLink.className = 'profile-link-btn';
+            publicLink.href = this.publicListUrl(category.publicSlug);
+            publicLink.target = '_blank';
+            publicLink.rel = 'noopener';
+            publicLink.textContent = 'View';
+            publicLink.title = 'Open the public page';
+            publicButtons.push(
+                publicLink,
+                button('New link', 'Move the public page to a new address; the old one stops working', false, () => this.regeneratePublicLink('category', category)),
+                button('Unpublish', 'Take down the public page and feeds', false, () => this.setListPublic('category', category, false))
+            );
+        } else {
+            publicButtons.push(button('Publish', 'Share as a public page with RSS and Atom feeds', false, () => this.setListPublic('category', category, true)));
+        }
+
+        item.append(
+            color,
+            name,
+            count,
+            ...publicButtons,
+            button('↑', 'Move up', index === 0, () => this.moveCategory(index, -1)),
+            button('↓', 'Move down', index === this.categories.length - 1, () => this.moveCategory(index, 1)),
+            button('Delete', isDefault ? "Other can't be deleted" : 'Delete category', isDefault, () => this.deleteCategory(category))
+        );
+        return item;
+    }));
+}
+
+async createCategory() {
+    const input = document.getElementById('newCategoryName');
+    const name = input.value.trim();
+    if (!name) {
+        this.showProfileStatus('Give the category a name.', 'error');
+        return;
+    }
+
+    const btn = document.getElementById('createCategoryBtn');
+    if (btn) btn.disabled = true;
+
+    try {
+        const result = await this.apiRequest('/links/categories', {
+            method: 'POST',
+            body: JSON.stringify({ name })
+        });
+        if (result && result.success) {
+            input.value = '';
+            this.hideProfileStatus();
+            await this.loadCategories();
+        } else {
+            this.showProfileStatus((result && result.error) || 'Failed to add the category.', 'error');
+        }
+    } catch (error) {
+        this.showProfileStatus('Failed to add the category.', 'error');
+    } finally {
+        if (btn) btn.disabled = false;
+    }
+}
+
+async updateCategory(category, changes) {
+    try {
+        const result = await this.apiRequest('/links/categories?id=' + category.id, {
+            method: 'PATCH',
+            body: JSON.stringify(changes)
+        });
+        if (result && result.success) {
+            this.hideProfileStatus();
+            // Renaming renames the category on its links, so keep filtering by it and reload them
+            if (changes.name && this.categoryFilter.toLowerCase() === category.name.toLowerCase()) {
+                this.categoryFilter = result.category.name;
+            }
+            await this.loadCategories();
+            if (changes.name) this.loadLinks();
+        } else {
+            this.showProfileStatus((result && result.error) || 'Failed to update the category.', 'error');
+            this.renderCategoryManager();
+        }
+    } catch (error) {
+        this.showProfileStatus('Failed to update the category.', 'error');
+        this.renderCategoryManager();
+    }
+}
+
+async moveCategory(index, offset) {
+    const ids = this.categories.map(category => category.id);
+    const [id] = ids.splice(index, 1);
+    ids.splice(index + offset, 0, id);
+
+    try {
+        const result = await this.apiRequest('/links/categories', {
+            method: 'PUT',
+            body: JSON.stringify({ ids })
+        });
+        if (result && result.success) {
+            this.categories = result.categories;
+            this.renderCategories();
+        } else {
+            this.showProfileStatus((result && result.error) || 'Failed to move the category.', 'error');
+        }
+    } catch (error) {
+        this.showProfileStatus('Failed to move the category.', 'error');
+    }
+}
+
+async deleteCategory(category) {
+    const message = category.count > 0
+        ? 'Delete the ' + category.name + ' category? Its ' + (category.count === 1 ? 'link moves' : category.count + ' links move') + ' to Other.'
+        : 'Delete the ' + category.name + ' category?';
+    if (!confirm(message)) return;
+
+    try {
+        const result = await this.apiRequest('/links/categories?id=' + category.id, { method: 'DELETE' });
+        if (result && result.success) {
+            this.showProfileStatus(result.message, 'success');
+            await this.loadCategories();
+            this.loadLinks();
+        } else {
+            this.showProfileStatus((result && result.error) || 'Failed to delete the category.', 'error');
+        }
+    } catch (error) {
+        this.showProfileStatus('Failed to delete the category.', 'error');
+    }
+}
+
+// Downloads the links picked by the export filters from /api/links/export, which names the file
+async exportLinks(format) {
+    const params = new URLSearchParams({ format, status: document.getElementById('exportStatus').value });
+    const category = document.getElementById('exportCategory').value;
+    if (category) params.set('category', category);
+
+    const buttons = document.querySelectorAll('[data-export-format]');
+    buttons.forEach(button => { button.disabled = true; });
+
+    try {
+        const request = () => fetch(this.apiBase + '/links/export?' + params, {
+            headers: { 'Authorization': 'Bearer ' + this.token }
+        });
+        let response = await request();
+
+        // Expired session — renew once and try again with the new token
+        if (response.status === 401 && this.isTokenExpired() && await this.refreshToken()) {
+            response = await request();
+        }
+
+        if (!response.ok) {
+            const result = await response.json().catch(() => null);
+            this.showProfileStatus((result && result.error) || 'Failed to export your links.', 'error');
+            return;
+        }
+
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const match = disposition.match(/filename="([^"]+)"/);
+        const url = URL.createObjectURL(await response.blob());
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = match ? match[1] : 'kurate-links';
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        URL.revokeObjectURL(url);
+        this.showProfileStatus('Your links have been downloaded.', 'success');
+    } catch (error) {
+        this.showProfileStatus('Failed to export your links.', 'error');
+    } finally {
+        buttons.forEach(button => { button.disabled = false; });
+    }
+}
+
+async loadAutoReadProgress() {
+    const select = document.getElementById('autoReadProgress');
+    if (!select) return;
+
+    try {
+        const result = await this.apiRequest('/links/progress');
+        if (result && result.success) {
+            select.value = result.autoReadProgress === null ? '' : String(result.autoReadProgress);
+        }
+    } catch (error) {
+        // Keep the current choice
+    }
+}
+
+async saveAutoReadProgress() {
+    const select = document.getElementById('autoReadProgress');
+    select.disabled = true;
+
+    try {
+        const result = await this.apiRequest('/links/progress', {
+            method: 'PUT',
+            body: JSON.stringify({ autoReadProgress: select.value ? Number(select.value) : null })
+        });
+        if (result && result.success) {
+            this.showProfileStatus(result.message + '.', 'success');
+        } else {
+            this.showProfileStatus((result && result.error) || 'Failed to save the setting.', 'error');
+            this.loadAutoReadProgress();
+        }
+    } catch (error) {
+        this.showProfileStatus('Failed to save the setting.', 'error');
+        this.loadAutoReadProgress();
+    } finally {
+        select.disabled = false;
+    }
+}
+
+// Sends an exported file to /api/links/import; the server works out the format and skips links already saved
+async importLinksFile() {
+    const fileInput = document.getElementById('importFile');
+    const file = fileInput && fileInput.files[0];
+    if (!file) {
+        this.showProfileStatus('Choose a file to import.', 'error');
+        return;
+    }
+    if (file.size > 10000000) {
+        this.showProfileStatus('That file is too large; import at most 10 MB at a time.', 'error');
+        return;
+    }
+
+    const btn = document.getElementById('importLinksBtn');
+    if (btn) btn.disabled = true;
+    this.hideProfileStatus();
+
+    try {
+        const result = await this.apiRequest('/links/import', {
+            method: 'POST',
+            body: JSON.stringify({ content: await file.text(), format: document.getElementById('importFormat').value })
+        });
+        if (result && result.success) {
+            this.showProfileStatus(this.describeImportSummary(result.summary), 'success');
+            this.renderImportResults(result.results);
+            fileInput.value = '';
+            this.loadLinks(true);
+        } else {
+            this.showProfileStatus((result && result.error) || 'Failed to import links.', 'error');
+        }
+    } catch (error) {
+        this.showProfileStatus('Failed to import links.', 'error');
+    } finally {
+        if (btn) btn.disabled = false;
+    }
+}
+
+describeImportSummary(summary) {
+    const parts = [summary.imported + (summary.imported === 1 ? ' link imported' : ' links imported')];
+    if (summary.restored) parts.push(summary.restored + ' restored from the trash');
+    if (summary.duplicate) parts.push(summary.duplicate + ' already saved');
+    if (summary.invalid) parts.push(summary.invalid + ' skipped');
+    return parts.join(', ') + '.';
+}
+
+// Lists the rows that weren't imported as new links, so they can be checked against the file
+renderImportResults(results) {
+    const container = document.getElementById('importResults');
+    const labels = { restored: 'Restored', duplicate: 'Already saved', invalid: 'Skipped' };
+    const rows = results.filter(item => item.status !== 'imported');
+
+    container.replaceChildren(...rows.slice(0, 100).map(item => {
+        const line = document.createElement('div');
+        line.className = 'profile-import-row';
+        line.title = item.error || item.url;
+        const status = document.createElement('span');
+        status.className = 'profile-import-status';
+        status.textContent = labels[item.status];
+        line.append(status, 'Row ' + item.row + ' · ' + item.url);
+        return line;
+    }));
+    if (rows.length > 100) {
+        const more = document.createElement('div');
+        more.className = 'profile-import-row';
+        more.textContent = 'and ' + (rows.length - 100) + ' more';
+        container.appendChild(more);
+    }
+    container.hidden = rows.length === 0;
+}
+
+base64UrlToBuffer(value) {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return Uint8Array.from(binary, char => char.charCodeAt(0)).buffer;
+}
+
+bufferToBase64Url(buffer) {
+    const binary = String.fromCharCode(...new Uint8Array(buffer));
+    return btoa(binary).replace(/\\+/g, '-').replace(/\\//g, '_').replace(/=+$/, '');
+}
+
+async loadPasskeys() {
+    const list = document.getElementById('profilePasskeysList');
+    if (!list) return;
+
+    try {
+        const result = await this.apiRequest('/auth/passkeys');
+        if (!result || !result.success) {
+            list.innerHTML = '<div class="profile-list-empty">Failed to load passkeys.</div>';
+            return;
+        }
+
+        if (result.passkeys.length === 0) {
+            list.innerHTML = '<div class="profile-list-empty">No passkeys yet.</div>';
+            return;
+        }
+
+        list.innerHTML = result.passkeys.map(passkey => {
+            const lastUsed = passkey.lastUsedAt ? 'Last used ' + this.getTimeAgo(new Date(passkey.lastUsedAt.replace(' ', 'T') + 'Z')) : 'Never used';
+            return \`
+                <div class="profile-list-item">
+                    <div class="profile-list-main">
+                        <div class="profile-list-title">\${this.escapeHtml(passkey.name)}</div>
+                        <div class="profile-list-meta">\${lastUsed}</div>
+                    </div>
+                    <button class="profile-link-btn" onclick="window.app.removePasskey(\${passkey.id})">Remove</button>
+                </div>
+            \`;
+        }).join('');
+    } catch (error) {
+        list.innerHTML = '<div class="profile-list-empty">Failed to load passkeys.</div>';
+    }
+}
+
+async addPasskey() {
+    const name = document.getElementById('passkeyName').value.trim();
+    const password = document.getElementById('passkeyPassword').value;
+
+    if (!window.PublicKeyCredential) {
+        this.showProfileStatus('This browser does not support passkeys.', 'error');
+        return;
+    }
+    if (!name) {
+        this.showProfileStatus('Give the passkey a name so you can recognize it later.', 'error');
+        return;
+    }
+    if (!password) {
+        this.showProfileStatus('Enter your current password to add a passkey.', 'error');
+        return;
+    }
+
+    const btn = document.getElementById('addPasskeyBtn');
+    btn.disabled = true;
+
+    try {
+        const options = await this.apiRequest('/auth/passkeys', {
+            method: 'POST',
+            body: JSON.stringify({ password })
+        });
+        if (!options || !options.success) {
+            this.showProfileStatus((options && options.error) || 'Failed to start passkey setup.', 'error');
+            return;
+        }
+
+        const publicKey = options.publicKey;
+        const credential = await navigator.credentials.create({
+            publicKey: {
+                ...publicKey,
+                challenge: this.base64UrlToBuffer(publicKey.challenge),
+                user: { ...publicKey.user, id: this.base64UrlToBuffer(publicKey.user.id) },
+                excludeCredentials: publicKey.excludeCredentials.map(item => ({ ...item, id: this.base64UrlToBuffer(item.id) }))
+            }
+        });
+
+        const result = await this.apiRequest('/auth/passkeys/verify', {
+            method: 'POST',
+            body: JSON.stringify({
+                challengeId: options.challengeId,
+                name,
+                credential: {
+                    id: credential.id,
+                    type: credential.type,
+                    response: {
+                        clientDataJSON: this.bufferToBase64Url(credential.response.clientDataJSON),
+                        attestationObject: this.bufferToBase64Url(credential.response.attestationObject),
+                        transports: credential.response.getTransports ? credential.response.getTransports() : []
+                    }
+                }
+            })
+        });
+
+        if (result && result.success) {
+            document.getElementById('passkeyName').value = '';
+            document.getElementById('passkeyPassword').value = '';
+            this.showProfileStatus('Passkey added. You can now use it to sign in.', 'success');
+            this.loadPasskeys();
+        } else {
+            this.showProfileStatus((result && result.error) || 'Failed to add passkey.', 'error');
+        }
+    } catch (error) {
+        // NotAllowedError means the browser prompt was cancelled or timed out
+        this.showProfileStatus(error.name === 'NotAllowedError' ? 'Passkey setup was cancelled.' : 'Failed to add passkey.', 'error');
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+async removePasskey(passkeyId) {
+    if (!confirm('Remove this passkey? You will no longer be able to sign in with it.')) return;
+
+    try {
+        const result = await this.apiRequest('/auth/passkeys?id=' + encodeURIComponent(passkeyId), { method: 'DELETE' });
+        if (result && result.success) {
+            this.showProfileStatus('Passkey removed.', 'success');
+        } else {
+            this.showProfileStatus((result && result.error) || 'Failed to remove passkey.', 'error');
+        }
+    } catch (error) {
+        this.showProfileStatus('Failed to remove passkey.', 'error');
+    }
+    this.loadPasskeys();
+}
+
 async handleDeleteAccount() {
     const confirmed = confirm('Are you sure you want to delete your account? This will permanently delete all your data and cannot be undone.');
     if (!confirmed) return;
@@ -3653,8 +6892,10 @@ async handleDeleteAccount() {
 // Link Viewer (Iframe Modal)
 // ==========================================
 
-openLinkViewer(url) {
+openLinkViewer(url, linkId = null) {
     this.linkViewerUrl = url;
+    this.linkViewerLinkId = linkId;
+    this.setupViewerNotes();
     const modal = document.getElementById('linkViewerModal');
     const iframe = document.getElementById('linkViewerIframe');
     const loading = document.getElementById('linkViewerLoading');
@@ -3742,7 +6983,325 @@ openLinkViewer(url) {
     }
 }
 
+// Notes panel for saved links; recommended articles open the viewer without a link ID and get no panel
+setupViewerNotes() {
+    const link = this.linkViewerLinkId && this.links.find(item => item.id === this.linkViewerLinkId);
+    const notesBtn = document.getElementById('linkViewerNotesBtn');
+    const panel = document.getElementById('linkViewerNotes');
+    const input = document.getElementById('linkViewerNoteInput');
+    if (!notesBtn || !panel || !input) return;
+
+    notesBtn.classList.toggle('hidden', !link);
+    notesBtn.classList.toggle('has-note', !!(link && link.note));
+    panel.classList.add('hidden');
+    input.value = link ? link.note || '' : '';
+    this.updateViewerNotePreview();
+}
+
+toggleViewerNotes() {
+    const panel = document.getElementById('linkViewerNotes');
+    if (!panel) return;
+    panel.classList.toggle('hidden');
+    if (!panel.classList.contains('hidden')) {
+        document.getElementById('linkViewerNoteInput').focus();
+    }
+}
+
+updateViewerNotePreview() {
+    const input = document.getElementById('linkViewerNoteInput');
+    const preview = document.getElementById('linkViewerNotePreview');
+    if (input && preview) {
+        preview.innerHTML = this.renderMarkdown(input.value);
+    }
+}
+
+async saveViewerNote() {
+    const linkId = this.linkViewerLinkId;
+    const input = document.getElementById('linkViewerNoteInput');
+    const saveBtn = document.getElementById('linkViewerNoteSave');
+    const link = linkId && this.links.find(item => item.id === linkId);
+    if (!link || !input) return;
+
+    const note = input.value.trim();
+    if (note === (link.note || '')) return;
+
+    saveBtn.disabled = true;
+    try {
+        const result = await this.apiRequest('/links?id=' + encodeURIComponent(linkId), {
+            method: 'PATCH',
+            body: JSON.stringify({ note })
+        });
+
+        if (result.success) {
+            this.links = this.links.map(item => item.id === linkId ? result.link : item);
+            this.renderLinks();
+            const notesBtn = document.getElementById('linkViewerNotesBtn');
+            if (notesBtn) notesBtn.classList.toggle('has-note', !!result.link.note);
+            this.showStatus('Note saved', 'success');
+        } else {
+            this.showStatus(result.error || 'Failed to save note', 'error');
+        }
+    } catch (error) {
+        this.showStatus('Failed to save note', 'error');
+    } finally {
+        saveBtn.disabled = false;
+    }
+}
+
+// Renders the small markdown subset notes use: headings, bullet lists, paragraphs, **bold**, *italic*,
+// \`code\` and [links](https://...). Text is escaped first, so only these constructs can produce HTML.
+renderMarkdown(text) {
+    const escape = (value) => value
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+    const inline = (value) => escape(value)
+        .replace(/\`([^\`]+)\`/g, '<code>$1</code>')
+        .replace(/\\*\\*([^*]+)\\*\\*/g, '<strong>$1</strong>')
+        .replace(/\\*([^*]+)\\*/g, '<em>$1</em>')
+        .replace(/\\[([^\\]]+)\\]\\((https?:\\/\\/[^\\s)]+)\\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>');
+
+    const html = [];
+    let paragraph = [];
+    let listItems = [];
+    const flush = () => {
+        if (paragraph.length) html.push('<p>' + paragraph.map(inline).join('<br>') + '</p>');
+        if (listItems.length) html.push('<ul>' + listItems.map(item => '<li>' + inline(item) + '</li>').join('') + '</ul>');
+        paragraph = [];
+        listItems = [];
+    };
+
+    (text || '').split('\\n').forEach(line => {
+        const heading = line.match(/^(#{1,3})\\s+(.*)$/);
+        const listItem = line.match(/^\\s*[-*]\\s+(.*)$/);
+        if (!line.trim()) {
+            flush();
+        } else if (heading) {
+            flush();
+            const level = heading[1].length + 2; // # renders as h3, so notes never outrank the page headings
+            html.push('<h' + level + '>' + inline(heading[2]) + '</h' + level + '>');
+        } else if (listItem) {
+            if (paragraph.length) flush();
+            listItems.push(listItem[1]);
+        } else {
+            if (listItems.length) flush();
+            paragraph.push(line);
+        }
+    });
+    flush();
+
+    return html.join('');
+}
+
+// ==========================================
+// Highlights
+// ==========================================
+
+// The proxied page runs a highlighter that talks to the dashboard through postMessage. The proxy serves it
+// sandboxed, so its origin is opaque: messages are trusted by coming from the viewer's frame, and the page's
+// own scripts can send them too, but only to highlight the link being viewed.
+setupHighlighter() {
+    window.addEventListener('message', (event) => {
+        const iframe = document.getElementById('linkViewerIframe');
+        if (!iframe || event.source !== iframe.contentWindow) return;
+
+        const data = event.data || {};
+        if (data.source !== 'kurate-highlighter' || !this.linkViewerLinkId) return;
+
+        if (data.type === 'ready') {
+            this.sendViewerHighlights(this.linkViewerLinkId);
+        } else if (data.type === 'create') {
+            this.createHighlight(this.linkViewerLinkId, data);
+        }
+    });
+}
+
+postToViewer(highlights) {
+    const iframe = document.getElementById('linkViewerIframe');
+    if (iframe && iframe.contentWindow) {
+        // A sandboxed frame has no origin to address the message to
+        iframe.contentWindow.postMessage({ source: 'kurate', type: 'highlights', highlights }, '*');
+    }
+}
+
+async sendViewerHighlights(linkId) {
+    try {
+        const result = await this.apiRequest('/links/highlights?linkId=' + encodeURIComponent(linkId));
+        if (result.success && linkId === this.linkViewerLinkId) {
+            this.postToViewer(result.highlights);
+        }
+    } catch (error) {
+        // The page stays readable; it just can't be highlighted this time
+    }
+}
+
+async createHighlight(linkId, { text, prefix, suffix }) {
+    try {
+        const result = await this.apiRequest('/links/highlights', {
+            method: 'POST',
+            body: JSON.stringify({ linkId, text, prefix, suffix })
+        });
+
+        if (!result.success) {
+            this.showStatus(result.error || 'Failed to save highlight', 'error');
+            return;
+        }
+
+        if (linkId === this.linkViewerLinkId) {
+            this.postToViewer([result.highlight]);
+        }
+        this.links = this.links.map(link => link.id === linkId ? { ...link, highlightCount: (link.highlightCount || 0) + 1 } : link);
+        this.renderLinks();
+    } catch (error) {
+        this.showStatus('Failed to save highlight', 'error');
+    }
+}
+
+async openHighlights(linkId) {
+    const link = this.links.find(item => item.id === linkId);
+    const modal = document.getElementById('highlightsModal');
+    const list = document.getElementById('highlightsList');
+    if (!link || !modal || !list) return;
+
+    this.highlightsLinkId = linkId;
+    document.getElementById('highlightsLinkTitle').textContent = link.title || link.url;
+    list.innerHTML = '<div class="profile-list-empty">Loading highlights...</div>';
+    modal.classList.remove('hidden');
+    document.body.style.overflow = 'hidden';
+
+    try {
+        const result = await this.apiRequest('/links/highlights?linkId=' + encodeURIComponent(linkId));
+        if (linkId !== this.highlightsLinkId) return;
+        if (!result.success) {
+            list.innerHTML = '<div class="profile-list-empty">Failed to load highlights.</div>';
+            return;
+        }
+        this.renderHighlights(result.highlights);
+    } catch (error) {
+        list.innerHTML = '<div class="profile-list-empty">Failed to load highlights.</div>';
+    }
+}
+
+renderHighlights(highlights) {
+    const list = document.getElementById('highlightsList');
+    if (highlights.length === 0) {
+        list.innerHTML = '<div class="profile-list-empty">No highlights on this link.</div>';
+        return;
+    }
+
+    // Built through the DOM: highlights are arbitrary page text
+    list.replaceChildren(...highlights.map(highlight => {
+        const item = document.createElement('div');
+        item.className = 'highlight-item';
+
+        const text = document.createElement('p');
+        text.className = 'highlight-text';
+        text.textContent = highlight.text;
+
+        const meta = document.createElement('div');
+        meta.className = 'highlight-meta';
+        const date = document.createElement('span');
+        date.textContent = this.getTimeAgo(new Date(highlight.createdAt.replace(' ', 'T') + 'Z'));
+        const remove = document.createElement('button');
+        remove.className = 'profile-link-btn';
+        remove.textContent = 'Remove';
+        remove.addEventListener('click', () => this.removeHighlight(highlight.id));
+        meta.append(date, remove);
+
+        item.append(text, meta);
+        return item;
+    }));
+}
+
+async removeHighlight(highlightId) {
+    const linkId = this.highlightsLinkId;
+    try {
+        const result = await this.apiRequest('/links/highlights?id=' + encodeURIComponent(highlightId), {
+            method: 'DELETE'
+        });
+        if (!result.success) {
+            this.showStatus(result.error || 'Failed to remove highlight', 'error');
+            return;
+        }
+
+        this.links = this.links.map(link => link.id === linkId ? { ...link, highlightCount: Math.max((link.highlightCount || 1) - 1, 0) } : link);
+        this.renderLinks();
+        if (linkId === this.highlightsLinkId) {
+            await this.openHighlights(linkId);
+        }
+    } catch (error) {
+        this.showStatus('Failed to remove highlight', 'error');
+    }
+}
+
+openHighlightsInViewer() {
+    const link = this.links.find(item => item.id === this.highlightsLinkId);
+    this.closeHighlights();
+    if (link) {
+        this.openLinkViewer(link.url, link.id);
+    }
+}
+
+closeHighlights() {
+    const modal = document.getElementById('highlightsModal');
+    if (modal) {
+        modal.classList.add('hidden');
+        document.body.style.overflow = '';
+    }
+    this.highlightsLinkId = null;
+}
+
+// ==========================================
+// Reading Progress
+// ==========================================
+
+// The proxied page's progress script says when it's ready and then reports as the link is read. Reports go to
+// the link whose page said ready, so the last one, sent as the viewer closes, still lands on the right link.
+// As with highlights, the sandboxed page has an opaque origin, so messages are trusted by their frame.
+setupReadingProgress() {
+    window.addEventListener('message', (event) => {
+        const iframe = document.getElementById('linkViewerIframe');
+        if (!iframe || event.source !== iframe.contentWindow) return;
+
+        const data = event.data || {};
+        if (data.source !== 'kurate-progress') return;
+
+        if (data.type === 'ready') {
+            const link = this.linkViewerLinkId && this.links.find(item => item.id === this.linkViewerLinkId);
+            this.readingProgressLinkId = link ? link.id : null;
+            if (link) {
+                iframe.contentWindow.postMessage({ source: 'kurate', type: 'progress', position: link.readPosition || 0 }, '*');
+            }
+        } else if (data.type === 'progress' && this.readingProgressLinkId) {
+            this.saveReadingProgress(this.readingProgressLinkId, data);
+        }
+    });
+}
+
+async saveReadingProgress(linkId, { progress, position, seconds }) {
+    try {
+        const result = await this.apiRequest('/links/progress', {
+            method: 'POST',
+            body: JSON.stringify({ linkId, progress, position, seconds })
+        });
+        if (!result || !result.success) return;
+
+        const link = this.links.find(item => item.id === linkId);
+        if (link && !link.isRead && result.progress.isRead) {
+            this.showStatus('Marked as read', 'success');
+        }
+        this.links = this.links.map(item => item.id === linkId ? { ...item, ...result.progress } : item);
+        this.renderLinks();
+    } catch (error) {
+        // Progress is best effort; the next report carries the furthest point again
+    }
+}
+
 closeLinkViewer() {
+    // Keep a note typed into the viewer even if it is closed without pressing Save
+    this.saveViewerNote();
     const modal = document.getElementById('linkViewerModal');
     const iframe = document.getElementById('linkViewerIframe');
     if (modal) {
@@ -3762,6 +7321,7 @@ closeLinkViewer() {
         this.linkViewerTimeout = null;
     }
     this.linkViewerUrl = '';
+    this.linkViewerLinkId = null;
 }
 
 openLinkExternal() {
@@ -4001,6 +7561,13 @@ getTimeAgo(date) {
     }
 }
 
+// "40% read · 6 min" for a card's progress bar
+describeReadingProgress(link) {
+    const parts = [Math.round(link.readProgress * 100) + '% read'];
+    if (link.readSeconds >= 60) parts.push(Math.round(link.readSeconds / 60) + ' min');
+    return parts.join(' · ');
+}
+
 escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
@@ -4253,6 +7820,12 @@ function getLandingHTML() {
                                                                                                                                             class="w-full px-5 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-[#D2622A]/20 focus:border-[#D2622A] transition-all bg-gray-50 placeholder-gray-400"
                                                                                                                                             placeholder="Enter your password" required>
                                                                                                                                     </div>
+                                                                                                                                    <div id="modalTotpField" class="hidden">
+                                                                                                                                        <label class="block text-sm font-medium text-gray-700 mb-1.5 ml-1">Two-factor code</label>
+                                                                                                                                        <input type="text" id="modalTotpCode" inputmode="numeric"
+                                                                                                                                            class="w-full px-5 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-[#D2622A]/20 focus:border-[#D2622A] transition-all bg-gray-50 placeholder-gray-400"
+                                                                                                                                            placeholder="6-digit code or a recovery code" autocomplete="one-time-code">
+                                                                                                                                    </div>
                                                                                                                                 </div>
 
                                                                                                                                 <div id="authError" class="hidden mt-4 text-center text-red-500 text-sm"></div>
@@ -4261,6 +7834,11 @@ function getLandingHTML() {
                                                                                                                                     class="w-full mt-8 bg-[#1C1917] text-white py-3.5 rounded-xl font-medium hover:bg-[#D2622A] transition-all duration-300 shadow-lg shadow-orange-500/20">
                                                                                                                                     <span id="modalSubmitText">Sign In</span>
                                                                                                                                 </button>
+
+                                                                                                                                <button type="button" id="passkeySignInBtn" onclick="handlePasskeySignIn()"
+                                                                                                                                    class="w-full mt-3 py-3 rounded-xl border border-gray-200 text-[#1C1917] font-medium hover:border-[#D2622A] transition-all">
+                                                                                                                                    Sign in with a passkey
+                                                                                                                                </button>
                                                                                                                             </form>
 
                                                                                                                             <div class="mt-8 text-center text-sm text-gray-500">
@@ -4280,7 +7858,7 @@ function getLandingHTML() {
                                                                                                                         <div id="modalResetContainer" class="hidden">
                                                                                                                             <div class="text-center mb-8">
                                                                                                                                 <h2 class="text-3xl font-serif text-[#1C1917] mb-3">Reset Password</h2>
-                                                                                                                                <p class="text-gray-500">Enter your username and new password</p>
+                                                                                                                                <p id="resetSubtitle" class="text-gray-500">Enter your username and new password</p>
                                                                                                                             </div>
 
                                                                                                                             <form id="modalResetForm" onsubmit="handleResetSubmit(event)">
@@ -4291,12 +7869,24 @@ function getLandingHTML() {
                                                                                                                                             class="w-full px-5 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-[#D2622A]/20 focus:border-[#D2622A] transition-all bg-gray-50 placeholder-gray-400"
                                                                                                                                             placeholder="Enter your username" required>
                                                                                                                                     </div>
-                                                                                                                                    <div>
+                                                                                                                                    <div id="currentPasswordField">
                                                                                                                                         <label class="block text-sm font-medium text-gray-700 mb-1.5 ml-1">Current Password</label>
                                                                                                                                         <input type="password" id="currentPassword"
                                                                                                                                             class="w-full px-5 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-[#D2622A]/20 focus:border-[#D2622A] transition-all bg-gray-50 placeholder-gray-400"
                                                                                                                                             placeholder="Enter current password" required>
                                                                                                                                     </div>
+                                                                                                                                    <div id="recoveryCodeField" class="hidden">
+                                                                                                                                        <label class="block text-sm font-medium text-gray-700 mb-1.5 ml-1">Recovery Code</label>
+                                                                                                                                        <input type="text" id="recoveryCode"
+                                                                                                                                            class="w-full px-5 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-[#D2622A]/20 focus:border-[#D2622A] transition-all bg-gray-50 placeholder-gray-400"
+                                                                                                                                            placeholder="XXXXX-XXXXX" autocomplete="off">
+                                                                                                                                    </div>
+                                                                                                                                    <div id="resetTotpField" class="hidden">
+                                                                                                                                        <label class="block text-sm font-medium text-gray-700 mb-1.5 ml-1">Two-factor code</label>
+                                                                                                                                        <input type="text" id="resetTotpCode" inputmode="numeric"
+                                                                                                                                            class="w-full px-5 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-[#D2622A]/20 focus:border-[#D2622A] transition-all bg-gray-50 placeholder-gray-400"
+                                                                                                                                            placeholder="6-digit code or a recovery code" autocomplete="one-time-code">
+                                                                                                                                    </div>
                                                                                                                                     <div>
                                                                                                                                         <label class="block text-sm font-medium text-gray-700 mb-1.5 ml-1">New Password</label>
                                                                                                                                         <input type="password" id="newPassword"
@@ -4311,6 +7901,8 @@ function getLandingHTML() {
                                                                                                                                     </div>
                                                                                                                                 </div>
 
+                                                                                                                                <button type="button" id="recoveryToggle" onclick="toggleRecoveryReset()" class="mt-3 ml-1 text-sm text-[#D2622A] hover:underline decoration-2 underline-offset-2">Forgot your current password? Use a recovery code</button>
+
                                                                                                                                 <div id="resetError" class="hidden mt-4 text-center text-red-500 text-sm"></div>
                                                                                                                                 <div id="resetSuccess" class="hidden mt-4 text-center text-green-600 text-sm"></div>
 
@@ -4326,6 +7918,24 @@ function getLandingHTML() {
                                                                                                                                 </button>
                                                                                                                             </div>
                                                                                                                         </div>
+
+                                                                                                                        <!-- Recovery Codes Container (shown once after sign-up) -->
+                                                                                                                        <div id="modalRecoveryCodesContainer" class="hidden">
+                                                                                                                            <div class="text-center mb-8">
+                                                                                                                                <h2 class="text-3xl font-serif text-[#1C1917] mb-3">Save your recovery codes</h2>
+                                                                                                                                <p class="text-gray-500">If you ever forget your password, each code can reset it once. Store them somewhere safe; they won't be shown again.</p>
+                                                                                                                            </div>
+
+                                                                                                                            <div id="recoveryCodesGrid" class="grid grid-cols-2 gap-2 p-4 rounded-xl border border-dashed border-gray-300 bg-gray-50 font-mono text-sm font-semibold text-[#1C1917] text-center select-all"></div>
+
+                                                                                                                            <button onclick="copyRecoveryCodes()" id="copyRecoveryCodesBtn" class="w-full mt-4 py-3 rounded-xl border border-gray-200 text-[#1C1917] font-medium hover:border-[#D2622A] transition-all">
+                                                                                                                                Copy codes
+                                                                                                                            </button>
+                                                                                                                            <button onclick="window.location.href = '/home'"
+                                                                                                                                class="w-full mt-3 bg-[#1C1917] text-white py-3.5 rounded-xl font-medium hover:bg-[#D2622A] transition-all duration-300 shadow-lg shadow-orange-500/20">
+                                                                                                                                I saved them, continue
+                                                                                                                            </button>
+                                                                                                                        </div>
                                                                                                                     </div>
                                                                                                                 </div>
                                                                                                             </div>
@@ -4491,6 +8101,10 @@ function getLandingHTML() {
                                                                                                                 updateAuthUI();
                                                                                                                 document.getElementById('modalAuthContainer').classList.remove('hidden');
                                                                                                                 document.getElementById('modalResetContainer').classList.add('hidden');
+                                                                                                                document.getElementById('modalRecoveryCodesContainer').classList.add('hidden');
+                                                                                                                document.getElementById('modalTotpField').classList.add('hidden');
+                                                                                                                document.getElementById('resetTotpField').classList.add('hidden');
+                                                                                                                if (useRecoveryCode) toggleRecoveryReset();
         }
 
                                                                                                                 function toggleAuthMode() {
@@ -4511,6 +8125,38 @@ function getLandingHTML() {
             }
         }
 
+                                                                                                                let useRecoveryCode = false;
+
+                                                                                                                function toggleRecoveryReset() {
+                                                                                                                    useRecoveryCode = !useRecoveryCode;
+                                                                                                                document.getElementById('currentPasswordField').classList.toggle('hidden', useRecoveryCode);
+                                                                                                                document.getElementById('recoveryCodeField').classList.toggle('hidden', !useRecoveryCode);
+                                                                                                                document.getElementById('currentPassword').required = !useRecoveryCode;
+                                                                                                                document.getElementById('recoveryCode').required = useRecoveryCode;
+                                                                                                                document.getElementById('recoveryToggle').textContent = useRecoveryCode ? 'Use your current password instead' : 'Forgot your current password? Use a recovery code';
+                                                                                                                document.getElementById('resetSubtitle').textContent = useRecoveryCode ? 'Enter your username, a recovery code and a new password' : 'Enter your username and new password';
+                                                                                                                document.getElementById('resetError').classList.add('hidden');
+        }
+
+                                                                                                                let recoveryCodes = [];
+
+                                                                                                                function showRecoveryCodes(codes) {
+                                                                                                                    recoveryCodes = codes;
+                                                                                                                document.getElementById('recoveryCodesGrid').innerHTML = codes.map(code => '<span>' + code + '</span>').join('');
+                                                                                                                document.getElementById('modalAuthContainer').classList.add('hidden');
+                                                                                                                document.getElementById('modalRecoveryCodesContainer').classList.remove('hidden');
+        }
+
+                                                                                                                async function copyRecoveryCodes() {
+                                                                                                                    const btn = document.getElementById('copyRecoveryCodesBtn');
+                                                                                                                try {
+                                                                                                                    await navigator.clipboard.writeText(recoveryCodes.join('\\n'));
+                                                                                                                    btn.textContent = 'Copied!';
+            } catch (error) {
+                                                                                                                    btn.textContent = 'Select the codes above to copy them';
+            }
+        }
+
                                                                                                                 function updateAuthUI() {
             const title = document.getElementById('modalTitle');
                                                                                                                 const subtitle = document.getElementById('modalSubtitle');
@@ -4518,6 +8164,7 @@ function getLandingHTML() {
                                                                                                                 const toggleText = document.getElementById('modalToggleText');
                                                                                                                 const toggleLink = document.getElementById('modalToggleLink');
                                                                                                                 const errorDiv = document.getElementById('authError');
+                                                                                                                const passkeyBtn = document.getElementById('passkeySignInBtn');
 
                                                                                                                 errorDiv.classList.add('hidden');
 
@@ -4527,12 +8174,14 @@ function getLandingHTML() {
                                                                                                                 submitText.textContent = 'Sign In';
                                                                                                                 toggleText.textContent = "Don't have an account?";
                                                                                                                 toggleLink.textContent = 'Join kurate';
+                                                                                                                passkeyBtn.classList.remove('hidden');
             } else {
                                                                                                                     title.textContent = 'Join kurate';
                                                                                                                 subtitle.textContent = '';
                                                                                                                 submitText.textContent = 'Join kurate';
                                                                                                                 toggleText.textContent = 'Already have an account?';
                                                                                                                 toggleLink.textContent = 'Sign in';
+                                                                                                                passkeyBtn.classList.add('hidden');
             }
         }
 
@@ -4540,6 +8189,7 @@ function getLandingHTML() {
                                                                                                                     e.preventDefault();
                                                                                                                 const username = document.getElementById('modalUsername').value;
                                                                                                                 const password = document.getElementById('modalPassword').value;
+                                                                                                                const totpCode = document.getElementById('modalTotpCode').value.trim();
                                                                                                                 const errorDiv = document.getElementById('authError');
 
                                                                                                                 errorDiv.classList.add('hidden');
@@ -4550,16 +8200,24 @@ function getLandingHTML() {
                 const response = await fetch(endpoint, {
                                                                                                                     method: 'POST',
                                                                                                                 headers: {'Content-Type': 'application/json' },
-                                                                                                                body: JSON.stringify({username, password})
+                                                                                                                body: JSON.stringify(totpCode ? {username, password, totpCode} : {username, password})
                 });
 
                                                                                                                 const data = await response.json();
 
                                                                                                                 if (data.success) {
                                                                                                                     localStorage.setItem('authToken', data.token);
+                                                                                                                if (data.recoveryCodes && data.recoveryCodes.length) {
+                                                                                                                showRecoveryCodes(data.recoveryCodes);
+                                                                                                                return;
+                    }
                                                                                                                 window.location.href = '/home';
                 } else {
-                                                                                                                    errorDiv.textContent = data.error || 'Authentication failed';
+                                                                                                                    if (data.totpRequired) {
+                                                                                                                document.getElementById('modalTotpField').classList.remove('hidden');
+                                                                                                                document.getElementById('modalTotpCode').focus();
+                    }
+                                                                                                                errorDiv.textContent = data.error || 'Authentication failed';
                                                                                                                 errorDiv.classList.remove('hidden');
                 }
             } catch (error) {
@@ -4568,10 +8226,80 @@ function getLandingHTML() {
             }
         }
 
+                                                                                                                function base64UrlToBuffer(value) {
+                                                                                                                    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+                                                                                                                const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+                                                                                                                return Uint8Array.from(binary, char => char.charCodeAt(0)).buffer;
+        }
+
+                                                                                                                function bufferToBase64Url(buffer) {
+                                                                                                                    const binary = String.fromCharCode(...new Uint8Array(buffer));
+                                                                                                                return btoa(binary).replace(/\\+/g, '-').replace(/\\//g, '_').replace(/=+$/, '');
+        }
+
+                                                                                                                async function handlePasskeySignIn() {
+                                                                                                                    const errorDiv = document.getElementById('authError');
+                                                                                                                errorDiv.classList.add('hidden');
+
+                                                                                                                if (!window.PublicKeyCredential) {
+                                                                                                                    errorDiv.textContent = 'This browser does not support passkeys. Sign in with your password instead.';
+                                                                                                                errorDiv.classList.remove('hidden');
+                                                                                                                return;
+            }
+
+                                                                                                                try {
+                const optionsResponse = await fetch('/api/auth/passkeys/challenge', {method: 'POST' });
+                                                                                                                const options = await optionsResponse.json();
+                                                                                                                if (!options.success) {
+                                                                                                                throw new Error(options.error);
+                }
+
+                                                                                                                const credential = await navigator.credentials.get({
+                                                                                                                    publicKey: {...options.publicKey, challenge: base64UrlToBuffer(options.publicKey.challenge) }
+                });
+
+                                                                                                                const response = await fetch('/api/auth/login', {
+                                                                                                                    method: 'POST',
+                                                                                                                headers: {'Content-Type': 'application/json' },
+                                                                                                                body: JSON.stringify({
+                                                                                                                passkey: {
+                                                                                                                challengeId: options.challengeId,
+                                                                                                                credential: {
+                                                                                                                id: credential.id,
+                                                                                                                type: credential.type,
+                                                                                                                response: {
+                                                                                                                clientDataJSON: bufferToBase64Url(credential.response.clientDataJSON),
+                                                                                                                authenticatorData: bufferToBase64Url(credential.response.authenticatorData),
+                                                                                                                signature: bufferToBase64Url(credential.response.signature)
+                            }
+                        }
+                    }
+                })
+                });
+
+                                                                                                                const data = await response.json();
+
+                                                                                                                if (data.success) {
+                                                                                                                    localStorage.setItem('authToken', data.token);
+                                                                                                                window.location.href = '/home';
+                } else {
+                                                                                                                    errorDiv.textContent = data.error || 'Passkey sign-in failed';
+                                                                                                                errorDiv.classList.remove('hidden');
+                }
+            } catch (error) {
+                                                                                                                    // NotAllowedError means the browser prompt was cancelled or timed out
+                                                                                                                if (error.name === 'NotAllowedError') return;
+                                                                                                                errorDiv.textContent = 'Passkey sign-in failed. Please try again or use your password.';
+                                                                                                                errorDiv.classList.remove('hidden');
+            }
+        }
+
                                                                                                                 async function handleResetSubmit(e) {
                                                                                                                     e.preventDefault();
                                                                                                                 const username = document.getElementById('resetUsername').value;
                                                                                                                 const currentPassword = document.getElementById('currentPassword').value;
+                                                                                                                const recoveryCode = document.getElementById('recoveryCode').value;
+                                                                                                                const resetTotpCode = document.getElementById('resetTotpCode').value.trim();
                                                                                                                 const newPassword = document.getElementById('newPassword').value;
                                                                                                                 const confirmPassword = document.getElementById('confirmPassword').value;
                                                                                                                 const errorDiv = document.getElementById('resetError');
@@ -4580,12 +8308,18 @@ function getLandingHTML() {
                                                                                                                 errorDiv.classList.add('hidden');
                                                                                                                 successDiv.classList.add('hidden');
 
-                                                                                                                if (!currentPassword) {
+                                                                                                                if (!useRecoveryCode && !currentPassword) {
                                                                                                                     errorDiv.textContent = "Current password is required";
                                                                                                                 errorDiv.classList.remove('hidden');
                                                                                                                 return;
             }
 
+                                                                                                                if (useRecoveryCode && !recoveryCode) {
+                                                                                                                    errorDiv.textContent = "Recovery code is required";
+                                                                                                                errorDiv.classList.remove('hidden');
+                                                                                                                return;
+            }
+
                                                                                                                 if (newPassword !== confirmPassword) {
                                                                                                                     errorDiv.textContent = "Passwords don't match";
                                                                                                                 errorDiv.classList.remove('hidden');
@@ -4593,16 +8327,27 @@ function getLandingHTML() {
             }
 
                                                                                                                 try {
-                const response = await fetch('/api/auth/reset-password', {
+                const response = await fetch(useRecoveryCode ? '/api/auth/recover' : '/api/auth/reset-password', {
                                                                                                                     method: 'POST',
                                                                                                                 headers: {'Content-Type': 'application/json' },
-                                                                                                                body: JSON.stringify({username, currentPassword, newPassword})
+                                                                                                                body: JSON.stringify(useRecoveryCode ? {username, recoveryCode, newPassword} : {username, currentPassword, newPassword, totpCode: resetTotpCode || undefined})
                 });
 
                                                                                                                 const data = await response.json();
 
-                                                                                                                if (data.success) {
-                                                                                                                    successDiv.textContent = 'Password reset successfully. You can now sign in.';
+                                                                                                                if (data.success && useRecoveryCode && data.token) {
+                                                                                                                    // Recovery signs the user straight in; remind them how many codes are left
+                                                                                                                localStorage.setItem('authToken', data.token);
+                                                                                                                successDiv.textContent = 'Password reset. You have ' + data.remainingRecoveryCodes + ' recovery codes left.';
+                                                                                                                successDiv.classList.remove('hidden');
+                    setTimeout(() => {
+                                                                                                                    window.location.href = '/home';
+                    }, 2000);
+                } else if (data.success) {
+                                                                                                                    // Two-factor accounts aren't signed in by a recovery code; they sign in with the new password
+                                                                                                                    successDiv.textContent = useRecoveryCode
+                                                                                                                        ? data.message + ' You have ' + data.remainingRecoveryCodes + ' recovery codes left.'
+                                                                                                                        : 'Password reset successfully. You can now sign in.';
                                                                                                                 successDiv.classList.remove('hidden');
                                                                                                                 document.getElementById('modalResetForm').reset();
                     setTimeout(() => {
@@ -4611,7 +8356,11 @@ function getLandingHTML() {
                                                                                                                 updateAuthUI();
                     }, 2000);
                 } else {
-                                                                                                                    errorDiv.textContent = data.error || 'Reset failed';
+                                                                                                                    if (data.totpRequired) {
+                                                                                                                document.getElementById('resetTotpField').classList.remove('hidden');
+                                                                                                                document.getElementById('resetTotpCode').focus();
+                    }
+                                                                                                                errorDiv.textContent = data.error || 'Reset failed';
                                                                                                                 errorDiv.classList.remove('hidden');
                 }
             } catch (error) {
@@ -4791,6 +8540,12 @@ function getMobileLandingHTML() {
             box-shadow: 0 4px 8px rgba(210, 98, 42, 0.2);
         }
         .m-btn:active { opacity: 0.9; transform: scale(0.99); }
+        .m-btn-secondary {
+            background: var(--white);
+            color: var(--text-primary);
+            border: 1px solid var(--border);
+            box-shadow: none;
+        }
         .m-footer {
             margin-top: 24px;
             text-align: center;
@@ -4856,6 +8611,31 @@ function getMobileLandingHTML() {
             margin-top: 32px;
             text-align: center;
         }
+        .m-recovery-toggle {
+            display: block;
+            margin: -8px 0 16px 4px;
+            color: var(--primary);
+            font-size: 13px;
+            font-weight: 600;
+            background: none;
+            border: none;
+            font-family: inherit;
+            cursor: pointer;
+        }
+        .m-code-grid {
+            display: grid;
+            grid-template-columns: 1fr 1fr;
+            gap: 8px;
+            padding: 16px;
+            border: 1px dashed var(--border);
+            border-radius: 16px;
+            background: var(--white);
+            font-family: ui-monospace, Menlo, monospace;
+            font-size: 15px;
+            font-weight: 600;
+            text-align: center;
+            user-select: all;
+        }
     </style>
 </head>
 <body>
@@ -4883,8 +8663,13 @@ function getMobileLandingHTML() {
                     <label class="m-label">Password</label>
                     <input type="password" id="authPassword" class="m-input" placeholder="Enter your password" required>
                 </div>
+                <div class="m-form-group" id="authTotpGroup" style="display:none;">
+                    <label class="m-label">Two-factor code</label>
+                    <input type="text" id="authTotpCode" class="m-input" placeholder="6-digit code or a recovery code" inputmode="numeric" autocomplete="one-time-code">
+                </div>
                 <div id="authError" class="m-error"></div>
                 <button type="submit" class="m-btn" id="authBtn">Start Curating</button>
+                <button type="button" class="m-btn m-btn-secondary" id="passkeyBtn" onclick="handlePasskeySignIn()">Sign in with a passkey</button>
             </form>
             <div class="m-footer">
                 <div class="m-footer-text">
@@ -4903,16 +8688,25 @@ function getMobileLandingHTML() {
                 <span class="m-logo-text">kurate</span>
             </div>
             <h2 class="m-reset-title">Secure your account</h2>
-            <p class="m-reset-subtitle">Enter your details below to reset your password.</p>
+            <p class="m-reset-subtitle" id="resetSubtitle">Enter your details below to reset your password.</p>
             <form id="resetForm" onsubmit="handleReset(event)">
                 <div class="m-form-group">
                     <label class="m-label">Username</label>
                     <input type="text" id="resetUsername" class="m-input" placeholder="Enter your username" required autocomplete="off">
                 </div>
-                <div class="m-form-group">
+                <div class="m-form-group" id="resetCurrentPwGroup">
                     <label class="m-label">Current Password</label>
                     <input type="password" id="resetCurrentPw" class="m-input" placeholder="Enter current password" required>
                 </div>
+                <div class="m-form-group" id="resetRecoveryGroup" style="display:none;">
+                    <label class="m-label">Recovery Code</label>
+                    <input type="text" id="resetRecoveryCode" class="m-input" placeholder="XXXXX-XXXXX" autocomplete="off" autocapitalize="characters">
+                </div>
+                <div class="m-form-group" id="resetTotpGroup" style="display:none;">
+                    <label class="m-label">Two-factor code</label>
+                    <input type="text" id="resetTotpCode" class="m-input" placeholder="6-digit code or a recovery code" inputmode="numeric" autocomplete="one-time-code">
+                </div>
+                <button type="button" class="m-recovery-toggle" id="recoveryToggle" onclick="toggleRecovery()">Forgot your password? Use a recovery code</button>
                 <div class="m-form-group">
                     <label class="m-label">New Password</label>
                     <input type="password" id="resetNewPw" class="m-input" placeholder="Min 6 characters" required>
@@ -4931,6 +8725,19 @@ function getMobileLandingHTML() {
             </div>
         </div>
     </div>
+    <!-- Recovery Codes View (shown once after sign-up) -->
+    <div id="recoveryView" class="m-view">
+        <div class="m-container" style="padding-top:48px;">
+            <div class="m-logo" style="justify-content:center;">
+                <div class="m-logo-icon">K</div>
+                <span class="m-logo-text">kurate</span>
+            </div>
+            <h2 class="m-reset-title">Save your recovery codes</h2>
+            <p class="m-reset-subtitle">If you ever forget your password, each code can reset it once. Store them somewhere safe; they won't be shown again.</p>
+            <div id="recoveryCodesGrid" class="m-code-grid"></div>
+            <button class="m-btn" style="margin-top:24px;" onclick="window.location.href = '/home'">I saved them, continue</button>
+        </div>
+    </div>
     <script>
     let isLogin = true;
     function toggleMode() {
@@ -4939,6 +8746,7 @@ function getMobileLandingHTML() {
         document.getElementById('toggleText').textContent = isLogin ? "Don't have an account?" : 'Already have an account?';
         document.getElementById('toggleLink').textContent = isLogin ? 'Join kurate' : 'Sign In';
         document.getElementById('forgotBtn').style.display = isLogin ? '' : 'none';
+        document.getElementById('passkeyBtn').style.display = isLogin ? '' : 'none';
         document.getElementById('authError').className = 'm-error';
     }
     function showReset() {
@@ -4949,29 +8757,110 @@ function getMobileLandingHTML() {
         document.getElementById('resetView').className = 'm-view';
         document.getElementById('authView').className = 'm-view active';
     }
-    async function handleAuth(e) {
-        e.preventDefault();
-        const username = document.getElementById('authUsername').value;
-        const password = document.getElementById('authPassword').value;
+    let useRecoveryCode = false;
+    function toggleRecovery() {
+        useRecoveryCode = !useRecoveryCode;
+        document.getElementById('resetCurrentPwGroup').style.display = useRecoveryCode ? 'none' : '';
+        document.getElementById('resetRecoveryGroup').style.display = useRecoveryCode ? '' : 'none';
+        document.getElementById('resetCurrentPw').required = !useRecoveryCode;
+        document.getElementById('resetRecoveryCode').required = useRecoveryCode;
+        document.getElementById('recoveryToggle').textContent = useRecoveryCode ? 'Use your current password instead' : 'Forgot your password? Use a recovery code';
+        document.getElementById('resetSubtitle').textContent = useRecoveryCode ? 'Enter a recovery code to set a new password.' : 'Enter your details below to reset your password.';
+    }
+    function showRecoveryCodes(codes) {
+        document.getElementById('recoveryCodesGrid').innerHTML = codes.map(code => '<span>' + code + '</span>').join('');
+        document.getElementById('authView').className = 'm-view';
+        document.getElementById('recoveryView').className = 'm-view active';
+    }
+    async function handleAuth(e) {
+        e.preventDefault();
+        const username = document.getElementById('authUsername').value;
+        const password = document.getElementById('authPassword').value;
+        const totpCode = document.getElementById('authTotpCode').value.trim();
+        const errDiv = document.getElementById('authError');
+        errDiv.className = 'm-error';
+        const endpoint = isLogin ? '/api/auth/login' : '/api/auth/register';
+        try {
+            const res = await fetch(endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(totpCode ? { username, password, totpCode } : { username, password })
+            });
+            const data = await res.json();
+            if (data.success) {
+                localStorage.setItem('authToken', data.token);
+                if (data.recoveryCodes && data.recoveryCodes.length) {
+                    showRecoveryCodes(data.recoveryCodes);
+                    return;
+                }
+                window.location.href = '/home';
+            } else {
+                if (data.totpRequired) {
+                    document.getElementById('authTotpGroup').style.display = '';
+                    document.getElementById('authTotpCode').focus();
+                }
+                errDiv.textContent = data.error || 'Authentication failed';
+                errDiv.className = 'm-error visible';
+            }
+        } catch (err) {
+            errDiv.textContent = 'An error occurred. Please try again.';
+            errDiv.className = 'm-error visible';
+        }
+    }
+    function base64UrlToBuffer(value) {
+        const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+        return Uint8Array.from(binary, char => char.charCodeAt(0)).buffer;
+    }
+    function bufferToBase64Url(buffer) {
+        const binary = String.fromCharCode(...new Uint8Array(buffer));
+        return btoa(binary).replace(/\\+/g, '-').replace(/\\//g, '_').replace(/=+$/, '');
+    }
+    async function handlePasskeySignIn() {
         const errDiv = document.getElementById('authError');
         errDiv.className = 'm-error';
-        const endpoint = isLogin ? '/api/auth/login' : '/api/auth/register';
+        if (!window.PublicKeyCredential) {
+            errDiv.textContent = 'This browser does not support passkeys. Sign in with your password instead.';
+            errDiv.className = 'm-error visible';
+            return;
+        }
         try {
-            const res = await fetch(endpoint, {
+            const optionsRes = await fetch('/api/auth/passkeys/challenge', { method: 'POST' });
+            const options = await optionsRes.json();
+            if (!options.success) throw new Error(options.error);
+            const credential = await navigator.credentials.get({
+                publicKey: { ...options.publicKey, challenge: base64UrlToBuffer(options.publicKey.challenge) }
+            });
+            const res = await fetch('/api/auth/login', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ username, password })
+                body: JSON.stringify({
+                    passkey: {
+                        challengeId: options.challengeId,
+                        credential: {
+                            id: credential.id,
+                            type: credential.type,
+                            response: {
+                                clientDataJSON: bufferToBase64Url(credential.response.clientDataJSON),
+                                authenticatorData: bufferToBase64Url(credential.response.authenticatorData),
+                                signature: bufferToBase64Url(credential.response.signature)
+                            }
+                        }
+                    }
+                })
             });
             const data = await res.json();
             if (data.success) {
                 localStorage.setItem('authToken', data.token);
                 window.location.href = '/home';
             } else {
-                errDiv.textContent = data.error || 'Authentication failed';
+                errDiv.textContent = data.error || 'Passkey sign-in failed';
                 errDiv.className = 'm-error visible';
             }
         } catch (err) {
-            errDiv.textContent = 'An error occurred. Please try again.';
+            // NotAllowedError means the browser prompt was cancelled or timed out
+            if (err.name === 'NotAllowedError') return;
+            errDiv.textContent = 'Passkey sign-in failed. Please try again or use your password.';
             errDiv.className = 'm-error visible';
         }
     }
@@ -4979,35 +8868,54 @@ function getMobileLandingHTML() {
         e.preventDefault();
         const username = document.getElementById('resetUsername').value;
         const currentPassword = document.getElementById('resetCurrentPw').value;
+        const recoveryCode = document.getElementById('resetRecoveryCode').value;
+        const totpCode = document.getElementById('resetTotpCode').value.trim();
         const newPassword = document.getElementById('resetNewPw').value;
         const confirmPassword = document.getElementById('resetConfirmPw').value;
         const errDiv = document.getElementById('resetError');
         const successDiv = document.getElementById('resetSuccess');
         errDiv.className = 'm-error';
         successDiv.className = 'm-success';
-        if (!currentPassword) {
+        if (!useRecoveryCode && !currentPassword) {
             errDiv.textContent = 'Current password is required';
             errDiv.className = 'm-error visible';
             return;
         }
+        if (useRecoveryCode && !recoveryCode) {
+            errDiv.textContent = 'Recovery code is required';
+            errDiv.className = 'm-error visible';
+            return;
+        }
         if (newPassword !== confirmPassword) {
             errDiv.textContent = "Passwords don't match";
             errDiv.className = 'm-error visible';
             return;
         }
         try {
-            const res = await fetch('/api/auth/reset-password', {
+            const res = await fetch(useRecoveryCode ? '/api/auth/recover' : '/api/auth/reset-password', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ username, currentPassword, newPassword })
+                body: JSON.stringify(useRecoveryCode ? { username, recoveryCode, newPassword } : { username, currentPassword, newPassword, totpCode: totpCode || undefined })
             });
             const data = await res.json();
-            if (data.success) {
-                successDiv.textContent = 'Password reset successfully!';
+            if (data.success && useRecoveryCode && data.token) {
+                localStorage.setItem('authToken', data.token);
+                successDiv.textContent = 'Password reset. You have ' + data.remainingRecoveryCodes + ' recovery codes left.';
+                successDiv.className = 'm-success visible';
+                setTimeout(() => { window.location.href = '/home'; }, 2000);
+            } else if (data.success) {
+                // Two-factor accounts aren't signed in by a recovery code; they sign in with the new password
+                successDiv.textContent = useRecoveryCode
+                    ? data.message + ' You have ' + data.remainingRecoveryCodes + ' recovery codes left.'
+                    : 'Password reset successfully!';
                 successDiv.className = 'm-success visible';
                 document.getElementById('resetForm').reset();
                 setTimeout(() => { showAuth(); isLogin = true; toggleMode(); toggleMode(); }, 2000);
             } else {
+                if (data.totpRequired) {
+                    document.getElementById('resetTotpGroup').style.display = '';
+                    document.getElementById('resetTotpCode').focus();
+                }
                 errDiv.textContent = data.error || 'Reset failed';
                 errDiv.className = 'm-error visible';
             }
@@ -5032,7 +8940,6 @@ function getMobileIndexHTML() {
     <meta name="apple-mobile-web-app-status-bar-style" content="default">
     <title>kurate - for the curious</title>
     <link rel="icon" type="image/png" href="/favicon.png?v=2">
-    <script src="https://cdn.jsdelivr.net/npm/fuse.js@7.0.0"></script>
     <link rel="preconnect" href="https://fonts.googleapis.com">
     <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
     <link href="https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&display=swap" rel="stylesheet">
@@ -5090,23 +8997,37 @@ function getMobileIndexHTML() {
                     <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"/></svg>
                     Favorites
                 </button>
+                <button id="trashTab" class="m-tab">
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="3 6 5 6 21 6"/><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/></svg>
+                    Trash
+                </button>
             </div>
 
             <!-- Categories Label -->
             <div class="m-section-label">CATEGORIES</div>
 
-            <!-- Category Pills -->
+            <!-- Category Pills (built from /api/links/categories by renderCategories) -->
             <div class="m-categories-scroll">
                 <nav class="m-categories" id="categoryNav">
                     <button class="m-category-pill active" data-category="all">All</button>
-                    <button class="m-category-pill" data-category="Sports">Sports</button>
-                    <button class="m-category-pill" data-category="Entertainment">Entertainment</button>
-                    <button class="m-category-pill" data-category="Business">Business</button>
-                    <button class="m-category-pill" data-category="Technology">Technology</button>
-                    <button class="m-category-pill" data-category="Education">Education</button>
-                    <button class="m-category-pill" data-category="Other">Other</button>
                 </nav>
             </div>
+
+            <!-- Collection Pills (built from /api/links/collections by renderCollectionPills) -->
+            <div id="collectionSection" hidden>
+                <div class="m-section-label">COLLECTIONS</div>
+                <div class="m-categories-scroll">
+                    <nav class="m-categories" id="collectionNav"></nav>
+                </div>
+            </div>
+
+            <!-- Tag Pills (built from the loaded links by renderTagPills) -->
+            <div id="tagSection" hidden>
+                <div class="m-section-label">TAGS</div>
+                <div class="m-categories-scroll">
+                    <nav class="m-categories" id="tagNav"></nav>
+                </div>
+            </div>
         </div>
 
         <!-- Card Grid -->
@@ -5114,6 +9035,7 @@ function getMobileIndexHTML() {
             <div id="links" class="m-card-grid">
                 <div class="m-empty-state">Loading links...</div>
             </div>
+            <div id="linksSentinel" class="m-links-sentinel"></div>
         </div>
 
         <!-- FABs -->
@@ -5141,14 +9063,7 @@ function getMobileIndexHTML() {
                     </div>
                     <div class="m-add-group">
                         <label class="m-add-label">CATEGORY</label>
-                        <div class="m-add-categories" id="mobileCatGrid">
-                            <button type="button" class="m-add-cat-btn" data-value="Sports">Sports</button>
-                            <button type="button" class="m-add-cat-btn" data-value="Entertainment">Entertainment</button>
-                            <button type="button" class="m-add-cat-btn" data-value="Business">Business</button>
-                            <button type="button" class="m-add-cat-btn" data-value="Technology">Technology</button>
-                            <button type="button" class="m-add-cat-btn" data-value="Education">Education</button>
-                            <button type="button" class="m-add-cat-btn" data-value="Other">Other</button>
-                        </div>
+                        <div class="m-add-categories" id="mobileCatGrid"></div>
                         <input type="hidden" id="linkCategory" value="">
                     </div>
                     <button type="submit" class="m-add-submit">Curate</button>
@@ -5218,6 +9133,60 @@ function getMobileIndexHTML() {
                     <button id="resetPasswordBtn" class="profile-action-btn" onclick="window.app.handleProfilePasswordReset()">Reset</button>
                 </div>
             </div>
+            <div id="deviceAuthSection" class="profile-section">
+                <h3 class="profile-section-title">Connect a Device</h3>
+                <p class="profile-help-text">Enter the code shown in the Kurate browser extension or mobile app to sign it in without typing your password there.</p>
+                <p id="deviceAuthRequest" class="profile-help-text hidden"></p>
+                <input type="text" id="deviceUserCode" class="profile-input" placeholder="XXXX-XXXX" maxlength="9" autocomplete="off" autocapitalize="characters">
+                <div class="profile-btn-row">
+                    <button id="deviceDenyBtn" class="profile-link-btn hidden" onclick="window.app.respondToDeviceCode(false)">Deny</button>
+                    <button id="deviceApproveBtn" class="profile-action-btn hidden" onclick="window.app.respondToDeviceCode(true)">Approve</button>
+                    <button id="deviceLookupBtn" class="profile-action-btn" onclick="window.app.lookupDeviceCode()">Continue</button>
+                </div>
+            </div>
+            <div class="profile-section">
+                <h3 class="profile-section-title">Import Links</h3>
+                <p class="profile-help-text">Bring your links over from Pocket, Instapaper or Raindrop (their HTML or CSV export), a browser's bookmark file, or a plain list of URLs. Saved dates, read state and tags come along, folders become categories or tags, and links you already have are skipped.</p>
+                <select id="importFormat" class="profile-input" aria-label="File format">
+                    <option value="auto">Detect the format</option>
+                    <option value="bookmarks">Bookmark file (HTML)</option>
+                    <option value="pocket">Pocket</option>
+                    <option value="instapaper">Instapaper</option>
+                    <option value="raindrop">Raindrop</option>
+                    <option value="urls">List of URLs</option>
+                </select>
+                <input type="file" id="importFile" class="profile-input" accept=".html,.htm,.csv,.txt,text/html,text/csv,text/plain">
+                <div class="profile-btn-row">
+                    <button id="importLinksBtn" class="profile-action-btn" onclick="window.app.importLinksFile()">Import</button>
+                </div>
+                <div id="importResults" class="profile-import-results" hidden></div>
+            </div>
+            <div class="profile-section">
+                <h3 class="profile-section-title">Export Links</h3>
+                <p class="profile-help-text">Download your links as a bookmark file any browser can import, a spreadsheet (CSV), JSON, or Markdown grouped by category. Links in the trash are left out.</p>
+                <select id="exportStatus" class="profile-input" aria-label="Links to export">
+                    <option value="all">All links</option>
+                    <option value="unread">Unread</option>
+                    <option value="read">Read</option>
+                    <option value="favorites">Favorites</option>
+                </select>
+                <select id="exportCategory" class="profile-input" aria-label="Category to export">
+                    <option value="">All categories</option>
+                </select>
+                <div class="profile-btn-row profile-export-row">
+                    <button class="profile-action-btn" data-export-format="html" onclick="window.app.exportLinks('html')">Bookmarks</button>
+                    <button class="profile-action-btn" data-export-format="csv" onclick="window.app.exportLinks('csv')">CSV</button>
+                    <button class="profile-action-btn" data-export-format="json" onclick="window.app.exportLinks('json')">JSON</button>
+                    <button class="profile-action-btn" data-export-format="markdown" onclick="window.app.exportLinks('markdown')">Markdown</button>
+                </div>
+            </div>
+            <div class="profile-section">
+                <h3 class="profile-section-title">Your Data</h3>
+                <p class="profile-help-text">Download a JSON archive of your profile, every saved link, your sessions and API tokens, and your activity history.</p>
+                <div class="profile-btn-row">
+                    <button id="exportDataBtn" class="profile-action-btn" onclick="window.app.downloadAccountData()">Download my data</button>
+                </div>
+            </div>
             <div class="profile-section profile-danger-zone">
                 <h3 class="profile-section-title">Delete Account</h3>
                 <p class="profile-danger-text">Permanently delete your account and all your data. This action cannot be undone.</p>
@@ -5469,12 +9438,15 @@ body {
     background: #F3F4F6;
     color: var(--text-secondary);
 }
-.badge-Business { background: #FFEDD5; color: #9A3412; }
-.badge-Technology { background: #DBEAFE; color: #1E40AF; }
-.badge-Design { background: #FCE7F3; color: #9D174D; }
-.badge-Sports { background: #DCFCE7; color: #166534; }
-.badge-Education { background: #E0E7FF; color: #3730A3; }
-.badge-Entertainment { background: #FCE7F3; color: #9D174D; }
+.badge-red { background: #FEE2E2; color: #991B1B; }
+.badge-orange { background: #FFEDD5; color: #9A3412; }
+.badge-yellow { background: #FEF9C3; color: #854D0E; }
+.badge-green { background: #DCFCE7; color: #166534; }
+.badge-teal { background: #CCFBF1; color: #115E59; }
+.badge-blue { background: #DBEAFE; color: #1E40AF; }
+.badge-indigo { background: #E0E7FF; color: #3730A3; }
+.badge-purple { background: #F3E8FF; color: #6B21A8; }
+.badge-pink { background: #FCE7F3; color: #9D174D; }
 
 .star-btn {
     background: none; border: none;
@@ -5509,6 +9481,20 @@ body {
     white-space: nowrap;
     margin-bottom: 12px;
 }
+.card-snippet {
+    margin: -6px 0 12px;
+    font-size: 12px;
+    line-height: 1.5;
+    color: var(--text-secondary);
+    display: -webkit-box;
+    -webkit-line-clamp: 3;
+    -webkit-box-orient: vertical;
+    overflow: hidden;
+}
+.card-snippet mark { background: var(--primary-light); color: var(--text-primary); border-radius: 2px; }
+/* How far an unread link has been read in the desktop viewer */
+.card-progress { height: 3px; margin: -6px 0 12px; border-radius: 2px; background: var(--border-light); overflow: hidden; }
+.card-progress span { display: block; height: 100%; background: var(--primary); }
 
 .card-footer {
     display: flex;
@@ -5536,6 +9522,35 @@ body {
     cursor: pointer;
     padding: 2px;
 }
+.card-deleted-date { font-size: 11px; color: var(--text-secondary); }
+
+/* Trash */
+.m-trash-bar {
+    grid-column: 1 / -1;
+    display: flex;
+    align-items: center;
+    justify-content: space-between;
+    gap: 12px;
+    font-size: 12px;
+    color: var(--text-secondary);
+}
+.m-trash-empty {
+    flex-shrink: 0;
+    padding: 6px 10px;
+    border: 1px solid var(--border-light);
+    border-radius: 8px;
+    background: var(--white);
+    font-size: 12px;
+    font-weight: 600;
+    font-family: var(--font-sans);
+    color: #DC2626;
+    cursor: pointer;
+}
+
+/* Next page loads as this scrolls into view */
+.m-links-sentinel { height: 1px; }
+.m-links-sentinel.is-loading { height: auto; padding: 20px 0; text-align: center; font-size: 13px; color: var(--text-tertiary); }
+.m-links-sentinel.is-loading::after { content: 'Loading more...'; }
 
 /* Empty State */
 .m-empty-state, .empty-state {
@@ -5974,6 +9989,29 @@ body {
     font-weight: 600;
     cursor: pointer;
 }
+.profile-help-text {
+    font-size: 13px;
+    color: var(--text-secondary);
+    margin-bottom: 10px;
+    line-height: 1.5;
+}
+.profile-link-btn {
+    border: none;
+    background: none;
+    padding: 8px 16px;
+    font-size: 13px;
+    font-weight: 600;
+    color: var(--text-secondary);
+    cursor: pointer;
+}
+.profile-export-row { flex-wrap: wrap; justify-content: flex-start; gap: 8px; }
+.profile-export-row .profile-action-btn { padding: 8px 16px; }
+.profile-import-results { margin-top: 12px; font-size: 12px; color: var(--text-secondary); }
+.profile-import-row { padding: 4px 0; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+.profile-import-status { font-weight: 600; margin-right: 6px; }
+.profile-help-text.hidden,
+.profile-action-btn.hidden,
+.profile-link-btn.hidden { display: none; }
 .profile-danger-zone { border-bottom: none; }
 .profile-danger-text {
     font-size: 13px;
@@ -6011,6 +10049,16 @@ class LinksApp {
         this.currentTab = this.getInitialTab();
         this.searchQuery = '';
         this.categoryFilter = 'all';
+        this.tagFilter = null;
+        this.collectionFilter = null;
+        this.tags = [];
+        this.categories = [];
+        this.collections = [];
+        this.pageSize = 20;
+        this.nextCursor = null;
+        this.loadingMore = false;
+        this.linksRequestId = 0;
+        this.searchTimeout = null;
         this.selectedAddCategory = '';
         this.recommendedArticles = [];
         this.allRecommendedArticles = [];
@@ -6019,20 +10067,29 @@ class LinksApp {
 
     getInitialTab() {
         const hash = window.location.hash.replace('#', '');
-        const validTabs = ['unread', 'read', 'favorites'];
+        const validTabs = ['unread', 'read', 'favorites', 'trash'];
         return validTabs.includes(hash) ? hash : 'all';
     }
 
     init() {
+        // /device?code=... opened from the mobile app: keep the code across the sign-in redirect
+        if (window.location.pathname === '/device') {
+            localStorage.setItem('pendingDeviceCode', new URLSearchParams(window.location.search).get('code') || '');
+            window.history.replaceState({}, '', '/home');
+        }
+
         if (!this.token) {
             window.location.replace('/');
             return;
         }
         try {
-            const tokenData = JSON.parse(atob(this.token));
+            const tokenData = this.decodeToken(this.token);
             if (tokenData && tokenData.username) {
                 this.currentUser = { username: tokenData.username };
             }
+            if (tokenData.exp * 1000 - Date.now() < 24 * 60 * 60 * 1000) {
+                this.refreshToken();
+            }
         } catch (e) {
             localStorage.removeItem('authToken');
             window.location.replace('/');
@@ -6043,7 +10100,11 @@ class LinksApp {
         this.loadLinks();
         this.preloadRecommendedArticles();
 
-        if (localStorage.getItem('reopenProfile')) {
+        const pendingDeviceCode = localStorage.getItem('pendingDeviceCode');
+        if (pendingDeviceCode !== null) {
+            localStorage.removeItem('pendingDeviceCode');
+            setTimeout(() => this.openDeviceApproval(pendingDeviceCode), 300);
+        } else if (localStorage.getItem('reopenProfile')) {
             localStorage.removeItem('reopenProfile');
             setTimeout(() => this.openProfileModal(), 300);
         }
@@ -6080,6 +10141,7 @@ class LinksApp {
         document.getElementById('unreadTab').addEventListener('click', () => this.switchTab('unread'));
         document.getElementById('readTab').addEventListener('click', () => this.switchTab('read'));
         document.getElementById('favoritesTab').addEventListener('click', () => this.switchTab('favorites'));
+        document.getElementById('trashTab').addEventListener('click', () => this.switchTab('trash'));
 
         // Add Link Form
         document.getElementById('addLinkForm').addEventListener('submit', (e) => this.handleAddLink(e));
@@ -6088,8 +10150,11 @@ class LinksApp {
         const searchInput = document.getElementById('searchInput');
         if (searchInput) {
             searchInput.addEventListener('input', (e) => {
-                this.searchQuery = e.target.value.toLowerCase();
-                this.renderLinks();
+                clearTimeout(this.searchTimeout);
+                this.searchTimeout = setTimeout(() => {
+                    this.searchQuery = e.target.value.trim();
+                    this.loadLinks();
+                }, 250);
             });
         }
 
@@ -6099,14 +10164,50 @@ class LinksApp {
             categoryNav.addEventListener('click', (e) => {
                 const pill = e.target.closest('.m-category-pill');
                 if (pill) {
-                    document.querySelectorAll('.m-category-pill').forEach(p => p.classList.remove('active'));
+                    categoryNav.querySelectorAll('.m-category-pill').forEach(p => p.classList.remove('active'));
                     pill.classList.add('active');
                     this.categoryFilter = pill.dataset.category;
-                    this.renderLinks();
+                    this.loadLinks();
+                }
+            });
+        }
+
+        // Tag Nav: tapping the active tag again clears the filter
+        const tagNav = document.getElementById('tagNav');
+        if (tagNav) {
+            tagNav.addEventListener('click', (e) => {
+                const pill = e.target.closest('.m-category-pill');
+                if (pill) {
+                    const tag = pill.dataset.tag;
+                    this.tagFilter = this.tagFilter && this.tagFilter.toLowerCase() === tag.toLowerCase() ? null : tag;
+                    this.renderTagPills();
+                    this.loadLinks();
+                }
+            });
+        }
+
+        // Collection Nav: same as tags, one collection at a time
+        const collectionNav = document.getElementById('collectionNav');
+        if (collectionNav) {
+            collectionNav.addEventListener('click', (e) => {
+                const pill = e.target.closest('.m-category-pill');
+                if (pill) {
+                    this.collectionFilter = pill.dataset.id === this.collectionFilter ? null : pill.dataset.id;
+                    this.renderCollectionPills();
+                    this.loadLinks();
                 }
             });
         }
 
+        // Infinite scroll
+        const sentinel = document.getElementById('linksSentinel');
+        if (sentinel && 'IntersectionObserver' in window) {
+            this.linksObserver = new IntersectionObserver((entries) => {
+                if (entries.some(entry => entry.isIntersecting)) this.loadMoreLinks();
+            }, { rootMargin: '600px 0px' });
+            this.linksObserver.observe(sentinel);
+        }
+
         // Add Link Category Grid
         const catGrid = document.getElementById('mobileCatGrid');
         if (catGrid) {
@@ -6169,7 +10270,8 @@ class LinksApp {
         document.getElementById('unreadTab').classList.toggle('active', tab === 'unread');
         document.getElementById('readTab').classList.toggle('active', tab === 'read');
         document.getElementById('favoritesTab').classList.toggle('active', tab === 'favorites');
-        this.renderLinks();
+        document.getElementById('trashTab').classList.toggle('active', tab === 'trash');
+        this.loadLinks();
     }
 
     // Mobile Add View
@@ -6344,47 +10446,217 @@ class LinksApp {
         }
     }
 
+    // Filters and sorting run on the server, one page at a time; searches go to the full-text search endpoint.
+    // The trash comes back whole and is filtered in renderLinks.
+    getLinksPath(cursor) {
+        if (this.currentTab === 'trash') return '/links/trash';
+        const params = new URLSearchParams({ status: this.currentTab, limit: this.pageSize });
+        if (this.categoryFilter !== 'all') params.set('category', this.categoryFilter);
+        if (this.tagFilter) params.set('tag', this.tagFilter);
+        if (this.collectionFilter) {
+            params.set('collection', this.collectionFilter);
+            // A collection is shown in the order its links were arranged in
+            if (!this.searchQuery) params.set('sort', 'position');
+        }
+        if (this.searchQuery) params.set('q', this.searchQuery);
+        if (cursor) params.set('cursor', cursor);
+        return (this.searchQuery ? '/links/search?' : '/links?') + params.toString();
+    }
+
     async loadLinks(silent) {
+        const requestId = ++this.linksRequestId;
+        this.loadingMore = false;
+        this.loadTags();
+        this.loadCategories();
+        this.loadCollections();
         try {
-            const data = await this.apiRequest('/links');
+            const data = await this.apiRequest(this.getLinksPath());
+            if (requestId !== this.linksRequestId) return;
             if (data && data.links) {
                 this.links = data.links;
+                this.nextCursor = data.nextCursor || null;
                 this.renderLinks();
+                this.checkLinksSentinel();
             }
         } catch (e) {
             if (!silent) this.showStatus('Failed to load links', 'error');
         }
     }
 
-    renderLinks() {
-        const container = document.getElementById('links');
-        let linksToFilter = this.links;
-
-        if (this.searchQuery) {
-            if (window.Fuse) {
-                const fuse = new Fuse(linksToFilter, {
-                    keys: [{ name: 'title', weight: 0.7 }, { name: 'category', weight: 0.2 }, { name: 'url', weight: 0.1 }],
-                    threshold: 0.4, // 0 = exact, 1 = anything; 0.4 balances typo tolerance with relevance
-                    ignoreLocation: true
-                });
-                linksToFilter = fuse.search(this.searchQuery).map(r => r.item);
+    async loadMoreLinks() {
+        if (!this.nextCursor || this.loadingMore) return;
+        const requestId = this.linksRequestId;
+        const sentinel = document.getElementById('linksSentinel');
+        this.loadingMore = true;
+        sentinel.classList.add('is-loading');
+        try {
+            const data = await this.apiRequest(this.getLinksPath(this.nextCursor));
+            if (requestId !== this.linksRequestId) return;
+            if (data && data.links) {
+                const loadedIds = new Set(this.links.map(l => l.id));
+                this.links = this.links.concat(data.links.filter(l => !loadedIds.has(l.id)));
+                this.nextCursor = data.nextCursor || null;
+                this.renderLinks();
             } else {
-                const q = this.searchQuery;
-                linksToFilter = linksToFilter.filter(l =>
-                    (l.title || '').toLowerCase().includes(q) || (l.url || '').toLowerCase().includes(q)
-                );
+                this.nextCursor = null;
+            }
+        } catch (e) {
+            this.showStatus('Failed to load more links', 'error');
+        } finally {
+            if (requestId === this.linksRequestId) {
+                this.loadingMore = false;
+                sentinel.classList.remove('is-loading');
+                this.checkLinksSentinel();
+            }
+        }
+    }
+
+    // Observing again re-reports visibility, in case the sentinel is still on screen after a short page
+    checkLinksSentinel() {
+        const sentinel = document.getElementById('linksSentinel');
+        if (this.linksObserver && sentinel && this.nextCursor) {
+            this.linksObserver.unobserve(sentinel);
+            this.linksObserver.observe(sentinel);
+        }
+    }
+
+    async loadTags() {
+        try {
+            const data = await this.apiRequest('/links/tags');
+            if (!data || !data.success) return;
+            this.tags = data.tags || [];
+            if (this.tagFilter && !this.tags.some(t => t.name.toLowerCase() === this.tagFilter.toLowerCase())) {
+                this.tagFilter = null;
+                this.loadLinks(true);
+            }
+            this.renderTagPills();
+        } catch (e) {}
+    }
+
+    async loadCategories() {
+        try {
+            const data = await this.apiRequest('/links/categories');
+            if (!data || !data.success) return;
+            this.categories = data.categories || [];
+            if (this.categoryFilter !== 'all' && !this.findCategory(this.categoryFilter)) {
+                this.categoryFilter = 'all';
+                this.loadLinks(true);
+            }
+            this.renderCategories();
+            this.renderLinks();
+        } catch (e) {}
+    }
+
+    findCategory(name) {
+        const lowerName = (name || '').toLowerCase();
+        return this.categories.find(c => c.name.toLowerCase() === lowerName);
+    }
+
+    async loadCollections() {
+        try {
+            const data = await this.apiRequest('/links/collections');
+            if (!data || !data.success) return;
+            this.collections = data.collections || [];
+            if (this.collectionFilter && !this.collections.some(c => c.id === this.collectionFilter)) {
+                this.collectionFilter = null;
+                this.loadLinks(true);
             }
+            this.renderCollectionPills();
+        } catch (e) {}
+    }
+
+    // Pills, the add-link grid and the export filter; category names go in through the DOM
+    renderCategories() {
+        const categoryNav = document.getElementById('categoryNav');
+        if (categoryNav) {
+            const names = ['all'].concat(this.categories.map(c => c.name));
+            categoryNav.replaceChildren(...names.map(name => {
+                const pill = document.createElement('button');
+                pill.className = 'm-category-pill';
+                pill.classList.toggle('active', name.toLowerCase() === this.categoryFilter.toLowerCase());
+                pill.dataset.category = name;
+                pill.textContent = name === 'all' ? 'All' : name;
+                return pill;
+            }));
         }
 
-        const filtered = linksToFilter.filter(link => {
+        const catGrid = document.getElementById('mobileCatGrid');
+        if (catGrid) {
+            catGrid.replaceChildren(...this.categories.map(c => {
+                const btn = document.createElement('button');
+                btn.type = 'button';
+                btn.className = 'm-add-cat-btn';
+                btn.classList.toggle('active', c.name === this.selectedAddCategory);
+                btn.dataset.value = c.name;
+                btn.textContent = c.name;
+                return btn;
+            }));
+        }
+
+        const exportCategory = document.getElementById('exportCategory');
+        if (exportCategory) {
+            const value = exportCategory.value;
+            exportCategory.replaceChildren(exportCategory.options[0], ...this.categories.map(c => new Option(c.name, c.name)));
+            exportCategory.value = this.findCategory(value) ? this.findCategory(value).name : '';
+        }
+    }
+
+    renderCollectionPills() {
+        const section = document.getElementById('collectionSection');
+        const collectionNav = document.getElementById('collectionNav');
+        if (!section || !collectionNav) return;
+
+        section.hidden = this.collections.length === 0;
+        collectionNav.replaceChildren(...this.collections.map(c => {
+            const pill = document.createElement('button');
+            pill.className = 'm-category-pill';
+            pill.classList.toggle('active', c.id === this.collectionFilter);
+            pill.dataset.id = c.id;
+            pill.textContent = c.name;
+            return pill;
+        }));
+    }
+
+    renderTagPills() {
+        const section = document.getElementById('tagSection');
+        const tagNav = document.getElementById('tagNav');
+        if (!section || !tagNav) return;
+
+        const tags = this.tags.map(t => t.name);
+        section.hidden = tags.length === 0;
+        tagNav.replaceChildren(...tags.map(tag => {
+            const pill = document.createElement('button');
+            pill.className = 'm-category-pill';
+            pill.classList.toggle('active', !!this.tagFilter && this.tagFilter.toLowerCase() === tag.toLowerCase());
+            pill.dataset.tag = tag;
+            pill.textContent = '#' + tag;
+            return pill;
+        }));
+    }
+
+    renderLinks() {
+        const container = document.getElementById('links');
+
+        // Pages come filtered from the server; re-checking lets a link drop out as soon as it changes here
+        const filtered = this.links.filter(link => {
             let tabMatch = false;
             if (this.currentTab === 'all') tabMatch = true;
             else if (this.currentTab === 'read') tabMatch = link.isRead === 1;
             else if (this.currentTab === 'favorites') tabMatch = link.isFavorite === 1;
+            else if (this.currentTab === 'trash') tabMatch = !!link.deletedAt;
             else tabMatch = !link.isRead || link.isRead === 0;
             if (!tabMatch) return false;
             if (this.categoryFilter !== 'all') {
-                if ((link.category || 'general').toLowerCase() !== this.categoryFilter.toLowerCase()) return false;
+                if ((link.category || 'Other').toLowerCase() !== this.categoryFilter.toLowerCase()) return false;
+            }
+            if (this.tagFilter) {
+                const tag = this.tagFilter.toLowerCase();
+                if (!(link.tags || []).some(t => t.toLowerCase() === tag)) return false;
+            }
+            if (this.collectionFilter && !(link.collectionIds || []).includes(this.collectionFilter)) return false;
+            // The trash isn't part of the search index, so it is searched here
+            if (this.currentTab === 'trash' && this.searchQuery) {
+                if (!((link.title || '') + ' ' + link.url).toLowerCase().includes(this.searchQuery.toLowerCase())) return false;
             }
             return true;
         });
@@ -6394,38 +10666,68 @@ class LinksApp {
             if (this.currentTab === 'read') msg = 'No read links';
             else if (this.currentTab === 'favorites') msg = 'No favorites yet';
             else if (this.currentTab === 'unread') msg = 'All caught up!';
+            else if (this.currentTab === 'trash') msg = 'Trash is empty';
             container.innerHTML = '<div class="m-empty-state">' + msg + '</div>';
             return;
         }
 
-        const sorted = filtered.sort((a, b) => new Date(b.timestamp || b.dateAdded) - new Date(a.timestamp || a.dateAdded));
-        container.innerHTML = sorted.map(function(link) {
+        const trashBar = this.currentTab !== 'trash' ? '' :
+            '<div class="m-trash-bar"><span>Links in the trash are deleted for good after 30 days.</span>' +
+            '<button class="m-trash-empty" onclick="app.emptyTrash()">Empty trash</button></div>';
+
+        container.innerHTML = trashBar + filtered.map(function(link) {
             const domain = app.extractDomain(link.url);
             const isRead = link.isRead === 1;
-            const category = link.category || 'Other';
+            const category = app.findCategory(link.category);
             var q = "&#39;";
             var readBtn = !isRead
                 ? '<button class="mark-read-btn" onclick="app.markAsRead(' + q + link.id + q + ', true)"><svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="20 6 9 17 4 12"/></svg>Mark read</button>'
                 : '<button class="mark-read-btn is-read" onclick="app.markAsRead(' + q + link.id + q + ', false)"><svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="22 4 12 14.01 9 11.01"/></svg>Read</button>';
+            var actions = link.deletedAt
+                ? '<button class="icon-btn" onclick="app.restoreLink(' + q + link.id + q + ')" title="Restore">' +
+                      '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="1 4 1 10 7 10"/><path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10"/></svg>' +
+                  '</button>' +
+                  '<button class="icon-btn" onclick="app.purgeLink(' + q + link.id + q + ')" title="Delete forever">' +
+                      '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="3 6 5 6 21 6"/><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/><line x1="10" y1="11" x2="10" y2="17"/><line x1="14" y1="11" x2="14" y2="17"/></svg>' +
+                  '</button>'
+                : '<button class="icon-btn" onclick="app.deleteLink(' + q + link.id + q + ')">' +
+                      '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="3 6 5 6 21 6"/><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/></svg>' +
+                  '</button>';
+            if (link.deletedAt) {
+                readBtn = '<span class="card-deleted-date">Deleted ' + new Date(link.deletedAt.replace(' ', 'T') + 'Z').toLocaleDateString() + '</span>';
+            }
             return '<div class="link-card" data-id="' + link.id + '">' +
                 '<div class="card-top">' +
-                    '<span class="card-badge badge-' + category + '">' + category + '</span>' +
-                    '<button class="star-btn ' + (link.isFavorite ? 'active' : '') + '" onclick="app.toggleFavorite(' + q + link.id + q + ', ' + !link.isFavorite + ')">' + (link.isFavorite ? '★' : '☆') + '</button>' +
+                    '<span class="card-badge badge-' + (category ? category.color : 'gray') + '"></span>' +
+                    (link.deletedAt ? '' : '<button class="star-btn ' + (link.isFavorite ? 'active' : '') + '" onclick="app.toggleFavorite(' + q + link.id + q + ', ' + !link.isFavorite + ')">' + (link.isFavorite ? '★' : '☆') + '</button>') +
                 '</div>' +
                 '<div class="card-main">' +
                     '<h3 class="card-title"><a href="' + link.url + '" target="_blank">' + (link.title || domain) + '</a></h3>' +
                     '<div class="card-domain">' + domain + '</div>' +
+                    (link.snippet && link.snippet.length ? '<p class="card-snippet"></p>' : '') +
                 '</div>' +
+                (!isRead && !link.deletedAt && link.readProgress > 0 ? '<div class="card-progress" title="' + Math.round(link.readProgress * 100) + '% read"><span style="width: ' + Math.round(link.readProgress * 100) + '%"></span></div>' : '') +
                 '<div class="card-footer">' +
                     readBtn +
-                    '<div class="card-actions">' +
-                        '<button class="icon-btn" onclick="app.deleteLink(' + q + link.id + q + ')">' +
-                            '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="3 6 5 6 21 6"/><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/></svg>' +
-                        '</button>' +
-                    '</div>' +
+                    '<div class="card-actions">' + actions + '</div>' +
                 '</div>' +
             '</div>';
         }).join('');
+
+        // Categories are the user's own text and search snippets are page text, so both go in through the DOM
+        // rather than the markup above
+        container.querySelectorAll('.link-card').forEach(card => {
+            const link = this.links.find(l => l.id === card.dataset.id);
+            card.querySelector('.card-badge').textContent = link.category || 'Other';
+        });
+        container.querySelectorAll('.card-snippet').forEach(slot => {
+            const link = this.links.find(l => l.id === slot.closest('.link-card').dataset.id);
+            link.snippet.forEach(part => {
+                const node = part.match ? document.createElement('mark') : document.createTextNode('');
+                node.textContent = part.text;
+                slot.appendChild(node);
+            });
+        });
     }
 
     extractDomain(url) {
@@ -6437,14 +10739,18 @@ class LinksApp {
         const urlInput = document.getElementById('linkUrl');
         const catInput = document.getElementById('linkCategory');
         const url = urlInput ? urlInput.value.trim() : '';
-        const category = catInput ? catInput.value : 'general';
+        // No category picked: the server files the link under Other
+        const category = catInput ? catInput.value : '';
         if (!url) { this.showStatus('URL is required', 'error'); return; }
         urlInput.value = '';
         if (catInput) catInput.value = '';
+        this.selectedAddCategory = '';
         document.querySelectorAll('.m-add-cat-btn').forEach(b => b.classList.remove('active'));
         this.hideMobileAddView();
         try {
-            await this.apiRequest('/links', { method: 'POST', body: JSON.stringify({ url, title: '', category }) });
+            const result = await this.apiRequest('/links', { method: 'POST', body: JSON.stringify({ url, title: '', category }) });
+            if (result.duplicate) this.showStatus('Already in your library');
+            else if (result.restored) this.showStatus('Restored from the trash');
             await this.loadLinks(true);
         } catch (e) { await this.loadLinks(true); }
     }
@@ -6475,15 +10781,72 @@ class LinksApp {
 
     async deleteLink(id) {
         try {
-            await this.apiRequest('/links', { method: 'DELETE', body: JSON.stringify({ linkId: id }) });
+            const result = await this.apiRequest('/links?id=' + encodeURIComponent(id), { method: 'DELETE' });
+            if (!result.success) { this.showStatus(result.error || 'Failed to delete', 'error'); return; }
+            this.links = this.links.filter(l => l.id != id);
+            this.renderLinks();
+            this.loadTags();
+            this.showStatus('Moved to the trash');
+        } catch (e) { this.showStatus('Failed to delete', 'error'); }
+    }
+
+    async restoreLink(id) {
+        try {
+            const result = await this.apiRequest('/links/trash', { method: 'POST', body: JSON.stringify({ ids: [id] }) });
+            if (!result.success) { this.showStatus(result.error || 'Failed to restore', 'error'); return; }
+            this.links = this.links.filter(l => l.id != id);
+            this.renderLinks();
+            this.loadTags();
+            this.showStatus('Link restored');
+        } catch (e) { this.showStatus('Failed to restore', 'error'); }
+    }
+
+    async purgeLink(id) {
+        if (!confirm('Delete this link forever? This cannot be undone.')) return;
+        try {
+            const result = await this.apiRequest('/links/trash?id=' + encodeURIComponent(id), { method: 'DELETE' });
+            if (!result.success) { this.showStatus(result.error || 'Failed to delete', 'error'); return; }
             this.links = this.links.filter(l => l.id != id);
             this.renderLinks();
         } catch (e) { this.showStatus('Failed to delete', 'error'); }
     }
 
+    async emptyTrash() {
+        if (!confirm('Delete every link in the trash forever? This cannot be undone.')) return;
+        try {
+            const result = await this.apiRequest('/links/trash', { method: 'DELETE' });
+            if (!result.success) { this.showStatus(result.error || 'Failed to empty the trash', 'error'); return; }
+            this.links = this.links.filter(l => !l.deletedAt);
+            this.renderLinks();
+            this.showStatus('Trash emptied');
+        } catch (e) { this.showStatus('Failed to empty the trash', 'error'); }
+    }
+
     // ===== API & Auth =====
 
-    async apiRequest(endpoint, options = {}) {
+    decodeToken(token) {
+        // Tokens are header.payload.signature with a base64url-encoded JSON payload
+        const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+        return JSON.parse(atob(payload + '='.repeat((4 - payload.length % 4) % 4)));
+    }
+
+    async refreshToken() {
+        try {
+            const res = await fetch(this.apiBase + '/auth/refresh', {
+                method: 'POST',
+                headers: { 'Authorization': 'Bearer ' + this.token }
+            });
+            const data = await res.json();
+            if (data.success && data.token) {
+                this.token = data.token;
+                localStorage.setItem('authToken', data.token);
+                return true;
+            }
+        } catch (e) {}
+        return false;
+    }
+
+    async apiRequest(endpoint, options = {}, isRetry = false) {
         const res = await fetch(this.apiBase + endpoint, {
             ...options,
             headers: {
@@ -6492,11 +10855,20 @@ class LinksApp {
                 ...(options.headers || {})
             }
         });
-        if (res.status === 401) { localStorage.removeItem('authToken'); window.location.replace('/'); return; }
+        if (res.status === 401) {
+            if (!isRetry && await this.refreshToken()) return this.apiRequest(endpoint, options, true);
+            localStorage.removeItem('authToken'); window.location.replace('/'); return;
+        }
         return res.json();
     }
 
-    logout() {
+    async logout() {
+        try {
+            await fetch(this.apiBase + '/auth/logout', {
+                method: 'POST',
+                headers: { 'Authorization': 'Bearer ' + this.token }
+            });
+        } catch (e) {}
         localStorage.removeItem('authToken');
         window.location.replace('/');
     }
@@ -6518,7 +10890,75 @@ class LinksApp {
             const usernameInput = document.getElementById('profileUsername');
             if (usernameInput && this.currentUser) usernameInput.value = this.currentUser.username;
             this.hideProfileStatus();
+            this.resetDeviceApproval();
+        }
+    }
+
+    openDeviceApproval(userCode) {
+        this.openProfileModal();
+        const input = document.getElementById('deviceUserCode');
+        input.value = userCode;
+        document.getElementById('deviceAuthSection').scrollIntoView({ block: 'center' });
+        if (userCode) this.lookupDeviceCode();
+    }
+
+    resetDeviceApproval() {
+        this.deviceRequest = null;
+        document.getElementById('deviceAuthRequest').classList.add('hidden');
+        document.getElementById('deviceDenyBtn').classList.add('hidden');
+        document.getElementById('deviceApproveBtn').classList.add('hidden');
+        document.getElementById('deviceLookupBtn').classList.remove('hidden');
+        document.getElementById('deviceUserCode').disabled = false;
+    }
+
+    async lookupDeviceCode() {
+        const userCode = document.getElementById('deviceUserCode').value.trim();
+        if (!userCode) {
+            this.showProfileStatus('Enter the code shown on your device.', 'error');
+            return;
+        }
+        const btn = document.getElementById('deviceLookupBtn');
+        btn.disabled = true;
+        try {
+            const result = await this.apiRequest('/auth/device?code=' + encodeURIComponent(userCode));
+            if (result && result.success) {
+                const clientLabels = { web: 'a browser', extension: 'the browser extension', mobile: 'the mobile app', share_extension: 'the share extension' };
+                this.deviceRequest = result.request;
+                const requestEl = document.getElementById('deviceAuthRequest');
+                requestEl.textContent = 'Sign in ' + (result.request.deviceName || clientLabels[result.request.clientType] || 'this device') + ' as ' + this.currentUser.username + '? Only approve a code you just requested yourself.';
+                requestEl.classList.remove('hidden');
+                document.getElementById('deviceUserCode').disabled = true;
+                document.getElementById('deviceLookupBtn').classList.add('hidden');
+                document.getElementById('deviceDenyBtn').classList.remove('hidden');
+                document.getElementById('deviceApproveBtn').classList.remove('hidden');
+                this.hideProfileStatus();
+            } else {
+                this.showProfileStatus((result && result.error) || 'Code not found.', 'error');
+            }
+        } catch (e) {
+            this.showProfileStatus('Failed to look up code.', 'error');
+        } finally {
+            btn.disabled = false;
+        }
+    }
+
+    async respondToDeviceCode(approve) {
+        if (!this.deviceRequest) return;
+        try {
+            const result = await this.apiRequest('/auth/device', {
+                method: 'POST',
+                body: JSON.stringify({ userCode: this.deviceRequest.userCode, approve: approve })
+            });
+            if (result && result.success) {
+                document.getElementById('deviceUserCode').value = '';
+                this.showProfileStatus(result.message, 'success');
+            } else {
+                this.showProfileStatus((result && result.error) || 'Failed to update sign-in request.', 'error');
+            }
+        } catch (e) {
+            this.showProfileStatus('Failed to update sign-in request.', 'error');
         }
+        this.resetDeviceApproval();
     }
 
     closeProfileModal() {
@@ -6596,12 +11036,17 @@ class LinksApp {
         const btn = document.getElementById('resetPasswordBtn');
         if (btn) btn.disabled = true;
         try {
+            // Changing the password signs in again, so two-factor accounts need a code
+            const totp = await this.apiRequest('/auth/totp');
+            const totpCode = totp && totp.enabled ? prompt('Enter the code from your authenticator app:') : undefined;
+            if (totp && totp.enabled && !totpCode) return;
             const result = await this.apiRequest('/auth/reset-password', {
                 method: 'POST',
                 body: JSON.stringify({
                     username: this.currentUser.username,
                     currentPassword,
-                    newPassword
+                    newPassword,
+                    totpCode
                 })
             });
             if (result && result.success) {
@@ -6621,6 +11066,115 @@ class LinksApp {
         }
     }
 
+    async downloadAccountData() {
+        const btn = document.getElementById('exportDataBtn');
+        if (btn) btn.disabled = true;
+        try {
+            const result = await this.apiRequest('/auth/export');
+            if (result && result.success) {
+                const blob = new Blob([JSON.stringify(result, null, 2)], { type: 'application/json' });
+                const url = URL.createObjectURL(blob);
+                const a = document.createElement('a');
+                a.href = url;
+                a.download = 'kurate-export-' + result.profile.username + '-' + result.exportedAt.slice(0, 10) + '.json';
+                document.body.appendChild(a);
+                a.click();
+                a.remove();
+                URL.revokeObjectURL(url);
+                this.showProfileStatus('Your data has been downloaded.', 'success');
+            } else {
+                this.showProfileStatus((result && result.error) || 'Failed to export your data.', 'error');
+            }
+        } catch (e) {
+            this.showProfileStatus('Failed to export your data.', 'error');
+        } finally {
+            if (btn) btn.disabled = false;
+        }
+    }
+
+    async exportLinks(format) {
+        const params = new URLSearchParams({ format, status: document.getElementById('exportStatus').value });
+        const category = document.getElementById('exportCategory').value;
+        if (category) params.set('category', category);
+        const buttons = document.querySelectorAll('[data-export-format]');
+        buttons.forEach(button => { button.disabled = true; });
+        try {
+            const request = () => fetch(this.apiBase + '/links/export?' + params, {
+                headers: { 'Authorization': 'Bearer ' + this.token }
+            });
+            let res = await request();
+            if (res.status === 401 && await this.refreshToken()) res = await request();
+            if (!res.ok) {
+                const result = await res.json().catch(() => null);
+                this.showProfileStatus((result && result.error) || 'Failed to export your links.', 'error');
+                return;
+            }
+            const match = (res.headers.get('Content-Disposition') || '').match(/filename="([^"]+)"/);
+            const url = URL.createObjectURL(await res.blob());
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = match ? match[1] : 'kurate-links';
+            document.body.appendChild(a);
+            a.click();
+            a.remove();
+            URL.revokeObjectURL(url);
+            this.showProfileStatus('Your links have been downloaded.', 'success');
+        } catch (e) {
+            this.showProfileStatus('Failed to export your links.', 'error');
+        } finally {
+            buttons.forEach(button => { button.disabled = false; });
+        }
+    }
+
+    async importLinksFile() {
+        const fileInput = document.getElementById('importFile');
+        const file = fileInput && fileInput.files[0];
+        if (!file) { this.showProfileStatus('Choose a file to import.', 'error'); return; }
+        if (file.size > 10000000) { this.showProfileStatus('That file is too large; import at most 10 MB at a time.', 'error'); return; }
+        const btn = document.getElementById('importLinksBtn');
+        if (btn) btn.disabled = true;
+        this.hideProfileStatus();
+        try {
+            const result = await this.apiRequest('/links/import', {
+                method: 'POST',
+                body: JSON.stringify({ content: await file.text(), format: document.getElementById('importFormat').value })
+            });
+            if (result && result.success) {
+                const summary = result.summary;
+                const parts = [summary.imported + (summary.imported === 1 ? ' link imported' : ' links imported')];
+                if (summary.restored) parts.push(summary.restored + ' restored from the trash');
+                if (summary.duplicate) parts.push(summary.duplicate + ' already saved');
+                if (summary.invalid) parts.push(summary.invalid + ' skipped');
+                this.showProfileStatus(parts.join(', ') + '.', 'success');
+
+                // Rows that weren't imported as new links, to check against the file
+                const labels = { restored: 'Restored', duplicate: 'Already saved', invalid: 'Skipped' };
+                const rows = result.results.filter(item => item.status !== 'imported');
+                const container = document.getElementById('importResults');
+                container.replaceChildren(...rows.slice(0, 100).map(item => {
+                    const line = document.createElement('div');
+                    line.className = 'profile-import-row';
+                    const status = document.createElement('span');
+                    status.className = 'profile-import-status';
+                    status.textContent = labels[item.status];
+                    line.append(status, 'Row ' + item.row + ' · ' + item.url);
+                    return line;
+                }));
+                if (rows.length > 100) container.append('and ' + (rows.length - 100) + ' more');
+                container.hidden = rows.length === 0;
+
+                fileInput.value = '';
+                this.loadLinks();
+            } else {
+                this.showProfileStatus((result && result.error) || 'Failed to import links.', 'error');
+            }
+        } catch (e) {
+            this.showProfileStatus('Failed to import links.', 'error');
+        } finally {
+            if (btn) btn.disabled = false;
+        }
+    }
+
     async handleDeleteAccount() {
         const confirmed = confirm('Are you sure you want to delete your account? This will permanently delete all your data and cannot be undone.');
         if (!confirmed) return;
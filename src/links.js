@@ -1,28 +1,290 @@
 import {
   getUserLinks,
+  LINK_SORT_OPTIONS,
+  searchLinks,
+  indexLinkArticle,
   createLink,
   deleteLink,
+  updateLink,
   markLinkAsRead,
-  toggleFavorite
+  toggleFavorite,
+  bulkUpdateLinks,
+  BULK_LINK_ACTIONS,
+  importLinks,
+  getTrashedLinks,
+  restoreLinks,
+  purgeTrashedLinks,
+  TRASH_RETENTION_DAYS,
+  getUserCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  reorderCategories,
+  CATEGORY_COLORS,
+  DEFAULT_CATEGORY,
+  getUserCollections,
+  createCollection,
+  updateCollection,
+  deleteCollection,
+  reorderCollections,
+  addLinksToCollection,
+  removeLinksFromCollection,
+  reorderCollectionLinks,
+  PUBLIC_LIST_TYPES,
+  getUserPublicLists,
+  publishList,
+  regeneratePublicSlug,
+  unpublishList,
+  getUserTags,
+  getLinkHighlights,
+  createHighlight,
+  deleteHighlight,
+  AUTO_READ_THRESHOLDS,
+  recordReadingProgress,
+  getAutoReadProgress,
+  setAutoReadProgress
 } from './database.js';
 import { validateToken } from './auth.js';
 import { CORS_HEADERS, createResponse, createErrorResponse } from './constants.js';
+import { IMPORT_FORMATS, parseImportFile } from './imports.js';
+import { EXPORT_FORMATS, serializeLinks } from './exports.js';
+
+/** Longest title a link can be given when editing. */
+const MAX_TITLE_LENGTH = 500;
+
+/** Longest category name. */
+const MAX_CATEGORY_LENGTH = 50;
+
+/** Longest collection name. */
+const MAX_COLLECTION_NAME_LENGTH = 100;
+
+/** Longest collection description. */
+const MAX_COLLECTION_DESCRIPTION_LENGTH = 1000;
+
+/** Most collections a link can be filed into by one save or edit. */
+const MAX_COLLECTIONS_PER_REQUEST = 50;
+
+/** Most tags a single link can carry. */
+const MAX_TAGS_PER_LINK = 20;
+
+/** Longest tag name. */
+const MAX_TAG_LENGTH = 30;
+
+/** Longest note (markdown source) a link can carry. */
+const MAX_NOTE_LENGTH = 10000;
+
+/** Longest passage that can be saved as one highlight. */
+const MAX_HIGHLIGHT_LENGTH = 5000;
+
+/** Longest prefix or suffix of surrounding text stored with a highlight. */
+const MAX_HIGHLIGHT_CONTEXT_LENGTH = 64;
+
+/** Most reading time one progress report can add, in seconds; the viewer reports far more often than this. */
+const MAX_READING_REPORT_SECONDS = 600;
+
+/** Largest page of links GET /api/links returns at once. */
+const MAX_LINKS_PAGE_SIZE = 100;
+
+/** Most link IDs one bulk request can name; a filter can match any number. */
+const MAX_BULK_LINK_IDS = 500;
+
+/** Most categories or collections one reorder request can list. */
+const MAX_REORDER_IDS = 1000;
+
+/** Largest exported file POST /api/links/import accepts, in characters. */
+const MAX_IMPORT_LENGTH = 10000000;
+
+/** Most links one import can bring in. */
+const MAX_IMPORT_ROWS = 5000;
+
+/** Tabs the link list can be filtered by. */
+const LINK_STATUSES = ['all', 'unread', 'read', 'favorites'];
+
+/** Day format accepted by the from and to filters. */
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Cleans up a tags array from a request body: trims each name, drops a leading '#', collapses inner
+ * whitespace and removes blanks and case-insensitive duplicates.
+ * @param {*} tags
+ * @returns {string[]|null} The normalized names, or null if the value isn't an acceptable list of tags
+ */
+function normalizeTags(tags) {
+  if (!Array.isArray(tags)) {
+    return null;
+  }
+
+  const names = [];
+  const seen = new Set();
+
+  for (const tag of tags) {
+    if (typeof tag !== 'string') {
+      return null;
+    }
+    const name = tag.trim().replace(/^#+/, '').replace(/\s+/g, ' ');
+    if (!name) {
+      continue;
+    }
+    // Commas separate tags in every client's input field, and in the list getUserLinks selects
+    if (name.length > MAX_TAG_LENGTH || name.includes(',')) {
+      return null;
+    }
+    if (!seen.has(name.toLowerCase())) {
+      seen.add(name.toLowerCase());
+      names.push(name);
+    }
+  }
+
+  return names.length <= MAX_TAGS_PER_LINK ? names : null;
+}
+
+/**
+ * Validates a note from a request body and trims surrounding whitespace.
+ * @param {*} note
+ * @returns {string|null} The trimmed note ('' clears it), or null if it isn't a string within MAX_NOTE_LENGTH
+ */
+function normalizeNote(note) {
+  if (typeof note !== 'string') {
+    return null;
+  }
+  const trimmed = note.trim();
+  return trimmed.length <= MAX_NOTE_LENGTH ? trimmed : null;
+}
+
+/**
+ * Validates a category name from a request body, trimming it and collapsing inner whitespace.
+ * @param {*} category
+ * @returns {string|null} The name, or null if it isn't text of 1 to MAX_CATEGORY_LENGTH characters
+ */
+function normalizeCategory(category) {
+  if (typeof category !== 'string') {
+    return null;
+  }
+  const name = category.trim().replace(/\s+/g, ' ');
+  return name && name.length <= MAX_CATEGORY_LENGTH && !/[\u0000-\u001f\u007f]/.test(name) ? name : null;
+}
+
+/**
+ * Validates a list of IDs from a request body and removes repeats.
+ * @param {*} ids
+ * @param {number} max - Most IDs allowed
+ * @returns {string[]|null} The IDs, or null if the value isn't a list of at most max positive whole numbers
+ */
+function normalizeIds(ids, max) {
+  if (!Array.isArray(ids) || ids.length > max || !ids.every(id => /^[1-9]\d*$/.test(String(id)))) {
+    return null;
+  }
+  return [...new Set(ids.map(String))];
+}
+
+/**
+ * Validates a collection name from a request body, trimming it and collapsing inner whitespace.
+ * @param {*} name
+ * @returns {string|null} The name, or null if it isn't text of 1 to MAX_COLLECTION_NAME_LENGTH characters
+ */
+function normalizeCollectionName(name) {
+  if (typeof name !== 'string') {
+    return null;
+  }
+  const trimmed = name.trim().replace(/\s+/g, ' ');
+  return trimmed && trimmed.length <= MAX_COLLECTION_NAME_LENGTH && !/[\u0000-\u001f\u007f]/.test(trimmed) ? trimmed : null;
+}
+
+/** Error returned when a category fails normalizeCategory. */
+const INVALID_CATEGORY_MESSAGE = `Category must be 1-${MAX_CATEGORY_LENGTH} characters long`;
+
+/** Error returned when a collections list fails normalizeIds. */
+const INVALID_COLLECTIONS_MESSAGE = `collections must be a list of up to ${MAX_COLLECTIONS_PER_REQUEST} collection IDs`;
+
+/** Error returned when a note fails normalizeNote. */
+const INVALID_NOTE_MESSAGE = `Note must be text of at most ${MAX_NOTE_LENGTH} characters`;
+
+/**
+ * Reads the filter, sort and paging parameters of GET /api/links and GET /api/links/search.
+ * @param {URLSearchParams} params
+ * @returns {{filters?: Object, error?: string}} error describes the first invalid parameter
+ */
+function parseLinkFilters(params) {
+  const status = params.get('status') || 'all';
+  if (!LINK_STATUSES.includes(status)) {
+    return { error: `status must be one of: ${LINK_STATUSES.join(', ')}` };
+  }
+
+  const sort = params.get('sort') || 'newest';
+  if (!LINK_SORT_OPTIONS.includes(sort)) {
+    return { error: `sort must be one of: ${LINK_SORT_OPTIONS.join(', ')}` };
+  }
+
+  let limit = null;
+  if (params.has('limit')) {
+    limit = Number(params.get('limit'));
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LINKS_PAGE_SIZE) {
+      return { error: `limit must be a whole number from 1 to ${MAX_LINKS_PAGE_SIZE}` };
+    }
+  }
+
+  for (const name of ['from', 'to']) {
+    const value = params.get(name);
+    if (value && (!DATE_PATTERN.test(value) || isNaN(Date.parse(value)))) {
+      return { error: `${name} must be a date in YYYY-MM-DD format` };
+    }
+  }
+
+  const collection = (params.get('collection') || '').trim();
+  if (collection && !/^[1-9]\d*$/.test(collection)) {
+    return { error: 'collection must be a collection ID' };
+  }
+  if (sort === 'position' && !collection) {
+    return { error: 'sort=position needs a collection' };
+  }
+
+  const category = (params.get('category') || '').trim();
+  const domain = (params.get('domain') || '').trim().toLowerCase().replace(/^www\./, '');
+
+  return {
+    filters: {
+      status,
+      category: category && category.toLowerCase() !== 'all' ? category : null,
+      collection: collection || null,
+      domain: domain || null,
+      from: params.get('from') || null,
+      to: params.get('to') || null,
+      tags: params.getAll('tag'),
+      query: (params.get('q') || '').trim() || null,
+      sort,
+      limit,
+      cursor: params.get('cursor') || null
+    }
+  };
+}
+
+/** Error returned when a tags list fails normalizeTags. */
+const INVALID_TAGS_MESSAGE = `Tags must be a list of up to ${MAX_TAGS_PER_LINK} names, each at most ${MAX_TAG_LENGTH} characters and without commas`;
 
 /**
- * Handles GET/POST/DELETE on /api/links — fetches, creates, or deletes user links.
- * Requires Bearer token authorization.
+ * Handles GET/POST/PATCH/PUT/DELETE on /api/links — fetches, creates, edits, or deletes user links.
+ * GET takes optional filters: status (all, unread, read, favorites), category, collection (an ID), domain,
+ * from and to (YYYY-MM-DD), tag (repeatable; links must carry every tag) and q (text search), plus sort (newest,
+ * oldest, title, domain, or position for the collection's own order).
+ * With limit it returns one page and a nextCursor to pass back as cursor for the next; without, every link.
+ * POST accepts optional tags, note and collections (collection IDs to add the link to, even if already saved).
+ * PATCH and PUT take ?id= and any of { url, title, category, tags, note, collections }; fields left out are
+ * unchanged, tags and collections replace the link's whole set and an empty note clears it.
+ * Saving a link or changing its URL also indexes the page's text for search, after the response is sent.
+ * Requires Bearer token authorization; personal API tokens need links:read for GET and links:write otherwise.
  * @param {Request} request
  * @param {Object} env - Cloudflare Worker environment bindings
+ * @param {ExecutionContext} ctx - Worker execution context, used to finish indexing in the background
  * @returns {Response}
  */
-export async function handleLinks(request, env) {
+export async function handleLinks(request, env, ctx) {
   if (request.method === 'OPTIONS') {
     return new Response(null, { status: 200, headers: CORS_HEADERS });
   }
 
   // Validate authorization
   const authHeader = request.headers.get('Authorization');
-  const tokenData = validateToken(authHeader);
+  const tokenData = await validateToken(authHeader, env, request.method === 'GET' ? 'links:read' : 'links:write');
 
   if (!tokenData) {
     return createErrorResponse('Authorization required', 401);
@@ -33,7 +295,16 @@ export async function handleLinks(request, env) {
   if (request.method === 'GET') {
     // Get user's links from D1
     try {
-      const result = await getUserLinks(env.DB, userId);
+      const { filters, error } = parseLinkFilters(new URL(request.url).searchParams);
+      if (error) {
+        return createErrorResponse(error, 400);
+      }
+
+      const result = await getUserLinks(env.DB, userId, filters);
+
+      if (result.invalidCursor) {
+        return createErrorResponse('Invalid cursor', 400);
+      }
 
       if (!result.success) {
         return createErrorResponse(result.error || 'Failed to fetch links', 500);
@@ -42,6 +313,7 @@ export async function handleLinks(request, env) {
       return createResponse({
         success: true,
         links: result.links,
+        nextCursor: result.nextCursor,
         debug: { queriedUserId: userId, username: username }
       });
 
@@ -54,15 +326,38 @@ export async function handleLinks(request, env) {
     // Add new link
     try {
       const requestData = await request.json();
-      const { url, title, category } = requestData;
+      const { url, title } = requestData;
 
       if (!url) {
         return createErrorResponse('URL is required', 400);
       }
 
+      const category = requestData.category ? normalizeCategory(requestData.category) : DEFAULT_CATEGORY;
+      if (!category) {
+        return createErrorResponse(INVALID_CATEGORY_MESSAGE, 400);
+      }
+
+      const tags = normalizeTags(requestData.tags ?? []);
+      if (!tags) {
+        return createErrorResponse(INVALID_TAGS_MESSAGE, 400);
+      }
+
+      const note = normalizeNote(requestData.note ?? '');
+      if (note === null) {
+        return createErrorResponse(INVALID_NOTE_MESSAGE, 400);
+      }
+
+      const collections = normalizeIds(requestData.collections ?? [], MAX_COLLECTIONS_PER_REQUEST);
+      if (!collections) {
+        return createErrorResponse(INVALID_COLLECTIONS_MESSAGE, 400);
+      }
+
       // Validate URL format
       try {
-        new URL(url);
+        const parsedUrl = new URL(url);
+        if (parsedUrl.protocol !== 'http:' && parsedUrl.protocol !== 'https:') {
+          return createErrorResponse('URL must start with http:// or https://', 400);
+        }
       } catch (urlError) {
         return createErrorResponse('Invalid URL format', 400);
       }
@@ -71,13 +366,36 @@ export async function handleLinks(request, env) {
       const result = await createLink(env.DB, userId, {
         url,
         title,
-        category: category || 'general'
+        category,
+        tags,
+        note,
+        collections
       });
 
       if (!result.success) {
         return createErrorResponse(result.error || 'Failed to save link', 500);
       }
 
+      if (result.duplicate) {
+        return createResponse({
+          success: true,
+          duplicate: true,
+          message: 'Link is already saved',
+          link: result.link
+        });
+      }
+
+      if (result.restored) {
+        return createResponse({
+          success: true,
+          restored: true,
+          message: 'Link restored from the trash',
+          link: result.link
+        });
+      }
+
+      ctx.waitUntil(indexLinkArticle(env.DB, result.link.id, result.link.url));
+
       return createResponse({
         success: true,
         message: 'Link saved successfully!',
@@ -89,6 +407,99 @@ export async function handleLinks(request, env) {
     }
   }
 
+  if (request.method === 'PATCH' || request.method === 'PUT') {
+    // Edit link
+    try {
+      const linkId = new URL(request.url).searchParams.get('id');
+
+      if (!linkId) {
+        return createErrorResponse('Link ID is required', 400);
+      }
+
+      const { url, title, category, tags, note, collections } = await request.json();
+      const updates = {};
+
+      if (url !== undefined) {
+        try {
+          const parsedUrl = new URL(url);
+          if (parsedUrl.protocol !== 'http:' && parsedUrl.protocol !== 'https:') {
+            return createErrorResponse('URL must start with http:// or https://', 400);
+          }
+        } catch (urlError) {
+          return createErrorResponse('Invalid URL format', 400);
+        }
+        updates.url = url;
+      }
+
+      if (title !== undefined) {
+        const trimmedTitle = typeof title === 'string' ? title.trim() : '';
+        if (!trimmedTitle || trimmedTitle.length > MAX_TITLE_LENGTH) {
+          return createErrorResponse(`Title must be 1-${MAX_TITLE_LENGTH} characters long`, 400);
+        }
+        updates.title = trimmedTitle;
+      }
+
+      if (category !== undefined) {
+        updates.category = normalizeCategory(category);
+        if (!updates.category) {
+          return createErrorResponse(INVALID_CATEGORY_MESSAGE, 400);
+        }
+      }
+
+      if (tags !== undefined) {
+        updates.tags = normalizeTags(tags);
+        if (!updates.tags) {
+          return createErrorResponse(INVALID_TAGS_MESSAGE, 400);
+        }
+      }
+
+      if (note !== undefined) {
+        updates.note = note === null ? '' : normalizeNote(note);
+        if (updates.note === null) {
+          return createErrorResponse(INVALID_NOTE_MESSAGE, 400);
+        }
+      }
+
+      if (collections !== undefined) {
+        updates.collections = normalizeIds(collections, MAX_COLLECTIONS_PER_REQUEST);
+        if (!updates.collections) {
+          return createErrorResponse(INVALID_COLLECTIONS_MESSAGE, 400);
+        }
+      }
+
+      if (Object.keys(updates).length === 0) {
+        return createErrorResponse('Nothing to update: provide a url, title, category, tags, note or collections', 400);
+      }
+
+      const result = await updateLink(env.DB, userId, linkId, updates);
+
+      if (result.duplicate) {
+        return createErrorResponse(result.error, 409);
+      }
+
+      if (!result.success) {
+        return createErrorResponse(result.error || 'Failed to update link', 500);
+      }
+
+      if (result.changes === 0) {
+        return createErrorResponse('Link not found or not owned by user', 404);
+      }
+
+      if (updates.url !== undefined) {
+        ctx.waitUntil(indexLinkArticle(env.DB, result.link.id, result.link.url));
+      }
+
+      return createResponse({
+        success: true,
+        message: 'Link updated successfully!',
+        link: result.link
+      });
+
+    } catch (error) {
+      return createErrorResponse('Failed to update link', 500);
+    }
+  }
+
   if (request.method === 'DELETE') {
     // Delete link
     try {
@@ -111,7 +522,7 @@ export async function handleLinks(request, env) {
 
       return createResponse({
         success: true,
-        message: 'Link deleted successfully!'
+        message: 'Link moved to the trash'
       });
 
     } catch (error) {
@@ -136,7 +547,7 @@ export async function handleMarkRead(request, env) {
   if (request.method === 'POST') {
     try {
       const authHeader = request.headers.get('Authorization');
-      const tokenData = validateToken(authHeader);
+      const tokenData = await validateToken(authHeader, env, 'links:write');
 
       if (!tokenData) {
         return createErrorResponse('Authorization required', 401);
@@ -173,47 +584,1384 @@ export async function handleMarkRead(request, env) {
 }
 
 /**
- * Handles POST /api/links/toggle-favorite — toggles a link's favorite status.
+ * Whether a URL from an imported file is a web page (bookmark files also hold bookmarklets and browser pages).
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isWebUrl(url) {
+  try {
+    const { protocol } = new URL(url);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Turns a parsed import row into a link for importLinks. A folder or tag named like one of the user's
+ * categories sets the category; other folders become tags. Tags are cleaned up as on save, but names that
+ * wouldn't be accepted are shortened or dropped rather than failing the row. Links without a title are
+ * titled by URL.
+ * @param {Object} row - As returned by parseImportFile
+ * @param {string[]} categories - Names of the user's categories
+ * @returns {Object}
+ */
+function toImportItem(row, categories) {
+  const labels = row.folder ? [...row.tags, row.folder] : row.tags;
+  const category = categories.find(name => labels.some(label => label.toLowerCase() === name.toLowerCase())) || DEFAULT_CATEGORY;
+
+  const tags = [];
+  const seen = new Set([category.toLowerCase()]);
+  for (const label of labels) {
+    const name = label.replace(/^#+/, '').replace(/,/g, ' ').replace(/\s+/g, ' ').trim().substring(0, MAX_TAG_LENGTH).trim();
+    if (name && !seen.has(name.toLowerCase()) && tags.length < MAX_TAGS_PER_LINK) {
+      seen.add(name.toLowerCase());
+      tags.push(name);
+    }
+  }
+
+  return {
+    row: row.row,
+    url: row.url.trim(),
+    title: (row.title || '').trim().substring(0, MAX_TITLE_LENGTH) || row.url.trim().substring(0, MAX_TITLE_LENGTH),
+    category,
+    tags,
+    note: (row.note || '').trim().substring(0, MAX_NOTE_LENGTH),
+    addedAt: row.addedAt,
+    isRead: row.isRead,
+    isFavorite: row.isFavorite
+  };
+}
+
+/**
+ * Handles POST /api/links/import — imports links exported from another service.
+ * Takes { content, format? }: content is the text of the file, format one of IMPORT_FORMATS (default auto):
+ * a Netscape bookmark file from a browser or Pocket, Pocket, Instapaper or Raindrop CSV, or a list of URLs.
+ * Links keep their saved date, read and favorite state, and tags; folders map to the user's categories or to tags.
+ * Links already saved are left alone, and ones in the trash are restored.
+ * Responds with a summary and one { row, url, status, linkId?, error? } result per link in the file, where
+ * status is imported, duplicate, restored or invalid. Personal API tokens need links:write.
  * @param {Request} request
  * @param {Object} env - Cloudflare Worker environment bindings
  * @returns {Response}
  */
-export async function handleToggleFavorite(request, env) {
+export async function handleImport(request, env) {
   if (request.method === 'OPTIONS') {
     return new Response(null, { status: 200, headers: CORS_HEADERS });
   }
 
+  const authHeader = request.headers.get('Authorization');
+  const tokenData = await validateToken(authHeader, env, 'links:write');
+
+  if (!tokenData) {
+    return createErrorResponse('Authorization required', 401);
+  }
+
+  const { userId } = tokenData;
+
   if (request.method === 'POST') {
     try {
-      // Validate authorization
+      const { content, format = 'auto' } = await request.json();
+
+      if (typeof content !== 'string' || !content.trim()) {
+        return createErrorResponse('content must be the text of the exported file', 400);
+      }
+
+      if (content.length > MAX_IMPORT_LENGTH) {
+        return createErrorResponse(`The file is too large; import at most ${MAX_IMPORT_LENGTH / 1000000} MB at a time`, 413);
+      }
+
+      if (!IMPORT_FORMATS.includes(format)) {
+        return createErrorResponse(`format must be one of: ${IMPORT_FORMATS.join(', ')}`, 400);
+      }
+
+      const parsed = parseImportFile(content, format);
+      if (parsed.error) {
+        return createErrorResponse(parsed.error, 400);
+      }
+
+      if (parsed.rows.length === 0) {
+        return createErrorResponse('No links found in the file', 400);
+      }
+
+      if (parsed.rows.length > MAX_IMPORT_ROWS) {
+        return createErrorResponse(`The file has ${parsed.rows.length} links; import at most ${MAX_IMPORT_ROWS} at a time`, 400);
+      }
+
+      const { categories } = await getUserCategories(env.DB, userId);
+      const categoryNames = categories.map(category => category.name);
+
+      const results = [];
+      const items = [];
+      for (const row of parsed.rows) {
+        if (typeof row.url === 'string' && isWebUrl(row.url.trim())) {
+          items.push(toImportItem(row, categoryNames));
+        } else {
+          results.push({ row: row.row, url: row.url || '', status: 'invalid', error: 'Not a web page URL' });
+        }
+      }
+
+      const result = await importLinks(env.DB, userId, items);
+
+      if (!result.success) {
+        return createErrorResponse(result.error || 'Failed to import links', 500);
+      }
+
+      results.push(...result.results);
+      results.sort((a, b) => a.row - b.row);
+
+      const count = status => results.filter(item => item.status === status).length;
+
+      return createResponse({
+        success: true,
+        format: parsed.format,
+        summary: {
+          total: results.length,
+          imported: count('imported'),
+          duplicate: count('duplicate'),
+          restored: count('restored'),
+          invalid: count('invalid')
+        },
+        results
+      });
+
+    } catch (error) {
+      return createErrorResponse('Failed to import links', 500);
+    }
+  }
+
+  return createErrorResponse('Method not allowed', 405);
+}
+
+/**
+ * Handles GET /api/links/export — downloads the user's links as a file.
+ * format is one of EXPORT_FORMATS: html (a bookmark file with a folder per category), csv, json or markdown.
+ * Takes the GET /api/links filters (status, category, domain, from, to, tag, q) and sort; links in the trash
+ * are never exported. Personal API tokens need links:read.
+ * @param {Request} request
+ * @param {Object} env - Cloudflare Worker environment bindings
+ * @returns {Response}
+ */
+export async function handleExport(request, env) {
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { status: 200, headers: CORS_HEADERS });
+  }
+
+  if (request.method === 'GET') {
+    try {
       const authHeader = request.headers.get('Authorization');
-      const tokenData = validateToken(authHeader);
+      const tokenData = await validateToken(authHeader, env, 'links:read');
 
       if (!tokenData) {
         return createErrorResponse('Authorization required', 401);
       }
 
-      const requestData = await request.json();
-      const { linkId, isFavorite } = requestData;
+      const params = new URL(request.url).searchParams;
+      const format = params.get('format') || 'html';
+      if (!EXPORT_FORMATS.includes(format)) {
+        return createErrorResponse(`format must be one of: ${EXPORT_FORMATS.join(', ')}`, 400);
+      }
 
-      if (!linkId) {
-        return createErrorResponse('Link ID required', 400);
+      const { filters, error } = parseLinkFilters(params);
+      if (error) {
+        return createErrorResponse(error, 400);
       }
 
-      // Toggle favorite status
-      const result = await toggleFavorite(env.DB, tokenData.userId, linkId, isFavorite ? 1 : 0);
+      const result = await getUserLinks(env.DB, tokenData.userId, { ...filters, limit: null, cursor: null });
 
       if (!result.success) {
-        return createErrorResponse('Failed to update favorite status', 500);
+        return createErrorResponse(result.error || 'Failed to export links', 500);
+      }
+
+      const exportedAt = new Date().toISOString();
+      const file = serializeLinks(result.links, format, exportedAt);
+
+      // Name the file after the filters, e.g. kurate-unread-technology-2026-01-31.md
+      const nameParts = ['kurate', filters.status === 'all' ? 'links' : filters.status];
+      if (filters.category) {
+        nameParts.push(filters.category.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''));
+      }
+      nameParts.push(exportedAt.slice(0, 10));
+      const filename = `${nameParts.filter(Boolean).join('-')}.${file.extension}`;
+
+      return new Response(file.body, {
+        status: 200,
+        headers: {
+          ...CORS_HEADERS,
+          'Access-Control-Expose-Headers': 'Content-Disposition',
+          'Content-Type': file.contentType,
+          'Content-Disposition': `attachment; filename="${filename}"`
+        }
+      });
+
+    } catch (error) {
+      return createErrorResponse('Failed to export links', 500);
+    }
+  }
+
+  return createErrorResponse('Method not allowed', 405);
+}
+
+/**
+ * Handles POST /api/links/bulk — applies one action to many links in a single batch.
+ * Takes { action, ids } or { action, filter }: ids lists up to MAX_BULK_LINK_IDS links, filter picks every link
+ * matching the GET /api/links filters (status, category, domain, from, to, tag, q). action is one of
+ * read, unread, favorite, unfavorite, category (with category), tag (with tags to add) or delete.
+ * Responds with one { id, success, error? } result per link. Personal API tokens need links:write.
+ * @param {Request} request
+ * @param {Object} env - Cloudflare Worker environment bindings
+ * @returns {Response}
+ */
+export async function handleBulkLinks(request, env) {
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { status: 200, headers: CORS_HEADERS });
+  }
+
+  if (request.method === 'POST') {
+    try {
+      const authHeader = request.headers.get('Authorization');
+      const tokenData = await validateToken(authHeader, env, 'links:write');
+
+      if (!tokenData) {
+        return createErrorResponse('Authorization required', 401);
+      }
+
+      const { action, ids, filter, category, tags } = await request.json();
+
+      if (!BULK_LINK_ACTIONS.includes(action)) {
+        return createErrorResponse(`action must be one of: ${BULK_LINK_ACTIONS.join(', ')}`, 400);
+      }
+
+      if ((ids === undefined) === (filter === undefined)) {
+        return createErrorResponse('Provide either ids or filter', 400);
+      }
+
+      const target = {};
+      if (ids !== undefined) {
+        target.ids = normalizeIds(ids, MAX_BULK_LINK_IDS);
+        if (!target.ids || target.ids.length === 0) {
+          return createErrorResponse(`ids must be a list of 1-${MAX_BULK_LINK_IDS} link IDs`, 400);
+        }
+      } else {
+        if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+          return createErrorResponse('filter must be an object', 400);
+        }
+        // Same names and rules as the query string of GET /api/links
+        const params = new URLSearchParams();
+        for (const [name, value] of Object.entries(filter)) {
+          [].concat(value).forEach(item => params.append(name, String(item)));
+        }
+        const parsed = parseLinkFilters(params);
+        if (parsed.error) {
+          return createErrorResponse(parsed.error, 400);
+        }
+        target.filters = parsed.filters;
+      }
+
+      const options = {};
+      if (action === 'category') {
+        options.category = normalizeCategory(category);
+        if (!options.category) {
+          return createErrorResponse(INVALID_CATEGORY_MESSAGE, 400);
+        }
+      }
+      if (action === 'tag') {
+        options.tags = normalizeTags(tags ?? []);
+        if (!options.tags || options.tags.length === 0) {
+          return createErrorResponse(INVALID_TAGS_MESSAGE, 400);
+        }
+      }
+
+      const result = await bulkUpdateLinks(env.DB, tokenData.userId, target, action, options);
+
+      if (!result.success) {
+        return createErrorResponse(result.error || 'Failed to update links', 500);
       }
 
       return createResponse({
         success: true,
-        message: `Link ${isFavorite ? 'added to' : 'removed from'} favorites!`
+        action,
+        updated: result.results.filter(item => item.success).length,
+        results: result.results
       });
 
     } catch (error) {
-      return createErrorResponse('Failed to update favorite status', 500);
+      return createErrorResponse('Failed to update links', 500);
+    }
+  }
+
+  return createErrorResponse('Method not allowed', 405);
+}
+
+/**
+ * Handles GET/POST/DELETE on /api/links/trash — links deleted in the last TRASH_RETENTION_DAYS days.
+ * GET lists them, most recently deleted first; POST takes { ids } and restores those links;
+ * DELETE takes ?id= to delete one link for good, or empties the whole trash without it.
+ * Personal API tokens need links:read for GET and links:write otherwise.
+ * @param {Request} request
+ * @param {Object} env - Cloudflare Worker environment bindings
+ * @returns {Response}
+ */
+export async function handleTrash(request, env) {
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { status: 200, headers: CORS_HEADERS });
+  }
+
+  const authHeader = request.headers.get('Authorization');
+  const tokenData = await validateToken(authHeader, env, request.method === 'GET' ? 'links:read' : 'links:write');
+
+  if (!tokenData) {
+    return createErrorResponse('Authorization required', 401);
+  }
+
+  const { userId } = tokenData;
+
+  if (request.method === 'GET') {
+    try {
+      const result = await getTrashedLinks(env.DB, userId);
+
+      if (!result.success) {
+        return createErrorResponse(result.error || 'Failed to fetch trash', 500);
+      }
+
+      return createResponse({
+        success: true,
+        links: result.links,
+        retentionDays: TRASH_RETENTION_DAYS
+      });
+
+    } catch (error) {
+      return createErrorResponse('Failed to fetch trash', 500);
+    }
+  }
+
+  if (request.method === 'POST') {
+    try {
+      const { ids } = await request.json();
+
+      const linkIds = normalizeIds(ids, MAX_BULK_LINK_IDS);
+      if (!linkIds || linkIds.length === 0) {
+        return createErrorResponse(`ids must be a list of 1-${MAX_BULK_LINK_IDS} link IDs`, 400);
+      }
+
+      const result = await restoreLinks(env.DB, userId, linkIds);
+
+      if (!result.success) {
+        return createErrorResponse(result.error || 'Failed to restore links', 500);
+      }
+
+      return createResponse({
+        success: true,
+        restored: result.changes
+      });
+
+    } catch (error) {
+      return createErrorResponse('Failed to restore links', 500);
+    }
+  }
+
+  if (request.method === 'DELETE') {
+    try {
+      const linkId = new URL(request.url).searchParams.get('id');
+
+      const result = await purgeTrashedLinks(env.DB, userId, linkId);
+
+      if (!result.success) {
+        return createErrorResponse(result.error || 'Failed to delete links', 500);
+      }
+
+      if (linkId && result.changes === 0) {
+        return createErrorResponse('Link not found in the trash', 404);
+      }
+
+      return createResponse({
+        success: true,
+        deleted: result.changes
+      });
+
+    } catch (error) {
+      return createErrorResponse('Failed to delete links', 500);
+    }
+  }
+
+  return createErrorResponse('Method not allowed', 405);
+}
+
+/**
+ * Handles POST /api/links/toggle-favorite — toggles a link's favorite status.
+ * @param {Request} request
+ * @param {Object} env - Cloudflare Worker environment bindings
+ * @returns {Response}
+ */
+export async function handleToggleFavorite(request, env) {
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { status: 200, headers: CORS_HEADERS });
+  }
+
+  if (request.method === 'POST') {
+    try {
+      // Validate authorization
+      const authHeader = request.headers.get('Authorization');
+      const tokenData = await validateToken(authHeader, env, 'links:write');
+
+      if (!tokenData) {
+        return createErrorResponse('Authorization required', 401);
+      }
+
+      const requestData = await request.json();
+      const { linkId, isFavorite } = requestData;
+
+      if (!linkId) {
+        return createErrorResponse('Link ID required', 400);
+      }
+
+      // Toggle favorite status
+      const result = await toggleFavorite(env.DB, tokenData.userId, linkId, isFavorite ? 1 : 0);
+
+      if (!result.success) {
+        return createErrorResponse('Failed to update favorite status', 500);
+      }
+
+      if (result.changes === 0) {
+        return createErrorResponse('Link not found or not owned by user', 404);
+      }
+
+      return createResponse({
+        success: true,
+        message: `Link ${isFavorite ? 'added to' : 'removed from'} favorites!`
+      });
+
+    } catch (error) {
+      return createErrorResponse('Failed to update favorite status', 500);
+    }
+  }
+
+  return createErrorResponse('Method not allowed', 405);
+}
+
+/**
+ * Handles GET /api/links/search — full-text search over the user's links (title, URL, domain, note and page text).
+ * Takes q plus the filters of GET /api/links except sort: results are ranked best match first, each link with
+ * a snippet of { text, match } parts around the match. Returns limit results (20 by default) and a nextCursor.
+ * Personal API tokens need links:read.
+ * @param {Request} request
+ * @param {Object} env - Cloudflare Worker environment bindings
+ * @returns {Response}
+ */
+export async function handleLinkSearch(request, env) {
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { status: 200, headers: CORS_HEADERS });
+  }
+
+  if (request.method === 'GET') {
+    try {
+      const authHeader = request.headers.get('Authorization');
+      const tokenData = await validateToken(authHeader, env, 'links:read');
+
+      if (!tokenData) {
+        return createErrorResponse('Authorization required', 401);
+      }
+
+      const { filters, error } = parseLinkFilters(new URL(request.url).searchParams);
+      if (error) {
+        return createErrorResponse(error, 400);
+      }
+
+      if (!filters.query) {
+        return createErrorResponse('Search query (q) is required', 400);
+      }
+
+      const result = await searchLinks(env.DB, tokenData.userId, filters.query, filters);
+
+      if (result.invalidCursor) {
+        return createErrorResponse('Invalid cursor', 400);
+      }
+
+      if (!result.success) {
+        return createErrorResponse(result.error || 'Failed to search links', 500);
+      }
+
+      return createResponse({
+        success: true,
+        links: result.links,
+        nextCursor: result.nextCursor
+      });
+
+    } catch (error) {
+      return createErrorResponse('Failed to search links', 500);
+    }
+  }
+
+  return createErrorResponse('Method not allowed', 405);
+}
+
+/**
+ * Handles GET /api/links/tags — lists the user's tags with the number of links carrying each.
+ * Personal API tokens need links:read.
+ * @param {Request} request
+ * @param {Object} env - Cloudflare Worker environment bindings
+ * @returns {Response}
+ */
+export async function handleTags(request, env) {
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { status: 200, headers: CORS_HEADERS });
+  }
+
+  if (request.method === 'GET') {
+    try {
+      const authHeader = request.headers.get('Authorization');
+      const tokenData = await validateToken(authHeader, env, 'links:read');
+
+      if (!tokenData) {
+        return createErrorResponse('Authorization required', 401);
+      }
+
+      const result = await getUserTags(env.DB, tokenData.userId);
+
+      if (!result.success) {
+        return createErrorResponse(result.error || 'Failed to fetch tags', 500);
+      }
+
+      return createResponse({
+        success: true,
+        tags: result.tags
+      });
+
+    } catch (error) {
+      return createErrorResponse('Failed to fetch tags', 500);
+    }
+  }
+
+  return createErrorResponse('Method not allowed', 405);
+}
+
+/**
+ * Handles GET/POST/PATCH/PUT/DELETE on /api/links/categories — the user's own list of link categories.
+ * GET lists them in order with the number of links in each. POST takes { name, color? } and adds one to the
+ * end of the list; PATCH takes ?id= and { name?, color? }, and renaming renames the category on its links;
+ * DELETE takes ?id= and moves the category's links to Other, which can't be renamed or deleted.
+ * PUT takes { ids } listing every category once, in the new order. color is one of CATEGORY_COLORS.
+ * Personal API tokens need links:read for GET and links:write otherwise.
+ * @param {Request} request
+ * @param {Object} env - Cloudflare Worker environment bindings
+ * @returns {Response}
+ */
+export async function handleCategories(request, env) {
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { status: 200, headers: CORS_HEADERS });
+  }
+
+  const authHeader = request.headers.get('Authorization');
+  const tokenData = await validateToken(authHeader, env, request.method === 'GET' ? 'links:read' : 'links:write');
+
+  if (!tokenData) {
+    return createErrorResponse('Authorization required', 401);
+  }
+
+  const { userId } = tokenData;
+  const invalidColorMessage = `color must be one of: ${CATEGORY_COLORS.join(', ')}`;
+
+  if (request.method === 'GET') {
+    try {
+      const result = await getUserCategories(env.DB, userId);
+
+      if (!result.success) {
+        return createErrorResponse(result.error || 'Failed to fetch categories', 500);
+      }
+
+      return createResponse({
+        success: true,
+        categories: result.categories
+      });
+
+    } catch (error) {
+      return createErrorResponse('Failed to fetch categories', 500);
+    }
+  }
+
+  if (request.method === 'POST') {
+    try {
+      const { name, color = 'gray' } = await request.json();
+
+      const category = normalizeCategory(name);
+      if (!category) {
+        return createErrorResponse(INVALID_CATEGORY_MESSAGE, 400);
+      }
+
+      if (!CATEGORY_COLORS.includes(color)) {
+        return createErrorResponse(invalidColorMessage, 400);
+      }
+
+      const result = await createCategory(env.DB, userId, { name: category, color });
+
+      if (result.conflict) {
+        return createErrorResponse(result.error, 409);
+      }
+
+      if (!result.success) {
+        return createErrorResponse(result.error || 'Failed to create category', 500);
+      }
+
+      return createResponse({
+        success: true,
+        category: result.category
+      });
+
+    } catch (error) {
+      return createErrorResponse('Failed to create category', 500);
+    }
+  }
+
+  if (request.method === 'PATCH') {
+    try {
+      const categoryId = new URL(request.url).searchParams.get('id');
+
+      if (!categoryId) {
+        return createErrorResponse('Category ID is required', 400);
+      }
+
+      const { name, color } = await request.json();
+      const updates = {};
+
+      if (name !== undefined) {
+        updates.name = normalizeCategory(name);
+        if (!updates.name) {
+          return createErrorResponse(INVALID_CATEGORY_MESSAGE, 400);
+        }
+      }
+
+      if (color !== undefined) {
+        if (!CATEGORY_COLORS.includes(color)) {
+          return createErrorResponse(invalidColorMessage, 400);
+        }
+        updates.color = color;
+      }
+
+      if (Object.keys(updates).length === 0) {
+        return createErrorResponse('Nothing to update: provide a name or color', 400);
+      }
+
+      const result = await updateCategory(env.DB, userId, categoryId, updates);
+
+      if (result.conflict) {
+        return createErrorResponse(result.error, 409);
+      }
+
+      if (result.invalid) {
+        return createErrorResponse(result.error, 400);
+      }
+
+      if (!result.success) {
+        return createErrorResponse(result.error || 'Failed to update category', 500);
+      }
+
+      if (result.changes === 0) {
+        return createErrorResponse('Category not found', 404);
+      }
+
+      return createResponse({
+        success: true,
+        category: result.category
+      });
+
+    } catch (error) {
+      return createErrorResponse('Failed to update category', 500);
+    }
+  }
+
+  if (request.method === 'PUT') {
+    try {
+      const { ids } = await request.json();
+
+      const categoryIds = normalizeIds(ids, MAX_REORDER_IDS);
+      if (!categoryIds) {
+        return createErrorResponse('ids must be a list of category IDs', 400);
+      }
+
+      const result = await reorderCategories(env.DB, userId, categoryIds);
+
+      if (result.invalid) {
+        return createErrorResponse(result.error, 400);
+      }
+
+      if (!result.success) {
+        return createErrorResponse(result.error || 'Failed to reorder categories', 500);
+      }
+
+      const { categories } = await getUserCategories(env.DB, userId);
+
+      return createResponse({
+        success: true,
+        categories
+      });
+
+    } catch (error) {
+      return createErrorResponse('Failed to reorder categories', 500);
+    }
+  }
+
+  if (request.method === 'DELETE') {
+    try {
+      const categoryId = new URL(request.url).searchParams.get('id');
+
+      if (!categoryId) {
+        return createErrorResponse('Category ID is required', 400);
+      }
+
+      const result = await deleteCategory(env.DB, userId, categoryId);
+
+      if (result.invalid) {
+        return createErrorResponse(result.error, 400);
+      }
+
+      if (!result.success) {
+        return createErrorResponse(result.error || 'Failed to delete category', 500);
+      }
+
+      if (result.changes === 0) {
+        return createErrorResponse('Category not found', 404);
+      }
+
+      return createResponse({
+        success: true,
+        message: `Category deleted; ${result.moved} ${result.moved === 1 ? 'link' : 'links'} moved to ${DEFAULT_CATEGORY}`,
+        moved: result.moved
+      });
+
+    } catch (error) {
+      return createErrorResponse('Failed to delete category', 500);
+    }
+  }
+
+  return createErrorResponse('Method not allowed', 405);
+}
+
+/**
+ * Handles GET/POST/PATCH/PUT/DELETE on /api/links/collections — the user's named collections of links.
+ * GET lists them in order with the number of links in each. POST takes { name, description? } and adds one to
+ * the end of the list; PATCH takes ?id= and { name?, description? }; DELETE takes ?id= and leaves the links
+ * themselves alone. PUT takes { ids } listing every collection once, in the new order.
+ * Links are added to, removed from and ordered within a collection through /api/links/collections/links.
+ * Personal API tokens need links:read for GET and links:write otherwise.
+ * @param {Request} request
+ * @param {Object} env - Cloudflare Worker environment bindings
+ * @returns {Response}
+ */
+export async function handleCollections(request, env) {
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { status: 200, headers: CORS_HEADERS });
+  }
+
+  const authHeader = request.headers.get('Authorization');
+  const tokenData = await validateToken(authHeader, env, request.method === 'GET' ? 'links:read' : 'links:write');
+
+  if (!tokenData) {
+    return createErrorResponse('Authorization required', 401);
+  }
+
+  const { userId } = tokenData;
+  const invalidNameMessage = `Name must be 1-${MAX_COLLECTION_NAME_LENGTH} characters long`;
+  const invalidDescriptionMessage = `Description must be text of at most ${MAX_COLLECTION_DESCRIPTION_LENGTH} characters`;
+
+  if (request.method === 'GET') {
+    try {
+      const result = await getUserCollections(env.DB, userId);
+
+      if (!result.success) {
+        return createErrorResponse(result.error || 'Failed to fetch collections', 500);
+      }
+
+      return createResponse({
+        success: true,
+        collections: result.collections
+      });
+
+    } catch (error) {
+      return createErrorResponse('Failed to fetch collections', 500);
+    }
+  }
+
+  if (request.method === 'POST') {
+    try {
+      const { name, description = '' } = await request.json();
+
+      const collectionName = normalizeCollectionName(name);
+      if (!collectionName) {
+        return createErrorResponse(invalidNameMessage, 400);
+      }
+
+      if (typeof description !== 'string' || description.trim().length > MAX_COLLECTION_DESCRIPTION_LENGTH) {
+        return createErrorResponse(invalidDescriptionMessage, 400);
+      }
+
+      const result = await createCollection(env.DB, userId, { name: collectionName, description: description.trim() });
+
+      if (result.conflict) {
+        return createErrorResponse(result.error, 409);
+      }
+
+      if (!result.success) {
+        return createErrorResponse(result.error || 'Failed to create collection', 500);
+      }
+
+      return createResponse({
+        success: true,
+        collection: result.collection
+      });
+
+    } catch (error) {
+      return createErrorResponse('Failed to create collection', 500);
+    }
+  }
+
+  if (request.method === 'PATCH') {
+    try {
+      const collectionId = new URL(request.url).searchParams.get('id');
+
+      if (!collectionId) {
+        return createErrorResponse('Collection ID is required', 400);
+      }
+
+      const { name, description } = await request.json();
+      const updates = {};
+
+      if (name !== undefined) {
+        updates.name = normalizeCollectionName(name);
+        if (!updates.name) {
+          return createErrorResponse(invalidNameMessage, 400);
+        }
+      }
+
+      if (description !== undefined) {
+        if (typeof description !== 'string' || description.trim().length > MAX_COLLECTION_DESCRIPTION_LENGTH) {
+          return createErrorResponse(invalidDescriptionMessage, 400);
+        }
+        updates.description = description.trim();
+      }
+
+      if (Object.keys(updates).length === 0) {
+        return createErrorResponse('Nothing to update: provide a name or description', 400);
+      }
+
+      const result = await updateCollection(env.DB, userId, collectionId, updates);
+
+      if (result.conflict) {
+        return createErrorResponse(result.error, 409);
+      }
+
+      if (!result.success) {
+        return createErrorResponse(result.error || 'Failed to update collection', 500);
+      }
+
+      if (result.changes === 0) {
+        return createErrorResponse('Collection not found', 404);
+      }
+
+      return createResponse({
+        success: true,
+        collection: result.collection
+      });
+
+    } catch (error) {
+      return createErrorResponse('Failed to update collection', 500);
+    }
+  }
+
+  if (request.method === 'PUT') {
+    try {
+      const { ids } = await request.json();
+
+      const collectionIds = normalizeIds(ids, MAX_REORDER_IDS);
+      if (!collectionIds) {
+        return createErrorResponse('ids must be a list of collection IDs', 400);
+      }
+
+      const result = await reorderCollections(env.DB, userId, collectionIds);
+
+      if (result.invalid) {
+        return createErrorResponse(result.error, 400);
+      }
+
+      if (!result.success) {
+        return createErrorResponse(result.error || 'Failed to reorder collections', 500);
+      }
+
+      const { collections } = await getUserCollections(env.DB, userId);
+
+      return createResponse({
+        success: true,
+        collections
+      });
+
+    } catch (error) {
+      return createErrorResponse('Failed to reorder collections', 500);
+    }
+  }
+
+  if (request.method === 'DELETE') {
+    try {
+      const collectionId = new URL(request.url).searchParams.get('id');
+
+      if (!collectionId) {
+        return createErrorResponse('Collection ID is required', 400);
+      }
+
+      const result = await deleteCollection(env.DB, userId, collectionId);
+
+      if (!result.success) {
+        return createErrorResponse(result.error || 'Failed to delete collection', 500);
+      }
+
+      if (result.changes === 0) {
+        return createErrorResponse('Collection not found', 404);
+      }
+
+      return createResponse({
+        success: true,
+        message: 'Collection deleted'
+      });
+
+    } catch (error) {
+      return createErrorResponse('Failed to delete collection', 500);
+    }
+  }
+
+  return createErrorResponse('Method not allowed', 405);
+}
+
+/**
+ * Handles POST/PUT/DELETE on /api/links/collections/links — the links in one collection. Each takes
+ * { collectionId, linkIds } with up to MAX_BULK_LINK_IDS links: POST adds them to the end of the collection,
+ * DELETE takes them out, and PUT reorders them (they swap into the places they held between them, in the
+ * order given; see reorderCollectionLinks). Personal API tokens need links:write.
+ * @param {Request} request
+ * @param {Object} env - Cloudflare Worker environment bindings
+ * @returns {Response}
+ */
+export async function handleCollectionLinks(request, env) {
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { status: 200, headers: CORS_HEADERS });
+  }
+
+  if (!['POST', 'PUT', 'DELETE'].includes(request.method)) {
+    return createErrorResponse('Method not allowed', 405);
+  }
+
+  const authHeader = request.headers.get('Authorization');
+  const tokenData = await validateToken(authHeader, env, 'links:write');
+
+  if (!tokenData) {
+    return createErrorResponse('Authorization required', 401);
+  }
+
+  try {
+    const { collectionId, linkIds } = await request.json();
+
+    if (!/^[1-9]\d*$/.test(String(collectionId ?? ''))) {
+      return createErrorResponse('Collection ID is required', 400);
+    }
+
+    const ids = normalizeIds(linkIds, MAX_BULK_LINK_IDS);
+    if (!ids || ids.length === 0) {
+      return createErrorResponse(`linkIds must be a list of 1-${MAX_BULK_LINK_IDS} link IDs`, 400);
+    }
+
+    if (request.method === 'POST') {
+      const result = await addLinksToCollection(env.DB, tokenData.userId, collectionId, ids);
+
+      if (!result.success) {
+        return createErrorResponse(result.error || 'Failed to add links to the collection', 500);
+      }
+
+      if (result.changes === 0) {
+        return createErrorResponse('Collection not found', 404);
+      }
+
+      return createResponse({
+        success: true,
+        message: `${result.added} ${result.added === 1 ? 'link' : 'links'} added to the collection`,
+        added: result.added
+      });
+    }
+
+    if (request.method === 'DELETE') {
+      const result = await removeLinksFromCollection(env.DB, tokenData.userId, collectionId, ids);
+
+      if (!result.success) {
+        return createErrorResponse(result.error || 'Failed to remove links from the collection', 500);
+      }
+
+      if (result.changes === 0) {
+        return createErrorResponse('Collection not found', 404);
+      }
+
+      return createResponse({
+        success: true,
+        message: `${result.removed} ${result.removed === 1 ? 'link' : 'links'} removed from the collection`,
+        removed: result.removed
+      });
+    }
+
+    const result = await reorderCollectionLinks(env.DB, tokenData.userId, collectionId, linkIds.map(String));
+
+    if (result.invalid) {
+      return createErrorResponse(result.error, 400);
+    }
+
+    if (!result.success) {
+      return createErrorResponse(result.error || 'Failed to reorder the collection', 500);
+    }
+
+    if (result.changes === 0) {
+      return createErrorResponse('Collection not found', 404);
+    }
+
+    return createResponse({
+      success: true,
+      message: 'Collection reordered'
+    });
+
+  } catch (error) {
+    return createErrorResponse('Failed to update the collection', 500);
+  }
+}
+
+/**
+ * Handles GET/POST/PUT/DELETE on /api/links/public — publishing categories and collections as read-only pages
+ * at /list/<slug>, with RSS and Atom feeds. GET lists what the user has published. The others take
+ * { type: 'category'|'collection', id }: POST publishes the list (a public list keeps its slug), PUT gives it a
+ * new slug and DELETE unpublishes it; the old address stops working at once either way.
+ * Personal API tokens need links:read for GET and links:write otherwise.
+ * @param {Request} request
+ * @param {Object} env - Cloudflare Worker environment bindings
+ * @returns {Response}
+ */
+export async function handlePublicLists(request, env) {
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { status: 200, headers: CORS_HEADERS });
+  }
+
+  if (!['GET', 'POST', 'PUT', 'DELETE'].includes(request.method)) {
+    return createErrorResponse('Method not allowed', 405);
+  }
+
+  const authHeader = request.headers.get('Authorization');
+  const tokenData = await validateToken(authHeader, env, request.method === 'GET' ? 'links:read' : 'links:write');
+
+  if (!tokenData) {
+    return createErrorResponse('Authorization required', 401);
+  }
+
+  const { userId } = tokenData;
+  const origin = new URL(request.url).origin;
+  const withUrl = publicList => ({ ...publicList, url: `${origin}/list/${publicList.slug}` });
+
+  if (request.method === 'GET') {
+    try {
+      const result = await getUserPublicLists(env.DB, userId);
+
+      if (!result.success) {
+        return createErrorResponse(result.error || 'Failed to fetch public lists', 500);
+      }
+
+      return createResponse({
+        success: true,
+        publicLists: result.publicLists.map(withUrl)
+      });
+
+    } catch (error) {
+      return createErrorResponse('Failed to fetch public lists', 500);
+    }
+  }
+
+  try {
+    const { type, id } = await request.json();
+
+    if (!Object.keys(PUBLIC_LIST_TYPES).includes(type)) {
+      return createErrorResponse(`type must be one of: ${Object.keys(PUBLIC_LIST_TYPES).join(', ')}`, 400);
+    }
+
+    if (!/^[1-9]\d*$/.test(String(id ?? ''))) {
+      return createErrorResponse(`A ${type} ID is required`, 400);
+    }
+
+    const label = type === 'category' ? 'Category' : 'Collection';
+
+    if (request.method === 'DELETE') {
+      const result = await unpublishList(env.DB, userId, type, id);
+
+      if (!result.success) {
+        return createErrorResponse(result.error || `Failed to unpublish the ${type}`, 500);
+      }
+
+      if (result.changes === 0) {
+        return createErrorResponse(`${label} not found`, 404);
+      }
+
+      return createResponse({
+        success: true,
+        message: `${label} is no longer public`
+      });
+    }
+
+    const result = request.method === 'POST'
+      ? await publishList(env.DB, userId, type, id)
+      : await regeneratePublicSlug(env.DB, userId, type, id);
+
+    if (!result.success) {
+      return createErrorResponse(result.error || `Failed to publish the ${type}`, 500);
+    }
+
+    if (result.changes === 0) {
+      return createErrorResponse(`${label} not found`, 404);
+    }
+
+    if (!result.publicList) {
+      return createErrorResponse(`${label} isn't public`, 404);
+    }
+
+    return createResponse({
+      success: true,
+      publicList: withUrl(result.publicList)
+    });
+
+  } catch (error) {
+    return createErrorResponse('Failed to update the public list', 500);
+  }
+}
+
+/**
+ * Handles GET/POST/DELETE on /api/links/highlights — passages highlighted in the in-app viewer.
+ * GET takes ?linkId=; POST takes { linkId, text, prefix?, suffix? }, where prefix and suffix are a little
+ * of the text around the passage; DELETE takes ?id=.
+ * Personal API tokens need links:read for GET and links:write otherwise.
+ * @param {Request} request
+ * @param {Object} env - Cloudflare Worker environment bindings
+ * @returns {Response}
+ */
+export async function handleHighlights(request, env) {
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { status: 200, headers: CORS_HEADERS });
+  }
+
+  const authHeader = request.headers.get('Authorization');
+  const tokenData = await validateToken(authHeader, env, request.method === 'GET' ? 'links:read' : 'links:write');
+
+  if (!tokenData) {
+    return createErrorResponse('Authorization required', 401);
+  }
+
+  const { userId } = tokenData;
+
+  if (request.method === 'GET') {
+    try {
+      const linkId = new URL(request.url).searchParams.get('linkId');
+
+      if (!linkId) {
+        return createErrorResponse('Link ID is required', 400);
+      }
+
+      const result = await getLinkHighlights(env.DB, userId, linkId);
+
+      if (!result.success) {
+        return createErrorResponse(result.error || 'Failed to fetch highlights', 500);
+      }
+
+      return createResponse({
+        success: true,
+        highlights: result.highlights
+      });
+
+    } catch (error) {
+      return createErrorResponse('Failed to fetch highlights', 500);
+    }
+  }
+
+  if (request.method === 'POST') {
+    try {
+      const { linkId, text, prefix = '', suffix = '' } = await request.json();
+
+      if (!linkId) {
+        return createErrorResponse('Link ID is required', 400);
+      }
+
+      if (typeof text !== 'string' || !text.trim() || text.length > MAX_HIGHLIGHT_LENGTH) {
+        return createErrorResponse(`Highlight must be 1-${MAX_HIGHLIGHT_LENGTH} characters long`, 400);
+      }
+
+      if (typeof prefix !== 'string' || typeof suffix !== 'string') {
+        return createErrorResponse('Highlight context must be text', 400);
+      }
+
+      // Keep the characters nearest the passage; they are what identifies it on the page
+      const result = await createHighlight(env.DB, userId, linkId, {
+        text,
+        prefix: prefix.slice(-MAX_HIGHLIGHT_CONTEXT_LENGTH),
+        suffix: suffix.slice(0, MAX_HIGHLIGHT_CONTEXT_LENGTH)
+      });
+
+      if (!result.success) {
+        return createErrorResponse(result.error || 'Failed to save highlight', 500);
+      }
+
+      if (!result.highlight) {
+        return createErrorResponse('Link not found or not owned by user', 404);
+      }
+
+      return createResponse({
+        success: true,
+        message: 'Highlight saved!',
+        highlight: result.highlight
+      });
+
+    } catch (error) {
+      return createErrorResponse('Failed to save highlight', 500);
+    }
+  }
+
+  if (request.method === 'DELETE') {
+    try {
+      const highlightId = new URL(request.url).searchParams.get('id');
+
+      if (!highlightId) {
+        return createErrorResponse('Highlight ID is required', 400);
+      }
+
+      const result = await deleteHighlight(env.DB, userId, highlightId);
+
+      if (!result.success) {
+        return createErrorResponse(result.error || 'Failed to delete highlight', 500);
+      }
+
+      if (result.changes === 0) {
+        return createErrorResponse('Highlight not found', 404);
+      }
+
+      return createResponse({
+        success: true,
+        message: 'Highlight deleted!'
+      });
+
+    } catch (error) {
+      return createErrorResponse('Failed to delete highlight', 500);
+    }
+  }
+
+  return createErrorResponse('Method not allowed', 405);
+}
+
+/**
+ * Whether a value is a fraction of a page, from 0 (the top) to 1 (the end).
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPageFraction(value) {
+  return typeof value === 'number' && value >= 0 && value <= 1;
+}
+
+/**
+ * Handles GET/POST/PUT on /api/links/progress — how far links have been read in the in-app viewer.
+ * POST takes { linkId, progress, position, seconds }: the furthest point reached and the current position as
+ * fractions of the page, and the reading time since the last report. GET returns autoReadProgress, the
+ * progress at which the user's links are marked read automatically, and PUT sets it: { autoReadProgress },
+ * one of AUTO_READ_THRESHOLDS or null to turn it off.
+ * Personal API tokens need links:read for GET and links:write otherwise.
+ * @param {Request} request
+ * @param {Object} env - Cloudflare Worker environment bindings
+ * @returns {Response}
+ */
+export async function handleReadingProgress(request, env) {
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { status: 200, headers: CORS_HEADERS });
+  }
+
+  const authHeader = request.headers.get('Authorization');
+  const tokenData = await validateToken(authHeader, env, request.method === 'GET' ? 'links:read' : 'links:write');
+
+  if (!tokenData) {
+    return createErrorResponse('Authorization required', 401);
+  }
+
+  const { userId } = tokenData;
+
+  if (request.method === 'GET') {
+    try {
+      const result = await getAutoReadProgress(env.DB, userId);
+
+      if (!result.success) {
+        return createErrorResponse(result.error || 'Failed to fetch reading settings', 500);
+      }
+
+      return createResponse({
+        success: true,
+        autoReadProgress: result.autoReadProgress
+      });
+
+    } catch (error) {
+      return createErrorResponse('Failed to fetch reading settings', 500);
+    }
+  }
+
+  if (request.method === 'POST') {
+    try {
+      const { linkId, progress, position, seconds = 0 } = await request.json();
+
+      if (!linkId) {
+        return createErrorResponse('Link ID is required', 400);
+      }
+
+      if (!isPageFraction(progress) || !isPageFraction(position)) {
+        return createErrorResponse('progress and position must be between 0 and 1', 400);
+      }
+
+      if (!Number.isInteger(seconds) || seconds < 0 || seconds > MAX_READING_REPORT_SECONDS) {
+        return createErrorResponse(`seconds must be a whole number from 0 to ${MAX_READING_REPORT_SECONDS}`, 400);
+      }
+
+      const result = await recordReadingProgress(env.DB, userId, linkId, { progress, position, seconds });
+
+      if (!result.success) {
+        return createErrorResponse(result.error || 'Failed to save reading progress', 500);
+      }
+
+      if (!result.progress) {
+        return createErrorResponse('Link not found or not owned by user', 404);
+      }
+
+      return createResponse({
+        success: true,
+        progress: result.progress
+      });
+
+    } catch (error) {
+      return createErrorResponse('Failed to save reading progress', 500);
+    }
+  }
+
+  if (request.method === 'PUT') {
+    try {
+      const { autoReadProgress } = await request.json();
+
+      if (autoReadProgress !== null && !AUTO_READ_THRESHOLDS.includes(autoReadProgress)) {
+        return createErrorResponse(`autoReadProgress must be null or one of: ${AUTO_READ_THRESHOLDS.join(', ')}`, 400);
+      }
+
+      const result = await setAutoReadProgress(env.DB, userId, autoReadProgress);
+
+      if (!result.success) {
+        return createErrorResponse(result.error || 'Failed to update reading settings', 500);
+      }
+
+      return createResponse({
+        success: true,
+        autoReadProgress,
+        message: autoReadProgress === null
+          ? 'Links are only marked read by hand'
+          : `Links are marked read once ${Math.round(autoReadProgress * 100)}% has been read`
+      });
+
+    } catch (error) {
+      return createErrorResponse('Failed to update reading settings', 500);
     }
   }
 
@@ -0,0 +1,314 @@
+/**
+ * Public, read-only pages and feeds of the categories and collections users publish at /list/<slug>.
+ * Everything is rendered here on the server, so link previews (Open Graph) and feed readers get the
+ * whole list without running any script.
+ */
+import { getPublicList } from './database.js';
+
+/** Most links shown on a public page. */
+const PAGE_LINK_LIMIT = 200;
+
+/** Most links in a feed; readers only keep the recent ones. */
+const FEED_LINK_LIMIT = 50;
+
+/** Preview image for link previews, served from public/, and its size. */
+const OG_IMAGE = { path: '/og-image.png', width: 1200, height: 630 };
+
+/**
+ * Headers on every response. Lists can be unpublished or moved to a new slug at any time, so nothing may
+ * keep a copy: browsers, proxies and feed readers fetch again each time and get the 404 once access is
+ * revoked. The pages run no script and load nothing but the site's own images, and the policy holds them to that.
+ */
+const PUBLIC_HEADERS = {
+  'Cache-Control': 'no-store',
+  'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'; img-src 'self'"
+};
+
+/**
+ * Escapes text for HTML or XML element content and double-quoted attribute values.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Whether a saved URL is a web address that can be linked to. Links saved before URLs were checked may
+ * hold any scheme, and those are shown as text rather than followed.
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isWebUrl(url) {
+  try {
+    const { protocol } = new URL(url);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Converts a stored UTC 'YYYY-MM-DD HH:MM:SS' date to a Date.
+ * @param {string|null} value
+ * @returns {Date|null}
+ */
+function toDate(value) {
+  const time = value ? Date.parse(value.replace(' ', 'T') + 'Z') : NaN;
+  return Number.isFinite(time) ? new Date(time) : null;
+}
+
+/**
+ * When the list last changed as far as a feed can tell: the newest link added, or when it was published.
+ * @param {Object} list
+ * @param {Object[]} links
+ * @returns {Date}
+ */
+function lastUpdated(list, links) {
+  const times = [list.publishedAt, ...links.map(link => link.addedAt)].map(toDate).filter(Boolean);
+  return times.length > 0 ? new Date(Math.max(...times)) : new Date();
+}
+
+/**
+ * Describes the list in one line, for previews and feeds that have no description of their own.
+ * @param {Object} list
+ * @returns {string}
+ */
+function summarize(list) {
+  return list.description || `${list.count} ${list.count === 1 ? 'link' : 'links'} curated on Kurate`;
+}
+
+/**
+ * Writes the public page: the list's name and description, then its links. Open Graph and Twitter tags
+ * give link previews the list's name over the site's default image.
+ * @param {Object} list
+ * @param {Object[]} links
+ * @param {string} pageUrl
+ * @param {string} origin
+ * @returns {string}
+ */
+function renderPage(list, links, pageUrl, origin) {
+  const title = escapeHtml(list.name);
+  const description = escapeHtml(summarize(list));
+  const image = escapeHtml(origin + OG_IMAGE.path);
+
+  const items = links.map(link => {
+    const added = toDate(link.addedAt);
+    const meta = [escapeHtml(link.domain || '')];
+    if (added) {
+      meta.push(`<time datetime="${added.toISOString()}">${added.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' })}</time>`);
+    }
+    const label = escapeHtml(link.title || link.url);
+    return `      <li>
+        ${isWebUrl(link.url) ? `<a class="title" href="${escapeHtml(link.url)}" rel="noopener noreferrer nofollow">${label}</a>` : `<span class="title">${label}</span>`}
+        <span class="meta">${meta.join(' · ')}</span>
+      </li>`;
+  });
+
+  const more = list.count > links.length ? `\n    <p class="note">Showing the first ${links.length} of ${list.count} links.</p>` : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${title} · kurate</title>
+  <meta name="description" content="${description}">
+  <link rel="canonical" href="${escapeHtml(pageUrl)}">
+  <link rel="icon" type="image/png" href="/favicon.png">
+  <link rel="alternate" type="application/rss+xml" title="${title} (RSS)" href="${escapeHtml(pageUrl)}/rss.xml">
+  <link rel="alternate" type="application/atom+xml" title="${title} (Atom)" href="${escapeHtml(pageUrl)}/atom.xml">
+  <meta property="og:type" content="website">
+  <meta property="og:url" content="${escapeHtml(pageUrl)}">
+  <meta property="og:site_name" content="kurate">
+  <meta property="og:title" content="${title}">
+  <meta property="og:description" content="${description}">
+  <meta property="og:image" content="${image}">
+  <meta property="og:image:type" content="image/png">
+  <meta property="og:image:width" content="${OG_IMAGE.width}">
+  <meta property="og:image:height" content="${OG_IMAGE.height}">
+  <meta property="twitter:card" content="summary_large_image">
+  <meta property="twitter:title" content="${title}">
+  <meta property="twitter:description" content="${description}">
+  <meta property="twitter:image" content="${image}">
+  <style>
+    * { box-sizing: border-box; }
+    body { margin: 0; background: #FDFAF8; color: #1C1917; font: 15px/1.5 "Inter", system-ui, -apple-system, sans-serif; }
+    main { max-width: 720px; margin: 0 auto; padding: 40px 20px 64px; }
+    .brand { color: #D2622A; font-weight: 700; text-decoration: none; letter-spacing: -0.02em; }
+    h1 { margin: 24px 0 8px; font-size: 30px; line-height: 1.2; }
+    .description { margin: 0 0 8px; color: #4B5563; white-space: pre-line; }
+    .count, .note, .meta, footer { color: #9CA3AF; font-size: 13px; }
+    ol { list-style: none; margin: 28px 0 0; padding: 0; }
+    li { padding: 14px 0; border-top: 1px solid #E5E7EB; }
+    li .title { display: block; color: #1C1917; font-weight: 600; text-decoration: none; overflow-wrap: anywhere; }
+    li a.title:hover { color: #D2622A; }
+    footer { margin-top: 40px; }
+    footer a { color: #D2622A; }
+  </style>
+</head>
+<body>
+  <main>
+    <a class="brand" href="${escapeHtml(origin)}/">kurate</a>
+    <h1>${title}</h1>${list.description ? `\n    <p class="description">${escapeHtml(list.description)}</p>` : ''}
+    <p class="count">${list.count} ${list.count === 1 ? 'link' : 'links'}</p>
+    <ol>
+${items.join('\n')}
+    </ol>${more}
+    <footer>Curated with <a href="${escapeHtml(origin)}/">kurate</a> · Follow with <a href="${escapeHtml(pageUrl)}/rss.xml">RSS</a> or <a href="${escapeHtml(pageUrl)}/atom.xml">Atom</a></footer>
+  </main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Writes an RSS 2.0 feed of the list, an item per link.
+ * @param {Object} list
+ * @param {Object[]} links
+ * @param {string} pageUrl
+ * @returns {string}
+ */
+function renderRss(list, links, pageUrl) {
+  const items = links.map(link => {
+    const added = toDate(link.addedAt);
+    return [
+      '    <item>',
+      `      <title>${escapeHtml(link.title || link.url)}</title>`,
+      isWebUrl(link.url) ? `      <link>${escapeHtml(link.url)}</link>` : null,
+      `      <guid isPermaLink="false">${escapeHtml(pageUrl)}#${escapeHtml(link.url)}</guid>`,
+      added ? `      <pubDate>${added.toUTCString()}</pubDate>` : null,
+      link.domain ? `      <description>${escapeHtml(link.domain)}</description>` : null,
+      '    </item>'
+    ].filter(Boolean).join('\n');
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeHtml(list.name)}</title>
+    <link>${escapeHtml(pageUrl)}</link>
+    <description>${escapeHtml(summarize(list))}</description>
+    <atom:link href="${escapeHtml(pageUrl)}/rss.xml" rel="self" type="application/rss+xml"/>
+    <lastBuildDate>${lastUpdated(list, links).toUTCString()}</lastBuildDate>
+    <generator>kurate</generator>
+${items.join('\n')}
+  </channel>
+</rss>
+`;
+}
+
+/**
+ * Writes an Atom feed of the list, an entry per link.
+ * @param {Object} list
+ * @param {Object[]} links
+ * @param {string} pageUrl
+ * @returns {string}
+ */
+function renderAtom(list, links, pageUrl) {
+  const updated = lastUpdated(list, links).toISOString();
+  const entries = links.map(link => {
+    const added = toDate(link.addedAt);
+    return [
+      '  <entry>',
+      `    <title>${escapeHtml(link.title || link.url)}</title>`,
+      isWebUrl(link.url) ? `    <link href="${escapeHtml(link.url)}"/>` : null,
+      `    <id>${escapeHtml(pageUrl)}#${escapeHtml(link.url)}</id>`,
+      `    <updated>${added ? added.toISOString() : updated}</updated>`,
+      link.domain ? `    <summary>${escapeHtml(link.domain)}</summary>` : null,
+      '  </entry>'
+    ].filter(Boolean).join('\n');
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeHtml(list.name)}</title>
+  <subtitle>${escapeHtml(summarize(list))}</subtitle>
+  <link href="${escapeHtml(pageUrl)}"/>
+  <link href="${escapeHtml(pageUrl)}/atom.xml" rel="self" type="application/atom+xml"/>
+  <id>${escapeHtml(pageUrl)}</id>
+  <updated>${updated}</updated>
+  <author><name>kurate</name></author>
+  <generator>kurate</generator>
+${entries.join('\n')}
+</feed>
+`;
+}
+
+/**
+ * The page shown for slugs nothing is published under, including lists that were unpublished or moved.
+ * @param {string} origin
+ * @returns {string}
+ */
+function renderNotFound(origin) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>List not found · kurate</title>
+  <style>
+    body { margin: 0; background: #FDFAF8; color: #1C1917; font: 15px/1.5 "Inter", system-ui, -apple-system, sans-serif; }
+    main { max-width: 520px; margin: 0 auto; padding: 80px 20px; text-align: center; }
+    p { color: #4B5563; }
+    a { color: #D2622A; }
+  </style>
+</head>
+<body>
+  <main>
+    <h1>This list isn't available</h1>
+    <p>It may have been made private, or moved to a new address by its curator.</p>
+    <p><a href="${escapeHtml(origin)}/">Go to kurate</a></p>
+  </main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Handles GET on /list/<slug> (the page), /list/<slug>/rss.xml and /list/<slug>/atom.xml. No sign-in is
+ * needed; slugs that aren't published get a 404.
+ * @param {Request} request
+ * @param {Object} env - Cloudflare Worker environment bindings
+ * @param {string} slug
+ * @param {string} format - 'html', 'rss' or 'atom'
+ * @returns {Promise<Response>}
+ */
+export async function handlePublicList(request, env, slug, format) {
+  if (request.method !== 'GET' && request.method !== 'HEAD') {
+    return new Response('Method not allowed', { status: 405, headers: { ...PUBLIC_HEADERS, Allow: 'GET, HEAD' } });
+  }
+
+  const origin = new URL(request.url).origin;
+  const result = await getPublicList(env.DB, slug, format === 'html' ? PAGE_LINK_LIMIT : FEED_LINK_LIMIT);
+
+  if (!result.success) {
+    return new Response('Failed to load the list', { status: 500, headers: PUBLIC_HEADERS });
+  }
+
+  if (!result.list) {
+    return new Response(format === 'html' ? renderNotFound(origin) : 'Not found', {
+      status: 404,
+      headers: { ...PUBLIC_HEADERS, 'Content-Type': format === 'html' ? 'text/html; charset=utf-8' : 'text/plain; charset=utf-8' }
+    });
+  }
+
+  const pageUrl = `${origin}/list/${slug}`;
+
+  if (format === 'rss') {
+    return new Response(renderRss(result.list, result.links, pageUrl), {
+      headers: { ...PUBLIC_HEADERS, 'Content-Type': 'application/rss+xml; charset=utf-8' }
+    });
+  }
+
+  if (format === 'atom') {
+    return new Response(renderAtom(result.list, result.links, pageUrl), {
+      headers: { ...PUBLIC_HEADERS, 'Content-Type': 'application/atom+xml; charset=utf-8' }
+    });
+  }
+
+  return new Response(renderPage(result.list, result.links, pageUrl, origin), {
+    headers: { ...PUBLIC_HEADERS, 'Content-Type': 'text/html; charset=utf-8' }
+  });
+}
@@ -0,0 +1,153 @@
+/**
+ * RFC 6238 time-based one-time passwords (TOTP) for two-factor sign-in.
+ * Uses the defaults every authenticator app supports: HMAC-SHA1, 6 digits, 30-second steps.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const TOTP_DIGITS = 6;
+
+const TOTP_PERIOD_SECONDS = 30;
+
+/** Steps either side of the current one that are still accepted, to tolerate clock drift. */
+const TOTP_WINDOW = 1;
+
+/** Issuer label shown in authenticator apps. */
+const TOTP_ISSUER = 'Kurate';
+
+/**
+ * Encodes bytes as unpadded RFC 4648 base32.
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function base32Encode(bytes) {
+  let bits = 0;
+  let value = 0;
+  let result = '';
+
+  for (let i = 0; i < bytes.length; i++) {
+    value = (value << 8) | bytes[i];
+    bits += 8;
+    while (bits >= 5) {
+      result += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    result += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return result;
+}
+
+/**
+ * Decodes an RFC 4648 base32 string (case-insensitive, padding and spaces ignored).
+ * @param {string} value
+ * @returns {Uint8Array}
+ */
+function base32Decode(value) {
+  const clean = value.toUpperCase().replace(/[\s=]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let buffer = 0;
+
+  for (let i = 0; i < clean.length; i++) {
+    const index = BASE32_ALPHABET.indexOf(clean[i]);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    buffer = (buffer << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((buffer >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return new Uint8Array(bytes);
+}
+
+/**
+ * Computes the HOTP code (RFC 4226) for a counter value.
+ * @param {Uint8Array} key - Shared secret
+ * @param {number} counter - Time step
+ * @returns {Promise<string>} Zero-padded code
+ */
+async function generateHotp(key, counter) {
+  const message = new Uint8Array(8);
+  const view = new DataView(message.buffer);
+  view.setUint32(0, Math.floor(counter / 0x100000000));
+  view.setUint32(4, counter >>> 0);
+
+  const cryptoKey = await crypto.subtle.importKey('raw', key, { name: 'HMAC', hash: 'SHA-1' }, false, ['sign']);
+  const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', cryptoKey, message));
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Generates a new random 160-bit TOTP secret.
+ * @returns {string} Base32-encoded secret
+ */
+export function generateTotpSecret() {
+  return base32Encode(crypto.getRandomValues(new Uint8Array(20)));
+}
+
+/**
+ * Builds the otpauth:// URI that authenticator apps import (directly or via QR code).
+ * @param {string} secret - Base32-encoded secret
+ * @param {string} username - Account label
+ * @returns {string}
+ */
+export function getTotpUri(secret, username) {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${username}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Tells apart a TOTP code from a recovery code typed into the same field.
+ * @param {string} code
+ * @returns {boolean}
+ */
+export function isTotpCode(code) {
+  return new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(String(code).replace(/\s/g, ''));
+}
+
+/**
+ * Checks a TOTP code against the secret, allowing TOTP_WINDOW steps of clock drift.
+ * @param {string} secret - Base32-encoded secret
+ * @param {string} code - Code entered by the user (spaces ignored)
+ * @param {number|null} [lastUsedStep] - Step of the last accepted code; it and earlier steps are rejected to stop replays
+ * @returns {Promise<number|null>} The matching time step, or null if the code is invalid
+ */
+export async function verifyTotp(secret, code, lastUsedStep = null) {
+  if (!isTotpCode(code)) {
+    return null;
+  }
+  const normalized = String(code).replace(/\s/g, '');
+
+  const key = base32Decode(secret);
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+
+  for (let step = currentStep - TOTP_WINDOW; step <= currentStep + TOTP_WINDOW; step++) {
+    if (lastUsedStep !== null && step <= lastUsedStep) {
+      continue;
+    }
+    if (await generateHotp(key, step) === normalized) {
+      return step;
+    }
+  }
+  return null;
+}
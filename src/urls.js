@@ -0,0 +1,155 @@
+/**
+ * URL canonicalization for saved links, so the same page saved from different places
+ * (extension, share sheet, feeds) is recognised as one link.
+ */
+
+/** Query parameters that only track where a click came from; they are removed before saving. */
+const TRACKING_PARAMS = new Set([
+  'fbclid', 'gclid', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid', 'twclid', 'ttclid', 'li_fat_id',
+  'igshid', 'igsh', 'mc_cid', 'mc_eid', 'mkt_tok', '_hsenc', '_hsmi', 'hsctatracking', 'oly_anon_id',
+  'oly_enc_id', 'vero_id', 'ref_src', 'ref_url', 'spm', 'si', 'cmpid', 'ncid', 'sr_share'
+]);
+
+/** Prefixes of tracking parameter families (Google Analytics, Matomo, Piwik). */
+const TRACKING_PARAM_PREFIXES = ['utm_', 'mtm_', 'pk_'];
+
+/** Link shorteners whose redirect is followed to find the real URL. */
+const SHORTENER_HOSTS = new Set([
+  't.co', 'bit.ly', 'bitly.com', 'tinyurl.com', 'goo.gl', 'ow.ly', 'buff.ly', 'lnkd.in', 'dlvr.it', 'is.gd',
+  'rebrand.ly', 'trib.al', 'fb.me', 'amzn.to', 'tiny.cc', 'shorturl.at', 'cutt.ly', 'rb.gy', 'apple.co', 'spoti.fi'
+]);
+
+/** Redirect hops followed when expanding a shortened link. */
+const MAX_REDIRECTS = 5;
+
+/** Time allowed per hop, so a slow shortener can't hold up saving a link. */
+const EXPAND_TIMEOUT_MS = 5000;
+
+/**
+ * Whether a query parameter is a known tracking parameter.
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isTrackingParam(name) {
+  const lower = name.toLowerCase();
+  return TRACKING_PARAMS.has(lower) || TRACKING_PARAM_PREFIXES.some(prefix => lower.startsWith(prefix));
+}
+
+/**
+ * Reads the target of a <meta http-equiv="refresh"> tag, which some shorteners (t.co for browsers)
+ * answer with instead of an HTTP redirect.
+ * @param {string} html
+ * @returns {string|null}
+ */
+function getMetaRefreshUrl(html) {
+  const match = html.match(/<meta[^>]+http-equiv=["']?refresh["']?[^>]*content=["']?\d*\s*;\s*url=([^"'>\s]+)/i);
+  return match ? match[1].replace(/&amp;/g, '&') : null;
+}
+
+/**
+ * Follows the redirects of a shortened link to the page it points at.
+ * URLs on other hosts are returned unchanged, as is the last URL reached if a hop fails.
+ * @param {string} url
+ * @returns {Promise<string>}
+ */
+export async function expandShortUrl(url) {
+  let current = url;
+
+  for (let hop = 0; hop < MAX_REDIRECTS; hop++) {
+    let parsed;
+    try {
+      parsed = new URL(current);
+    } catch (error) {
+      return current;
+    }
+    if (!SHORTENER_HOSTS.has(parsed.hostname.toLowerCase().replace(/^www\./, ''))) {
+      return current;
+    }
+
+    try {
+      const response = await fetch(current, {
+        method: 'GET',
+        redirect: 'manual',
+        headers: { 'User-Agent': 'Mozilla/5.0 (compatible; KurateBot/1.0)' },
+        signal: AbortSignal.timeout(EXPAND_TIMEOUT_MS)
+      });
+
+      const location = response.status >= 300 && response.status < 400
+        ? response.headers.get('Location')
+        : response.ok ? getMetaRefreshUrl(await response.text()) : null;
+      if (!location) {
+        return current;
+      }
+
+      const next = new URL(location, current);
+      if (next.protocol !== 'http:' && next.protocol !== 'https:') {
+        return current;
+      }
+      current = next.toString();
+    } catch (error) {
+      return current;
+    }
+  }
+  return current;
+}
+
+/**
+ * Cleans a URL for saving: lowercases the scheme and host, drops default ports, a trailing dot on the host,
+ * tracking parameters and an empty query string. The result still opens the same page.
+ * @param {string} url
+ * @returns {string} The cleaned URL, or the input unchanged if it isn't a valid http(s) URL
+ */
+export function normalizeUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url.trim());
+  } catch (error) {
+    return url;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return url;
+  }
+
+  parsed.hostname = parsed.hostname.replace(/\.$/, '');
+  // Only touch the query when needed: rewriting it re-encodes the parameters that are kept
+  const tracking = [...parsed.searchParams.keys()].filter(isTrackingParam);
+  tracking.forEach(name => parsed.searchParams.delete(name));
+
+  // URLSearchParams leaves a bare "?" behind once the last parameter is gone
+  return parsed.toString().replace(/\?(?=#|$)/, '');
+}
+
+/**
+ * Builds the key two URLs are compared by when looking for duplicates. On top of normalizeUrl it
+ * ignores the scheme, a leading "www.", the fragment, a trailing slash and the order of query parameters.
+ * @param {string} url - A URL already passed through normalizeUrl
+ * @returns {string}
+ */
+export function getCanonicalUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return url;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return url;
+  }
+
+  parsed.searchParams.sort();
+  const host = parsed.host.replace(/^www\./, '');
+  const path = parsed.pathname.replace(/\/+$/, '');
+  const query = parsed.searchParams.toString();
+
+  return `https://${host}${path}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Expands shortened links and cleans the result.
+ * @param {string} url
+ * @returns {Promise<{url: string, canonicalUrl: string}>} url is what gets saved; canonicalUrl is the duplicate key
+ */
+export async function canonicalizeUrl(url) {
+  const cleaned = normalizeUrl(await expandShortUrl(normalizeUrl(url)));
+  return { url: cleaned, canonicalUrl: getCanonicalUrl(cleaned) };
+}
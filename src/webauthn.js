@@ -0,0 +1,360 @@
+/**
+ * WebAuthn passkey registration and sign-in verification.
+ * Only "none" attestation is requested: the key is registered by a user who is already signed in,
+ * so there is no need to verify which authenticator model produced it.
+ */
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/** COSE algorithms offered for new passkeys, in order of preference: ES256, RS256. */
+export const PASSKEY_ALGORITHMS = [-7, -257];
+
+const COSE_ES256 = -7;
+const COSE_RS256 = -257;
+
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_ATTESTED_CREDENTIAL = 0x40;
+
+/**
+ * Encodes bytes as unpadded base64url, the encoding WebAuthn uses for binary fields in JSON.
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function base64UrlEncode(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes an unpadded base64url string to bytes.
+ * @param {string} value
+ * @returns {Uint8Array}
+ */
+function base64UrlDecode(value) {
+  const base64 = String(value).replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Decodes one CBOR item (RFC 8949), enough of it for attestation objects and COSE keys:
+ * integers, byte and text strings, arrays, maps and simple values. Indefinite lengths are rejected.
+ * @param {Uint8Array} bytes
+ * @param {number} [offset=0]
+ * @returns {[*, number]} The value and the offset just past it
+ */
+function decodeCbor(bytes, offset = 0) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const initial = bytes[offset++];
+  const majorType = initial >> 5;
+  const additional = initial & 0x1f;
+
+  let length = additional;
+  if (additional === 24) {
+    length = bytes[offset];
+    offset += 1;
+  } else if (additional === 25) {
+    length = view.getUint16(offset);
+    offset += 2;
+  } else if (additional === 26) {
+    length = view.getUint32(offset);
+    offset += 4;
+  } else if (additional === 27) {
+    length = view.getUint32(offset) * 0x100000000 + view.getUint32(offset + 4);
+    offset += 8;
+  } else if (additional > 27) {
+    throw new Error('Unsupported CBOR encoding');
+  }
+
+  switch (majorType) {
+    case 0:
+      return [length, offset];
+    case 1:
+      return [-1 - length, offset];
+    case 2:
+      return [bytes.slice(offset, offset + length), offset + length];
+    case 3:
+      return [decoder.decode(bytes.subarray(offset, offset + length)), offset + length];
+    case 4: {
+      const items = [];
+      for (let i = 0; i < length; i++) {
+        const [item, next] = decodeCbor(bytes, offset);
+        items.push(item);
+        offset = next;
+      }
+      return [items, offset];
+    }
+    case 5: {
+      const map = new Map();
+      for (let i = 0; i < length; i++) {
+        const [key, afterKey] = decodeCbor(bytes, offset);
+        const [value, afterValue] = decodeCbor(bytes, afterKey);
+        map.set(key, value);
+        offset = afterValue;
+      }
+      return [map, offset];
+    }
+    case 7:
+      if (additional === 20) return [false, offset];
+      if (additional === 21) return [true, offset];
+      if (additional === 22) return [null, offset];
+      throw new Error('Unsupported CBOR simple value');
+    default:
+      throw new Error('Unsupported CBOR type');
+  }
+}
+
+/**
+ * Splits authenticator data into its fields; the credential ID and COSE key are only present at registration.
+ * @param {Uint8Array} authData
+ * @returns {{rpIdHash: Uint8Array, flags: number, signCount: number, credentialId?: Uint8Array, publicKey?: Map}}
+ */
+function parseAuthenticatorData(authData) {
+  const view = new DataView(authData.buffer, authData.byteOffset, authData.byteLength);
+  const result = {
+    rpIdHash: authData.slice(0, 32),
+    flags: authData[32],
+    signCount: view.getUint32(33)
+  };
+
+  if (result.flags & FLAG_ATTESTED_CREDENTIAL) {
+    // 16-byte AAGUID at 37, then a 2-byte credential ID length
+    const idLength = view.getUint16(53);
+    result.credentialId = authData.slice(55, 55 + idLength);
+    [result.publicKey] = decodeCbor(authData, 55 + idLength);
+  }
+  return result;
+}
+
+/**
+ * Converts a COSE public key to a JWK that WebCrypto can import.
+ * @param {Map} coseKey
+ * @returns {{jwk: Object, algorithm: number}|null} Null for key types and algorithms we don't accept
+ */
+function coseToJwk(coseKey) {
+  const keyType = coseKey.get(1);
+  const algorithm = coseKey.get(3);
+
+  if (keyType === 2 && algorithm === COSE_ES256 && coseKey.get(-1) === 1) {
+    return {
+      jwk: { kty: 'EC', crv: 'P-256', x: base64UrlEncode(coseKey.get(-2)), y: base64UrlEncode(coseKey.get(-3)) },
+      algorithm
+    };
+  }
+  if (keyType === 3 && algorithm === COSE_RS256) {
+    return {
+      jwk: { kty: 'RSA', n: base64UrlEncode(coseKey.get(-1)), e: base64UrlEncode(coseKey.get(-2)) },
+      algorithm
+    };
+  }
+  return null;
+}
+
+/**
+ * Converts a DER-encoded ECDSA signature (what authenticators return) to the raw r || s form WebCrypto verifies.
+ * @param {Uint8Array} der
+ * @returns {Uint8Array}
+ */
+function derToRawSignature(der) {
+  const raw = new Uint8Array(64);
+  // SEQUENCE header, then INTEGER r and INTEGER s
+  let offset = 2;
+  for (let i = 0; i < 2; i++) {
+    const length = der[offset + 1];
+    let integer = der.subarray(offset + 2, offset + 2 + length);
+    while (integer.length > 32 && integer[0] === 0) {
+      integer = integer.subarray(1);
+    }
+    raw.set(integer, i * 32 + 32 - integer.length);
+    offset += 2 + length;
+  }
+  return raw;
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function sha256(bytes) {
+  return new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+}
+
+/**
+ * @param {Uint8Array} a
+ * @param {Uint8Array} b
+ * @returns {boolean}
+ */
+function bytesEqual(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a[i] ^ b[i];
+  }
+  return diff === 0;
+}
+
+/**
+ * Checks the clientDataJSON the browser signed over: ceremony type, our challenge, and our origin.
+ * @param {Uint8Array} clientDataJSON
+ * @param {string} type - 'webauthn.create' or 'webauthn.get'
+ * @param {Object} expected - { challenge, origin }
+ * @returns {boolean}
+ */
+function checkClientData(clientDataJSON, type, expected) {
+  const clientData = JSON.parse(decoder.decode(clientDataJSON));
+  return clientData.type === type
+    && clientData.challenge === expected.challenge
+    && clientData.origin === expected.origin;
+}
+
+/**
+ * Checks that authenticator data is scoped to our RP ID and that the user was present and verified
+ * (PIN, biometrics), which is what makes a passkey enough on its own to sign in.
+ * @param {Object} authData - From parseAuthenticatorData
+ * @param {string} rpId
+ * @returns {Promise<boolean>}
+ */
+async function checkAuthenticatorData(authData, rpId) {
+  const required = FLAG_USER_PRESENT | FLAG_USER_VERIFIED;
+  return (authData.flags & required) === required
+    && bytesEqual(authData.rpIdHash, await sha256(encoder.encode(rpId)));
+}
+
+/**
+ * Imports a stored passkey public key for signature verification.
+ * @param {Object} jwk
+ * @param {number} algorithm - COSE algorithm
+ * @returns {Promise<CryptoKey>}
+ */
+function importPublicKey(jwk, algorithm) {
+  const params = algorithm === COSE_ES256
+    ? { name: 'ECDSA', namedCurve: 'P-256' }
+    : { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' };
+  return crypto.subtle.importKey('jwk', jwk, params, false, ['verify']);
+}
+
+/**
+ * Generates a random challenge for a registration or sign-in ceremony.
+ * @returns {string} Base64url-encoded 32 bytes
+ */
+export function generateChallenge() {
+  return base64UrlEncode(crypto.getRandomValues(new Uint8Array(32)));
+}
+
+/**
+ * Encodes a user handle for PublicKeyCredentialUserEntity.id.
+ * @param {number} userId
+ * @returns {string} Base64url-encoded
+ */
+export function encodeUserHandle(userId) {
+  return base64UrlEncode(encoder.encode(String(userId)));
+}
+
+/**
+ * Verifies the result of navigator.credentials.create() for a new passkey.
+ * @param {Object} credential - { id, type, response: { clientDataJSON, attestationObject, transports? } }, binary fields base64url
+ * @param {Object} expected - { challenge, origin, rpId }
+ * @returns {Promise<Object|null>} { credentialId, publicKey (JWK JSON), algorithm, signCount, transports }, or null if it doesn't verify
+ */
+export async function verifyRegistration(credential, expected) {
+  try {
+    if (!credential || credential.type !== 'public-key' || !credential.response) {
+      return null;
+    }
+
+    const clientDataJSON = base64UrlDecode(credential.response.clientDataJSON);
+    if (!checkClientData(clientDataJSON, 'webauthn.create', expected)) {
+      return null;
+    }
+
+    const [attestation] = decodeCbor(base64UrlDecode(credential.response.attestationObject));
+    const authData = parseAuthenticatorData(attestation.get('authData'));
+    if (!await checkAuthenticatorData(authData, expected.rpId) || !authData.credentialId) {
+      return null;
+    }
+
+    const key = coseToJwk(authData.publicKey);
+    if (!key) {
+      return null;
+    }
+
+    // Make sure the key actually imports before it is stored
+    await importPublicKey(key.jwk, key.algorithm);
+
+    const transports = Array.isArray(credential.response.transports)
+      ? credential.response.transports.filter(transport => typeof transport === 'string').slice(0, 6)
+      : [];
+
+    return {
+      credentialId: base64UrlEncode(authData.credentialId),
+      publicKey: JSON.stringify(key.jwk),
+      algorithm: key.algorithm,
+      signCount: authData.signCount,
+      transports
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Verifies the result of navigator.credentials.get() against a stored passkey.
+ * @param {Object} credential - { id, type, response: { clientDataJSON, authenticatorData, signature } }, binary fields base64url
+ * @param {Object} expected - { challenge, origin, rpId }
+ * @param {Object} passkey - Stored { publicKey (JWK JSON), algorithm, signCount }
+ * @returns {Promise<number|null>} The authenticator's new signature counter, or null if the assertion is invalid
+ */
+export async function verifyAuthentication(credential, expected, passkey) {
+  try {
+    if (!credential || credential.type !== 'public-key' || !credential.response) {
+      return null;
+    }
+
+    const clientDataJSON = base64UrlDecode(credential.response.clientDataJSON);
+    if (!checkClientData(clientDataJSON, 'webauthn.get', expected)) {
+      return null;
+    }
+
+    const authDataBytes = base64UrlDecode(credential.response.authenticatorData);
+    const authData = parseAuthenticatorData(authDataBytes);
+    if (!await checkAuthenticatorData(authData, expected.rpId)) {
+      return null;
+    }
+
+    // The signature covers the authenticator data followed by the hash of the client data
+    const clientDataHash = await sha256(clientDataJSON);
+    const signedData = new Uint8Array(authDataBytes.length + clientDataHash.length);
+    signedData.set(authDataBytes);
+    signedData.set(clientDataHash, authDataBytes.length);
+
+    let signature = base64UrlDecode(credential.response.signature);
+    if (passkey.algorithm === COSE_ES256) {
+      signature = derToRawSignature(signature);
+    }
+
+    const key = await importPublicKey(JSON.parse(passkey.publicKey), passkey.algorithm);
+    const algorithm = passkey.algorithm === COSE_ES256 ? { name: 'ECDSA', hash: 'SHA-256' } : { name: 'RSASSA-PKCS1-v1_5' };
+    if (!await crypto.subtle.verify(algorithm, key, signature, signedData)) {
+      return null;
+    }
+
+    // Synced passkeys always report 0; a counter that goes backwards means a cloned authenticator
+    if ((authData.signCount !== 0 || passkey.signCount !== 0) && authData.signCount <= passkey.signCount) {
+      return null;
+    }
+    return authData.signCount;
+  } catch (error) {
+    return null;
+  }
+}